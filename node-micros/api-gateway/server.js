@@ -70,6 +70,14 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// For services whose writes come only from other services
+const readOnly = (req, res, next) => {
+  if (req.method !== 'GET') {
+    return res.status(404).json({ error: 'Route not found' });
+  }
+  next();
+};
+
 // Proxy configurations
 const proxyOptions = {
   changeOrigin: true,
@@ -99,6 +107,13 @@ app.use('/api/users', authenticateToken, createProxyMiddleware({
   }
 }));
 
+// Stock changes and reservations come only from order-service
+const notExposed = (req, res) => {
+  res.status(404).json({ error: 'Route not found' });
+};
+app.patch('/api/products/:id/stock', notExposed);
+app.post('/api/products/:id/reservations', notExposed);
+
 // Product Service Routes (Public routes)
 app.use('/api/products', createProxyMiddleware({
   ...proxyOptions,
@@ -108,6 +123,24 @@ app.use('/api/products', createProxyMiddleware({
   }
 }));
 
+app.use('/api/recommendations', createProxyMiddleware({
+  ...proxyOptions,
+  target: services.product,
+  pathRewrite: {
+    '^/api/recommendations': '/recommendations'
+  }
+}));
+
+// Uploaded product images (public, long-lived cache headers come from
+// product-service)
+app.use('/api/images', createProxyMiddleware({
+  ...proxyOptions,
+  target: services.product,
+  pathRewrite: {
+    '^/api/images': '/images'
+  }
+}));
+
 app.use('/api/search', createProxyMiddleware({
   ...proxyOptions,
   target: services.product,
@@ -124,6 +157,24 @@ app.use('/api/categories', createProxyMiddleware({
   }
 }));
 
+// Catalog import/export and inventory reports (admin only; product-service
+// checks the role)
+app.use('/api/catalog', authenticateToken, createProxyMiddleware({
+  ...proxyOptions,
+  target: services.product,
+  pathRewrite: {
+    '^/api/catalog': '/catalog'
+  }
+}));
+
+app.use('/api/inventory', authenticateToken, createProxyMiddleware({
+  ...proxyOptions,
+  target: services.product,
+  pathRewrite: {
+    '^/api/inventory': '/inventory'
+  }
+}));
+
 // Order Service Routes (Protected routes)
 app.use('/api/orders', authenticateToken, createProxyMiddleware({
   ...proxyOptions,
@@ -133,7 +184,9 @@ app.use('/api/orders', authenticateToken, createProxyMiddleware({
   }
 }));
 
-app.use('/api/cart', authenticateToken, createProxyMiddleware({
+// Cart Service Routes (Public routes - guests use an X-Cart-Token header,
+// order-service authenticates logged-in users itself)
+app.use('/api/cart', createProxyMiddleware({
   ...proxyOptions,
   target: services.order,
   pathRewrite: {
@@ -141,8 +194,33 @@ app.use('/api/cart', authenticateToken, createProxyMiddleware({
   }
 }));
 
-// Payment Service Routes (Protected routes)
-app.use('/api/payments', authenticateToken, createProxyMiddleware({
+app.use('/api/admin/orders', authenticateToken, createProxyMiddleware({
+  ...proxyOptions,
+  target: services.order,
+  pathRewrite: {
+    '^/api/admin/orders': '/admin/orders'
+  }
+}));
+
+app.use('/api/admin/carts', authenticateToken, createProxyMiddleware({
+  ...proxyOptions,
+  target: services.order,
+  pathRewrite: {
+    '^/api/admin/carts': '/admin/carts'
+  }
+}));
+
+app.use('/api/promotions', authenticateToken, createProxyMiddleware({
+  ...proxyOptions,
+  target: services.order,
+  pathRewrite: {
+    '^/api/promotions': '/promotions'
+  }
+}));
+
+// Payment Service Routes (Protected routes). Payments are taken and refunded
+// through order-service, so only lookups are exposed.
+app.use('/api/payments', authenticateToken, readOnly, createProxyMiddleware({
   ...proxyOptions,
   target: services.payment,
   pathRewrite: {
@@ -159,97 +237,6 @@ app.use('/api/notifications', authenticateToken, createProxyMiddleware({
   }
 }));
 
-// Demo route for initializing sample data (accessible without auth for testing)
-app.post('/api/init-data', async (req, res) => {
-  try {
-    // Initialize sample products
-    const sampleProducts = [
-      {
-        name: "iPhone 14 Pro",
-        description: "Latest Apple smartphone with Pro features",
-        price: 999,
-        category: "Electronics",
-        stock: 50,
-        featured: true,
-        image: "https://via.placeholder.com/300x300/007bff/ffffff?text=iPhone+14+Pro"
-      },
-      {
-        name: "Samsung Galaxy S23",
-        description: "Powerful Android smartphone",
-        price: 899,
-        category: "Electronics",
-        stock: 30,
-        featured: true,
-        image: "https://via.placeholder.com/300x300/28a745/ffffff?text=Galaxy+S23"
-      },
-      {
-        name: "MacBook Air M2",
-        description: "Ultra-thin laptop with M2 chip",
-        price: 1199,
-        category: "Computers",
-        stock: 25,
-        featured: true,
-        image: "https://via.placeholder.com/300x300/dc3545/ffffff?text=MacBook+Air"
-      },
-      {
-        name: "Nike Air Max 270",
-        description: "Comfortable running shoes",
-        price: 150,
-        category: "Shoes",
-        stock: 100,
-        featured: false,
-        image: "https://via.placeholder.com/300x300/ffc107/000000?text=Nike+Air+Max"
-      },
-      {
-        name: "Sony WH-1000XM5",
-        description: "Noise-cancelling wireless headphones",
-        price: 349,
-        category: "Audio",
-        stock: 40,
-        featured: true,
-        image: "https://via.placeholder.com/300x300/6f42c1/ffffff?text=Sony+Headphones"
-      },
-      {
-        name: "iPad Pro 12.9",
-        description: "Professional tablet with M2 chip",
-        price: 1099,
-        category: "Electronics",
-        stock: 20,
-        featured: false,
-        image: "https://via.placeholder.com/300x300/fd7e14/ffffff?text=iPad+Pro"
-      }
-    ];
-
-    // Send products to product service
-    const productPromises = sampleProducts.map(async (product) => {
-      try {
-        const response = await fetch(`${services.product}/products`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': 'Bearer demo-admin-token' // For demo purposes
-          },
-          body: JSON.stringify(product)
-        });
-        return response.ok;
-      } catch (error) {
-        console.error('Error creating product:', error);
-        return false;
-      }
-    });
-
-    await Promise.all(productPromises);
-
-    res.json({ 
-      message: 'Sample data initialized successfully',
-      productsCreated: sampleProducts.length
-    });
-  } catch (error) {
-    console.error('Error initializing data:', error);
-    res.status(500).json({ error: 'Failed to initialize sample data' });
-  }
-});
-
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Gateway error:', err);
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
-import { QueryClient, QueryClientProvider, useQuery, useMutation, useQueryClient } from 'react-query';
+import { QueryClient, QueryClientProvider, useQuery } from 'react-query';
 import { Toaster, toast } from 'react-hot-toast';
 import { ShoppingCart, Search, Star, Plus, Minus, Package, Home, Grid } from 'lucide-react';
 import axios from 'axios';
@@ -13,6 +13,9 @@ const api = axios.create({
   timeout: 10000,
 });
 
+// Uploaded images come back as paths on the product service
+const assetUrl = (url) => (url?.startsWith('/') ? `${API_URL}${url}` : url);
+
 // React Query Client - ONLY CHANGE: Less aggressive refetching
 const queryClient = new QueryClient({
   defaultOptions: {
@@ -40,8 +43,10 @@ const fetchCategories = async () => {
   return data;
 };
 
-const initializeData = async () => {
-  const { data } = await api.post('/init-data');
+const fetchCartRecommendations = async (productIds) => {
+  const { data } = await api.get('/recommendations/cart', {
+    params: { productIds: productIds.join(','), limit: 4 }
+  });
   return data;
 };
 
@@ -80,43 +85,60 @@ const Header = ({ cartItems, onSearch, searchQuery, setSearchQuery }) => {
   );
 };
 
+const variantLabel = (variant) => Object.values(variant.options || {}).join(' / ');
+
 const ProductCard = ({ product, onAddToCart }) => {
   const [imgError, setImgError] = useState(false);
+  const variants = product.variants || [];
+  const [selectedSku, setSelectedSku] = useState(variants[0]?.sku || '');
+  const variant = variants.find(v => v.sku === selectedSku);
+  // currentPrice includes any running sale; originalPrice is what it's reduced from
+  const { currentPrice: price, originalPrice } = variant || product;
+  const stock = variant ? variant.stock : product.stock;
+  const rating = product.ratings?.average || 0;
+
+  // Each variant is its own cart line
+  const handleAddToCart = () => {
+    if (!variant) {
+      onAddToCart({ ...product, price });
+      return;
+    }
+    onAddToCart({
+      ...product,
+      _id: `${product._id}:${variant.sku}`,
+      productId: product._id,
+      sku: variant.sku,
+      name: `${product.name} (${variantLabel(variant)})`,
+      image: variant.image || product.image,
+      price,
+      stock
+    });
+  };
   
   const handleImageError = () => {
     setImgError(true);
   };
 
-  const getImageSrc = () => {
-    if (imgError) {
-      // Fallback to a more reliable image service
-      const fallbackImages = {
-        'iPhone 14 Pro': 'https://picsum.photos/300/300?random=1',
-        'Samsung Galaxy S23': 'https://picsum.photos/300/300?random=2', 
-        'MacBook Air M2': 'https://picsum.photos/300/300?random=3',
-        'Nike Air Max 270': 'https://picsum.photos/300/300?random=4',
-        'Sony WH-1000XM5': 'https://picsum.photos/300/300?random=5',
-        'iPad Pro 12.9': 'https://picsum.photos/300/300?random=6'
-      };
-      return fallbackImages[product.name] || 'https://picsum.photos/300/300?random=7';
-    }
-    return product.image;
-  };
-
   return (
     <div className="product-card">
       <div className="product-image">
-        <img 
-          src={getImageSrc()} 
-          alt={product.name}
-          onError={handleImageError}
-          style={{ 
-            width: '100%', 
-            height: '200px', 
-            objectFit: 'cover',
-            backgroundColor: '#f0f0f0'
-          }}
-        />
+        {imgError ? (
+          <div className="image-placeholder">
+            <Package size={48} />
+          </div>
+        ) : (
+          <img 
+            src={assetUrl(product.image)} 
+            alt={product.images?.[0]?.alt || product.name}
+            onError={handleImageError}
+            style={{ 
+              width: '100%', 
+              height: '200px', 
+              objectFit: 'cover',
+              backgroundColor: '#f0f0f0'
+            }}
+          />
+        )}
         {product.featured && <span className="featured-badge">Featured</span>}
       </div>
       <div className="product-info">
@@ -124,30 +146,54 @@ const ProductCard = ({ product, onAddToCart }) => {
         <p className="product-description">{product.description}</p>
         <div className="product-meta">
           <span className="product-category">{product.category}</span>
-          <div className="product-rating">
+          <div className="product-rating" title={`${rating.toFixed(1)} out of 5`}>
             {[...Array(5)].map((_, i) => (
-              <Star key={i} className={`star ${i < 4 ? 'filled' : ''}`} />
+              <Star key={i} className={`star ${i < Math.round(rating) ? 'filled' : ''}`} />
             ))}
+            <span className="rating-count">({product.ratings?.count || 0})</span>
           </div>
         </div>
+        {variants.length > 0 && (
+          <select
+            className="variant-select"
+            value={selectedSku}
+            onChange={(e) => setSelectedSku(e.target.value)}
+          >
+            {variants.map(v => (
+              <option key={v.sku} value={v.sku}>
+                {variantLabel(v)}{v.stock === 0 ? ' (out of stock)' : ''}
+              </option>
+            ))}
+          </select>
+        )}
         <div className="product-footer">
-          <span className="product-price">${product.price}</span>
+          <span className="product-price">
+            ${price}
+            {originalPrice && <span className="original-price">${originalPrice}</span>}
+          </span>
           <button 
             className="add-to-cart-btn"
-            onClick={() => onAddToCart(product)}
-            disabled={product.stock === 0}
+            onClick={handleAddToCart}
+            disabled={stock === 0}
           >
-            {product.stock === 0 ? 'Out of Stock' : 'Add to Cart'}
+            {stock === 0 ? 'Out of Stock' : 'Add to Cart'}
           </button>
         </div>
         <div className="stock-info">
-          Stock: {product.stock} items
+          Stock: {stock} items
         </div>
       </div>
     </div>
   );
 };
 
+// Depth-first list of the category tree, for rendering as indented rows
+const flattenCategories = (categories = [], depth = 0) =>
+  categories.flatMap(category => [
+    { ...category, depth },
+    ...flattenCategories(category.children, depth + 1)
+  ]);
+
 const CategoryFilter = ({ categories, selectedCategory, onCategoryChange }) => {
   return (
     <div className="category-filter">
@@ -159,13 +205,15 @@ const CategoryFilter = ({ categories, selectedCategory, onCategoryChange }) => {
         >
           All Products
         </button>
-        {categories?.map(category => (
+        {flattenCategories(categories).map(category => (
           <button 
-            key={category}
-            className={`category-btn ${selectedCategory === category ? 'active' : ''}`}
-            onClick={() => onCategoryChange(category)}
+            key={category._id}
+            className={`category-btn ${selectedCategory === category.slug ? 'active' : ''}`}
+            style={{ paddingLeft: `${1 + category.depth}rem` }}
+            onClick={() => onCategoryChange(category.slug)}
           >
-            {category}
+            {category.name}
+            <span className="category-count">{category.totalProductCount}</span>
           </button>
         ))}
       </div>
@@ -173,7 +221,32 @@ const CategoryFilter = ({ categories, selectedCategory, onCategoryChange }) => {
   );
 };
 
-const Cart = ({ items, onUpdateQuantity, onRemoveItem }) => {
+// "You may also like" under the cart: bought with its items, or similar to them
+const CartRecommendations = ({ items, onAddToCart }) => {
+  // Variant lines carry the product id separately
+  const productIds = [...new Set(items.map(item => item.productId || item._id))];
+
+  const { data } = useQuery(
+    ['cart-recommendations', productIds],
+    () => fetchCartRecommendations(productIds),
+    { enabled: productIds.length > 0 }
+  );
+
+  if (!data?.products?.length) return null;
+
+  return (
+    <div className="cart-recommendations">
+      <h3>You may also like</h3>
+      <div className="products-grid">
+        {data.products.map(product => (
+          <ProductCard key={product._id} product={product} onAddToCart={onAddToCart} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const Cart = ({ items, onUpdateQuantity, onRemoveItem, onAddToCart }) => {
   const total = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
 
   if (items.length === 0) {
@@ -191,7 +264,7 @@ const Cart = ({ items, onUpdateQuantity, onRemoveItem }) => {
       <div className="cart-items">
         {items.map(item => (
           <div key={item._id} className="cart-item">
-            <img src={item.image} alt={item.name} className="cart-item-image" />
+            <img src={assetUrl(item.image)} alt={item.name} className="cart-item-image" />
             <div className="cart-item-info">
               <h4>{item.name}</h4>
               <p className="cart-item-price">${item.price}</p>
@@ -221,6 +294,7 @@ const Cart = ({ items, onUpdateQuantity, onRemoveItem }) => {
         <h3>Total: ${total.toFixed(2)}</h3>
         <button className="checkout-btn">Proceed to Checkout</button>
       </div>
+      <CartRecommendations items={items} onAddToCart={onAddToCart} />
     </div>
   );
 };
@@ -228,18 +302,22 @@ const Cart = ({ items, onUpdateQuantity, onRemoveItem }) => {
 const ProductsPage = ({ cartItems, onAddToCart, searchResults }) => {
   const [selectedCategory, setSelectedCategory] = useState('');
   const [showFeatured, setShowFeatured] = useState(false);
+  const [sortBy, setSortBy] = useState('createdAt');
   
   const { data: productsData, isLoading, error } = useQuery(
-    ['products', selectedCategory, showFeatured],
+    ['products', selectedCategory, showFeatured, sortBy],
     () => fetchProducts({ 
       category: selectedCategory || undefined, 
-      featured: showFeatured || undefined 
+      featured: showFeatured || undefined,
+      sortBy
     })
   );
 
   const { data: categories } = useQuery('categories', fetchCategories);
 
   const displayProducts = searchResults || productsData?.products || [];
+  const selectedCategoryName = flattenCategories(categories)
+    .find(category => category.slug === selectedCategory)?.name;
 
   if (isLoading) return <div className="loading">Loading products...</div>;
   if (error) return <div className="error">Error loading products</div>;
@@ -261,6 +339,13 @@ const ProductsPage = ({ cartItems, onAddToCart, searchResults }) => {
             />
             Featured Products Only
           </label>
+          <label className="filter-sort">
+            Sort by
+            <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+              <option value="createdAt">Newest</option>
+              <option value="rating">Top rated</option>
+            </select>
+          </label>
         </div>
       </div>
       
@@ -268,7 +353,7 @@ const ProductsPage = ({ cartItems, onAddToCart, searchResults }) => {
         <div className="products-header">
           <h2>
             {searchResults ? 'Search Results' : 
-             selectedCategory ? selectedCategory : 'All Products'}
+             selectedCategory ? selectedCategoryName || selectedCategory : 'All Products'}
           </h2>
           <p>{displayProducts.length} products found</p>
         </div>
@@ -294,35 +379,6 @@ const ProductsPage = ({ cartItems, onAddToCart, searchResults }) => {
   );
 };
 
-const AdminPanel = () => {
-  const queryClient = useQueryClient();
-  
-  const initDataMutation = useMutation(initializeData, {
-    onSuccess: () => {
-      queryClient.invalidateQueries('products');
-      toast.success('Sample data initialized successfully!');
-    },
-    onError: () => {
-      toast.error('Failed to initialize data');
-    }
-  });
-
-  return (
-    <div className="admin-panel">
-      <h2>Admin Panel</h2>
-      <div className="admin-actions">
-        <button 
-          className="admin-btn"
-          onClick={() => initDataMutation.mutate()}
-          disabled={initDataMutation.isLoading}
-        >
-          {initDataMutation.isLoading ? 'Initializing...' : 'Initialize Sample Data'}
-        </button>
-      </div>
-    </div>
-  );
-};
-
 const App = () => {
   const [cartItems, setCartItems] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
@@ -367,7 +423,7 @@ const App = () => {
     
     try {
       const results = await searchProducts(query);
-      setSearchResults(results);
+      setSearchResults(results.products);
     } catch (error) {
       toast.error('Search failed');
       console.error('Search error:', error);
@@ -404,10 +460,10 @@ const App = () => {
                     items={cartItems}
                     onUpdateQuantity={handleUpdateQuantity}
                     onRemoveItem={handleRemoveItem}
+                    onAddToCart={handleAddToCart}
                   />
                 } 
               />
-              <Route path="/admin" element={<AdminPanel />} />
             </Routes>
           </main>
           
@@ -420,10 +476,6 @@ const App = () => {
               <ShoppingCart size={20} />
               <span>Cart ({cartItems.reduce((sum, item) => sum + item.quantity, 0)})</span>
             </Link>
-            <Link to="/admin" className="nav-item">
-              <Package size={20} />
-              <span>Admin</span>
-            </Link>
           </nav>
           
           <Toaster position="bottom-right" />
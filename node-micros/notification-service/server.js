@@ -16,7 +16,11 @@ const notificationSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, required: true },
   type: { 
     type: String, 
-    enum: ['order_created', 'order_status_updated', 'payment_success', 'payment_failed', 'welcome'],
+    enum: [
+      'order_created', 'order_status_updated', 'order_cancelled',
+      'return_requested', 'return_approved', 'return_rejected', 'cart_abandoned',
+      'payment_success', 'payment_failed', 'welcome', 'low_stock'
+    ],
     required: true 
   },
   title: { type: String, required: true },
@@ -35,7 +39,13 @@ const notificationSchema = new mongoose.Schema({
   metadata: {
     orderId: mongoose.Schema.Types.ObjectId,
     paymentId: String,
-    amount: Number
+    returnId: mongoose.Schema.Types.ObjectId,
+    amount: Number,
+    itemCount: Number,
+    productId: mongoose.Schema.Types.ObjectId,
+    productName: String,
+    available: Number,
+    threshold: Number
   },
   createdAt: { type: Date, default: Date.now },
   sentAt: Date
@@ -64,6 +74,51 @@ const emailTemplates = {
       <p>New Status: ${data.status}</p>
     `
   }),
+  order_cancelled: (data) => ({
+    subject: `Order Cancelled #${data.orderId}`,
+    html: `
+      <h2>Order Cancelled</h2>
+      <p>Your order has been cancelled.</p>
+      <p>Order ID: ${data.orderId}</p>
+      <p>Refund Amount: ${data.amount || 0}</p>
+    `
+  }),
+  return_requested: (data) => ({
+    subject: `Return Request Received #${data.orderId}`,
+    html: `
+      <h2>Return Request Received</h2>
+      <p>We have received your return request and will review it shortly.</p>
+      <p>Order ID: ${data.orderId}</p>
+      <p>Return ID: ${data.returnId}</p>
+    `
+  }),
+  return_approved: (data) => ({
+    subject: `Return Approved #${data.orderId}`,
+    html: `
+      <h2>Return Approved</h2>
+      <p>Your return has been approved.</p>
+      <p>Order ID: ${data.orderId}</p>
+      <p>Refund Amount: ${data.amount}</p>
+    `
+  }),
+  return_rejected: (data) => ({
+    subject: `Return Request Update #${data.orderId}`,
+    html: `
+      <h2>Return Request Declined</h2>
+      <p>Unfortunately your return request could not be approved.</p>
+      <p>Order ID: ${data.orderId}</p>
+    `
+  }),
+  cart_abandoned: (data) => ({
+    subject: 'You left something in your cart',
+    html: `
+      <h2>Still thinking it over?</h2>
+      <p>You have ${data.itemCount} item(s) waiting in your cart.</p>
+      ${data.items?.length ? `<p>${data.items.join(', ')}</p>` : ''}
+      <p>Cart Total: ${data.amount}</p>
+      <p>Complete your order before they sell out!</p>
+    `
+  }),
   payment_success: (data) => ({
     subject: 'Payment Successful',
     html: `
@@ -73,6 +128,16 @@ const emailTemplates = {
       <p>Payment ID: ${data.paymentId}</p>
     `
   }),
+  low_stock: (data) => ({
+    subject: `Low stock: ${data.productName}`,
+    html: `
+      <h2>Low Stock Alert</h2>
+      <p>${data.productName} has reached its reorder threshold.</p>
+      <p>Available: ${data.available}</p>
+      <p>Reorder threshold: ${data.threshold}</p>
+      <p>Product ID: ${data.productId}</p>
+    `
+  }),
   welcome: (data) => ({
     subject: 'Welcome to Our Store!',
     html: `
@@ -183,9 +248,15 @@ function getNotificationTitle(type, metadata) {
   const titles = {
     order_created: 'Order Confirmed',
     order_status_updated: 'Order Status Updated',
+    order_cancelled: 'Order Cancelled',
+    return_requested: 'Return Requested',
+    return_approved: 'Return Approved',
+    return_rejected: 'Return Rejected',
+    cart_abandoned: 'Items Waiting In Your Cart',
     payment_success: 'Payment Successful',
     payment_failed: 'Payment Failed',
-    welcome: 'Welcome!'
+    welcome: 'Welcome!',
+    low_stock: 'Low Stock Alert'
   };
   return titles[type] || 'Notification';
 }
@@ -0,0 +1,49 @@
+// Carrier adapter registry.
+//
+// A carrier adapter is an object with:
+//   name                      - key used in Shipment.carrier
+//   createShipment(shipment)  - books the shipment; receives
+//                               { shipmentId, orderId, items, address } and
+//                               resolves to { trackingNumber, labelUrl }
+//   getTrackingEvents(trackingNumber)
+//                             - resolves to every event so far, oldest first:
+//                               [{ status, description, location, occurredAt }]
+//
+// Event statuses are normalised to trackingStatuses below so order-service
+// never has to know carrier-specific codes.
+const simulated = require('./simulated');
+
+const trackingStatuses = [
+  'label_created',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'delivered',
+  'exception'
+];
+
+const carriers = new Map();
+
+function registerCarrier(adapter) {
+  if (!adapter.name || !adapter.createShipment || !adapter.getTrackingEvents) {
+    throw new Error('Carrier adapters need name, createShipment and getTrackingEvents');
+  }
+  carriers.set(adapter.name, adapter);
+}
+
+function getCarrier(name) {
+  return carriers.get(name);
+}
+
+function listCarriers() {
+  return [...carriers.keys()];
+}
+
+registerCarrier(simulated);
+
+module.exports = {
+  trackingStatuses,
+  registerCarrier,
+  getCarrier,
+  listCarriers
+};
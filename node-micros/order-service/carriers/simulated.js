@@ -0,0 +1,44 @@
+// Local carrier for development and tests. Nothing leaves the process: the
+// tracking number encodes when the label was created and each later status
+// unlocks after SIMULATED_CARRIER_STEP_MS.
+const crypto = require('crypto');
+
+const STEP_MS = Number(process.env.SIMULATED_CARRIER_STEP_MS) || 60 * 1000;
+
+const timeline = [
+  { status: 'label_created', description: 'Shipping label created', location: 'Warehouse' },
+  { status: 'picked_up', description: 'Picked up by carrier', location: 'Warehouse' },
+  { status: 'in_transit', description: 'In transit to destination', location: 'Sorting facility' },
+  { status: 'out_for_delivery', description: 'Out for delivery', location: 'Local depot' },
+  { status: 'delivered', description: 'Delivered', location: 'Destination' }
+];
+
+async function createShipment() {
+  const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return {
+    trackingNumber: `SIM-${Date.now()}-${suffix}`,
+    labelUrl: null
+  };
+}
+
+async function getTrackingEvents(trackingNumber) {
+  const createdAt = Number(String(trackingNumber).split('-')[1]);
+  if (!Number.isFinite(createdAt)) {
+    throw new Error(`Unknown tracking number: ${trackingNumber}`);
+  }
+
+  const elapsedSteps = Math.floor((Date.now() - createdAt) / STEP_MS);
+
+  return timeline
+    .slice(0, Math.min(elapsedSteps, timeline.length - 1) + 1)
+    .map((event, i) => ({
+      ...event,
+      occurredAt: new Date(createdAt + i * STEP_MS)
+    }));
+}
+
+module.exports = {
+  name: 'local',
+  createShipment,
+  getTrackingEvents
+};
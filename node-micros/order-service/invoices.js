@@ -0,0 +1,186 @@
+// Rendering for invoices and credit notes. Both take the stored Invoice
+// document; invoices are also given their credit notes so refunds show up.
+const PDFDocument = require('pdfkit');
+
+const SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || 'EcomStore',
+  address: process.env.INVOICE_SELLER_ADDRESS || ''
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatMoney(amount, currency) {
+  return `${currency} ${Number(amount || 0).toFixed(2)}`;
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function addressLines(address = {}) {
+  return [
+    address.name,
+    address.street,
+    [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+    address.country,
+    address.phone
+  ].filter(Boolean);
+}
+
+// Rows for the totals block, in display order
+function totalRows(document, creditNotes) {
+  const { totals, currency } = document;
+
+  if (document.type === 'credit_note') {
+    return [['Refund total', formatMoney(totals.total, currency)]];
+  }
+
+  const rows = [['Subtotal', formatMoney(totals.subtotal, currency)]];
+  if (totals.discount > 0) {
+    rows.push(['Discount', `-${formatMoney(totals.discount, currency)}`]);
+  }
+  rows.push(['Shipping', formatMoney(totals.shipping, currency)]);
+  rows.push([`Tax (${(totals.taxRate * 100).toFixed(2)}%)`, formatMoney(totals.tax, currency)]);
+  rows.push(['Total', formatMoney(totals.total, currency)]);
+
+  const refunded = creditNotes.reduce((sum, note) => sum + note.totals.total, 0);
+  if (refunded > 0) {
+    rows.push(['Refunded', `-${formatMoney(refunded, currency)}`]);
+    rows.push(['Net paid', formatMoney(totals.total - refunded, currency)]);
+  }
+  return rows;
+}
+
+function title(document) {
+  return document.type === 'credit_note' ? 'Credit Note' : 'Invoice';
+}
+
+function renderHtml(document, creditNotes = []) {
+  const { currency } = document;
+
+  const lineRows = document.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="num">${line.quantity}</td>
+          <td class="num">${formatMoney(line.unitPrice, currency)}</td>
+          <td class="num">${line.discount ? `-${formatMoney(line.discount, currency)}` : ''}</td>
+          <td class="num">${formatMoney(line.amount, currency)}</td>
+        </tr>`).join('');
+
+  const totals = totalRows(document, creditNotes).map(([label, value]) => `
+        <tr><th>${escapeHtml(label)}</th><td class="num">${escapeHtml(value)}</td></tr>`).join('');
+
+  const refunds = creditNotes.length === 0 ? '' : `
+    <h3>Credit notes</h3>
+    <ul>${creditNotes.map(note => `
+      <li>${escapeHtml(note.number)} (${formatDate(note.issuedAt)}): ${formatMoney(note.totals.total, currency)}${note.refund?.reason ? ` - ${escapeHtml(note.refund.reason)}` : ''}</li>`).join('')}
+    </ul>`;
+
+  const reference = document.type === 'credit_note'
+    ? `<p>Credits invoice: ${escapeHtml(document.relatedInvoiceNumber)}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${title(document)} ${escapeHtml(document.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; margin: 40px; }
+    table { border-collapse: collapse; width: 100%; margin-top: 20px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .totals { width: 40%; margin-left: auto; }
+  </style>
+</head>
+<body>
+  <h1>${title(document)} ${escapeHtml(document.number)}</h1>
+  <p>${escapeHtml(SELLER.name)}<br>${escapeHtml(SELLER.address)}</p>
+  <p>Issued: ${formatDate(document.issuedAt)}<br>
+     Order: ${escapeHtml(document.orderId)}<br>
+     Payment reference: ${escapeHtml(document.paymentReference || 'n/a')}</p>
+  ${reference}
+  <h3>Ship to</h3>
+  <p>${addressLines(document.shippingAddress).map(escapeHtml).join('<br>')}</p>
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Discount</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${lineRows}
+    </tbody>
+  </table>
+  <table class="totals">${totals}
+  </table>
+  ${refunds}
+</body>
+</html>`;
+}
+
+// Returns a PDFKit document; the caller pipes it somewhere and calls end()
+function renderPdf(document, creditNotes = []) {
+  const { currency } = document;
+  const pdf = new PDFDocument({ size: 'A4', margin: 50 });
+
+  pdf.fontSize(20).text(`${title(document)} ${document.number}`);
+  pdf.moveDown(0.5).fontSize(10).text(SELLER.name);
+  if (SELLER.address) pdf.text(SELLER.address);
+
+  pdf.moveDown()
+    .text(`Issued: ${formatDate(document.issuedAt)}`)
+    .text(`Order: ${document.orderId}`)
+    .text(`Payment reference: ${document.paymentReference || 'n/a'}`);
+  if (document.type === 'credit_note') {
+    pdf.text(`Credits invoice: ${document.relatedInvoiceNumber}`);
+  }
+
+  pdf.moveDown().fontSize(12).text('Ship to').fontSize(10);
+  addressLines(document.shippingAddress).forEach(line => pdf.text(line));
+
+  const columns = [50, 290, 330, 410, 480];
+  const row = (cells, options = {}) => {
+    const y = pdf.y;
+    cells.forEach((cell, i) => {
+      pdf.text(cell, columns[i], y, {
+        width: (columns[i + 1] || 545) - columns[i] - 5,
+        align: i === 0 ? 'left' : 'right',
+        ...options
+      });
+    });
+    pdf.moveDown(0.3);
+  };
+
+  pdf.moveDown();
+  row(['Item', 'Qty', 'Unit price', 'Discount', 'Amount']);
+  document.lines.forEach(line => row([
+    line.description,
+    String(line.quantity),
+    formatMoney(line.unitPrice, currency),
+    line.discount ? `-${formatMoney(line.discount, currency)}` : '',
+    formatMoney(line.amount, currency)
+  ]));
+
+  pdf.moveDown();
+  totalRows(document, creditNotes).forEach(([label, value]) => row(['', '', '', label, value]));
+
+  if (creditNotes.length > 0) {
+    pdf.moveDown().fontSize(12).text('Credit notes', 50).fontSize(10);
+    creditNotes.forEach(note => {
+      pdf.text(`${note.number} (${formatDate(note.issuedAt)}): ${formatMoney(note.totals.total, currency)}` +
+        (note.refund?.reason ? ` - ${note.refund.reason}` : ''));
+    });
+  }
+
+  return pdf;
+}
+
+module.exports = {
+  renderHtml,
+  renderPdf
+};
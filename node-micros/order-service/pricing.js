@@ -0,0 +1,168 @@
+// Shipping and tax calculation for carts and orders.
+//
+// The defaults below can be overridden by pointing PRICING_CONFIG_PATH at a
+// JSON file with the same shape; top-level keys in the file replace the
+// defaults wholesale.
+const fs = require('fs');
+
+const defaultConfig = {
+  currency: 'USD',
+  shipping: {
+    // Orders at or above this (after discounts) ship standard for free
+    freeShippingThreshold: 100,
+    // Used when a product has no parseable specifications.weight
+    defaultItemWeightKg: 0.5,
+    methods: {
+      standard: { name: 'Standard', type: 'flat', rate: 5.99, estimatedDays: '5-7', freeOverThreshold: true },
+      express: { name: 'Express', type: 'weight', base: 9.99, perKg: 2.5, estimatedDays: '2-3' },
+      overnight: { name: 'Overnight', type: 'weight', base: 24.99, perKg: 4, estimatedDays: '1' }
+    }
+  },
+  // Rates by country, with optional state/province overrides. Shipping is
+  // only taxed where taxShipping is set.
+  tax: {
+    default: { rate: 0 },
+    regions: {
+      US: {
+        rate: 0,
+        states: { CA: 0.0725, NY: 0.04, TX: 0.0625, WA: 0.065, FL: 0.06, IL: 0.0625 }
+      },
+      CA: {
+        rate: 0.05,
+        taxShipping: true,
+        states: { ON: 0.13, NS: 0.15, NB: 0.15, NL: 0.15, PE: 0.15, QC: 0.14975 }
+      },
+      GB: { rate: 0.2, taxShipping: true },
+      DE: { rate: 0.19, taxShipping: true },
+      FR: { rate: 0.2, taxShipping: true },
+      IN: { rate: 0.18, taxShipping: true },
+      AU: { rate: 0.1, taxShipping: true }
+    }
+  }
+};
+
+function loadConfig() {
+  if (!process.env.PRICING_CONFIG_PATH) {
+    return defaultConfig;
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(process.env.PRICING_CONFIG_PATH, 'utf8'));
+  return { ...defaultConfig, ...overrides };
+}
+
+const config = loadConfig();
+
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// specifications.weight is free text ("1.2 kg", "240g", "3 lbs")
+function parseWeightKg(weight) {
+  const match = String(weight || '').trim().match(/^([\d.]+)\s*(kg|g|lbs?|oz)?$/i);
+  if (!match) return null;
+
+  const value = Number(match[1]);
+  if (!Number.isFinite(value)) return null;
+
+  switch ((match[2] || 'kg').toLowerCase()) {
+    case 'g':
+      return value / 1000;
+    case 'lb':
+    case 'lbs':
+      return value * 0.453592;
+    case 'oz':
+      return value * 0.0283495;
+    default:
+      return value;
+  }
+}
+
+function totalWeightKg(items) {
+  return items.reduce((sum, item) => {
+    const weight = parseWeightKg(item.weight) ?? config.shipping.defaultItemWeightKg;
+    return sum + weight * item.quantity;
+  }, 0);
+}
+
+// All shipping options for the given items ({ quantity, weight }) and
+// post-discount merchandise total
+function quoteShipping(items, merchandiseTotal) {
+  const weightKg = totalWeightKg(items);
+  const { freeShippingThreshold, methods } = config.shipping;
+
+  return Object.entries(methods).map(([id, method]) => {
+    let cost = method.type === 'weight'
+      ? method.base + method.perKg * weightKg
+      : method.rate;
+
+    if (method.freeOverThreshold && merchandiseTotal >= freeShippingThreshold) {
+      cost = 0;
+    }
+
+    return {
+      id,
+      name: method.name,
+      cost: roundCurrency(cost),
+      estimatedDays: method.estimatedDays
+    };
+  });
+}
+
+function findTaxRegion(address = {}) {
+  const country = String(address.country || '').toUpperCase();
+  const state = String(address.state || '').toUpperCase();
+  const region = config.tax.regions[country];
+
+  if (!region) {
+    return {
+      rate: config.tax.default.rate,
+      taxShipping: Boolean(config.tax.default.taxShipping),
+      region: country || null
+    };
+  }
+
+  const stateRate = region.states?.[state];
+  return {
+    rate: stateRate ?? region.rate,
+    taxShipping: Boolean(region.taxShipping),
+    region: stateRate != null ? `${country}-${state}` : country
+  };
+}
+
+// Full price breakdown for a cart or order. Throws if shippingMethod is
+// not one of the configured methods.
+function calculateTotals({ items, subtotal, discountTotal = 0, shippingAddress, shippingMethod = 'standard' }) {
+  const merchandiseTotal = roundCurrency(subtotal - discountTotal);
+  const shippingOptions = quoteShipping(items, merchandiseTotal);
+  const shippingOption = shippingOptions.find(option => option.id === shippingMethod);
+  if (!shippingOption) {
+    throw new Error(`Unknown shipping method: ${shippingMethod}`);
+  }
+
+  const taxRegion = findTaxRegion(shippingAddress);
+  const taxable = merchandiseTotal + (taxRegion.taxShipping ? shippingOption.cost : 0);
+  const tax = roundCurrency(taxable * taxRegion.rate);
+
+  return {
+    shippingOptions,
+    breakdown: {
+      currency: config.currency,
+      subtotal: roundCurrency(subtotal),
+      discount: roundCurrency(discountTotal),
+      shipping: shippingOption.cost,
+      shippingMethod: shippingOption.id,
+      tax,
+      taxRate: taxRegion.rate,
+      taxRegion: taxRegion.region,
+      taxShipping: taxRegion.taxShipping,
+      total: roundCurrency(merchandiseTotal + shippingOption.cost + tax)
+    }
+  };
+}
+
+module.exports = {
+  calculateTotals,
+  quoteShipping,
+  parseWeightKg,
+  roundCurrency
+};
@@ -2,6 +2,12 @@ const express = require('express');
 const mongoose = require('mongoose');
 const axios = require('axios');
 const cors = require('cors');
+const crypto = require('crypto');
+const { calculateTotals, roundCurrency } = require('./pricing');
+const invoices = require('./invoices');
+const carriers = require('./carriers');
+const { createIdempotency } = require('../shared/idempotency');
+const { verifyInternal, internalHeaders } = require('../shared/internal');
 
 const app = express();
 
@@ -9,19 +15,42 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
-// MongoDB connection
-mongoose.connect(process.env.MONGODB_URI);
-
 // Order Schema
 const orderSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, required: true },
   items: [{
     productId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    sku: String, // set when the product has variants
+    options: mongoose.Schema.Types.Mixed, // the variant's options, e.g. { Size: '9' }
     name: { type: String, required: true },
     price: { type: Number, required: true },
     quantity: { type: Number, required: true },
-    image: String
+    image: String,
+    discount: { type: Number, default: 0 }, // share of order discounts on this line
+    restocked: Boolean, // put back after a cancellation
+    shipped: Number // units allocated to shipments; unset until the first shipment
+  }],
+  discounts: [{
+    promotionId: mongoose.Schema.Types.ObjectId,
+    code: String,
+    description: String,
+    amount: Number
   }],
+  subtotal: Number,
+  discountTotal: { type: Number, default: 0 },
+  shippingMethod: { type: String, default: 'standard' },
+  reminderId: mongoose.Schema.Types.ObjectId, // abandoned cart reminder the order converted
+  priceBreakdown: {
+    currency: String,
+    subtotal: Number,
+    discount: Number,
+    shipping: Number,
+    tax: Number,
+    taxRate: Number,
+    taxRegion: String,
+    taxShipping: Boolean,
+    total: Number
+  },
   totalAmount: { type: Number, required: true },
   status: { 
     type: String, 
@@ -30,10 +59,61 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
     default: 'pending'
   },
+  statusHistory: [{
+    status: { type: String, required: true },
+    from: String,
+    actor: {
+      userId: mongoose.Schema.Types.ObjectId,
+      role: { type: String, default: 'user' }
+    },
+    reason: String,
+    timestamp: { type: Date, default: Date.now }
+  }],
   paymentId: String,
+  paymentFailureReason: String,
+  refundedAmount: { type: Number, default: 0 },
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      userId: mongoose.Schema.Types.ObjectId,
+      role: String
+    },
+    cancelledAt: Date,
+    restockStatus: { type: String, enum: ['completed', 'failed'] },
+    refundAmount: Number,
+    refundStatus: { type: String, enum: ['not_required', 'completed', 'failed'] },
+    error: String
+  },
+  returns: [{
+    items: [{
+      productId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      sku: String,
+      name: String,
+      price: Number,
+      quantity: { type: Number, required: true },
+      reason: { type: String, required: true },
+      restocked: Boolean
+    }],
+    status: {
+      type: String,
+      enum: ['requested', 'approved', 'rejected', 'completed'],
+      default: 'requested'
+    },
+    refundAmount: Number,
+    restockStatus: { type: String, enum: ['completed', 'failed'] },
+    refundStatus: { type: String, enum: ['not_required', 'completed', 'failed'] },
+    reviewedBy: {
+      userId: mongoose.Schema.Types.ObjectId,
+      role: String
+    },
+    reviewedAt: Date,
+    note: String,
+    error: String,
+    requestedAt: { type: Date, default: Date.now }
+  }],
   shippingAddress: {
     name: { type: String, required: true },
     street: { type: String, required: true },
@@ -48,20 +128,277 @@ const orderSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ paymentStatus: 1, createdAt: -1 });
+
 const Order = mongoose.model('Order', orderSchema);
 
-// Cart Schema (temporary cart storage)
+// How often a change computed from an order is retried when the order
+// changed underneath it (see updateOrderChecked)
+const ORDER_UPDATE_ATTEMPTS = 5;
+
+// Allowed order status transitions; terminal states have no outgoing edges
+const orderStatusTransitions = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Customers can only cancel before fulfilment starts
+const customerCancellableStatuses = ['pending', 'confirmed'];
+
+const adminOrderSortFields = ['createdAt', 'updatedAt', 'totalAmount', 'status'];
+
+// Cart Schema (temporary cart storage). Guest carts have no userId and are
+// identified by cartToken until they are merged on login.
 const cartSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userId: mongoose.Schema.Types.ObjectId,
+  cartToken: String,
   items: [{
     productId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    sku: String, // required for products with variants
     quantity: { type: Number, required: true }
   }],
+  couponCodes: [String],
+  reminderId: mongoose.Schema.Types.ObjectId, // latest abandoned cart reminder about this cart
   updatedAt: { type: Date, default: Date.now }
 });
 
+cartSchema.index({ userId: 1 });
+cartSchema.index({ cartToken: 1 }, { unique: true, sparse: true });
+
+// Expire guest carts that haven't been touched for a while
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 30;
+cartSchema.index({ updatedAt: 1 }, {
+  expireAfterSeconds: GUEST_CART_TTL_DAYS * 24 * 60 * 60,
+  partialFilterExpression: { cartToken: { $exists: true } }
+});
+
 const Cart = mongoose.model('Cart', cartSchema);
 
+// Promotion Schema (coupon codes)
+const promotionSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: String,
+  type: { type: String, enum: ['percentage', 'fixed'], required: true },
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: function (value) {
+        return this.type !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discounts cannot exceed 100'
+    }
+  },
+  // Empty scope applies to the whole cart
+  scope: {
+    productIds: [mongoose.Schema.Types.ObjectId],
+    categories: [String]
+  },
+  minSpend: { type: Number, default: 0 },
+  usageLimit: Number, // across all customers, unlimited when unset
+  perUserLimit: Number,
+  usageCount: { type: Number, default: 0 },
+  validFrom: Date,
+  validUntil: Date,
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+// Promotion Redemption Schema (one per coupon used at checkout)
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  code: String,
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  checkoutId: mongoose.Schema.Types.ObjectId,
+  // Which of the user's perUserLimit uses this is (1-based); unique, so
+  // concurrent checkouts can't take more uses than the limit allows
+  slot: Number,
+  amount: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+
+promotionRedemptionSchema.index({ promotionId: 1, userId: 1 });
+promotionRedemptionSchema.index(
+  { promotionId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $type: 'number' } } }
+);
+
+const PromotionRedemption = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
+
+// Checkout Saga Schema (persisted so in-flight checkouts survive a restart)
+const checkoutSagaSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  orderId: mongoose.Schema.Types.ObjectId,
+  status: {
+    type: String,
+    enum: ['running', 'compensating', 'completed', 'compensated'],
+    default: 'running'
+  },
+  steps: [{
+    name: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed', 'compensated'],
+      default: 'pending'
+    },
+    error: String,
+    updatedAt: Date
+  }],
+  shippingAddress: mongoose.Schema.Types.Mixed,
+  shippingMethod: String,
+  cartItems: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    sku: String,
+    quantity: { type: Number, required: true }
+  }],
+  items: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    sku: String,
+    options: mongoose.Schema.Types.Mixed,
+    name: String,
+    price: Number,
+    quantity: Number,
+    image: String,
+    discount: Number
+  }],
+  discounts: [{
+    promotionId: mongoose.Schema.Types.ObjectId,
+    code: String,
+    description: String,
+    amount: Number
+  }],
+  subtotal: Number,
+  discountTotal: Number,
+  priceBreakdown: mongoose.Schema.Types.Mixed,
+  totalAmount: Number,
+  redeemedPromotions: [mongoose.Schema.Types.ObjectId],
+  reminderId: mongoose.Schema.Types.ObjectId, // the cart's reminder, for conversion tracking
+  reservedStock: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    sku: String,
+    quantity: { type: Number, required: true },
+    reservationId: String // product-service hold, confirmed once the order exists
+  }],
+  error: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+checkoutSagaSchema.index({ status: 1 });
+
+const CheckoutSaga = mongoose.model('CheckoutSaga', checkoutSagaSchema);
+
+// Invoice Schema (invoices and credit notes, snapshotted when issued)
+const invoiceSchema = new mongoose.Schema({
+  number: { type: String, required: true, unique: true },
+  sequence: Number, // the numeric part of number, per type
+  type: { type: String, enum: ['invoice', 'credit_note'], required: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  relatedInvoiceNumber: String, // credit notes only
+  currency: { type: String, default: 'USD' },
+  shippingAddress: mongoose.Schema.Types.Mixed,
+  paymentReference: String,
+  lines: [{
+    description: String,
+    quantity: Number,
+    unitPrice: Number,
+    discount: Number,
+    amount: Number
+  }],
+  totals: {
+    subtotal: Number,
+    discount: Number,
+    shipping: Number,
+    tax: Number,
+    taxRate: Number,
+    total: Number
+  },
+  refund: {
+    paymentId: String,
+    refundId: String,
+    amount: Number,
+    reason: String
+  },
+  issuedAt: { type: Date, default: Date.now }
+});
+
+invoiceSchema.index({ orderId: 1 }, {
+  unique: true,
+  partialFilterExpression: { type: 'invoice' }
+});
+invoiceSchema.index({ 'refund.refundId': 1 }, { unique: true, sparse: true });
+invoiceSchema.index({ type: 1, sequence: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+// Shipment Schema (one or more per order)
+const shipmentSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  carrier: { type: String, required: true },
+  trackingNumber: { type: String, required: true },
+  labelUrl: String,
+  items: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    sku: String,
+    name: String,
+    quantity: { type: Number, required: true }
+  }],
+  status: { type: String, enum: carriers.trackingStatuses, default: 'label_created' },
+  events: [{
+    status: { type: String, enum: carriers.trackingStatuses, required: true },
+    description: String,
+    location: String,
+    occurredAt: { type: Date, required: true }
+  }],
+  shippedAt: Date,
+  deliveredAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+shipmentSchema.index({ orderId: 1 });
+shipmentSchema.index({ status: 1 });
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+const SHIPMENT_POLL_INTERVAL_MS = Number(process.env.SHIPMENT_POLL_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Cart Reminder Schema (abandoned cart reminders and their conversions)
+const cartReminderSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  cartId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  cartUpdatedAt: { type: Date, required: true }, // idle period this reminder covers
+  itemCount: Number,
+  cartTotal: Number,
+  sentAt: { type: Date, default: Date.now },
+  convertedOrderId: mongoose.Schema.Types.ObjectId,
+  convertedAt: Date,
+  orderTotal: Number
+});
+
+cartReminderSchema.index({ userId: 1, sentAt: -1 });
+cartReminderSchema.index({ cartId: 1, cartUpdatedAt: 1 }, { unique: true });
+
+const CartReminder = mongoose.model('CartReminder', cartReminderSchema);
+
+const ABANDONED_CART_THRESHOLD_HOURS = Number(process.env.ABANDONED_CART_THRESHOLD_HOURS) || 24;
+const ABANDONED_CART_CHECK_INTERVAL_MS = Number(process.env.ABANDONED_CART_CHECK_INTERVAL_MS) || 15 * 60 * 1000;
+// Minimum gap between two reminders to the same user, whatever the cart
+const ABANDONED_CART_REMINDER_COOLDOWN_HOURS = Number(process.env.ABANDONED_CART_REMINDER_COOLDOWN_HOURS) || 72;
+// An order placed this long after a reminder counts as a conversion
+const ABANDONED_CART_ATTRIBUTION_DAYS = Number(process.env.ABANDONED_CART_ATTRIBUTION_DAYS) || 7;
+
 // Middleware to verify user
 const verifyUser = async (req, res, next) => {
   try {
@@ -81,6 +418,306 @@ const verifyUser = async (req, res, next) => {
   }
 };
 
+// Identify the cart owner: a logged-in user, or a guest identified by the
+// X-Cart-Token header
+const identifyCartOwner = (req, res, next) => {
+  if (req.headers.authorization) {
+    return verifyUser(req, res, next);
+  }
+  req.cartToken = req.headers['x-cart-token'];
+  next();
+};
+
+// Must run after verifyUser
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Replay retried requests; keys are scoped to the signed-in user, so this
+// must run after verifyUser
+const idempotent = createIdempotency(mongoose);
+
+// Checkout saga steps. Each step must be safe to re-run after a crash;
+// steps with a compensate action undo their effect when a later step fails.
+// Everything up to and including createOrder is rolled back on failure.
+const checkoutSteps = [
+  {
+    name: 'validate',
+    execute: async (saga) => {
+      const cart = await Cart.findOne({ userId: saga.userId });
+      if (!cart || cart.items.length === 0) {
+        throw httpError('Cart is empty', 400);
+      }
+
+      const items = [];
+      const { products, missing } = await fetchProducts(cart.items.map(item => item.productId));
+      if (missing.length > 0) {
+        throw httpError(`Products no longer available: ${missing.join(', ')}`, 400);
+      }
+
+      for (let item of cart.items) {
+        const product = products.get(item.productId.toString());
+        const variant = purchasableVariant(product, item.sku);
+        if (!variant) {
+          throw httpError(`${product.name} is no longer available in the chosen options`, 400);
+        }
+
+        if (variant.stock < item.quantity) {
+          throw httpError(`Insufficient stock for ${product.name}`, 400);
+        }
+
+        items.push({
+          productId: item.productId,
+          sku: item.sku,
+          options: variant.options,
+          name: product.name,
+          price: variant.price,
+          quantity: item.quantity,
+          image: variant.image,
+          category: product.category,
+          weight: product.specifications?.weight
+        });
+      }
+
+      const pricing = await evaluateCoupons(cart.couponCodes, items, saga.userId);
+      if (pricing.rejected.length > 0) {
+        const { code, reason } = pricing.rejected[0];
+        throw httpError(`Coupon ${code} cannot be applied: ${reason}`, 400);
+      }
+
+      for (let item of items) {
+        item.discount = lineDiscount(pricing.discounts, item);
+      }
+
+      let totals;
+      try {
+        totals = calculateTotals({
+          items,
+          subtotal: pricing.subtotal,
+          discountTotal: pricing.discountTotal,
+          shippingAddress: saga.shippingAddress,
+          shippingMethod: saga.shippingMethod
+        });
+      } catch (error) {
+        throw httpError(error.message, 400);
+      }
+      const totalAmount = totals.breakdown.total;
+
+      const draft = new Order({
+        userId: saga.userId,
+        items,
+        totalAmount,
+        shippingAddress: saga.shippingAddress
+      });
+      const validationError = draft.validateSync();
+      if (validationError) {
+        throw httpError(validationError.message, 400);
+      }
+
+      saga.cartItems = cart.items.map(item => ({
+        productId: item.productId,
+        sku: item.sku,
+        quantity: item.quantity
+      }));
+      saga.items = items;
+      saga.subtotal = pricing.subtotal;
+      saga.discounts = pricing.discounts;
+      saga.discountTotal = pricing.discountTotal;
+      saga.priceBreakdown = totals.breakdown;
+      saga.totalAmount = totalAmount;
+    }
+  },
+  {
+    name: 'reserveStock',
+    execute: async (saga) => {
+      for (let item of saga.items) {
+        let reserved = saga.reservedStock.find(entry => isSameLine(entry, item));
+        if (reserved?.reservationId) continue;
+
+        // Record the intent before asking for the hold, so that a crash
+        // mid-request still leaves the saga knowing it may hold this line.
+        // Reserving is idempotent per order and line, so resuming simply
+        // asks again.
+        if (!reserved) {
+          saga.reservedStock.push({
+            productId: item.productId,
+            sku: item.sku,
+            quantity: item.quantity
+          });
+          await saga.save();
+          reserved = saga.reservedStock[saga.reservedStock.length - 1];
+        }
+
+        let reservation;
+        try {
+          const response = await axios.post(
+            `${process.env.PRODUCT_SERVICE_URL}/products/${item.productId}/reservations`,
+            {
+              quantity: item.quantity,
+              sku: item.sku,
+              referenceType: 'order',
+              referenceId: saga.orderId
+            },
+            { headers: internalHeaders() }
+          );
+          reservation = response.data;
+        } catch (error) {
+          const reason = error.response?.data?.error || error.message;
+          throw httpError(`Could not reserve stock for ${item.name}: ${reason}`,
+            [400, 409].includes(error.response?.status) ? 400 : 500);
+        }
+
+        reserved.reservationId = reservation._id;
+        await saga.save();
+      }
+    },
+    compensate: async (saga) => {
+      if (saga.reservedStock.length === 0) return;
+
+      // Release by order rather than by recorded id: a hold whose id never
+      // made it into the saga is released too. Holds createOrder already
+      // confirmed get their stock back.
+      await axios.post(
+        `${process.env.PRODUCT_SERVICE_URL}/reservations/release`,
+        { referenceType: 'order', referenceId: saga.orderId },
+        { headers: internalHeaders() }
+      );
+      saga.reservedStock = [];
+      await saga.save();
+    }
+  },
+  {
+    name: 'redeemCoupons',
+    execute: async (saga) => {
+      for (let discount of saga.discounts) {
+        if (saga.redeemedPromotions.some(id => id.equals(discount.promotionId))) continue;
+
+        // Take one of the user's uses first, then one of the global ones
+        const redemption = await claimUserRedemption(saga, discount);
+        if (!redemption) {
+          throw httpError(`You have already used coupon ${discount.code}`, 400);
+        }
+
+        const promotion = await Promotion.findOneAndUpdate(
+          {
+            _id: discount.promotionId,
+            $or: [
+              { usageLimit: null },
+              { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+            ]
+          },
+          { $inc: { usageCount: 1 } }
+        );
+        if (!promotion) {
+          await PromotionRedemption.deleteOne({ _id: redemption._id });
+          throw httpError(`Coupon ${discount.code} has reached its usage limit`, 400);
+        }
+
+        saga.redeemedPromotions.push(discount.promotionId);
+        await saga.save();
+      }
+    },
+    compensate: async (saga) => {
+      while (saga.redeemedPromotions.length > 0) {
+        const promotionId = saga.redeemedPromotions[saga.redeemedPromotions.length - 1];
+        await PromotionRedemption.deleteOne({ promotionId, checkoutId: saga._id });
+        await Promotion.updateOne({ _id: promotionId }, { $inc: { usageCount: -1 } });
+        saga.redeemedPromotions.pop();
+        await saga.save();
+      }
+
+      // Uses claimed before the global count was taken
+      await PromotionRedemption.deleteMany({ checkoutId: saga._id });
+    }
+  },
+  {
+    name: 'createOrder',
+    execute: async (saga) => {
+      if (!await Order.exists({ _id: saga.orderId })) {
+        await Order.create({
+          _id: saga.orderId,
+          userId: saga.userId,
+          items: saga.items,
+          subtotal: saga.subtotal,
+          discounts: saga.discounts,
+          discountTotal: saga.discountTotal,
+          shippingMethod: saga.shippingMethod,
+          priceBreakdown: saga.priceBreakdown,
+          totalAmount: saga.totalAmount,
+          shippingAddress: saga.shippingAddress,
+          reminderId: saga.reminderId,
+          statusHistory: [{
+            status: 'pending',
+            actor: { userId: saga.userId, role: 'user' },
+            reason: 'Order placed'
+          }]
+        });
+      }
+
+      // Turn the holds into real decrements now that the order exists.
+      // Confirming is idempotent, so a resumed saga can repeat it.
+      for (let reserved of saga.reservedStock) {
+        try {
+          await axios.post(
+            `${process.env.PRODUCT_SERVICE_URL}/reservations/${reserved.reservationId}/confirm`,
+            {},
+            { headers: internalHeaders() }
+          );
+        } catch (error) {
+          const reason = error.response?.data?.error || error.message;
+          throw httpError(`Could not confirm stock for order ${saga.orderId}: ${reason}`,
+            error.response?.status === 409 ? 409 : 500);
+        }
+      }
+    },
+    compensate: async (saga) => {
+      if (saga.orderId) {
+        await Order.deleteOne({ _id: saga.orderId });
+      }
+    }
+  },
+  {
+    name: 'clearCart',
+    execute: async (saga) => {
+      await Cart.deleteOne({ userId: saga.userId });
+    },
+    compensate: async (saga) => {
+      // Don't clobber a cart the user has started since
+      await Cart.updateOne(
+        { userId: saga.userId },
+        { $setOnInsert: { items: saga.cartItems, reminderId: saga.reminderId, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    }
+  },
+  {
+    name: 'notify',
+    execute: async (saga) => {
+      await sendNotification({
+        type: 'order_created',
+        userId: saga.userId,
+        orderId: saga.orderId,
+        message: `Order #${saga.orderId} has been created successfully`,
+        metadata: { orderId: saga.orderId, amount: saga.totalAmount }
+      });
+    }
+  },
+  {
+    name: 'recordReminderConversion',
+    execute: async (saga) => {
+      if (!saga.reminderId) return;
+      try {
+        await recordReminderConversion(saga.reminderId, saga.orderId, saga.totalAmount);
+      } catch (error) {
+        console.error('Cart reminder conversion error:', error.message);
+      }
+    }
+  }
+];
+
 // Routes
 app.get('/health', (req, res) => {
   res.json({ 
@@ -91,232 +728,2322 @@ app.get('/health', (req, res) => {
 });
 
 // Cart Management
-app.get('/cart', verifyUser, async (req, res) => {
+app.get('/cart', identifyCartOwner, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user.userId });
+    const query = cartOwnerQuery(req);
+    const cart = query && await Cart.findOne(query);
     if (!cart) {
-      return res.json({ items: [], total: 0 });
-    }
-
-    // Get product details for cart items
-    const cartWithDetails = [];
-    let total = 0;
-
-    for (let item of cart.items) {
-      try {
-        const productResponse = await axios.get(
-          `${process.env.PRODUCT_SERVICE_URL}/products/${item.productId}`
-        );
-        const product = productResponse.data;
-        
-        const cartItem = {
-          productId: item.productId,
-          name: product.name,
-          price: product.price,
-          quantity: item.quantity,
-          image: product.image,
-          subtotal: product.price * item.quantity
-        };
-        
-        cartWithDetails.push(cartItem);
-        total += cartItem.subtotal;
-      } catch (error) {
-        console.error(`Product ${item.productId} not found`);
-      }
+      return res.json({
+        items: [],
+        subtotal: 0,
+        discounts: [],
+        discountTotal: 0,
+        total: 0,
+        unavailableItems: []
+      });
     }
 
-    res.json({ items: cartWithDetails, total });
+    res.json(await buildCartSummary(cart, req.user?.userId));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Add to cart
-app.post('/cart/add', verifyUser, async (req, res) => {
+// Add to cart (guests without a cart token are issued one). Products with
+// variants need the sku of the chosen variant.
+app.post('/cart/add', identifyCartOwner, async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, sku, quantity = 1 } = req.body;
 
-    // Verify product exists
-    const productResponse = await axios.get(
-      `${process.env.PRODUCT_SERVICE_URL}/products/${productId}`
-    );
-    
-    if (!productResponse.data) {
-      return res.status(404).json({ error: 'Product not found' });
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'Quantity must be a positive integer' });
+    }
+
+    if (!req.user && !req.cartToken) {
+      req.cartToken = crypto.randomUUID();
     }
 
-    let cart = await Cart.findOne({ userId: req.user.userId });
+    const query = cartOwnerQuery(req);
+    let cart = await Cart.findOne(query);
     
     if (!cart) {
-      cart = new Cart({ userId: req.user.userId, items: [] });
+      cart = new Cart({ ...query, items: [] });
     }
 
-    const existingItem = cart.items.find(item => 
-      item.productId.toString() === productId
-    );
+    const existingItem = cart.items.find(item => isSameLine(item, { productId, sku }));
+
+    await checkProductQuantity(productId, (existingItem?.quantity || 0) + quantity, sku);
 
     if (existingItem) {
       existingItem.quantity += quantity;
     } else {
-      cart.items.push({ productId, quantity });
+      cart.items.push({ productId, sku, quantity });
     }
 
     cart.updatedAt = new Date();
     await cart.save();
 
-    res.json({ message: 'Product added to cart', cart });
+    res.json({ message: 'Product added to cart', cart, cartToken: cart.cartToken });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message, ...error.details });
   }
 });
 
-// Create order from cart
-app.post('/orders', verifyUser, async (req, res) => {
+// Set the quantity of a cart item (0 removes it). Variant lines are
+// picked with ?sku=.
+app.put('/cart/items/:productId', identifyCartOwner, async (req, res) => {
   try {
-    const { shippingAddress } = req.body;
+    const { quantity } = req.body;
 
-    // Get user's cart
-    const cart = await Cart.findOne({ userId: req.user.userId });
-    if (!cart || cart.items.length === 0) {
-      return res.status(400).json({ error: 'Cart is empty' });
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return res.status(400).json({ error: 'Quantity must be a non-negative integer' });
     }
 
-    // Get product details and calculate total
-    const orderItems = [];
-    let totalAmount = 0;
+    const query = cartOwnerQuery(req);
+    const cart = query && await Cart.findOne(query);
+    const item = cart?.items.find(item =>
+      isSameLine(item, { productId: req.params.productId, sku: req.query.sku })
+    );
+    if (!item) {
+      return res.status(404).json({ error: 'Item not in cart' });
+    }
 
-    for (let item of cart.items) {
-      const productResponse = await axios.get(
-        `${process.env.PRODUCT_SERVICE_URL}/products/${item.productId}`
-      );
-      const product = productResponse.data;
+    if (quantity === 0) {
+      cart.items.pull(item._id);
+    } else {
+      await checkProductQuantity(req.params.productId, quantity, item.sku);
+      item.quantity = quantity;
+    }
 
-      // Check stock availability
-      if (product.stock < item.quantity) {
-        return res.status(400).json({ 
-          error: `Insufficient stock for ${product.name}` 
-        });
-      }
+    cart.updatedAt = new Date();
+    await cart.save();
 
-      const orderItem = {
-        productId: item.productId,
-        name: product.name,
-        price: product.price,
-        quantity: item.quantity,
-        image: product.image
-      };
+    res.json({ message: 'Cart updated', cart });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, ...error.details });
+  }
+});
 
-      orderItems.push(orderItem);
-      totalAmount += product.price * item.quantity;
+// Remove an item from the cart (?sku= for variant lines)
+app.delete('/cart/items/:productId', identifyCartOwner, async (req, res) => {
+  try {
+    const query = cartOwnerQuery(req);
+    const cart = query && await Cart.findOne(query);
+    const item = cart?.items.find(item =>
+      isSameLine(item, { productId: req.params.productId, sku: req.query.sku })
+    );
+    if (!item) {
+      return res.status(404).json({ error: 'Item not in cart' });
     }
 
-    // Create order
-    const order = new Order({
-      userId: req.user.userId,
-      items: orderItems,
-      totalAmount,
-      shippingAddress
-    });
+    cart.items.pull(item._id);
+    cart.updatedAt = new Date();
+    await cart.save();
 
-    await order.save();
+    res.json({ message: 'Item removed from cart', cart });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Update product stock
-    for (let item of orderItems) {
-      await axios.patch(
-        `${process.env.PRODUCT_SERVICE_URL}/products/${item.productId}/stock`,
-        {
-          quantity: item.quantity,
-          operation: 'decrease'
-        }
-      );
+// Clear the cart
+app.delete('/cart', identifyCartOwner, async (req, res) => {
+  try {
+    const query = cartOwnerQuery(req);
+    if (query) {
+      await Cart.deleteOne(query);
     }
 
-    // Clear cart
-    await Cart.deleteOne({ userId: req.user.userId });
+    res.json({ message: 'Cart cleared' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Send notification
-    try {
-      await axios.post(`${process.env.NOTIFICATION_SERVICE_URL}/notifications/send`, {
-        type: 'order_created',
-        userId: req.user.userId,
-        orderId: order._id,
-        message: `Order #${order._id} has been created successfully`
-      });
-    } catch (notificationError) {
-      console.error('Notification service error:', notificationError.message);
+// Merge a guest cart into the logged-in user's cart (called on login)
+app.post('/cart/merge', verifyUser, async (req, res) => {
+  try {
+    const { cartToken } = req.body;
+    if (!cartToken) {
+      return res.status(400).json({ error: 'cartToken is required' });
     }
 
-    res.status(201).json(order);
+    const result = await mergeGuestCart(req.user.userId, cartToken);
+    res.json({ message: 'Cart merged', ...result });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get user orders
-app.get('/orders', verifyUser, async (req, res) => {
+// Apply a coupon code to the cart
+app.post('/cart/coupons', identifyCartOwner, async (req, res) => {
   try {
-    const orders = await Order.find({ userId: req.user.userId })
-      .sort({ createdAt: -1 });
-    res.json(orders);
+    const code = String(req.body.code || '').trim().toUpperCase();
+    if (!code) {
+      return res.status(400).json({ error: 'Coupon code is required' });
+    }
+
+    const query = cartOwnerQuery(req);
+    const cart = query && await Cart.findOne(query);
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    if (!cart.couponCodes.includes(code)) {
+      cart.couponCodes.push(code);
+    }
+
+    const summary = await buildCartSummary(cart, req.user?.userId);
+    const rejected = summary.rejectedCoupons.find(coupon => coupon.code === code);
+    if (rejected) {
+      return res.status(400).json({ error: `Coupon ${code} cannot be applied: ${rejected.reason}` });
+    }
+
+    cart.updatedAt = new Date();
+    await cart.save();
+
+    res.json(summary);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get single order
-app.get('/orders/:id', verifyUser, async (req, res) => {
+// Remove a coupon code from the cart
+app.delete('/cart/coupons/:code', identifyCartOwner, async (req, res) => {
   try {
-    const order = await Order.findOne({ 
-      _id: req.params.id, 
-      userId: req.user.userId 
-    });
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    const code = req.params.code.toUpperCase();
+
+    const query = cartOwnerQuery(req);
+    const cart = query && await Cart.findOne(query);
+    if (!cart || !cart.couponCodes.includes(code)) {
+      return res.status(404).json({ error: 'Coupon not applied to cart' });
     }
-    
-    res.json(order);
+
+    cart.couponCodes.pull(code);
+    cart.updatedAt = new Date();
+    await cart.save();
+
+    res.json(await buildCartSummary(cart, req.user?.userId));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update order status (admin only)
-app.patch('/orders/:id/status', verifyUser, async (req, res) => {
+// Quote shipping options and tax for the cart
+app.get('/cart/quote', identifyCartOwner, async (req, res) => {
   try {
-    // For demo purposes, allowing user to update their own orders
-    // In production, this should be admin only
-    const { status } = req.body;
+    const { country, state, zipCode, shippingMethod = 'standard' } = req.query;
+
+    const query = cartOwnerQuery(req);
+    const cart = query && await Cart.findOne(query);
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const summary = await buildCartSummary(cart, req.user?.userId);
+
+    let totals;
+    try {
+      totals = calculateTotals({
+        items: summary.items,
+        subtotal: summary.subtotal,
+        discountTotal: summary.discountTotal,
+        shippingAddress: { country, state, zipCode },
+        shippingMethod
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ ...summary, ...totals });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create order from cart
+app.post('/orders', verifyUser, idempotent, async (req, res) => {
+  try {
+    const { shippingAddress, shippingMethod = 'standard' } = req.body;
+
+    const cart = await Cart.findOne({ userId: req.user.userId });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    // The order id is allocated now so that every step, stock included,
+    // can record which order it was for
+    const saga = new CheckoutSaga({
+      userId: req.user.userId,
+      orderId: new mongoose.Types.ObjectId(),
+      reminderId: cart.reminderId,
+      shippingAddress,
+      shippingMethod,
+      steps: checkoutSteps.map(step => ({ name: step.name }))
+    });
+    await saga.save();
+
+    try {
+      await runCheckoutSaga(saga);
+    } catch (sagaError) {
+      return res.status(sagaError.status || 500).json({
+        error: sagaError.message,
+        checkoutId: saga._id
+      });
+    }
+
+    const order = await Order.findById(saga.orderId);
+    res.status(201).json(order);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get checkout saga state
+app.get('/orders/checkouts/:id', verifyUser, async (req, res) => {
+  try {
+    const saga = await CheckoutSaga.findOne({
+      _id: req.params.id,
+      userId: req.user.userId
+    });
+
+    if (!saga) {
+      return res.status(404).json({ error: 'Checkout not found' });
+    }
+
+    res.json(saga);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get user orders
+app.get('/orders', verifyUser, async (req, res) => {
+  try {
+    const orders = await Order.find({ userId: req.user.userId })
+      .sort({ createdAt: -1 });
+    res.json(orders);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single order (admins can view any order)
+app.get('/orders/:id', verifyUser, async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (req.user.role !== 'admin') {
+      query.userId = req.user.userId;
+    }
+
+    const order = await Order.findOne(query);
+    
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update order status (admin only)
+app.patch('/orders/:id/status', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const actor = { userId: req.user.userId, role: req.user.role };
+
+    const order = status === 'cancelled'
+      ? await cancelOrder(req.params.id, { actor, reason })
+      : await transitionOrderStatus(req.params.id, status, { actor, reason });
     
+    res.json(order);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Cancel order (customers before processing starts, admins until shipped)
+app.post('/orders/:id/cancel', verifyUser, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const query = { _id: req.params.id };
+    if (req.user.role !== 'admin') {
+      query.userId = req.user.userId;
+    }
+
+    const existing = await Order.findOne(query);
+    if (!existing) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (req.user.role !== 'admin' && !customerCancellableStatuses.includes(existing.status)) {
+      return res.status(409).json({
+        error: `Orders that are ${existing.status} can no longer be cancelled`
+      });
+    }
+
+    const order = await cancelOrder(existing._id, {
+      actor: { userId: req.user.userId, role: req.user.role || 'user' },
+      reason
+    });
+
+    res.json(order);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Retry the restock and refund of a cancellation that failed part way
+// (admin only)
+app.post('/orders/:id/cancel/retry', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    // Clearing the error claims the retry, so concurrent retries can't
+    // both run
     const order = await Order.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.userId },
-      { status, updatedAt: new Date() },
+      { _id: req.params.id, status: 'cancelled', 'cancellation.error': { $exists: true } },
+      { $unset: { 'cancellation.error': 1 }, updatedAt: new Date() },
       { new: true }
     );
-    
     if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+      return res.status(409).json({ error: 'No failed cancellation to retry' });
     }
-    
-    // Send notification about status change
-    try {
-      await axios.post(`${process.env.NOTIFICATION_SERVICE_URL}/notifications/send`, {
-        type: 'order_status_updated',
+
+    await settleCancellation(order);
+
+    res.json(order);
+  } catch (error) {
+    res.status(error.name === 'CastError' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// Request a return for items of a delivered order
+app.post('/orders/:id/returns', verifyUser, async (req, res) => {
+  try {
+    const { items = [] } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'At least one item is required' });
+    }
+
+    // Check what is still returnable against the order as written, so two
+    // requests for the same items can't both be accepted
+    const order = await updateOrderChecked({ _id: req.params.id, userId: req.user.userId }, (order) => {
+      if (order.status !== 'delivered') {
+        throw httpError('Only delivered orders can be returned', 409);
+      }
+
+      const returnItems = [];
+      for (let item of items) {
+        const orderItem = order.items.find(orderItem => isSameLine(orderItem, item));
+        if (!orderItem) {
+          throw httpError(`Product ${item.productId} is not part of this order`, 400);
+        }
+        if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+          throw httpError('Return quantities must be positive integers', 400);
+        }
+        if (!item.reason) {
+          throw httpError(`A reason is required for ${orderItem.name}`, 400);
+        }
+
+        const alreadyRequested = returnItems
+          .filter(returnItem => isSameLine(returnItem, orderItem))
+          .reduce((sum, returnItem) => sum + returnItem.quantity, 0);
+        const returnable = orderItem.quantity - returnedQuantity(order, orderItem) - alreadyRequested;
+        if (item.quantity > returnable) {
+          throw httpError(`Only ${returnable} of ${orderItem.name} can be returned`, 400);
+        }
+
+        returnItems.push({
+          productId: orderItem.productId,
+          sku: orderItem.sku,
+          name: orderItem.name,
+          price: orderItem.price,
+          quantity: item.quantity,
+          reason: item.reason
+        });
+      }
+
+      return {
+        $push: { returns: { items: returnItems } },
+        $set: { updatedAt: new Date() }
+      };
+    });
+
+    const returnRequest = order.returns[order.returns.length - 1];
+    await sendNotification({
+      type: 'return_requested',
+      userId: order.userId,
+      message: `Return request for order #${order._id} has been received`,
+      metadata: { orderId: order._id, returnId: returnRequest._id }
+    });
+
+    res.status(201).json(order);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Approve or reject a return request (admin only)
+app.patch('/orders/:id/returns/:returnId', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ error: 'Decision must be approve or reject' });
+    }
+
+    const existing = await Order.findById(req.params.id);
+    const requested = existing?.returns.id(req.params.returnId);
+    if (!requested) {
+      return res.status(404).json({ error: 'Return request not found' });
+    }
+
+    const review = {
+      'returns.$.status': decision === 'approve' ? 'approved' : 'rejected',
+      'returns.$.reviewedBy': { userId: req.user.userId, role: req.user.role },
+      'returns.$.reviewedAt': new Date(),
+      'returns.$.note': note,
+      updatedAt: new Date()
+    };
+    if (decision === 'approve') {
+      // Refund what was actually paid: line value less its share of
+      // discounts, plus the tax charged on it. Shipping is not refunded.
+      const taxRate = existing.priceBreakdown?.taxRate || 0;
+      review['returns.$.refundAmount'] = roundCurrency(requested.items.reduce((sum, item) => {
+        const orderItem = existing.items.find(orderItem => isSameLine(orderItem, item));
+        const discountShare = (orderItem.discount || 0) * item.quantity / orderItem.quantity;
+        return sum + (item.price * item.quantity - discountShare) * (1 + taxRate);
+      }, 0));
+    }
+
+    // Decide only while still requested, so two reviewers can't both
+    // approve (and restock and refund twice)
+    const order = await Order.findOneAndUpdate(
+      { _id: existing._id, returns: { $elemMatch: { _id: requested._id, status: 'requested' } } },
+      { $set: review },
+      { new: true }
+    );
+    if (!order) {
+      const current = (await Order.findById(existing._id))?.returns.id(requested._id);
+      return res.status(409).json({ error: `Return request is already ${current?.status}` });
+    }
+    const returnRequest = order.returns.id(requested._id);
+
+    if (decision === 'reject') {
+      await sendNotification({
+        type: 'return_rejected',
+        userId: order.userId,
+        message: `Return request for order #${order._id} was rejected${note ? `: ${note}` : ''}`,
+        metadata: { orderId: order._id, returnId: returnRequest._id }
+      });
+
+      return res.json(order);
+    }
+
+    await settleReturn(order, returnRequest);
+
+    await sendNotification({
+      type: 'return_approved',
+      userId: order.userId,
+      message: `Return for order #${order._id} approved, refund of ${returnRequest.refundAmount}`,
+      metadata: { orderId: order._id, returnId: returnRequest._id, amount: returnRequest.refundAmount }
+    });
+
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry the restock and refund of an approved return that failed part way
+// (admin only). Only what failed is redone.
+app.post('/orders/:id/returns/:returnId/retry', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    // Clearing the error claims the retry, so concurrent retries can't
+    // both run
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        returns: { $elemMatch: { _id: req.params.returnId, status: 'approved', error: { $exists: true } } }
+      },
+      { $unset: { 'returns.$.error': 1 }, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!order) {
+      return res.status(409).json({ error: 'No failed approved return to retry' });
+    }
+
+    const returnRequest = order.returns.id(req.params.returnId);
+    await settleReturn(order, returnRequest);
+
+    res.json(order);
+  } catch (error) {
+    res.status(error.name === 'CastError' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// Pay for an order. The amount is always the order's own total; the client
+// only chooses how to pay.
+app.post('/orders/:id/pay', verifyUser, idempotent, async (req, res) => {
+  try {
+    const { paymentMethod, customerInfo } = req.body;
+
+    if (!paymentMethod?.type) {
+      return res.status(400).json({ error: 'paymentMethod.type is required' });
+    }
+
+    // Claim the order for this payment attempt so a double submit can't
+    // charge twice
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: req.params.id,
         userId: req.user.userId,
-        orderId: order._id,
-        message: `Order #${order._id} status updated to ${status}`
+        status: 'pending',
+        paymentStatus: { $in: ['pending', 'failed'] }
+      },
+      { paymentStatus: 'processing', updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!order) {
+      const existing = await Order.findOne({ _id: req.params.id, userId: req.user.userId });
+      if (!existing) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      return res.status(409).json({
+        error: `Order cannot be paid (status: ${existing.status}, payment: ${existing.paymentStatus})`
       });
-    } catch (notificationError) {
-      console.error('Notification service error:', notificationError.message);
     }
-    
+
+    let payment;
+    try {
+      const response = await axios.post(`${process.env.PAYMENT_SERVICE_URL}/payments/process`, {
+        orderId: order._id,
+        userId: order.userId,
+        paymentMethod,
+        customerInfo
+      }, { headers: internalHeaders() });
+      payment = response.data;
+    } catch (error) {
+      payment = error.response?.data || { success: false, error: error.message };
+
+      // payment-service reports the outcome back itself; only record a
+      // failure here if it never got that far
+      await Order.updateOne(
+        { _id: order._id, paymentStatus: 'processing' },
+        {
+          paymentStatus: 'failed',
+          paymentFailureReason: payment.error || 'Payment processing failed',
+          updatedAt: new Date()
+        }
+      );
+    }
+
+    const updated = await Order.findById(order._id);
+    res.status(payment.success ? 200 : 402).json({ payment, order: updated });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Order lookup for payment-service
+app.get('/internal/orders/:id', verifyInternal, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('userId totalAmount priceBreakdown.currency status paymentStatus paymentId');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
     res.json(order);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-const PORT = process.env.PORT || 5003;
-app.listen(PORT, () => {
-  console.log(`Order Service running on port ${PORT}`);
-});
\ No newline at end of file
+// Whether a user has received a product, for product-service reviews
+app.get('/internal/users/:userId/delivered-purchases/:productId', verifyInternal, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      userId: req.params.userId,
+      status: 'delivered',
+      'items.productId': req.params.productId
+    }).select('_id').sort({ createdAt: -1 });
+
+    res.json({ purchased: Boolean(order), orderId: order?._id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Which products were bought together in each order, for product-service
+// recommendations. Pages through orders by id (pass the last id as
+// `after`); `before` leaves out orders created from then on. Cancelled
+// orders are left out.
+app.get('/internal/purchases', verifyInternal, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 500, 1000);
+    const query = { status: { $ne: 'cancelled' } };
+    if (req.query.after) query._id = { $gt: req.query.after };
+    if (req.query.before) query.createdAt = { $lt: new Date(req.query.before) };
+
+    const orders = await Order.find(query)
+      .select('items.productId')
+      .sort({ _id: 1 })
+      .limit(limit);
+
+    // Orders cancelled from asOf on were read before they were cancelled
+    res.json({
+      orders: orders.map(order => ({
+        _id: order._id,
+        productIds: order.items.map(item => item.productId)
+      })),
+      asOf: new Date()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Orders cancelled in [since, until), so product-service can take them back
+// out of its recommendations. `upTo` limits them to ids it has read; pages
+// through them by id like /internal/purchases. until defaults to now and is
+// returned, for the next page and as the next check's since.
+app.get('/internal/purchases/cancelled', verifyInternal, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 500, 1000);
+    const since = new Date(req.query.since);
+    const until = req.query.until ? new Date(req.query.until) : new Date();
+    if (isNaN(since) || isNaN(until)) {
+      return res.status(400).json({ error: 'since and until must be dates' });
+    }
+
+    // The history timestamp is taken before the status changes, unlike
+    // cancellation.cancelledAt, which is set afterwards
+    const query = {
+      status: 'cancelled',
+      statusHistory: { $elemMatch: { status: 'cancelled', timestamp: { $gte: since, $lt: until } } }
+    };
+    if (req.query.after || req.query.upTo) {
+      query._id = {};
+      if (req.query.after) query._id.$gt = req.query.after;
+      if (req.query.upTo) query._id.$lte = req.query.upTo;
+    }
+
+    const orders = await Order.find(query)
+      .select('items.productId')
+      .sort({ _id: 1 })
+      .limit(limit);
+
+    res.json({
+      orders: orders.map(order => ({
+        _id: order._id,
+        productIds: order.items.map(item => item.productId)
+      })),
+      until
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Payment outcome reported by payment-service
+app.post('/internal/orders/:id/payment', verifyInternal, async (req, res) => {
+  try {
+    const { paymentId, status, failureReason } = req.body;
+
+    if (!['completed', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be completed or failed' });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.paymentStatus === 'completed' && String(order.paymentId) !== String(paymentId)) {
+      return res.status(409).json({ error: 'Order has already been paid' });
+    }
+
+    order.paymentId = paymentId;
+    order.paymentStatus = status;
+    order.paymentFailureReason = status === 'failed' ? failureReason : undefined;
+    order.updatedAt = new Date();
+    await order.save();
+
+    if (status === 'completed') {
+      try {
+        await issueInvoice(order);
+      } catch (error) {
+        console.error(`Invoice for order ${order._id} failed:`, error.message);
+      }
+    }
+
+    // The order was cancelled while the payment was in flight. Nothing had
+    // been paid then, so settle the refund now as the cancellation would
+    // have; a failed one is recorded and can be retried.
+    if (status === 'completed' && order.status === 'cancelled') {
+      order.cancellation.refundStatus = undefined;
+      await settleCancellation(order);
+    }
+
+    if (status === 'completed' && order.status === 'pending') {
+      const confirmed = await transitionOrderStatus(order._id, 'confirmed', {
+        actor: { role: 'system' },
+        reason: `Payment ${paymentId} completed`
+      });
+      return res.json(confirmed);
+    }
+
+    res.json(order);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// List all orders with filters, search and pagination (admin only)
+app.get('/admin/orders', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const {
+      status,
+      paymentStatus,
+      userId,
+      from,
+      to,
+      minTotal,
+      maxTotal,
+      q,
+      limit = 20,
+      page = 1,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // ?status=a&status=b or ?q[x]=y arrive as an array or object
+    const invalid = Object.keys(req.query).find(name => typeof req.query[name] !== 'string');
+    if (invalid) {
+      return res.status(400).json({ error: `${invalid} must be a single value` });
+    }
+
+    const query = {};
+
+    // status and paymentStatus accept comma-separated lists
+    if (status) query.status = { $in: status.split(',') };
+    if (paymentStatus) query.paymentStatus = { $in: paymentStatus.split(',') };
+    if (userId) query.userId = userId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+    if (minTotal || maxTotal) {
+      query.totalAmount = {};
+      if (minTotal) query.totalAmount.$gte = Number(minTotal);
+      if (maxTotal) query.totalAmount.$lte = Number(maxTotal);
+    }
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      query.$or = [
+        { 'shippingAddress.name': pattern },
+        { trackingNumber: pattern }
+      ];
+      if (mongoose.isValidObjectId(q)) {
+        query.$or.push({ _id: q });
+      }
+    }
+
+    if (!adminOrderSortFields.includes(sortBy)) {
+      return res.status(400).json({ error: `sortBy must be one of ${adminOrderSortFields.join(', ')}` });
+    }
+    const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+    const pageSize = Math.min(Math.max(Math.floor(Number(limit)) || 20, 1), 100);
+    const pageNumber = Math.max(Math.floor(Number(page)) || 1, 1);
+
+    const orders = await Order.find(query)
+      .sort(sort)
+      .limit(pageSize)
+      .skip((pageNumber - 1) * pageSize);
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    // A malformed userId or date
+    res.status(error.name === 'CastError' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// Assign a tracking number (admin only)
+app.patch('/admin/orders/:id/tracking', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const { trackingNumber } = req.body;
+    if (!trackingNumber) {
+      return res.status(400).json({ error: 'trackingNumber is required' });
+    }
+
+    const order = await Order.findByIdAndUpdate(
+      req.params.id,
+      { trackingNumber, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move many orders to a new status (admin only). Each order is checked
+// against the status graph on its own; failures don't stop the batch.
+app.post('/admin/orders/bulk-status', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const { orderIds, status, reason } = req.body;
+
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+      return res.status(400).json({ error: 'orderIds must be a non-empty array' });
+    }
+    if (orderIds.length > 100) {
+      return res.status(400).json({ error: 'At most 100 orders can be updated at once' });
+    }
+
+    const actor = { userId: req.user.userId, role: req.user.role };
+    const results = [];
+
+    for (let orderId of orderIds) {
+      try {
+        const order = status === 'cancelled'
+          ? await cancelOrder(orderId, { actor, reason })
+          : await transitionOrderStatus(orderId, status, { actor, reason });
+        results.push({ orderId, success: true, status: order.status });
+      } catch (error) {
+        results.push({ orderId, success: false, error: error.message });
+      }
+    }
+
+    res.json({
+      updated: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Refund issued by payment-service; records a credit note against the order
+app.post('/internal/orders/:id/refunds', verifyInternal, async (req, res) => {
+  try {
+    const { paymentId, refundId, amount, reason, totalRefunded, paymentStatus } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    order.refundedAmount = totalRefunded;
+    if (paymentStatus === 'refunded') {
+      order.paymentStatus = 'refunded';
+    }
+    order.updatedAt = new Date();
+    await order.save();
+
+    const creditNote = await issueCreditNote(order, { paymentId, refundId, amount, reason });
+    res.status(201).json(creditNote);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the invoice for a paid order (?format=html|pdf|json, default html)
+app.get('/orders/:id/invoice', verifyUser, async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (req.user.role !== 'admin') {
+      query.userId = req.user.userId;
+    }
+
+    const order = await Order.findOne(query);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!['completed', 'refunded'].includes(order.paymentStatus)) {
+      return res.status(409).json({ error: 'An invoice is available once the order has been paid' });
+    }
+
+    const invoice = await issueInvoice(order);
+    const creditNotes = await Invoice.find({ orderId: order._id, type: 'credit_note' })
+      .sort({ issuedAt: 1 });
+
+    sendInvoiceDocument(res, invoice, creditNotes, req.query.format);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List credit notes for an order
+app.get('/orders/:id/credit-notes', verifyUser, async (req, res) => {
+  try {
+    const query = { orderId: req.params.id, type: 'credit_note' };
+    if (req.user.role !== 'admin') {
+      query.userId = req.user.userId;
+    }
+
+    const creditNotes = await Invoice.find(query).sort({ issuedAt: 1 });
+    res.json(creditNotes);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single credit note (?format=html|pdf|json, default html)
+app.get('/orders/:id/credit-notes/:number', verifyUser, async (req, res) => {
+  try {
+    const query = { orderId: req.params.id, number: req.params.number, type: 'credit_note' };
+    if (req.user.role !== 'admin') {
+      query.userId = req.user.userId;
+    }
+
+    const creditNote = await Invoice.findOne(query);
+    if (!creditNote) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+
+    sendInvoiceDocument(res, creditNote, [], req.query.format);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a shipment for some or all unshipped items (admin only)
+app.post('/orders/:id/shipments', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const { carrier: carrierName = 'local', items } = req.body;
+
+    const carrier = carriers.getCarrier(carrierName);
+    if (!carrier) {
+      return res.status(400).json({
+        error: `Unknown carrier ${carrierName}. Available: ${carriers.listCarriers().join(', ')}`
+      });
+    }
+
+    if (items !== undefined) {
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ error: 'items must be a non-empty array' });
+      }
+      const invalid = items.find(item => !item || !Number.isInteger(item.quantity) || item.quantity < 1);
+      if (invalid) {
+        return res.status(400).json({ error: 'Shipment quantities must be positive integers' });
+      }
+    }
+
+    // Allocate the units on the order before booking, so two shipments
+    // can't both take the same units
+    let shipmentItems;
+    const order = await updateOrderChecked({ _id: req.params.id }, async (order) => {
+      if (!['confirmed', 'processing', 'shipped'].includes(order.status)) {
+        throw httpError(`Cannot ship an order that is ${order.status}`, 409);
+      }
+
+      const remaining = await unshippedQuantities(order);
+      const requested = items || order.items
+        .map(item => ({
+          productId: item.productId,
+          sku: item.sku,
+          quantity: remaining.get(lineKey(item))
+        }))
+        .filter(item => item.quantity > 0);
+
+      shipmentItems = [];
+      for (let item of requested) {
+        const orderItem = order.items.find(orderItem => isSameLine(orderItem, item));
+        if (!orderItem) {
+          throw httpError(`Product ${item.productId} is not part of this order`, 400);
+        }
+
+        const key = lineKey(orderItem);
+        const left = remaining.get(key);
+        if (item.quantity > left) {
+          throw httpError(`Only ${left} of ${orderItem.name} left to ship`, 400);
+        }
+        remaining.set(key, left - item.quantity);
+
+        shipmentItems.push({
+          productId: orderItem.productId,
+          sku: orderItem.sku,
+          name: orderItem.name,
+          quantity: item.quantity
+        });
+      }
+
+      if (shipmentItems.length === 0) {
+        throw httpError('Nothing left to ship', 400);
+      }
+
+      return { $set: shippedUpdate(order, remaining) };
+    });
+
+    let shipment;
+    try {
+      const shipmentId = new mongoose.Types.ObjectId();
+      const booking = await carrier.createShipment({
+        shipmentId,
+        orderId: order._id,
+        items: shipmentItems,
+        address: order.shippingAddress
+      });
+
+      shipment = await Shipment.create({
+        _id: shipmentId,
+        orderId: order._id,
+        carrier: carrier.name,
+        trackingNumber: booking.trackingNumber,
+        labelUrl: booking.labelUrl,
+        items: shipmentItems,
+        events: [{
+          status: 'label_created',
+          description: 'Shipping label created',
+          occurredAt: new Date()
+        }]
+      });
+    } catch (error) {
+      // Hand the units back so they can go in another shipment
+      await updateOrderChecked({ _id: order._id }, async (order) => {
+        const remaining = await unshippedQuantities(order);
+        for (let item of shipmentItems) {
+          const key = lineKey(item);
+          remaining.set(key, remaining.get(key) + item.quantity);
+        }
+        return { $set: shippedUpdate(order, remaining) };
+      }).catch(releaseError => {
+        console.error(`Releasing shipment allocation for order ${order._id} failed:`, releaseError.message);
+      });
+      throw error;
+    }
+
+    if (!order.trackingNumber) {
+      order.trackingNumber = shipment.trackingNumber;
+      order.updatedAt = new Date();
+      await order.save();
+    }
+
+    if (order.status === 'confirmed') {
+      await transitionOrderStatus(order._id, 'processing', {
+        actor: { userId: req.user.userId, role: req.user.role },
+        reason: `Shipment ${shipment._id} created`
+      });
+    }
+
+    res.status(201).json(shipment);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// List shipments for an order
+app.get('/orders/:id/shipments', verifyUser, async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (req.user.role !== 'admin') {
+      query.userId = req.user.userId;
+    }
+
+    if (!await Order.exists(query)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const shipments = await Shipment.find({ orderId: req.params.id }).sort({ createdAt: 1 });
+    res.json(shipments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pull the latest tracking events from the carrier now (admin only)
+app.post('/orders/:id/shipments/:shipmentId/refresh', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const shipment = await Shipment.findOne({
+      _id: req.params.shipmentId,
+      orderId: req.params.id
+    });
+    if (!shipment) {
+      return res.status(404).json({ error: 'Shipment not found' });
+    }
+
+    res.json(await syncShipmentTracking(shipment));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Abandoned cart reminder stats (admin only)
+app.get('/admin/carts/reminders/stats', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const match = {};
+    if (from || to) {
+      match.sentAt = {};
+      if (from) match.sentAt.$gte = new Date(from);
+      if (to) match.sentAt.$lte = new Date(to);
+    }
+
+    const [stats] = await CartReminder.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          remindersSent: { $sum: 1 },
+          conversions: { $sum: { $cond: [{ $ifNull: ['$convertedOrderId', false] }, 1, 0] } },
+          remindedCartValue: { $sum: { $ifNull: ['$cartTotal', 0] } },
+          convertedRevenue: { $sum: { $ifNull: ['$orderTotal', 0] } }
+        }
+      }
+    ]);
+
+    const { remindersSent = 0, conversions = 0, remindedCartValue = 0, convertedRevenue = 0 } = stats || {};
+    res.json({
+      remindersSent,
+      conversions,
+      conversionRate: remindersSent > 0 ? conversions / remindersSent : 0,
+      remindedCartValue: roundCurrency(remindedCartValue),
+      convertedRevenue: roundCurrency(convertedRevenue)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Promotion management (admin only)
+app.get('/promotions', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const promotions = await Promotion.find().sort({ createdAt: -1 });
+    res.json(promotions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/promotions', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const { usageCount, ...fields } = req.body;
+    const promotion = new Promotion(fields);
+    await promotion.save();
+    res.status(201).json(promotion);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.patch('/promotions/:id', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const { usageCount, ...fields } = req.body;
+    promotion.set(fields);
+    promotion.updatedAt = new Date();
+    await promotion.save();
+
+    res.json(promotion);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Helper functions
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Apply a change worked out from the order as currently stored. `change`
+// gets the order and returns the update to apply, or throws to refuse. The
+// update only lands if the order's version is still the one read, and the
+// version is bumped with it, so two changes worked out from the same order
+// can't both apply; the loser works its change out again.
+async function updateOrderChecked(query, change) {
+  for (let attempt = 0; attempt < ORDER_UPDATE_ATTEMPTS; attempt++) {
+    const order = await Order.findOne(query);
+    if (!order) {
+      throw httpError('Order not found', 404);
+    }
+
+    const update = await change(order);
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, __v: order.__v },
+      { ...update, $inc: { ...update.$inc, __v: 1 } },
+      { new: true }
+    );
+    if (updated) return updated;
+  }
+  throw httpError('The order is being changed by another request; please retry', 409);
+}
+
+// Move an order along the status graph, recording who did it and why.
+// The update is conditional on the current status so concurrent changes
+// can't both apply.
+async function transitionOrderStatus(orderId, status, { actor, reason, notify = true } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(orderStatusTransitions, status)) {
+    throw httpError(`Unknown order status: ${status}`, 400);
+  }
+
+  const current = await Order.findById(orderId);
+  if (!current) {
+    throw httpError('Order not found', 404);
+  }
+
+  if (!orderStatusTransitions[current.status].includes(status)) {
+    throw httpError(`Cannot change order status from ${current.status} to ${status}`, 409);
+  }
+
+  const order = await Order.findOneAndUpdate(
+    { _id: current._id, status: current.status },
+    {
+      status,
+      updatedAt: new Date(),
+      $push: {
+        statusHistory: {
+          status,
+          from: current.status,
+          actor,
+          reason,
+          timestamp: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!order) {
+    throw httpError('Order status was changed concurrently, please retry', 409);
+  }
+
+  if (notify) {
+    await sendNotification({
+      type: 'order_status_updated',
+      userId: order.userId,
+      orderId: order._id,
+      message: `Order #${order._id} status updated to ${status}`,
+      metadata: { orderId: order._id, status }
+    });
+  }
+
+  return order;
+}
+
+// Cancel an order, then put its stock back and refund what was paid.
+// Restock and refund failures are recorded on the order rather than thrown,
+// since the cancellation itself has already happened.
+async function cancelOrder(orderId, { actor, reason }) {
+  const order = await transitionOrderStatus(orderId, 'cancelled', {
+    actor,
+    reason,
+    notify: false
+  });
+
+  order.cancellation = {
+    reason,
+    cancelledBy: actor,
+    cancelledAt: new Date()
+  };
+  const refund = await settleCancellation(order);
+
+  await sendNotification({
+    type: 'order_cancelled',
+    userId: order.userId,
+    orderId: order._id,
+    message: refund.amount > 0
+      ? `Order #${order._id} has been cancelled and ${refund.amount} refunded`
+      : `Order #${order._id} has been cancelled`,
+    metadata: { orderId: order._id, amount: refund.amount }
+  });
+
+  return order;
+}
+
+// Restock and refund a cancelled order, skipping whatever already
+// succeeded so that a failed attempt can be retried. Saves the order and
+// returns the refund made this time.
+async function settleCancellation(order) {
+  const reason = order.cancellation.reason || 'Order cancelled';
+
+  const restockFailures = await restockItems(order.items, {
+    type: 'cancellation',
+    orderId: order._id,
+    reason
+  });
+  order.cancellation.restockStatus = restockFailures.length === 0 ? 'completed' : 'failed';
+
+  let refund = { status: order.cancellation.refundStatus, amount: 0 };
+  if (!['completed', 'not_required'].includes(refund.status)) {
+    refund = await refundOrderPayment(order, roundCurrency(order.totalAmount - order.refundedAmount), reason);
+    order.cancellation.refundAmount = roundCurrency((order.cancellation.refundAmount || 0) + refund.amount);
+    order.cancellation.refundStatus = refund.status;
+  }
+
+  order.cancellation.error = [...restockFailures, refund.error].filter(Boolean).join('; ') || undefined;
+  order.updatedAt = new Date();
+  await order.save();
+
+  return refund;
+}
+
+// Put an approved return's items back in stock and refund it, skipping
+// whatever already succeeded so that a failed attempt can be retried. The
+// return completes once both have; otherwise its error says what failed.
+async function settleReturn(order, returnRequest) {
+  const restockFailures = await restockItems(returnRequest.items, {
+    type: 'return',
+    orderId: order._id,
+    reason: `Return ${returnRequest._id}`
+  });
+  returnRequest.restockStatus = restockFailures.length === 0 ? 'completed' : 'failed';
+
+  let refundError;
+  if (!['completed', 'not_required'].includes(returnRequest.refundStatus)) {
+    const refund = await refundOrderPayment(order, returnRequest.refundAmount, `Return ${returnRequest._id}`);
+    returnRequest.refundStatus = refund.status;
+    refundError = refund.error;
+  }
+
+  const errors = [...restockFailures, refundError].filter(Boolean);
+  if (errors.length > 0) {
+    returnRequest.error = errors.join('; ');
+  } else {
+    returnRequest.error = undefined;
+    returnRequest.status = 'completed';
+  }
+
+  order.updatedAt = new Date();
+  await order.save();
+}
+
+// Returns error messages for any items that could not be restocked. The
+// movement ({ type, orderId, reason }) is recorded in product-service's
+// inventory ledger. Items are marked restocked (for the caller to save) and
+// skipped if they already are, so a retry only restocks what failed.
+async function restockItems(items, movement) {
+  const failures = [];
+
+  for (let item of items) {
+    if (item.restocked) continue;
+
+    try {
+      await axios.patch(
+        `${process.env.PRODUCT_SERVICE_URL}/products/${item.productId}/stock`,
+        {
+          quantity: item.quantity,
+          operation: 'increase',
+          sku: item.sku,
+          ...movement
+        },
+        { headers: internalHeaders() }
+      );
+      item.restocked = true;
+    } catch (error) {
+      console.error(`Restock of product ${item.productId} failed:`, error.message);
+      failures.push(`Restock of ${item.name || item.productId} failed`);
+    }
+  }
+
+  return failures;
+}
+
+// Refund part or all of an order's payment through payment-service.
+// Updates the order's refund totals but leaves saving to the caller.
+async function refundOrderPayment(order, amount, reason) {
+  if (!order.paymentId || order.paymentStatus !== 'completed' || amount <= 0) {
+    return { status: 'not_required', amount: 0 };
+  }
+
+  try {
+    const response = await axios.post(
+      `${process.env.PAYMENT_SERVICE_URL}/payments/${order.paymentId}/refund`,
+      { amount, reason },
+      { headers: internalHeaders() }
+    );
+
+    order.refundedAmount = response.data.totalRefunded;
+    if (response.data.status === 'refunded') {
+      order.paymentStatus = 'refunded';
+    }
+
+    return { status: 'completed', amount };
+  } catch (error) {
+    const message = error.response?.data?.error || error.message;
+    console.error(`Refund for order ${order._id} failed:`, message);
+    return { status: 'failed', amount: 0, error: `Refund failed: ${message}` };
+  }
+}
+
+const DOCUMENT_PREFIXES = { invoice: 'INV', credit_note: 'CN' };
+
+// Insert an invoice or credit note numbered after the last one of its type,
+// e.g. INV-000042. Numbers come from the documents themselves rather than a
+// counter, so a failed insert leaves no gap; when two inserts race for a
+// number the unique index turns one away and it takes the next.
+async function createNumberedDocument(fields) {
+  const last = await Invoice.findOne({ type: fields.type, sequence: { $exists: true } })
+    .sort({ sequence: -1 })
+    .select('sequence');
+  let sequence = (last?.sequence || 0) + 1;
+
+  for (;;) {
+    try {
+      return await Invoice.create({
+        ...fields,
+        sequence,
+        number: `${DOCUMENT_PREFIXES[fields.type]}-${String(sequence).padStart(6, '0')}`
+      });
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.number) throw error;
+      sequence += 1;
+    }
+  }
+}
+
+async function paymentReference(order) {
+  if (!order.paymentId) return undefined;
+
+  try {
+    const response = await axios.get(`${process.env.PAYMENT_SERVICE_URL}/payments/${order.paymentId}`);
+    return response.data.transactionId || order.paymentId;
+  } catch (error) {
+    return order.paymentId;
+  }
+}
+
+// Issue the order's invoice, or return it if it already exists
+async function issueInvoice(order) {
+  const existing = await Invoice.findOne({ orderId: order._id, type: 'invoice' });
+  if (existing) return existing;
+
+  // Orders placed before pricing breakdowns were stored only have a total
+  const breakdown = order.priceBreakdown || {};
+  const subtotal = breakdown.subtotal ??
+    order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  try {
+    return await createNumberedDocument({
+      type: 'invoice',
+      orderId: order._id,
+      userId: order.userId,
+      currency: breakdown.currency || 'USD',
+      shippingAddress: order.shippingAddress,
+      paymentReference: await paymentReference(order),
+      lines: order.items.map(item => ({
+        description: describeItem(item),
+        quantity: item.quantity,
+        unitPrice: item.price,
+        discount: item.discount || 0,
+        amount: roundCurrency(item.price * item.quantity - (item.discount || 0))
+      })),
+      totals: {
+        subtotal: roundCurrency(subtotal),
+        discount: breakdown.discount || 0,
+        shipping: breakdown.shipping || 0,
+        tax: breakdown.tax || 0,
+        taxRate: breakdown.taxRate || 0,
+        total: order.totalAmount
+      }
+    });
+  } catch (error) {
+    // Issued concurrently by another request
+    if (error.code === 11000 && error.keyPattern?.orderId) {
+      return Invoice.findOne({ orderId: order._id, type: 'invoice' });
+    }
+    throw error;
+  }
+}
+
+// Issue a credit note for a refund, once per refundId
+async function issueCreditNote(order, refund) {
+  if (refund.refundId) {
+    const existing = await Invoice.findOne({ 'refund.refundId': refund.refundId });
+    if (existing) return existing;
+  }
+
+  const invoice = await issueInvoice(order);
+
+  try {
+    return await createNumberedDocument({
+      type: 'credit_note',
+      orderId: order._id,
+      userId: order.userId,
+      relatedInvoiceNumber: invoice.number,
+      currency: invoice.currency,
+      shippingAddress: order.shippingAddress,
+      paymentReference: invoice.paymentReference,
+      lines: [{
+        description: refund.reason || 'Refund',
+        quantity: 1,
+        unitPrice: refund.amount,
+        amount: refund.amount
+      }],
+      totals: { total: refund.amount },
+      refund
+    });
+  } catch (error) {
+    // Reported twice at once; the unique refundId index keeps one
+    if (error.code === 11000 && error.keyPattern?.['refund.refundId']) {
+      return Invoice.findOne({ 'refund.refundId': refund.refundId });
+    }
+    throw error;
+  }
+}
+
+function sendInvoiceDocument(res, document, creditNotes, format = 'html') {
+  if (format === 'json') {
+    return res.json({ ...document.toObject(), creditNotes });
+  }
+
+  if (format === 'pdf') {
+    res.type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="${document.number}.pdf"`);
+    const pdf = invoices.renderPdf(document, creditNotes);
+    pdf.pipe(res);
+    pdf.end();
+    return;
+  }
+
+  if (format !== 'html') {
+    return res.status(400).json({ error: 'format must be html, pdf or json' });
+  }
+
+  res.type('html').send(invoices.renderHtml(document, creditNotes));
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Quantity of an order line already covered by non-rejected return requests
+function returnedQuantity(order, orderItem) {
+  return order.returns
+    .filter(returnRequest => returnRequest.status !== 'rejected')
+    .flatMap(returnRequest => returnRequest.items)
+    .filter(item => isSameLine(item, orderItem))
+    .reduce((sum, item) => sum + item.quantity, 0);
+}
+
+// Cart, order, return and shipment lines are identified by product and,
+// for products with variants, SKU
+function lineKey(item) {
+  return item.sku ? `${item.productId}:${item.sku}` : String(item.productId);
+}
+
+function isSameLine(a, b) {
+  return lineKey(a) === lineKey(b);
+}
+
+// "Nike Air Max 270 (Size: 9)"
+function describeItem(item) {
+  const options = Object.entries(item.options || {});
+  if (options.length === 0) return item.name;
+  return `${item.name} (${options.map(([name, value]) => `${name}: ${value}`).join(', ')})`;
+}
+
+// Price, image, options and available stock of what a cart line buys: the
+// chosen variant, or the product itself when it has none. Returns null if
+// the sku doesn't match the product. The price is the one in force right
+// now, which product-service works out from any running sale.
+function purchasableVariant(product, sku) {
+  const variants = product.variants || [];
+  if (variants.length === 0) {
+    return sku ? null : {
+      price: product.currentPrice,
+      image: product.image,
+      stock: product.stock
+    };
+  }
+
+  const variant = variants.find(variant => variant.sku === sku);
+  if (!variant) return null;
+
+  return {
+    price: variant.currentPrice,
+    image: variant.image || product.image,
+    options: variant.options,
+    stock: variant.stock
+  };
+}
+
+function cartOwnerQuery(req) {
+  if (req.user) return { userId: req.user.userId };
+  if (req.cartToken) return { cartToken: req.cartToken };
+  return null;
+}
+
+async function fetchProduct(productId) {
+  try {
+    const productResponse = await axios.get(
+      `${process.env.PRODUCT_SERVICE_URL}/products/${productId}`
+    );
+    return productResponse.data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+// Look up many products in one call. Returns a Map keyed by product id
+// and the ids product-service couldn't find or that are archived.
+async function fetchProducts(productIds) {
+  if (productIds.length === 0) {
+    return { products: new Map(), missing: [] };
+  }
+
+  const response = await axios.post(`${process.env.PRODUCT_SERVICE_URL}/products/batch`, {
+    ids: productIds.map(String)
+  });
+
+  const available = response.data.products.filter(product => !product.archived);
+  const archived = response.data.products.filter(product => product.archived);
+
+  return {
+    products: new Map(available.map(product => [product._id, product])),
+    missing: [...response.data.missing, ...archived.map(product => product._id)]
+  };
+}
+
+// Throws a 400/404/409 error if the product (or its variant with this sku)
+// can't supply the requested quantity
+async function checkProductQuantity(productId, quantity, sku) {
+  const product = await fetchProduct(productId);
+  if (!product) {
+    throw httpError('Product not found', 404);
+  }
+  if (product.archived) {
+    throw httpError(`${product.name} is no longer available`, 409);
+  }
+
+  const variant = purchasableVariant(product, sku);
+  if (!variant) {
+    throw httpError(sku
+      ? `${product.name} has no variant ${sku}`
+      : `Choose a variant of ${product.name} (sku is required)`, 400);
+  }
+
+  if (variant.stock < quantity) {
+    const error = httpError(`Only ${variant.stock} of ${product.name} available`, 409);
+    error.details = { productId, sku, available: variant.stock };
+    throw error;
+  }
+
+  return product;
+}
+
+// Fold a guest cart into the user's cart, capping quantities at what is in
+// stock. Returns the merged cart and any lines that had to be adjusted.
+async function mergeGuestCart(userId, cartToken) {
+  const guestCart = await Cart.findOne({ cartToken });
+  let cart = await Cart.findOne({ userId });
+
+  if (!guestCart) {
+    return { cart, adjustments: [] };
+  }
+
+  if (!cart) {
+    cart = new Cart({ userId, items: [] });
+  }
+
+  const adjustments = [];
+  const { products } = await fetchProducts(guestCart.items.map(item => item.productId));
+
+  for (let guestItem of guestCart.items) {
+    const existingItem = cart.items.find(item => isSameLine(item, guestItem));
+    const requested = (existingItem?.quantity || 0) + guestItem.quantity;
+
+    const product = products.get(guestItem.productId.toString());
+    const variant = product && purchasableVariant(product, guestItem.sku);
+    if (!variant) {
+      adjustments.push({ productId: guestItem.productId, sku: guestItem.sku, issue: 'unavailable' });
+      continue;
+    }
+
+    const quantity = Math.min(requested, variant.stock);
+    if (quantity < requested) {
+      adjustments.push({
+        productId: guestItem.productId,
+        sku: guestItem.sku,
+        name: product.name,
+        requested,
+        quantity,
+        issue: 'insufficient_stock'
+      });
+    }
+    if (quantity <= 0) continue;
+
+    if (existingItem) {
+      existingItem.quantity = quantity;
+    } else {
+      cart.items.push({ productId: guestItem.productId, sku: guestItem.sku, quantity });
+    }
+  }
+
+  cart.updatedAt = new Date();
+  await cart.save();
+  await Cart.deleteOne({ _id: guestCart._id });
+
+  return { cart, adjustments };
+}
+
+// Price the cart with product details and any applied coupons. Lines whose
+// product is gone or short on stock are listed in unavailableItems.
+async function buildCartSummary(cart, userId) {
+  const cartWithDetails = [];
+  const unavailableItems = [];
+  const { products } = await fetchProducts(cart.items.map(item => item.productId));
+
+  for (let item of cart.items) {
+    const product = products.get(item.productId.toString());
+    const variant = product && purchasableVariant(product, item.sku);
+    if (!variant) {
+      unavailableItems.push({
+        productId: item.productId,
+        sku: item.sku,
+        quantity: item.quantity,
+        reason: 'not_found'
+      });
+      continue;
+    }
+
+    const fulfillable = variant.stock >= item.quantity;
+    if (!fulfillable) {
+      unavailableItems.push({
+        productId: item.productId,
+        sku: item.sku,
+        name: product.name,
+        quantity: item.quantity,
+        available: variant.stock,
+        reason: variant.stock === 0 ? 'out_of_stock' : 'insufficient_stock'
+      });
+    }
+
+    cartWithDetails.push({
+      productId: item.productId,
+      sku: item.sku,
+      options: variant.options,
+      name: product.name,
+      price: variant.price,
+      category: product.category,
+      quantity: item.quantity,
+      image: variant.image,
+      weight: product.specifications?.weight,
+      subtotal: variant.price * item.quantity,
+      availableStock: variant.stock,
+      fulfillable
+    });
+  }
+
+  const pricing = await evaluateCoupons(cart.couponCodes, cartWithDetails, userId);
+  for (let item of cartWithDetails) {
+    item.discount = lineDiscount(pricing.discounts, item);
+  }
+
+  return {
+    items: cartWithDetails,
+    subtotal: pricing.subtotal,
+    discounts: pricing.discounts.map(({ code, description, amount }) => ({ code, description, amount })),
+    discountTotal: pricing.discountTotal,
+    total: roundCurrency(pricing.subtotal - pricing.discountTotal),
+    rejectedCoupons: pricing.rejected,
+    unavailableItems,
+    cartToken: cart.cartToken
+  };
+}
+
+// Record a use of the discount's coupon by the saga's user, within the
+// coupon's perUserLimit. Returns null if the user has no uses left. A
+// resumed saga gets back the redemption it already claimed.
+async function claimUserRedemption(saga, discount) {
+  const existing = await PromotionRedemption.findOne({ promotionId: discount.promotionId, checkoutId: saga._id });
+  if (existing) return existing;
+
+  const promotion = await Promotion.findById(discount.promotionId).select('perUserLimit');
+  const redemption = {
+    promotionId: discount.promotionId,
+    code: discount.code,
+    userId: saga.userId,
+    checkoutId: saga._id,
+    amount: discount.amount
+  };
+  if (promotion?.perUserLimit == null) {
+    return PromotionRedemption.create(redemption);
+  }
+
+  for (let slot = 1; slot <= promotion.perUserLimit; slot++) {
+    try {
+      return await PromotionRedemption.create({ ...redemption, slot });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return null;
+}
+
+// Returns why a promotion can't be used right now, or null if it can
+function promotionIneligibility(promotion, { subtotal, userRedemptions }) {
+  const now = new Date();
+
+  if (!promotion.active) return 'Coupon is not active';
+  if (promotion.validFrom && now < promotion.validFrom) return 'Coupon is not valid yet';
+  if (promotion.validUntil && now > promotion.validUntil) return 'Coupon has expired';
+  if (promotion.usageLimit != null && promotion.usageCount >= promotion.usageLimit) {
+    return 'Coupon has reached its usage limit';
+  }
+  if (promotion.perUserLimit != null && userRedemptions >= promotion.perUserLimit) {
+    return 'You have already used this coupon';
+  }
+  if (subtotal < promotion.minSpend) {
+    return `A minimum spend of ${promotion.minSpend} is required`;
+  }
+  return null;
+}
+
+function promotionAppliesTo(promotion, line) {
+  const { productIds = [], categories = [] } = promotion.scope || {};
+  if (productIds.length === 0 && categories.length === 0) return true;
+
+  return productIds.some(id => id.equals(line.productId)) ||
+    categories.includes(line.category);
+}
+
+// Work out the discount for each coupon code against cart lines
+// ({ productId, category, price, quantity }). Each discount is spread over
+// the lines it applies to so partial refunds can net it off later.
+async function evaluateCoupons(codes, lines, userId) {
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  const discounts = [];
+  const rejected = [];
+
+  const promotions = codes.length > 0
+    ? await Promotion.find({ code: { $in: codes } })
+    : [];
+  let remaining = subtotal;
+
+  for (let code of codes) {
+    const promotion = promotions.find(promotion => promotion.code === code);
+    if (!promotion) {
+      rejected.push({ code, reason: 'Coupon not found' });
+      continue;
+    }
+
+    const userRedemptions = userId
+      ? await PromotionRedemption.countDocuments({ promotionId: promotion._id, userId })
+      : 0;
+    const reason = promotionIneligibility(promotion, { subtotal, userRedemptions });
+    if (reason) {
+      rejected.push({ code, reason });
+      continue;
+    }
+
+    const eligible = lines.filter(line => promotionAppliesTo(promotion, line));
+    const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    if (eligibleSubtotal === 0) {
+      rejected.push({ code, reason: 'No items in the cart qualify for this coupon' });
+      continue;
+    }
+
+    const rawAmount = promotion.type === 'percentage'
+      ? eligibleSubtotal * promotion.value / 100
+      : promotion.value;
+    const amount = roundCurrency(Math.min(rawAmount, eligibleSubtotal, remaining));
+    remaining = roundCurrency(remaining - amount);
+
+    discounts.push({
+      promotionId: promotion._id,
+      code: promotion.code,
+      description: promotion.description,
+      amount,
+      allocations: eligible.map(line => ({
+        productId: line.productId,
+        sku: line.sku,
+        amount: amount * line.price * line.quantity / eligibleSubtotal
+      }))
+    });
+  }
+
+  const discountTotal = roundCurrency(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+  return { subtotal, discounts, discountTotal, rejected };
+}
+
+function lineDiscount(discounts, line) {
+  return roundCurrency(discounts
+    .flatMap(discount => discount.allocations)
+    .filter(allocation => isSameLine(allocation, line))
+    .reduce((sum, allocation) => sum + allocation.amount, 0));
+}
+
+async function sendNotification(notification) {
+  try {
+    await axios.post(`${process.env.NOTIFICATION_SERVICE_URL}/notifications/send`, notification);
+  } catch (notificationError) {
+    console.error('Notification service error:', notificationError.message);
+  }
+}
+
+// Steps are looked up by name so sagas persisted before a step was added
+// can still be resumed
+function sagaStepState(saga, name) {
+  let stepState = saga.steps.find(step => step.name === name);
+  if (!stepState) {
+    saga.steps.push({ name });
+    stepState = saga.steps[saga.steps.length - 1];
+  }
+  return stepState;
+}
+
+async function runCheckoutSaga(saga) {
+  for (let step of checkoutSteps) {
+    const stepState = sagaStepState(saga, step.name);
+    if (stepState.status === 'completed') continue;
+
+    // Persist that the step has started, so a crash part-way through it
+    // still gets it compensated on recovery
+    stepState.status = 'running';
+    stepState.updatedAt = new Date();
+    await saga.save();
+
+    try {
+      await step.execute(saga);
+      stepState.status = 'completed';
+      stepState.updatedAt = new Date();
+      saga.updatedAt = new Date();
+      await saga.save();
+    } catch (error) {
+      stepState.status = 'failed';
+      stepState.error = error.message;
+      stepState.updatedAt = new Date();
+      saga.error = error.message;
+      await compensateCheckoutSaga(saga);
+      throw error;
+    }
+  }
+
+  saga.status = 'completed';
+  saga.updatedAt = new Date();
+  await saga.save();
+}
+
+async function compensateCheckoutSaga(saga) {
+  saga.status = 'compensating';
+  saga.updatedAt = new Date();
+  await saga.save();
+
+  for (let i = checkoutSteps.length - 1; i >= 0; i--) {
+    const step = checkoutSteps[i];
+    const stepState = sagaStepState(saga, step.name);
+
+    // A failed or interrupted step may have partially applied (e.g. some
+    // stock reserved); compensators only undo what the saga recorded
+    if (!['completed', 'failed', 'running'].includes(stepState.status)) continue;
+
+    if (step.compensate) {
+      try {
+        await step.compensate(saga);
+      } catch (error) {
+        // Leave the saga in 'compensating' so it is retried on next startup
+        console.error(`Checkout ${saga._id} compensation of ${step.name} failed:`, error.message);
+        return;
+      }
+    }
+
+    stepState.status = 'compensated';
+    stepState.updatedAt = new Date();
+    await saga.save();
+  }
+
+  saga.status = 'compensated';
+  saga.updatedAt = new Date();
+  await saga.save();
+}
+
+// Resume checkouts that already wrote the order; roll back everything else
+async function recoverCheckoutSagas() {
+  const sagas = await CheckoutSaga.find({
+    status: { $in: ['running', 'compensating'] }
+  });
+
+  for (let saga of sagas) {
+    try {
+      const orderStep = saga.steps.find(step => step.name === 'createOrder');
+
+      if (saga.status === 'running' && orderStep.status === 'completed') {
+        console.log(`Resuming checkout ${saga._id}`);
+        await runCheckoutSaga(saga);
+      } else {
+        console.log(`Rolling back checkout ${saga._id}`);
+        await compensateCheckoutSaga(saga);
+      }
+    } catch (error) {
+      console.error(`Checkout ${saga._id} recovery failed:`, error.message);
+    }
+  }
+}
+
+// Remind users about carts that have sat idle past the threshold. Each idle
+// period gets at most one reminder, and a user gets at most one reminder per
+// cooldown window across all their carts.
+async function sendAbandonedCartReminders() {
+  const now = Date.now();
+  const idleSince = new Date(now - ABANDONED_CART_THRESHOLD_HOURS * 60 * 60 * 1000);
+  const cooldownStart = new Date(now - ABANDONED_CART_REMINDER_COOLDOWN_HOURS * 60 * 60 * 1000);
+
+  const carts = await Cart.find({
+    userId: { $exists: true, $ne: null },
+    'items.0': { $exists: true },
+    updatedAt: { $lte: idleSince }
+  });
+
+  let sent = 0;
+  for (let cart of carts) {
+    const remindedThisIdlePeriod = await CartReminder.exists({
+      cartId: cart._id,
+      cartUpdatedAt: cart.updatedAt
+    });
+    if (remindedThisIdlePeriod) continue;
+
+    const remindedRecently = await CartReminder.exists({
+      userId: cart.userId,
+      sentAt: { $gte: cooldownStart }
+    });
+    if (remindedRecently) continue;
+
+    const summary = await buildCartSummary(cart, cart.userId);
+    if (summary.items.length === 0) continue;
+
+    const itemCount = summary.items.reduce((sum, item) => sum + item.quantity, 0);
+
+    let reminder;
+    try {
+      // Claim the idle period first so a concurrent run can't double-send
+      reminder = await CartReminder.create({
+        userId: cart.userId,
+        cartId: cart._id,
+        cartUpdatedAt: cart.updatedAt,
+        itemCount,
+        cartTotal: summary.total
+      });
+    } catch (error) {
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    // Checkout carries the id from the cart to the order. updatedAt is left
+    // alone: the cart is still idle.
+    await Cart.updateOne({ _id: cart._id }, { reminderId: reminder._id });
+
+    await sendNotification({
+      type: 'cart_abandoned',
+      userId: cart.userId,
+      message: `You left ${itemCount} item${itemCount === 1 ? '' : 's'} in your cart`,
+      metadata: {
+        itemCount,
+        amount: summary.total,
+        items: summary.items.map(item => item.name)
+      }
+    });
+    sent++;
+  }
+
+  if (sent > 0) {
+    console.log(`Sent ${sent} abandoned cart reminders`);
+  }
+}
+
+// Attribute an order to the reminder about the cart it was placed from, if
+// the reminder is recent and hasn't converted already. A resumed checkout
+// may run this twice for the same order; the second run changes nothing.
+async function recordReminderConversion(reminderId, orderId, orderTotal) {
+  const attributionStart = new Date(Date.now() - ABANDONED_CART_ATTRIBUTION_DAYS * 24 * 60 * 60 * 1000);
+
+  await CartReminder.updateOne(
+    {
+      _id: reminderId,
+      sentAt: { $gte: attributionStart },
+      convertedOrderId: { $exists: false }
+    },
+    { convertedOrderId: orderId, convertedAt: new Date(), orderTotal }
+  );
+}
+
+// Quantity of each order item not yet covered by a shipment
+async function unshippedQuantities(order) {
+  // Allocations are counted on the order; orders that predate the counts
+  // are worked out from their shipments
+  if (order.items.every(item => item.shipped != null)) {
+    return new Map(order.items.map(item => [lineKey(item), item.quantity - item.shipped]));
+  }
+
+  const shipments = await Shipment.find({ orderId: order._id });
+  const remaining = new Map(order.items.map(item => [lineKey(item), item.quantity]));
+
+  for (let item of shipments.flatMap(shipment => shipment.items)) {
+    const key = lineKey(item);
+    remaining.set(key, (remaining.get(key) || 0) - item.quantity);
+  }
+  return remaining;
+}
+
+// $set for each line's shipped count, given what is left to ship of it
+function shippedUpdate(order, remaining) {
+  const update = {};
+  order.items.forEach((item, index) => {
+    update[`items.${index}.shipped`] = item.quantity - remaining.get(lineKey(item));
+  });
+  return update;
+}
+
+// Fetch events from the carrier, record any new ones and move the order on
+async function syncShipmentTracking(shipment) {
+  const carrier = carriers.getCarrier(shipment.carrier);
+  if (!carrier) {
+    throw httpError(`Carrier ${shipment.carrier} is not configured`, 500);
+  }
+
+  const events = await carrier.getTrackingEvents(shipment.trackingNumber);
+  const seen = new Set(shipment.events.map(event => `${event.status}@${new Date(event.occurredAt).getTime()}`));
+  let changed = false;
+
+  for (let event of events) {
+    const key = `${event.status}@${new Date(event.occurredAt).getTime()}`;
+    if (seen.has(key) || event.status === 'label_created') continue;
+
+    shipment.events.push(event);
+    changed = true;
+
+    if (!shipment.shippedAt && event.status !== 'exception') {
+      shipment.shippedAt = event.occurredAt;
+    }
+    if (event.status === 'delivered') {
+      shipment.deliveredAt = event.occurredAt;
+    }
+  }
+
+  if (!changed) return shipment;
+
+  shipment.events.sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+  shipment.status = shipment.events[shipment.events.length - 1].status;
+  shipment.updatedAt = new Date();
+  await shipment.save();
+
+  await advanceOrderFromShipments(shipment.orderId, shipment);
+  return shipment;
+}
+
+// An order is shipped once every item is in a shipment that has left the
+// warehouse, and delivered once all of those shipments are delivered
+async function advanceOrderFromShipments(orderId, latestShipment) {
+  const order = await Order.findById(orderId);
+  if (!order || ['delivered', 'cancelled'].includes(order.status)) return;
+
+  const remaining = await unshippedQuantities(order);
+  const fullyAllocated = [...remaining.values()].every(quantity => quantity <= 0);
+  if (!fullyAllocated) return;
+
+  const shipments = await Shipment.find({ orderId });
+  const allShipped = shipments.every(shipment => shipment.shippedAt);
+  const allDelivered = shipments.every(shipment => shipment.deliveredAt);
+
+  const actor = { role: 'system' };
+  const reason = `${latestShipment.carrier} ${latestShipment.trackingNumber}: ${latestShipment.status}`;
+
+  const path = [];
+  if (allShipped) path.push('processing', 'shipped');
+  if (allDelivered) path.push('delivered');
+
+  // Walk the status graph one edge at a time from wherever the order is
+  for (let status of path) {
+    const current = await Order.findById(orderId).select('status');
+    if (orderStatusTransitions[current.status].includes(status)) {
+      await transitionOrderStatus(orderId, status, { actor, reason });
+    }
+  }
+}
+
+async function pollShipmentTracking() {
+  const shipments = await Shipment.find({ status: { $nin: ['delivered'] } });
+
+  for (let shipment of shipments) {
+    try {
+      await syncShipmentTracking(shipment);
+    } catch (error) {
+      console.error(`Tracking sync for shipment ${shipment._id} failed:`, error.message);
+    }
+  }
+}
+
+// Connect, run the background jobs and listen only when started directly;
+// the tests load the app and models without a database
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI);
+
+  let shipmentTrackingJobRunning = false;
+  setInterval(() => {
+    if (shipmentTrackingJobRunning) return;
+    shipmentTrackingJobRunning = true;
+
+    pollShipmentTracking()
+      .catch(error => console.error('Shipment tracking job error:', error.message))
+      .finally(() => {
+        shipmentTrackingJobRunning = false;
+      });
+  }, SHIPMENT_POLL_INTERVAL_MS);
+
+  let abandonedCartJobRunning = false;
+  setInterval(() => {
+    if (abandonedCartJobRunning) return;
+    abandonedCartJobRunning = true;
+
+    sendAbandonedCartReminders()
+      .catch(error => console.error('Abandoned cart job error:', error.message))
+      .finally(() => {
+        abandonedCartJobRunning = false;
+      });
+  }, ABANDONED_CART_CHECK_INTERVAL_MS);
+
+  mongoose.connection.once('open', () => {
+    recoverCheckoutSagas().catch(error => {
+      console.error('Checkout recovery error:', error.message);
+    });
+  });
+
+  const PORT = process.env.PORT || 5003;
+  app.listen(PORT, () => {
+    console.log(`Order Service running on port ${PORT}`);
+  });
+}
+
+module.exports = {
+  app,
+  Order,
+  Cart,
+  CheckoutSaga,
+  Promotion,
+  PromotionRedemption,
+  Invoice,
+  CartReminder,
+  Shipment,
+  runCheckoutSaga,
+  recoverCheckoutSagas,
+  sendAbandonedCartReminders
+};
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, users, fakeServices, listen, placedOrder } = require('./helpers');
+
+const { Order } = service;
+
+// A mongoose query returning `result` that records how it was built
+function query(result) {
+  const built = {};
+  const chain = {
+    built,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  for (let method of ['sort', 'limit', 'skip']) {
+    chain[method] = (value) => {
+      built[method] = value;
+      return chain;
+    };
+  }
+  return chain;
+}
+
+function listing(t, orders = [], total = orders.length) {
+  const found = query(orders);
+  const find = t.mock.method(Order, 'find', () => found);
+  t.mock.method(Order, 'countDocuments', async () => total);
+  return { find, built: found.built };
+}
+
+test('only admins, as user-service reports them, can list every order', async (t) => {
+  fakeServices(t);
+  const { find } = listing(t);
+  const request = await listen(t);
+
+  const customer = await request('GET', '/admin/orders', { as: 'customer' });
+  const admin = await request('GET', '/admin/orders', { as: 'admin' });
+
+  assert.strictEqual(customer.status, 403);
+  assert.strictEqual(admin.status, 200);
+  assert.strictEqual(find.mock.callCount(), 1);
+});
+
+test('orders are filtered by status, payment, customer, dates, totals and search text', async (t) => {
+  fakeServices(t);
+  const { find } = listing(t);
+  const request = await listen(t);
+  const orderId = new mongoose.Types.ObjectId().toString();
+
+  const params = new URLSearchParams({
+    status: 'pending,confirmed',
+    paymentStatus: 'failed',
+    userId: users.customer.userId,
+    from: '2026-01-01',
+    to: '2026-02-01',
+    minTotal: '50',
+    maxTotal: '500',
+    q: orderId
+  });
+  const response = await request('GET', `/admin/orders?${params}`, { as: 'admin' });
+
+  assert.strictEqual(response.status, 200);
+  const [filter] = find.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter.status, { $in: ['pending', 'confirmed'] });
+  assert.deepStrictEqual(filter.paymentStatus, { $in: ['failed'] });
+  assert.strictEqual(filter.userId, users.customer.userId);
+  assert.deepStrictEqual(filter.createdAt, { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') });
+  assert.deepStrictEqual(filter.totalAmount, { $gte: 50, $lte: 500 });
+  assert.deepStrictEqual(filter.$or.map(condition => Object.keys(condition)[0]), ['shippingAddress.name', 'trackingNumber', '_id']);
+});
+
+test('search text is matched literally', async (t) => {
+  fakeServices(t);
+  const { find } = listing(t);
+  const request = await listen(t);
+
+  await request('GET', `/admin/orders?q=${encodeURIComponent('J. (Smith)')}`, { as: 'admin' });
+
+  const [filter] = find.mock.calls[0].arguments;
+  const pattern = filter.$or[0]['shippingAddress.name'];
+  assert.ok(pattern.test('j. (smith)'));
+  assert.ok(!pattern.test('Jo (Smith)'));
+  assert.strictEqual(filter.$or.length, 2, 'text that is not an order id is not matched against ids');
+});
+
+test('pages are clamped to positive sizes of at most 100 and sorted as asked', async (t) => {
+  fakeServices(t);
+  const { built } = listing(t, [placedOrder()], 250);
+  const request = await listen(t);
+
+  const response = await request('GET', '/admin/orders?limit=500&page=3&sortBy=totalAmount&sortOrder=asc', { as: 'admin' });
+
+  assert.deepStrictEqual(built, { sort: { totalAmount: 1 }, limit: 100, skip: 200 });
+  assert.deepStrictEqual(response.body.pagination, { page: 3, limit: 100, total: 250, pages: 3 });
+
+  const odd = await request('GET', '/admin/orders?limit=-5&page=0', { as: 'admin' });
+  assert.deepStrictEqual(
+    [odd.body.pagination.limit, odd.body.pagination.page],
+    [1, 1]
+  );
+});
+
+test('an unknown sort field or a repeated filter is refused', async (t) => {
+  fakeServices(t);
+  const { find } = listing(t);
+  const request = await listen(t);
+
+  const sort = await request('GET', '/admin/orders?sortBy=password', { as: 'admin' });
+  const repeated = await request('GET', '/admin/orders?status=pending&status=shipped', { as: 'admin' });
+
+  assert.strictEqual(sort.status, 400);
+  assert.strictEqual(repeated.status, 400);
+  assert.strictEqual(repeated.body.error, 'status must be a single value');
+  assert.strictEqual(find.mock.callCount(), 0);
+});
+
+test('an admin assigns a tracking number', async (t) => {
+  fakeServices(t);
+  const order = placedOrder();
+  const update = t.mock.method(Order, 'findByIdAndUpdate', async (id) => (
+    String(id) === String(order._id) ? placedOrder({ _id: order._id, trackingNumber: 'TRK-1' }) : null
+  ));
+  const request = await listen(t);
+
+  const missing = await request('PATCH', `/admin/orders/${order._id}/tracking`, { as: 'admin', body: {} });
+  const assigned = await request('PATCH', `/admin/orders/${order._id}/tracking`, {
+    as: 'admin',
+    body: { trackingNumber: 'TRK-1' }
+  });
+  const unknown = await request('PATCH', `/admin/orders/${new mongoose.Types.ObjectId()}/tracking`, {
+    as: 'admin',
+    body: { trackingNumber: 'TRK-1' }
+  });
+
+  assert.strictEqual(missing.status, 400);
+  assert.strictEqual(assigned.status, 200);
+  assert.strictEqual(assigned.body.trackingNumber, 'TRK-1');
+  assert.strictEqual(update.mock.calls[1].arguments[1].trackingNumber, 'TRK-1');
+  assert.strictEqual(unknown.status, 404);
+});
+
+test('a bulk status change moves each order it can and reports the rest', async (t) => {
+  fakeServices(t);
+  const pending = placedOrder();
+  const delivered = placedOrder({ status: 'delivered' });
+  const orders = [pending, delivered];
+  t.mock.method(Order, 'findById', async (id) => orders.find(order => order._id.equals(id)) || null);
+  t.mock.method(Order, 'findOneAndUpdate', async ({ _id }) => placedOrder({ _id, status: 'confirmed' }));
+  const request = await listen(t);
+  const unknown = new mongoose.Types.ObjectId().toString();
+
+  const response = await request('POST', '/admin/orders/bulk-status', {
+    as: 'admin',
+    body: { orderIds: [String(pending._id), String(delivered._id), unknown], status: 'confirmed' }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.updated, 1);
+  assert.strictEqual(response.body.failed, 2);
+  assert.deepStrictEqual(response.body.results.map(result => result.error || result.status), [
+    'confirmed',
+    'Cannot change order status from delivered to confirmed',
+    'Order not found'
+  ]);
+
+  const tooMany = await request('POST', '/admin/orders/bulk-status', {
+    as: 'admin',
+    body: { orderIds: Array.from({ length: 101 }, () => unknown), status: 'confirmed' }
+  });
+  assert.strictEqual(tooMany.status, 400);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, users, fakeServices, listen, keepSaves, checkout } = require('./helpers');
+
+const { Cart, CartReminder, CheckoutSaga, Order, sendAbandonedCartReminders } = service;
+
+const lampId = new mongoose.Types.ObjectId().toString();
+
+function idleCart(fields = {}) {
+  return new Cart({
+    userId: users.customer.userId,
+    items: [{ productId: lampId, quantity: 3 }],
+    updatedAt: new Date(Date.now() - 48 * 60 * 60 * 1000),
+    ...fields
+  });
+}
+
+function catalog(t) {
+  return fakeServices(t, {
+    'POST /products/batch': () => ({
+      products: [{ _id: lampId, name: 'Lamp', currentPrice: 20, stock: 10 }],
+      missing: []
+    }),
+    'POST /products/[^/]+/reservations': () => ({ _id: 'hold-lamp' })
+  });
+}
+
+// `reminded` answers whether a reminder matching the query exists
+function reminders(t, { reminded = () => false, create } = {}) {
+  const exists = t.mock.method(CartReminder, 'exists', async (query) => reminded(query));
+  const created = t.mock.method(CartReminder, 'create', create || (async (fields) => new CartReminder(fields)));
+  const tagged = t.mock.method(Cart, 'updateOne', async () => {});
+  return { exists, created, tagged };
+}
+
+test('an idle cart gets a reminder, which is recorded on the cart', async (t) => {
+  const calls = catalog(t);
+  const cart = idleCart();
+  const find = t.mock.method(Cart, 'find', async () => [cart]);
+  const { created, tagged } = reminders(t);
+  t.mock.method(console, 'log', () => {});
+
+  await sendAbandonedCartReminders();
+
+  const [filter] = find.mock.calls[0].arguments;
+  assert.ok(filter.updatedAt.$lte <= new Date(Date.now() - 24 * 60 * 60 * 1000), 'idle for a day by default');
+  const reminder = created.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(
+    [reminder.cartUpdatedAt, reminder.itemCount, reminder.cartTotal],
+    [cart.updatedAt, 3, 60]
+  );
+  const [taggedCart, update] = tagged.mock.calls[0].arguments;
+  assert.deepStrictEqual(taggedCart, { _id: cart._id });
+  assert.deepStrictEqual(Object.keys(update), ['reminderId'], 'the cart stays idle');
+
+  const notice = calls.find(call => call.path === '/notifications/send');
+  assert.strictEqual(notice.body.type, 'cart_abandoned');
+  assert.strictEqual(notice.body.message, 'You left 3 items in your cart');
+});
+
+test('a cart is reminded once per idle period and a user once per cooldown', async (t) => {
+  const calls = catalog(t);
+  const alreadyReminded = idleCart();
+  const otherUser = idleCart({ userId: users.admin.userId });
+  t.mock.method(Cart, 'find', async () => [alreadyReminded, otherUser]);
+  const { exists, created } = reminders(t, {
+    reminded: (query) => (query.cartId ? query.cartId.equals(alreadyReminded._id) : String(query.userId) === users.admin.userId)
+  });
+
+  await sendAbandonedCartReminders();
+
+  assert.strictEqual(created.mock.callCount(), 0);
+  const cooldown = exists.mock.calls.map(call => call.arguments[0]).find(query => query.sentAt);
+  assert.ok(cooldown.sentAt.$gte <= new Date(Date.now() - 71 * 60 * 60 * 1000), 'a 72 hour cooldown by default');
+  assert.ok(!calls.some(call => call.path === '/notifications/send'));
+});
+
+test('a reminder claimed by a concurrent run is not sent twice', async (t) => {
+  const calls = catalog(t);
+  t.mock.method(Cart, 'find', async () => [idleCart()]);
+  const { tagged } = reminders(t, {
+    create: async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+  });
+
+  await sendAbandonedCartReminders();
+
+  assert.strictEqual(tagged.mock.callCount(), 0);
+  assert.ok(!calls.some(call => call.path === '/notifications/send'));
+});
+
+// Check out the customer's cart through POST /orders
+async function placeOrder(t, cart) {
+  catalog(t);
+  keepSaves(t, CheckoutSaga);
+  t.mock.method(Cart, 'findOne', async () => cart);
+  t.mock.method(Cart, 'deleteOne', async () => {});
+  t.mock.method(Order, 'exists', async () => false);
+  const created = t.mock.method(Order, 'create', async (order) => order);
+  t.mock.method(Order, 'findById', async () => created.mock.calls[0].arguments[0]);
+  const request = await listen(t);
+
+  const response = await request('POST', '/orders', {
+    as: 'customer',
+    body: {
+      shippingAddress: checkout().shippingAddress,
+      shippingMethod: 'standard'
+    }
+  });
+  assert.strictEqual(response.status, 201);
+  return created.mock.calls[0].arguments[0];
+}
+
+test('an order placed from a reminded cart is credited to that reminder', async (t) => {
+  const reminderId = new mongoose.Types.ObjectId();
+  const converted = t.mock.method(CartReminder, 'updateOne', async () => {});
+
+  const order = await placeOrder(t, idleCart({ reminderId }));
+
+  assert.ok(order.reminderId.equals(reminderId));
+  const [filter, update] = converted.mock.calls[0].arguments;
+  assert.ok(filter._id.equals(reminderId));
+  assert.deepStrictEqual(filter.convertedOrderId, { $exists: false }, 'a reminder converts once');
+  assert.ok(filter.sentAt.$gte <= new Date(Date.now() - 6 * 24 * 60 * 60 * 1000), 'within a week by default');
+  assert.deepStrictEqual([update.convertedOrderId, update.orderTotal], [order._id, order.totalAmount]);
+});
+
+test('an order from a cart that was never reminded credits no reminder', async (t) => {
+  const converted = t.mock.method(CartReminder, 'updateOne', async () => {});
+
+  await placeOrder(t, idleCart());
+
+  assert.strictEqual(converted.mock.callCount(), 0);
+});
+
+test('admins see how many reminders converted and what they earned', async (t) => {
+  fakeServices(t);
+  const aggregate = t.mock.method(CartReminder, 'aggregate', async () => [
+    { remindersSent: 8, conversions: 2, remindedCartValue: 400.123, convertedRevenue: 95.5 }
+  ]);
+  const request = await listen(t);
+
+  const response = await request('GET', '/admin/carts/reminders/stats?from=2026-01-01', { as: 'admin' });
+
+  assert.deepStrictEqual(response.body, {
+    remindersSent: 8,
+    conversions: 2,
+    conversionRate: 0.25,
+    remindedCartValue: 400.12,
+    convertedRevenue: 95.5
+  });
+  const [{ $match }] = aggregate.mock.calls[0].arguments[0];
+  assert.deepStrictEqual($match, { sentAt: { $gte: new Date('2026-01-01') } });
+});
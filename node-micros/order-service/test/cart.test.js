@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, users, fakeServices, listen, keepSaves } = require('./helpers');
+
+const { Cart } = service;
+
+const lampId = new mongoose.Types.ObjectId().toString();
+const deskId = new mongoose.Types.ObjectId().toString();
+const chairId = new mongoose.Types.ObjectId().toString();
+
+function product(_id, name, stock) {
+  return { _id, name, price: 20, currentPrice: 20, stock };
+}
+
+// Answer product lookups with the stock levels given
+function catalog(t, stock = { [lampId]: 5, [deskId]: 3 }) {
+  const names = { [lampId]: 'Lamp', [deskId]: 'Desk', [chairId]: 'Chair' };
+  return fakeServices(t, {
+    'GET /products/([^/]+)': (body, [, id]) => product(id, names[id], stock[id]),
+    'POST /products/batch': ({ ids }) => ({
+      products: ids.filter(id => id in stock).map(id => product(id, names[id], stock[id])),
+      missing: ids.filter(id => !(id in stock))
+    })
+  });
+}
+
+// Keep carts in memory, found by owner
+function carts(t, ...stored) {
+  keepSaves(t, Cart);
+  t.mock.method(Cart, 'findOne', async (query) => stored.find(cart =>
+    (query.userId && String(cart.userId) === String(query.userId)) ||
+    (query.cartToken && cart.cartToken === query.cartToken)
+  ) || null);
+  return t.mock.method(Cart, 'deleteOne', async () => ({ deletedCount: 1 }));
+}
+
+function guestCart(items) {
+  return new Cart({ cartToken: 'guest-token', items });
+}
+
+const asGuest = { headers: { 'X-Cart-Token': 'guest-token' } };
+
+test('a guest adding to the cart is issued a cart token', async (t) => {
+  catalog(t);
+  carts(t);
+  const request = await listen(t);
+
+  const response = await request('POST', '/cart/add', { body: { productId: lampId, quantity: 2 } });
+
+  assert.strictEqual(response.status, 200);
+  assert.ok(response.body.cartToken, 'a cart token was issued');
+  assert.strictEqual(response.body.cart.cartToken, response.body.cartToken);
+  assert.strictEqual(response.body.cart.items[0].quantity, 2);
+});
+
+test('setting a quantity checks stock and 0 removes the item', async (t) => {
+  catalog(t);
+  const cart = guestCart([{ productId: lampId, quantity: 1 }, { productId: deskId, quantity: 1 }]);
+  carts(t, cart);
+  const request = await listen(t);
+
+  const tooMany = await request('PUT', `/cart/items/${lampId}`, { ...asGuest, body: { quantity: 6 } });
+  assert.strictEqual(tooMany.status, 409);
+  assert.strictEqual(tooMany.body.error, 'Only 5 of Lamp available');
+  assert.strictEqual(tooMany.body.available, 5);
+
+  const updated = await request('PUT', `/cart/items/${lampId}`, { ...asGuest, body: { quantity: 4 } });
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual(cart.items[0].quantity, 4);
+
+  const removed = await request('PUT', `/cart/items/${deskId}`, { ...asGuest, body: { quantity: 0 } });
+  assert.strictEqual(removed.status, 200);
+  assert.deepStrictEqual(cart.items.map(item => String(item.productId)), [lampId]);
+
+  const negative = await request('PUT', `/cart/items/${lampId}`, { ...asGuest, body: { quantity: -1 } });
+  assert.strictEqual(negative.status, 400);
+});
+
+test('removing an item that is not in the cart is a 404', async (t) => {
+  catalog(t);
+  const cart = guestCart([{ productId: lampId, quantity: 1 }]);
+  carts(t, cart);
+  const request = await listen(t);
+
+  const missing = await request('DELETE', `/cart/items/${deskId}`, asGuest);
+  assert.strictEqual(missing.status, 404);
+
+  const removed = await request('DELETE', `/cart/items/${lampId}`, asGuest);
+  assert.strictEqual(removed.status, 200);
+  assert.strictEqual(cart.items.length, 0);
+});
+
+test('clearing the cart deletes only the caller\'s cart', async (t) => {
+  catalog(t);
+  const deleted = carts(t);
+  const request = await listen(t);
+
+  const response = await request('DELETE', '/cart', { as: 'customer' });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(deleted.mock.calls[0].arguments[0], { userId: users.customer.userId });
+});
+
+test('merging a guest cart adds its quantities to the user\'s cart up to the stock', async (t) => {
+  catalog(t);
+  const guest = guestCart([
+    { productId: lampId, quantity: 2 },
+    { productId: deskId, quantity: 2 },
+    { productId: chairId, quantity: 1 }
+  ]);
+  const own = new Cart({ userId: users.customer.userId, items: [{ productId: deskId, quantity: 2 }] });
+  const deleted = carts(t, guest, own);
+  const request = await listen(t);
+
+  const response = await request('POST', '/cart/merge', { as: 'customer', body: { cartToken: 'guest-token' } });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(
+    own.items.map(item => [String(item.productId), item.quantity]),
+    [[deskId, 3], [lampId, 2]]
+  );
+  assert.deepStrictEqual(response.body.adjustments, [
+    { productId: deskId, name: 'Desk', requested: 4, quantity: 3, issue: 'insufficient_stock' },
+    { productId: chairId, issue: 'unavailable' }
+  ]);
+  assert.deepStrictEqual(deleted.mock.calls[0].arguments[0], { _id: guest._id });
+});
+
+test('merging needs the guest cart token', async (t) => {
+  catalog(t);
+  carts(t);
+  const request = await listen(t);
+
+  const response = await request('POST', '/cart/merge', { as: 'customer', body: {} });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error, 'cartToken is required');
+});
+
+test('cart lines cost the price in force now, sale included', async (t) => {
+  fakeServices(t, {
+    'POST /products/batch': () => ({
+      products: [{ _id: lampId, name: 'Lamp', price: 20, currentPrice: 15, originalPrice: 20, stock: 5 }],
+      missing: []
+    })
+  });
+  carts(t, guestCart([{ productId: lampId, quantity: 2 }]));
+  const request = await listen(t);
+
+  const response = await request('GET', '/cart', asGuest);
+
+  assert.deepStrictEqual([response.body.items[0].price, response.body.items[0].subtotal], [15, 30]);
+  assert.strictEqual(response.body.total, 30);
+});
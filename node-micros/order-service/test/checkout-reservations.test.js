@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { service, serviceError, fakeServices, keepSaves, checkout } = require('./helpers');
+
+const { CheckoutSaga, Order, Cart, PromotionRedemption, runCheckoutSaga } = service;
+
+// A checkout that holds stock for both lines and is about to create its order
+function heldCheckout() {
+  const saga = checkout({ reserveStock: 'completed', redeemCoupons: 'completed' });
+  const [lamp, desk] = saga.items;
+  saga.reservedStock.push(
+    { productId: lamp.productId, quantity: 1, reservationId: 'hold-lamp' },
+    { productId: desk.productId, quantity: 2, reservationId: 'hold-desk' }
+  );
+  return saga;
+}
+
+test('checkout reserves each line for the order it is placing', async (t) => {
+  keepSaves(t, CheckoutSaga);
+  const saga = checkout({ createOrder: 'completed', clearCart: 'completed', notify: 'completed' });
+  const calls = fakeServices(t, {
+    'POST /products/[^/]+/reservations': () => ({ _id: 'hold' })
+  });
+
+  await runCheckoutSaga(saga);
+
+  const reservations = calls.filter(call => call.path.endsWith('/reservations'));
+  assert.deepStrictEqual(reservations.map(call => call.body), [
+    { quantity: 1, sku: undefined, referenceType: 'order', referenceId: saga.orderId },
+    { quantity: 2, sku: undefined, referenceType: 'order', referenceId: saga.orderId }
+  ]);
+  assert.ok(reservations.every(call => call.config.headers['X-Internal-Token']));
+});
+
+test('the holds are confirmed once the order exists', async (t) => {
+  keepSaves(t, CheckoutSaga);
+  const saga = heldCheckout();
+  t.mock.method(Order, 'exists', async () => null);
+  const created = t.mock.method(Order, 'create', async () => {});
+  t.mock.method(Cart, 'deleteOne', async () => {});
+  const calls = fakeServices(t);
+
+  await runCheckoutSaga(saga);
+
+  assert.strictEqual(created.mock.calls[0].arguments[0]._id, saga.orderId);
+  const confirms = calls.filter(call => call.path.endsWith('/confirm'));
+  assert.deepStrictEqual(confirms.map(call => call.path), [
+    '/reservations/hold-lamp/confirm',
+    '/reservations/hold-desk/confirm'
+  ]);
+  assert.strictEqual(saga.status, 'completed');
+});
+
+test('a resumed checkout confirms its holds without writing the order twice', async (t) => {
+  keepSaves(t, CheckoutSaga);
+  const saga = heldCheckout();
+  t.mock.method(Order, 'exists', async () => ({ _id: saga.orderId }));
+  const created = t.mock.method(Order, 'create', async () => {});
+  t.mock.method(Cart, 'deleteOne', async () => {});
+  const calls = fakeServices(t);
+
+  await runCheckoutSaga(saga);
+
+  assert.strictEqual(created.mock.callCount(), 0);
+  assert.strictEqual(calls.filter(call => call.path.endsWith('/confirm')).length, 2);
+});
+
+test('a hold that can no longer be confirmed undoes the order and every hold', async (t) => {
+  keepSaves(t, CheckoutSaga);
+  const saga = heldCheckout();
+  t.mock.method(Order, 'exists', async () => null);
+  t.mock.method(Order, 'create', async () => {});
+  const removed = t.mock.method(Order, 'deleteOne', async () => {});
+  t.mock.method(PromotionRedemption, 'deleteMany', async () => {});
+  const calls = fakeServices(t, {
+    'POST /reservations/hold-desk/confirm': () => {
+      throw serviceError(409, 'Reservation is expired');
+    }
+  });
+
+  await assert.rejects(runCheckoutSaga(saga), (error) => {
+    assert.strictEqual(error.status, 409);
+    assert.match(error.message, /Could not confirm stock .*Reservation is expired/);
+    return true;
+  });
+
+  assert.deepStrictEqual(removed.mock.calls[0].arguments[0], { _id: saga.orderId });
+  // Releasing by order also returns the lamp, which was already confirmed
+  const release = calls.find(call => call.path === '/reservations/release');
+  assert.deepStrictEqual(release.body, { referenceType: 'order', referenceId: saga.orderId });
+  assert.strictEqual(saga.status, 'compensated');
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { service, serviceError, fakeServices, keepSaves, checkout } = require('./helpers');
+
+const { CheckoutSaga, Order, Cart, runCheckoutSaga, recoverCheckoutSagas } = service;
+
+function stepStatus(saga, name) {
+  return saga.steps.find(step => step.name === name).status;
+}
+
+test('a failed step rolls back the steps before it and stops the checkout', async (t) => {
+  keepSaves(t, CheckoutSaga);
+  const created = t.mock.method(Order, 'create', async () => {});
+  const saga = checkout();
+  const [lamp, desk] = saga.items;
+
+  const calls = fakeServices(t, {
+    [`POST /products/${lamp.productId}/reservations`]: () => ({ _id: 'hold-lamp' }),
+    [`POST /products/${desk.productId}/reservations`]: () => {
+      throw serviceError(409, 'Insufficient stock');
+    }
+  });
+
+  await assert.rejects(runCheckoutSaga(saga), (error) => {
+    assert.strictEqual(error.status, 400);
+    assert.match(error.message, /Could not reserve stock for Desk: Insufficient stock/);
+    return true;
+  });
+
+  const release = calls.find(call => call.path === '/reservations/release');
+  assert.deepStrictEqual(release.body, { referenceType: 'order', referenceId: saga.orderId });
+  assert.strictEqual(saga.reservedStock.length, 0);
+  assert.strictEqual(stepStatus(saga, 'reserveStock'), 'compensated');
+  assert.strictEqual(stepStatus(saga, 'createOrder'), 'pending');
+  assert.strictEqual(saga.status, 'compensated');
+  assert.strictEqual(created.mock.callCount(), 0);
+});
+
+test('each hold is recorded on the checkout before product-service is asked for it', async (t) => {
+  const saved = [];
+  t.mock.method(CheckoutSaga.prototype, 'save', async function () {
+    saved.push(this.reservedStock.map(entry => entry.reservationId || null));
+    return this;
+  });
+  const saga = checkout({ createOrder: 'completed', clearCart: 'completed', notify: 'completed' });
+  const [lamp] = saga.items;
+
+  let recordedWhenAsked;
+  fakeServices(t, {
+    'POST /products/[^/]+/reservations': (body) => {
+      recordedWhenAsked = saga.reservedStock.find(entry => entry.productId.equals(lamp.productId));
+      return { _id: `hold-${body.quantity}` };
+    }
+  });
+
+  await runCheckoutSaga(saga);
+
+  assert.ok(recordedWhenAsked, 'the lamp line was recorded before the request');
+  assert.ok(saved.some(ids => ids.length === 1 && ids[0] === null), 'the intent was saved');
+  assert.deepStrictEqual(saga.reservedStock.map(entry => entry.reservationId), ['hold-1', 'hold-2']);
+});
+
+test('a resumed reservation step asks again only for lines without a hold', async (t) => {
+  keepSaves(t, CheckoutSaga);
+  const saga = checkout({ createOrder: 'completed', clearCart: 'completed', notify: 'completed' });
+  const [lamp, desk] = saga.items;
+  saga.reservedStock.push(
+    { productId: lamp.productId, quantity: 1, reservationId: 'hold-lamp' },
+    { productId: desk.productId, quantity: 2 }
+  );
+
+  const calls = fakeServices(t, {
+    'POST /products/[^/]+/reservations': () => ({ _id: 'hold-desk' })
+  });
+
+  await runCheckoutSaga(saga);
+
+  const reservations = calls.filter(call => call.path.endsWith('/reservations'));
+  assert.deepStrictEqual(reservations.map(call => call.path), [`/products/${desk.productId}/reservations`]);
+  assert.strictEqual(saga.reservedStock.length, 2);
+  assert.strictEqual(saga.reservedStock[1].reservationId, 'hold-desk');
+});
+
+test('recovery rolls back a checkout interrupted before its order was written', async (t) => {
+  keepSaves(t, CheckoutSaga);
+  const saga = checkout({ reserveStock: 'running' });
+  saga.reservedStock.push({ productId: saga.items[0].productId, quantity: 1 });
+  t.mock.method(CheckoutSaga, 'find', async () => [saga]);
+
+  const calls = fakeServices(t);
+  await recoverCheckoutSagas();
+
+  // The hold's id was never recorded, so it is released by order
+  const release = calls.find(call => call.path === '/reservations/release');
+  assert.deepStrictEqual(release.body, { referenceType: 'order', referenceId: saga.orderId });
+  assert.strictEqual(stepStatus(saga, 'reserveStock'), 'compensated');
+  assert.strictEqual(saga.status, 'compensated');
+});
+
+test('recovery finishes a checkout whose order was already written', async (t) => {
+  keepSaves(t, CheckoutSaga);
+  const saga = checkout({ reserveStock: 'completed', redeemCoupons: 'completed', createOrder: 'completed' });
+  t.mock.method(CheckoutSaga, 'find', async () => [saga]);
+  const clearedCart = t.mock.method(Cart, 'deleteOne', async () => {});
+
+  const calls = fakeServices(t);
+  await recoverCheckoutSagas();
+
+  assert.strictEqual(clearedCart.mock.callCount(), 1);
+  assert.ok(calls.some(call => call.path === '/notifications/send' && call.body.type === 'order_created'));
+  assert.ok(!calls.some(call => call.path === '/reservations/release'));
+  assert.strictEqual(saga.status, 'completed');
+});
+
+test('a checkout whose compensation fails is left to be retried', async (t) => {
+  keepSaves(t, CheckoutSaga);
+  const saga = checkout({ reserveStock: 'running' });
+  saga.reservedStock.push({ productId: saga.items[0].productId, quantity: 1 });
+  t.mock.method(CheckoutSaga, 'find', async () => [saga]);
+  t.mock.method(console, 'error', () => {});
+
+  fakeServices(t, {
+    'POST /reservations/release': () => {
+      throw serviceError(503, 'Service unavailable');
+    }
+  });
+  await recoverCheckoutSagas();
+
+  assert.strictEqual(saga.status, 'compensating');
+  assert.strictEqual(stepStatus(saga, 'reserveStock'), 'running');
+  assert.strictEqual(saga.reservedStock.length, 1);
+});
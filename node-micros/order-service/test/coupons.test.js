@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, users, fakeServices, listen, keepSaves, checkout } = require('./helpers');
+
+const { Cart, CheckoutSaga, Promotion, PromotionRedemption, runCheckoutSaga } = service;
+
+const lampId = new mongoose.Types.ObjectId().toString();
+const deskId = new mongoose.Types.ObjectId().toString();
+
+// A signed-in customer's cart of a lamp (Lighting) and two desks (Furniture)
+function cartWithCoupons(t, promotions, couponCodes = []) {
+  const cart = new Cart({
+    userId: users.customer.userId,
+    items: [{ productId: lampId, quantity: 1 }, { productId: deskId, quantity: 2 }],
+    couponCodes
+  });
+  keepSaves(t, Cart);
+  t.mock.method(Cart, 'findOne', async () => cart);
+  t.mock.method(Promotion, 'find', async ({ code }) => promotions.filter(promotion => code.$in.includes(promotion.code)));
+  t.mock.method(PromotionRedemption, 'countDocuments', async () => 0);
+  fakeServices(t, {
+    'POST /products/batch': () => ({
+      products: [
+        { _id: lampId, name: 'Lamp', category: 'Lighting', currentPrice: 20, stock: 5 },
+        { _id: deskId, name: 'Desk', category: 'Furniture', currentPrice: 150, stock: 5 }
+      ],
+      missing: []
+    })
+  });
+  return cart;
+}
+
+function promotion(fields) {
+  return new Promotion({ type: 'percentage', value: 10, ...fields });
+}
+
+test('a scoped coupon discounts only the lines it applies to, itemised on the cart', async (t) => {
+  const cart = cartWithCoupons(t, [promotion({ code: 'LIGHT25', value: 25, scope: { categories: ['Lighting'] } })]);
+  const request = await listen(t);
+
+  const response = await request('POST', '/cart/coupons', { as: 'customer', body: { code: 'light25' } });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(cart.couponCodes, ['LIGHT25']);
+  assert.strictEqual(response.body.subtotal, 320);
+  assert.deepStrictEqual(response.body.discounts.map(({ code, amount }) => ({ code, amount })), [{ code: 'LIGHT25', amount: 5 }]);
+  assert.deepStrictEqual(response.body.items.map(item => item.discount), [5, 0]);
+  assert.strictEqual(response.body.total, 315);
+});
+
+test('a fixed coupon never takes the total below zero', async (t) => {
+  cartWithCoupons(t, [
+    promotion({ code: 'HALF', value: 50 }),
+    promotion({ code: 'BIGFIXED', type: 'fixed', value: 500 })
+  ], ['HALF', 'BIGFIXED']);
+  const request = await listen(t);
+
+  const response = await request('GET', '/cart', { as: 'customer' });
+
+  assert.deepStrictEqual(response.body.discounts.map(discount => discount.amount), [160, 160]);
+  assert.strictEqual(response.body.total, 0);
+});
+
+test('a coupon outside its rules is refused with the reason', async (t) => {
+  cartWithCoupons(t, [
+    promotion({ code: 'BIGSPEND', minSpend: 500 }),
+    promotion({ code: 'OLD', validUntil: new Date(Date.now() - 60000) }),
+    promotion({ code: 'GONE', usageLimit: 10, usageCount: 10 }),
+    promotion({ code: 'DESKONLY', scope: { productIds: [new mongoose.Types.ObjectId()] } })
+  ]);
+  const request = await listen(t);
+
+  const refusals = {};
+  for (let code of ['BIGSPEND', 'OLD', 'GONE', 'DESKONLY', 'NOSUCH']) {
+    const response = await request('POST', '/cart/coupons', { as: 'customer', body: { code } });
+    assert.strictEqual(response.status, 400);
+    refusals[code] = response.body.error.replace(`Coupon ${code} cannot be applied: `, '');
+  }
+
+  assert.deepStrictEqual(refusals, {
+    BIGSPEND: 'A minimum spend of 500 is required',
+    OLD: 'Coupon has expired',
+    GONE: 'Coupon has reached its usage limit',
+    DESKONLY: 'No items in the cart qualify for this coupon',
+    NOSUCH: 'Coupon not found'
+  });
+});
+
+// A checkout whose stock is reserved, using the given coupon
+function couponCheckout(coupon) {
+  const saga = checkout({ reserveStock: 'completed' });
+  for (let item of saga.items) {
+    saga.reservedStock.push({ productId: item.productId, quantity: item.quantity, reservationId: `hold-${item.name}` });
+  }
+  saga.discounts.push({ promotionId: coupon._id, code: coupon.code, amount: 32 });
+  return saga;
+}
+
+test('checking out takes one of the customer\'s uses of a coupon, then a global one', async (t) => {
+  keepSaves(t, CheckoutSaga);
+  t.mock.method(service.Order, 'exists', async () => true);
+  t.mock.method(Cart, 'deleteOne', async () => {});
+  const coupon = promotion({ code: 'TWICE', perUserLimit: 2, usageLimit: 100 });
+  const saga = couponCheckout(coupon);
+  t.mock.method(PromotionRedemption, 'findOne', async () => null);
+  t.mock.method(Promotion, 'findById', () => ({ select: async () => coupon }));
+  const taken = new Set([1]);
+  const claims = t.mock.method(PromotionRedemption, 'create', async (redemption) => {
+    if (taken.has(redemption.slot)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    return { _id: new mongoose.Types.ObjectId(), ...redemption };
+  });
+  const counted = t.mock.method(Promotion, 'findOneAndUpdate', async () => coupon);
+  fakeServices(t);
+
+  await runCheckoutSaga(saga);
+
+  assert.deepStrictEqual(claims.mock.calls.map(call => call.arguments[0].slot), [1, 2]);
+  const [filter, update] = counted.mock.calls[0].arguments;
+  assert.ok(filter.$or, 'the global use is conditional on the usage limit');
+  assert.deepStrictEqual(update, { $inc: { usageCount: 1 } });
+  assert.deepStrictEqual(saga.redeemedPromotions.map(String), [String(coupon._id)]);
+});
+
+test('a coupon whose uses ran out during checkout stops it and gives back the claimed use', async (t) => {
+  keepSaves(t, CheckoutSaga);
+  t.mock.method(console, 'error', () => {});
+  const coupon = promotion({ code: 'LAST', usageLimit: 1 });
+  const saga = couponCheckout(coupon);
+  const claimed = { _id: new mongoose.Types.ObjectId() };
+  t.mock.method(PromotionRedemption, 'findOne', async () => null);
+  t.mock.method(Promotion, 'findById', () => ({ select: async () => coupon }));
+  t.mock.method(PromotionRedemption, 'create', async () => claimed);
+  t.mock.method(Promotion, 'findOneAndUpdate', async () => null);
+  const returned = t.mock.method(PromotionRedemption, 'deleteOne', async () => {});
+  const cleared = t.mock.method(PromotionRedemption, 'deleteMany', async () => {});
+  const uncounted = t.mock.method(Promotion, 'updateOne', async () => {});
+  const calls = fakeServices(t);
+
+  await assert.rejects(runCheckoutSaga(saga), /Coupon LAST has reached its usage limit/);
+
+  assert.deepStrictEqual(returned.mock.calls[0].arguments[0], { _id: claimed._id });
+  assert.deepStrictEqual(cleared.mock.calls[0].arguments[0], { checkoutId: saga._id });
+  assert.strictEqual(uncounted.mock.callCount(), 0, 'the global count was never taken');
+  assert.ok(calls.some(call => call.path === '/reservations/release'));
+  assert.strictEqual(saga.status, 'compensated');
+});
+
+test('rolling back a checkout returns the coupon uses it took', async (t) => {
+  keepSaves(t, CheckoutSaga);
+  t.mock.method(console, 'error', () => {});
+  const coupon = promotion({ code: 'ONCE' });
+  const saga = couponCheckout(coupon);
+  saga.steps.find(step => step.name === 'redeemCoupons').status = 'completed';
+  saga.redeemedPromotions.push(coupon._id);
+  t.mock.method(service.Order, 'exists', async () => false);
+  t.mock.method(service.Order, 'create', async () => {
+    throw new Error('write failed');
+  });
+  t.mock.method(service.Order, 'deleteOne', async () => {});
+  const returned = t.mock.method(PromotionRedemption, 'deleteOne', async () => {});
+  t.mock.method(PromotionRedemption, 'deleteMany', async () => {});
+  const uncounted = t.mock.method(Promotion, 'updateOne', async () => {});
+  fakeServices(t);
+
+  await assert.rejects(runCheckoutSaga(saga), /write failed/);
+
+  assert.deepStrictEqual(returned.mock.calls[0].arguments[0], { promotionId: coupon._id, checkoutId: saga._id });
+  assert.deepStrictEqual(uncounted.mock.calls[0].arguments, [{ _id: coupon._id }, { $inc: { usageCount: -1 } }]);
+  assert.strictEqual(saga.redeemedPromotions.length, 0);
+});
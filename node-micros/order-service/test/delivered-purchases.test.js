@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, users, fakeServices, listen, placedOrder } = require('./helpers');
+
+const { Order } = service;
+
+// A mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+test('product-service learns whether a customer received a product, and from which order', async (t) => {
+  fakeServices(t);
+  const delivered = placedOrder({ status: 'delivered' });
+  const find = t.mock.method(Order, 'findOne', (filter) => query(
+    String(filter['items.productId']) === String(delivered.items[0].productId) ? delivered : null
+  ));
+  const request = await listen(t);
+  const path = (productId) => `/internal/users/${users.customer.userId}/delivered-purchases/${productId}`;
+
+  const outsider = await request('GET', path(delivered.items[0].productId));
+  const received = await request('GET', path(delivered.items[0].productId), { internal: true });
+  const other = await request('GET', path(new mongoose.Types.ObjectId()), { internal: true });
+
+  assert.strictEqual(outsider.status, 403);
+  assert.deepStrictEqual(received.body, { purchased: true, orderId: String(delivered._id) });
+  assert.deepStrictEqual(other.body, { purchased: false });
+  const [filter] = find.mock.calls[0].arguments;
+  assert.deepStrictEqual([filter.userId, filter.status], [users.customer.userId, 'delivered']);
+});
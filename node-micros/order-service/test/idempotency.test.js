@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, users, fakeServices, listen, placedOrder } = require('./helpers');
+
+const { Order } = service;
+const { IdempotencyKey } = mongoose.models;
+
+const card = { paymentMethod: { type: 'card' } };
+
+// Resolves with the arguments of the next call to a model method. Keys are
+// settled once the response has gone out, which can be after the client
+// has read it.
+function nextCall(t, model, method, result) {
+  return new Promise((resolve) => {
+    t.mock.method(model, method, async (...args) => {
+      resolve(args);
+      return result;
+    });
+  });
+}
+
+// Pay for an order through POST /orders/:id/pay, which payment-service
+// approves
+function payableOrder(t) {
+  const order = placedOrder();
+  const claim = t.mock.method(Order, 'findOneAndUpdate', async () => placedOrder({ _id: order._id, paymentStatus: 'processing' }));
+  t.mock.method(Order, 'findById', async () => placedOrder({ _id: order._id, paymentStatus: 'completed' }));
+  fakeServices(t, {
+    'POST /payments/process': () => ({ success: true, paymentId: 'payment-1' })
+  });
+  return { order, claim };
+}
+
+function duplicateKey() {
+  return Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+}
+
+test('the first request with a key stores its response for the user', async (t) => {
+  const { order } = payableOrder(t);
+  const created = t.mock.method(IdempotencyKey, 'create', async (fields) => new IdempotencyKey(fields));
+  const settled = nextCall(t, IdempotencyKey, 'updateOne');
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${order._id}/pay`, {
+    as: 'customer',
+    body: card,
+    headers: { 'Idempotency-Key': 'pay-1' }
+  });
+  const [held, update] = await settled;
+
+  assert.strictEqual(response.status, 200);
+  const key = created.mock.calls[0].arguments[0];
+  assert.strictEqual(key.key, 'pay-1');
+  assert.strictEqual(key.scope, `${users.customer.userId} POST /orders/${order._id}/pay`);
+  assert.ok(key.expiresAt > new Date(Date.now() + 23 * 60 * 60 * 1000), 'kept for a day by default');
+  assert.deepStrictEqual(Object.keys(held), ['_id', 'lockedAt']);
+  assert.strictEqual(update.status, 'completed');
+  assert.strictEqual(update.responseStatus, 200);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(update.responseBody)), response.body);
+});
+
+test('a retry with the same key and body gets the stored response back', async (t) => {
+  const { order, claim } = payableOrder(t);
+  const stored = new IdempotencyKey({ key: 'pay-1', scope: 'scope', expiresAt: new Date() });
+  t.mock.method(IdempotencyKey, 'create', async (fields) => {
+    stored.requestHash = fields.requestHash;
+    stored.status = 'completed';
+    stored.responseStatus = 200;
+    stored.responseBody = { payment: { success: true, paymentId: 'payment-1' } };
+    throw duplicateKey();
+  });
+  t.mock.method(IdempotencyKey, 'findOne', async () => stored);
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${order._id}/pay`, {
+    as: 'customer',
+    body: card,
+    headers: { 'Idempotency-Key': 'pay-1' }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('idempotent-replayed'), 'true');
+  assert.deepStrictEqual(response.body, stored.responseBody);
+  assert.strictEqual(claim.mock.callCount(), 0, 'the order was not paid again');
+});
+
+test('a key reused with a different body is refused', async (t) => {
+  const { order, claim } = payableOrder(t);
+  const stored = new IdempotencyKey({ key: 'pay-1', scope: 'scope', requestHash: 'other', status: 'completed', expiresAt: new Date() });
+  t.mock.method(IdempotencyKey, 'create', async () => {
+    throw duplicateKey();
+  });
+  t.mock.method(IdempotencyKey, 'findOne', async () => stored);
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${order._id}/pay`, {
+    as: 'customer',
+    body: { paymentMethod: { type: 'paypal' } },
+    headers: { 'Idempotency-Key': 'pay-1' }
+  });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(response.body.error, 'Idempotency-Key was already used with a different payload');
+  assert.strictEqual(claim.mock.callCount(), 0);
+});
+
+test('a key still held by a live request is refused, and one whose lease ran out is taken over', async (t) => {
+  const { order, claim } = payableOrder(t);
+  const inProgress = new IdempotencyKey({ key: 'pay-1', scope: 'scope', expiresAt: new Date() });
+  t.mock.method(IdempotencyKey, 'create', async (fields) => {
+    inProgress.requestHash = fields.requestHash;
+    throw duplicateKey();
+  });
+  t.mock.method(IdempotencyKey, 'findOne', async () => inProgress);
+  let lease = null;
+  const takeOver = t.mock.method(IdempotencyKey, 'findOneAndUpdate', async () => lease);
+  t.mock.method(IdempotencyKey, 'updateOne', async () => {});
+  const request = await listen(t);
+  const retry = () => request('POST', `/orders/${order._id}/pay`, {
+    as: 'customer',
+    body: card,
+    headers: { 'Idempotency-Key': 'pay-1' }
+  });
+
+  const live = await retry();
+  assert.strictEqual(live.status, 409);
+  assert.strictEqual(live.body.error, 'A request with this Idempotency-Key is still in progress');
+  assert.strictEqual(claim.mock.callCount(), 0);
+
+  const [filter] = takeOver.mock.calls[0].arguments;
+  assert.strictEqual(filter.status, 'processing');
+  assert.ok(filter.lockedAt.$lt < new Date(Date.now() - 59 * 1000), 'only a key locked over a minute ago');
+
+  lease = new IdempotencyKey({ ...inProgress.toObject(), lockedAt: new Date() });
+  const stale = await retry();
+  assert.strictEqual(stale.status, 200);
+  assert.strictEqual(claim.mock.callCount(), 1);
+});
+
+test('a request that fails with a server error gives its key back', async (t) => {
+  fakeServices(t);
+  const order = placedOrder();
+  t.mock.method(Order, 'findOneAndUpdate', async () => {
+    throw new Error('connection lost');
+  });
+  t.mock.method(IdempotencyKey, 'create', async (fields) => new IdempotencyKey(fields));
+  const released = nextCall(t, IdempotencyKey, 'deleteOne');
+  const stored = t.mock.method(IdempotencyKey, 'updateOne', async () => {});
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${order._id}/pay`, {
+    as: 'customer',
+    body: card,
+    headers: { 'Idempotency-Key': 'pay-1' }
+  });
+  const [held] = await released;
+
+  assert.strictEqual(response.status, 500);
+  assert.ok(held._id && held.lockedAt, 'only the holder of the key releases it');
+  assert.strictEqual(stored.mock.callCount(), 0);
+});
+
+test('requests without a key are not tracked, and oversized keys are refused', async (t) => {
+  const { order, claim } = payableOrder(t);
+  const created = t.mock.method(IdempotencyKey, 'create', async () => {});
+  const request = await listen(t);
+
+  const plain = await request('POST', `/orders/${order._id}/pay`, { as: 'customer', body: card });
+  const oversized = await request('POST', `/orders/${order._id}/pay`, {
+    as: 'customer',
+    body: card,
+    headers: { 'Idempotency-Key': 'k'.repeat(256) }
+  });
+
+  assert.strictEqual(plain.status, 200);
+  assert.strictEqual(oversized.status, 400);
+  assert.strictEqual(created.mock.callCount(), 0);
+  assert.strictEqual(claim.mock.callCount(), 1);
+});
@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { service, fakeServices, listen, keepSaves, placedOrder } = require('./helpers');
+const { renderHtml } = require('../invoices');
+
+const { Order, Invoice } = service;
+
+// A mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+function duplicate(keyPattern) {
+  return Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+}
+
+// Keep invoices and credit notes in memory, with the unique indexes on
+// number, the order's invoice and refundId
+function invoiceStore(t, stored = []) {
+  const matches = (filter) => (document) => Object.entries(filter).every(([path, value]) => {
+    if (path === 'sequence') return document.sequence != null;
+    const actual = path.split('.').reduce((object, key) => object?.[key], document);
+    return String(actual) === String(value);
+  });
+
+  t.mock.method(Invoice, 'findOne', (filter) => {
+    const found = stored.filter(matches(filter));
+    return query(filter.sequence
+      ? found.sort((a, b) => b.sequence - a.sequence)[0] || null
+      : found[0] || null);
+  });
+  t.mock.method(Invoice, 'find', (filter) => query(stored.filter(matches(filter))));
+  t.mock.method(Invoice, 'create', async (fields) => {
+    const document = new Invoice(fields);
+    if (stored.some(other => other.number === document.number)) throw duplicate({ number: 1 });
+    if (document.type === 'invoice' && stored.some(other => other.type === 'invoice' && other.orderId.equals(document.orderId))) {
+      throw duplicate({ orderId: 1 });
+    }
+    if (document.refund?.refundId && stored.some(other => other.refund?.refundId === document.refund.refundId)) {
+      throw duplicate({ 'refund.refundId': 1 });
+    }
+    stored.push(document);
+    return document;
+  });
+  return stored;
+}
+
+function paidOrder(fields) {
+  return placedOrder({
+    paymentId: 'payment-1',
+    paymentStatus: 'completed',
+    shippingAddress: { name: 'Ana <Lopez>', street: '1 Main St', city: 'Springfield', zipCode: '12345', country: 'US' },
+    priceBreakdown: { currency: 'USD', subtotal: 320, discount: 0, shipping: 0, tax: 22.4, taxRate: 0.07 },
+    totalAmount: 342.4,
+    ...fields
+  });
+}
+
+test('invoices are numbered after the last one issued', async (t) => {
+  const stored = invoiceStore(t, [new Invoice({ type: 'invoice', number: 'INV-000041', sequence: 41, orderId: paidOrder()._id, userId: paidOrder().userId })]);
+  const order = paidOrder();
+  t.mock.method(Order, 'findOne', async () => order);
+  fakeServices(t, {
+    'GET /payments/payment-1': () => ({ transactionId: 'txn_1' })
+  });
+  const request = await listen(t);
+
+  const response = await request('GET', `/orders/${order._id}/invoice?format=json`, { as: 'customer' });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.number, 'INV-000042');
+  assert.strictEqual(response.body.paymentReference, 'txn_1');
+  assert.deepStrictEqual(response.body.lines.map(line => [line.description, line.quantity, line.amount]), [
+    ['Lamp', 1, 20],
+    ['Desk', 2, 300]
+  ]);
+  assert.deepStrictEqual(response.body.totals, { subtotal: 320, discount: 0, shipping: 0, tax: 22.4, taxRate: 0.07, total: 342.4 });
+
+  const again = await request('GET', `/orders/${order._id}/invoice?format=json`, { as: 'customer' });
+  assert.strictEqual(again.body.number, 'INV-000042', 'an order is invoiced once');
+  assert.strictEqual(stored.length, 2);
+});
+
+test('an invoice that loses the race for a number takes the next one', async (t) => {
+  const stored = invoiceStore(t);
+  const order = paidOrder();
+  t.mock.method(Order, 'findOne', async () => order);
+  fakeServices(t);
+  // Another order's invoice takes INV-000001 between the lookup and the insert
+  const create = Invoice.create;
+  let raced = false;
+  t.mock.method(Invoice, 'create', async (fields) => {
+    if (!raced) {
+      raced = true;
+      await create({ ...fields, orderId: paidOrder()._id });
+    }
+    return create(fields);
+  });
+  const request = await listen(t);
+
+  const response = await request('GET', `/orders/${order._id}/invoice?format=json`, { as: 'customer' });
+
+  assert.strictEqual(response.body.number, 'INV-000002');
+  assert.deepStrictEqual(stored.map(document => document.number), ['INV-000001', 'INV-000002']);
+});
+
+test('an invoice is only available for a paid order of the customer\'s', async (t) => {
+  invoiceStore(t);
+  const unpaid = paidOrder({ paymentStatus: 'pending' });
+  const findOrder = t.mock.method(Order, 'findOne', async ({ _id }) => (String(_id) === String(unpaid._id) ? unpaid : null));
+  fakeServices(t);
+  const request = await listen(t);
+
+  const response = await request('GET', `/orders/${unpaid._id}/invoice`, { as: 'customer' });
+  assert.strictEqual(response.status, 409);
+
+  await request('GET', `/orders/${unpaid._id}/invoice`, { as: 'admin' });
+  const [customerQuery, adminQuery] = findOrder.mock.calls.map(call => call.arguments[0]);
+  assert.ok(customerQuery.userId, 'customers only see their own orders');
+  assert.strictEqual(adminQuery.userId, undefined);
+});
+
+test('a refund reported by payment-service issues a numbered credit note, once', async (t) => {
+  keepSaves(t, Order);
+  const stored = invoiceStore(t, [new Invoice({ type: 'credit_note', number: 'CN-000007', sequence: 7, orderId: paidOrder()._id, userId: paidOrder().userId })]);
+  const order = paidOrder();
+  t.mock.method(Order, 'findById', async () => order);
+  fakeServices(t);
+  const request = await listen(t);
+  const refund = { paymentId: 'payment-1', refundId: 'rf_1', amount: 40, reason: 'Return', totalRefunded: 40, paymentStatus: 'completed' };
+
+  const first = await request('POST', `/internal/orders/${order._id}/refunds`, { body: refund, internal: true });
+  const repeated = await request('POST', `/internal/orders/${order._id}/refunds`, { body: refund, internal: true });
+
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(first.body.number, 'CN-000008');
+  assert.strictEqual(first.body.relatedInvoiceNumber, 'INV-000001');
+  assert.deepStrictEqual(first.body.totals, { total: 40 });
+  assert.strictEqual(repeated.body.number, 'CN-000008');
+  assert.deepStrictEqual(stored.map(document => document.number), ['CN-000007', 'INV-000001', 'CN-000008']);
+  assert.strictEqual(order.refundedAmount, 40);
+});
+
+test('an invoice renders as PDF, and refuses unknown formats', async (t) => {
+  invoiceStore(t);
+  const order = paidOrder();
+  t.mock.method(Order, 'findOne', async () => order);
+  fakeServices(t);
+  const request = await listen(t);
+
+  const pdf = await request('GET', `/orders/${order._id}/invoice?format=pdf`, { as: 'customer' });
+  const unknown = await request('GET', `/orders/${order._id}/invoice?format=docx`, { as: 'customer' });
+
+  assert.strictEqual(pdf.headers.get('content-type'), 'application/pdf');
+  assert.strictEqual(pdf.headers.get('content-disposition'), 'inline; filename="INV-000001.pdf"');
+  assert.ok(pdf.text.startsWith('%PDF'));
+  assert.strictEqual(unknown.status, 400);
+});
+
+test('an invoice\'s HTML escapes customer text and nets off its credit notes', () => {
+  const invoice = new Invoice({
+    type: 'invoice',
+    number: 'INV-000001',
+    orderId: paidOrder()._id,
+    userId: paidOrder().userId,
+    shippingAddress: { name: 'Ana <Lopez>' },
+    lines: [{ description: 'Lamp <b>', quantity: 1, unitPrice: 100, amount: 100 }],
+    totals: { subtotal: 100, discount: 10, shipping: 5, tax: 0, taxRate: 0, total: 95 }
+  });
+  const creditNote = new Invoice({ type: 'credit_note', number: 'CN-000001', totals: { total: 30 }, refund: { reason: 'Return' } });
+
+  const html = renderHtml(invoice, [creditNote]);
+
+  assert.ok(html.includes('Ana &lt;Lopez&gt;'));
+  assert.ok(html.includes('Lamp &lt;b&gt;'));
+  assert.ok(!html.includes('<b>'));
+  assert.ok(html.includes('<th>Discount</th><td class="num">-USD 10.00</td>'));
+  assert.ok(html.includes('<th>Refunded</th><td class="num">-USD 30.00</td>'));
+  assert.ok(html.includes('<th>Net paid</th><td class="num">USD 65.00</td>'));
+  assert.ok(html.includes('CN-000001'));
+});
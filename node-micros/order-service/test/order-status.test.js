@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { service, users, fakeServices, listen, placedOrder } = require('./helpers');
+
+const { Order } = service;
+
+test('an admin moves an order along the status graph and the move is recorded', async (t) => {
+  const calls = fakeServices(t);
+  const order = placedOrder();
+  t.mock.method(Order, 'findById', async () => order);
+  const update = t.mock.method(Order, 'findOneAndUpdate', async () => placedOrder({ _id: order._id, status: 'confirmed' }));
+  const request = await listen(t);
+
+  const response = await request('PATCH', `/orders/${order._id}/status`, {
+    as: 'admin',
+    body: { status: 'confirmed', reason: 'Stock checked' }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.status, 'confirmed');
+  const [filter, change] = update.mock.calls[0].arguments;
+  // Only applies if nobody changed the status in the meantime
+  assert.deepStrictEqual(filter, { _id: order._id, status: 'pending' });
+  const entry = change.$push.statusHistory;
+  assert.strictEqual(entry.status, 'confirmed');
+  assert.strictEqual(entry.from, 'pending');
+  assert.strictEqual(entry.reason, 'Stock checked');
+  assert.deepStrictEqual(entry.actor, { userId: users.admin.userId, role: 'admin' });
+  assert.ok(calls.some(call => call.body?.type === 'order_status_updated'));
+});
+
+test('a move the status graph does not allow is refused', async (t) => {
+  fakeServices(t);
+  const order = placedOrder();
+  t.mock.method(Order, 'findById', async () => order);
+  const update = t.mock.method(Order, 'findOneAndUpdate', async () => order);
+  const request = await listen(t);
+
+  const skipped = await request('PATCH', `/orders/${order._id}/status`, { as: 'admin', body: { status: 'shipped' } });
+  const unknown = await request('PATCH', `/orders/${order._id}/status`, { as: 'admin', body: { status: 'lost' } });
+
+  assert.strictEqual(skipped.status, 409);
+  assert.strictEqual(skipped.body.error, 'Cannot change order status from pending to shipped');
+  assert.strictEqual(unknown.status, 400);
+  assert.strictEqual(update.mock.callCount(), 0);
+});
+
+test('a status changed by someone else in the meantime is not overwritten', async (t) => {
+  fakeServices(t);
+  const order = placedOrder();
+  t.mock.method(Order, 'findById', async () => order);
+  t.mock.method(Order, 'findOneAndUpdate', async () => null);
+  const request = await listen(t);
+
+  const response = await request('PATCH', `/orders/${order._id}/status`, { as: 'admin', body: { status: 'confirmed' } });
+
+  assert.strictEqual(response.status, 409);
+  assert.match(response.body.error, /changed concurrently/);
+});
+
+test('only admins change order status', async (t) => {
+  fakeServices(t);
+  const request = await listen(t);
+
+  const response = await request('PATCH', `/orders/${placedOrder()._id}/status`, {
+    as: 'customer',
+    body: { status: 'confirmed' }
+  });
+
+  assert.strictEqual(response.status, 403);
+});
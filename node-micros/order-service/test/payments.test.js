@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, users, serviceError, fakeServices, listen, keepSaves, placedOrder } = require('./helpers');
+
+const { Order, Invoice } = service;
+
+const card = { paymentMethod: { type: 'card' } };
+
+test('paying claims the pending order and lets payment-service charge it', async (t) => {
+  const order = placedOrder();
+  const claim = t.mock.method(Order, 'findOneAndUpdate', async () => placedOrder({ _id: order._id, paymentStatus: 'processing' }));
+  t.mock.method(Order, 'findById', async () => placedOrder({ _id: order._id, paymentStatus: 'completed' }));
+  const calls = fakeServices(t, {
+    'POST /payments/process': () => ({ success: true, paymentId: 'payment-1' })
+  });
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${order._id}/pay`, { as: 'customer', body: card });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.order.paymentStatus, 'completed');
+  const [filter, update] = claim.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, {
+    _id: String(order._id),
+    userId: users.customer.userId,
+    status: 'pending',
+    paymentStatus: { $in: ['pending', 'failed'] }
+  });
+  assert.strictEqual(update.paymentStatus, 'processing');
+
+  const charge = calls.find(call => call.path === '/payments/process');
+  assert.strictEqual(charge.body.amount, undefined, 'the amount comes from the order, not the caller');
+  assert.strictEqual(charge.config.headers['X-Internal-Token'], process.env.INTERNAL_SERVICE_TOKEN);
+});
+
+test('an order already being paid cannot be paid again', async (t) => {
+  fakeServices(t);
+  const order = placedOrder({ paymentStatus: 'processing' });
+  t.mock.method(Order, 'findOneAndUpdate', async () => null);
+  t.mock.method(Order, 'findOne', async ({ _id }) => (String(_id) === String(order._id) ? order : null));
+  const request = await listen(t);
+
+  const again = await request('POST', `/orders/${order._id}/pay`, { as: 'customer', body: card });
+  const unknown = await request('POST', `/orders/${new mongoose.Types.ObjectId()}/pay`, { as: 'customer', body: card });
+
+  assert.strictEqual(again.status, 409);
+  assert.strictEqual(again.body.error, 'Order cannot be paid (status: pending, payment: processing)');
+  assert.strictEqual(unknown.status, 404);
+});
+
+test('a payment that never reached payment-service is recorded as failed', async (t) => {
+  const order = placedOrder();
+  t.mock.method(Order, 'findOneAndUpdate', async () => placedOrder({ _id: order._id, paymentStatus: 'processing' }));
+  const failed = t.mock.method(Order, 'updateOne', async () => {});
+  t.mock.method(Order, 'findById', async () => placedOrder({ _id: order._id, paymentStatus: 'failed' }));
+  fakeServices(t, {
+    'POST /payments/process': () => {
+      throw new Error('connect ECONNREFUSED');
+    }
+  });
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${order._id}/pay`, { as: 'customer', body: card });
+
+  assert.strictEqual(response.status, 402);
+  const [filter, update] = failed.mock.calls[0].arguments;
+  // payment-service may already have reported an outcome; that one stands
+  assert.deepStrictEqual(filter, { _id: order._id, paymentStatus: 'processing' });
+  assert.strictEqual(update.paymentStatus, 'failed');
+  assert.strictEqual(update.paymentFailureReason, 'connect ECONNREFUSED');
+});
+
+test('a completed payment reported by payment-service is invoiced and confirms the order', async (t) => {
+  fakeServices(t);
+  keepSaves(t, Order);
+  const order = placedOrder({ paymentStatus: 'processing' });
+  t.mock.method(Order, 'findById', async () => order);
+  const invoiced = t.mock.method(Invoice, 'findOne', async () => ({ number: 'INV-000001' }));
+  const confirm = t.mock.method(Order, 'findOneAndUpdate', async () => placedOrder({ _id: order._id, status: 'confirmed' }));
+  const request = await listen(t);
+
+  const response = await request('POST', `/internal/orders/${order._id}/payment`, {
+    body: { paymentId: 'payment-1', status: 'completed' },
+    internal: true
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.status, 'confirmed');
+  assert.strictEqual(order.paymentId, 'payment-1');
+  assert.strictEqual(order.paymentStatus, 'completed');
+  assert.deepStrictEqual(invoiced.mock.calls[0].arguments[0], { orderId: order._id, type: 'invoice' });
+  assert.strictEqual(confirm.mock.calls[0].arguments[1].status, 'confirmed');
+});
+
+test('another payment reported for a paid order is refused', async (t) => {
+  fakeServices(t);
+  const save = t.mock.method(Order.prototype, 'save', async function () {
+    return this;
+  });
+  const order = placedOrder({ paymentId: 'payment-1', paymentStatus: 'completed' });
+  t.mock.method(Order, 'findById', async () => order);
+  const request = await listen(t);
+
+  const response = await request('POST', `/internal/orders/${order._id}/payment`, {
+    body: { paymentId: 'payment-2', status: 'completed' },
+    internal: true
+  });
+  const unsigned = await request('POST', `/internal/orders/${order._id}/payment`, {
+    body: { paymentId: 'payment-2', status: 'completed' }
+  });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(unsigned.status, 403);
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+// An order cancelled, and restocked, before its payment went through
+function cancelledBeforePayment() {
+  const order = placedOrder({
+    status: 'cancelled',
+    paymentStatus: 'processing',
+    refundedAmount: 0,
+    cancellation: { reason: 'Changed my mind', restockStatus: 'completed', refundStatus: 'not_required' }
+  });
+  for (let item of order.items) {
+    item.restocked = true;
+  }
+  return order;
+}
+
+test('a payment completed after the order was cancelled is refunded', async (t) => {
+  keepSaves(t, Order);
+  const order = cancelledBeforePayment();
+  t.mock.method(Order, 'findById', async () => order);
+  t.mock.method(Invoice, 'findOne', async () => ({ number: 'INV-000001' }));
+  const calls = fakeServices(t, {
+    'POST /payments/payment-1/refund': ({ amount }) => ({ totalRefunded: amount, status: 'refunded' })
+  });
+  const request = await listen(t);
+
+  const response = await request('POST', `/internal/orders/${order._id}/payment`, {
+    body: { paymentId: 'payment-1', status: 'completed' },
+    internal: true
+  });
+
+  assert.strictEqual(response.status, 200);
+  const refund = calls.find(call => call.path === '/payments/payment-1/refund');
+  assert.deepStrictEqual(refund.body, { amount: 320, reason: 'Changed my mind' });
+  assert.ok(!calls.some(call => call.method === 'PATCH'), 'the items were not restocked twice');
+  assert.strictEqual(order.paymentStatus, 'refunded');
+  assert.strictEqual(order.refundedAmount, 320);
+  assert.strictEqual(order.cancellation.refundStatus, 'completed');
+  assert.strictEqual(order.cancellation.refundAmount, 320);
+});
+
+test('a failed refund of a late payment is recorded so it can be retried', async (t) => {
+  keepSaves(t, Order);
+  t.mock.method(console, 'error', () => {});
+  const order = cancelledBeforePayment();
+  t.mock.method(Order, 'findById', async () => order);
+  t.mock.method(Invoice, 'findOne', async () => ({ number: 'INV-000001' }));
+  fakeServices(t, {
+    'POST /payments/payment-1/refund': () => {
+      throw serviceError(400, 'Refund processing failed');
+    }
+  });
+  const request = await listen(t);
+
+  const response = await request('POST', `/internal/orders/${order._id}/payment`, {
+    body: { paymentId: 'payment-1', status: 'completed' },
+    internal: true
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(order.paymentStatus, 'completed');
+  assert.strictEqual(order.cancellation.refundStatus, 'failed');
+  assert.strictEqual(order.cancellation.error, 'Refund failed: Refund processing failed');
+});
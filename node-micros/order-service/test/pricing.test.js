@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateTotals, quoteShipping, parseWeightKg } = require('../pricing');
+
+function shippingCost(options, id) {
+  return options.find(option => option.id === id).cost;
+}
+
+test('weights are read from free-text specifications', () => {
+  assert.strictEqual(parseWeightKg('1.2 kg'), 1.2);
+  assert.strictEqual(parseWeightKg('240g'), 0.24);
+  assert.strictEqual(parseWeightKg('2 lbs'), 0.907184);
+  assert.strictEqual(parseWeightKg('about a kilo'), null);
+  assert.strictEqual(parseWeightKg(undefined), null);
+});
+
+test('express and overnight are priced by weight, with a default for unknown weights', () => {
+  const options = quoteShipping([
+    { quantity: 2, weight: '1 kg' },
+    { quantity: 1 } // default 0.5 kg
+  ], 40);
+
+  assert.strictEqual(shippingCost(options, 'standard'), 5.99);
+  assert.strictEqual(shippingCost(options, 'express'), 16.24);
+  assert.strictEqual(shippingCost(options, 'overnight'), 34.99);
+});
+
+test('standard shipping is free from the threshold, after discounts', () => {
+  const items = [{ quantity: 1, weight: '1 kg' }];
+
+  assert.strictEqual(shippingCost(quoteShipping(items, 100), 'standard'), 0);
+  assert.strictEqual(shippingCost(quoteShipping(items, 99.99), 'standard'), 5.99);
+  assert.strictEqual(shippingCost(quoteShipping(items, 100), 'express'), 12.49);
+
+  const { breakdown } = calculateTotals({ items, subtotal: 110, discountTotal: 20 });
+  assert.strictEqual(breakdown.shipping, 5.99);
+});
+
+test('tax uses the state rate where there is one, and taxes shipping only where the region does', () => {
+  const items = [{ quantity: 1, weight: '1 kg' }];
+
+  const california = calculateTotals({ items, subtotal: 80, shippingAddress: { country: 'us', state: 'ca' } }).breakdown;
+  assert.deepStrictEqual(
+    [california.taxRegion, california.taxRate, california.taxShipping, california.tax, california.total],
+    ['US-CA', 0.0725, false, 5.8, 91.79]
+  );
+
+  const ontario = calculateTotals({ items, subtotal: 50, shippingAddress: { country: 'CA', state: 'ON' } }).breakdown;
+  assert.deepStrictEqual([ontario.taxRegion, ontario.tax, ontario.total], ['CA-ON', 7.28, 63.27]);
+
+  const alberta = calculateTotals({ items, subtotal: 50, shippingAddress: { country: 'CA', state: 'AB' } }).breakdown;
+  assert.deepStrictEqual([alberta.taxRegion, alberta.taxRate], ['CA', 0.05]);
+
+  const elsewhere = calculateTotals({ items, subtotal: 50, shippingAddress: { country: 'JP' } }).breakdown;
+  assert.deepStrictEqual([elsewhere.taxRegion, elsewhere.tax], ['JP', 0]);
+});
+
+test('an unknown shipping method is refused', () => {
+  assert.throws(
+    () => calculateTotals({ items: [], subtotal: 10, shippingMethod: 'drone' }),
+    /Unknown shipping method: drone/
+  );
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, users, fakeServices, listen, keepSaves, checkout } = require('./helpers');
+
+const { Cart, CheckoutSaga, runCheckoutSaga } = service;
+
+const ids = {
+  lamp: new mongoose.Types.ObjectId().toString(),
+  desk: new mongoose.Types.ObjectId().toString(),
+  chair: new mongoose.Types.ObjectId().toString(),
+  stool: new mongoose.Types.ObjectId().toString(),
+  shelf: new mongoose.Types.ObjectId().toString()
+};
+
+// The customer's cart, one of each product
+function customerCart(t, names) {
+  const cart = new Cart({
+    userId: users.customer.userId,
+    items: names.map(name => ({ productId: ids[name], quantity: 2 }))
+  });
+  t.mock.method(Cart, 'findOne', async () => cart);
+  return cart;
+}
+
+// product-service knows the lamp, desk, chair (out of stock) and stool
+// (archived); the shelf is gone
+function catalog(t) {
+  const product = (name, fields) => ({ _id: ids[name], name, currentPrice: 25, stock: 10, ...fields });
+  return fakeServices(t, {
+    'POST /products/batch': ({ ids: requested }) => {
+      const known = [
+        product('lamp'),
+        product('desk', { stock: 1 }),
+        product('chair', { stock: 0 }),
+        product('stool', { archived: true })
+      ].filter(found => requested.includes(found._id));
+      return {
+        products: known,
+        missing: requested.filter(id => !known.some(found => found._id === id))
+      };
+    }
+  });
+}
+
+test('the cart looks its products up in one call and lists the lines it cannot fulfil', async (t) => {
+  const calls = catalog(t);
+  customerCart(t, ['lamp', 'desk', 'chair', 'stool', 'shelf']);
+  const request = await listen(t);
+
+  const response = await request('GET', '/cart', { as: 'customer' });
+
+  assert.strictEqual(response.status, 200);
+  const lookups = calls.filter(call => call.path.startsWith('/products'));
+  assert.deepStrictEqual(lookups.map(call => call.path), ['/products/batch']);
+
+  assert.deepStrictEqual(response.body.items.map(item => [item.name, item.fulfillable]), [
+    ['lamp', true],
+    ['desk', false],
+    ['chair', false]
+  ]);
+  assert.deepStrictEqual(response.body.unavailableItems.map(item => [item.productId, item.reason, item.available]), [
+    [ids.desk, 'insufficient_stock', 1],
+    [ids.chair, 'out_of_stock', 0],
+    [ids.stool, 'not_found', undefined],
+    [ids.shelf, 'not_found', undefined]
+  ]);
+  assert.strictEqual(response.body.subtotal, 150, 'only lines with a product are priced');
+});
+
+test('checking out a cart with a product that is gone names it and stops', async (t) => {
+  catalog(t);
+  keepSaves(t, CheckoutSaga);
+  customerCart(t, ['lamp', 'shelf', 'stool']);
+  const saga = checkout();
+  saga.steps[0].status = 'pending';
+
+  await assert.rejects(runCheckoutSaga(saga), (error) => {
+    assert.strictEqual(error.status, 400);
+    assert.strictEqual(error.message, `Products no longer available: ${ids.shelf}, ${ids.stool}`);
+    return true;
+  });
+  assert.strictEqual(saga.status, 'compensated');
+});
+
+test('checking out more than is in stock is refused', async (t) => {
+  catalog(t);
+  keepSaves(t, CheckoutSaga);
+  customerCart(t, ['lamp', 'desk']);
+  const saga = checkout();
+  saga.steps[0].status = 'pending';
+
+  await assert.rejects(runCheckoutSaga(saga), /Insufficient stock for desk/);
+});
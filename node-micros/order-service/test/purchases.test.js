@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { service, fakeServices, listen, placedOrder } = require('./helpers');
+
+const { Order } = service;
+
+// A mongoose query resolving to `result`, recording how it was narrowed
+function query(result, narrowed) {
+  const chain = {
+    select: (fields) => { narrowed.select = fields; return chain; },
+    sort: (order) => { narrowed.sort = order; return chain; },
+    limit: (count) => { narrowed.limit = count; return chain; },
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+function storedOrders(t, orders) {
+  const narrowed = {};
+  const find = t.mock.method(Order, 'find', () => query(orders, narrowed));
+  return { find, narrowed };
+}
+
+test('product-service pages through the products bought together in each order', async (t) => {
+  fakeServices(t);
+  const order = placedOrder();
+  const { find, narrowed } = storedOrders(t, [order]);
+  const request = await listen(t);
+
+  const outsider = await request('GET', '/internal/purchases');
+  const { body } = await request('GET', `/internal/purchases?after=${order._id}&before=2026-05-01T00:00:00.000Z&limit=5000`,
+    { internal: true });
+
+  assert.strictEqual(outsider.status, 403);
+  assert.deepStrictEqual(body.orders, [{
+    _id: String(order._id),
+    productIds: order.items.map(item => String(item.productId))
+  }]);
+  assert.ok(body.asOf);
+  const [filter] = find.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, {
+    status: { $ne: 'cancelled' },
+    _id: { $gt: String(order._id) },
+    createdAt: { $lt: new Date('2026-05-01T00:00:00.000Z') }
+  });
+  assert.deepStrictEqual(narrowed, { select: 'items.productId', sort: { _id: 1 }, limit: 1000 });
+});
+
+test('cancellations are listed by when they happened, among the orders already read', async (t) => {
+  fakeServices(t);
+  const order = placedOrder({ status: 'cancelled' });
+  const { find } = storedOrders(t, [order]);
+  const request = await listen(t);
+  const cancelled = (search) => request('GET', `/internal/purchases/cancelled${search}`, { internal: true });
+
+  const undated = await cancelled('');
+  const { body } = await cancelled('?since=2026-05-01T00:00:00.000Z&upTo=aaa&after=000');
+
+  assert.deepStrictEqual([undated.status, undated.body.error], [400, 'since and until must be dates']);
+  assert.strictEqual(body.orders[0]._id, String(order._id));
+  assert.ok(new Date(body.until) > new Date('2026-05-01'), 'until defaults to now');
+  const [filter] = find.mock.calls[0].arguments;
+  assert.strictEqual(filter.status, 'cancelled');
+  assert.deepStrictEqual(filter.statusHistory.$elemMatch.timestamp.$gte, new Date('2026-05-01T00:00:00.000Z'));
+  assert.deepStrictEqual(filter._id, { $gt: '000', $lte: 'aaa' });
+});
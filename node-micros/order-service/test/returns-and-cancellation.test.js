@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { service, fakeServices, listen, keepSaves, placedOrder } = require('./helpers');
+
+const { Order } = service;
+
+test('cancelling a paid order restocks its items and refunds what was paid', async (t) => {
+  keepSaves(t, Order);
+  const order = placedOrder({ paymentId: 'pay-1', paymentStatus: 'completed' });
+  t.mock.method(Order, 'findOne', async () => order);
+  t.mock.method(Order, 'findById', async () => order);
+  t.mock.method(Order, 'findOneAndUpdate', async () => {
+    order.status = 'cancelled';
+    return order;
+  });
+  const calls = fakeServices(t, {
+    'POST /payments/pay-1/refund': (body) => ({ totalRefunded: body.amount, status: 'refunded' })
+  });
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${order._id}/cancel`, {
+    as: 'customer',
+    body: { reason: 'Changed my mind' }
+  });
+
+  assert.strictEqual(response.status, 200);
+  const restocks = calls.filter(call => call.method === 'PATCH');
+  assert.deepStrictEqual(restocks.map(call => [call.body.quantity, call.body.type]), [[1, 'cancellation'], [2, 'cancellation']]);
+  const refund = calls.find(call => call.path === '/payments/pay-1/refund');
+  assert.strictEqual(refund.body.amount, 320);
+  assert.strictEqual(order.cancellation.restockStatus, 'completed');
+  assert.strictEqual(order.cancellation.refundStatus, 'completed');
+  assert.strictEqual(order.paymentStatus, 'refunded');
+});
+
+test('customers can no longer cancel once fulfilment has started', async (t) => {
+  fakeServices(t);
+  t.mock.method(Order, 'findOne', async () => placedOrder({ status: 'processing' }));
+  const update = t.mock.method(Order, 'findOneAndUpdate', async () => null);
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${placedOrder()._id}/cancel`, { as: 'customer', body: {} });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(update.mock.callCount(), 0);
+});
+
+test('a return is accepted only against the order as it was checked', async (t) => {
+  fakeServices(t);
+  const order = placedOrder({ status: 'delivered' });
+  const [, desk] = order.items;
+  // Another request returned both desks after this one read the order
+  const changed = placedOrder({ _id: order._id, status: 'delivered', items: order.items, __v: 1 });
+  changed.returns.push({ items: [{ productId: desk.productId, quantity: 2, reason: 'Scratched' }] });
+
+  let reads = 0;
+  t.mock.method(Order, 'findOne', async () => (reads++ === 0 ? order : changed));
+  const update = t.mock.method(Order, 'findOneAndUpdate', async () => null);
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${order._id}/returns`, {
+    as: 'customer',
+    body: { items: [{ productId: desk.productId, quantity: 1, reason: 'Wobbly' }] }
+  });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error, 'Only 0 of Desk can be returned');
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { _id: order._id, __v: order.__v });
+  assert.deepStrictEqual(change.$inc, { __v: 1 });
+  assert.strictEqual(change.$push.returns.items[0].quantity, 1);
+});
+
+test('a return request cannot return more of a line than was bought', async (t) => {
+  fakeServices(t);
+  const order = placedOrder({ status: 'delivered' });
+  const [, desk] = order.items;
+  t.mock.method(Order, 'findOne', async () => order);
+  const update = t.mock.method(Order, 'findOneAndUpdate', async () => order);
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${order._id}/returns`, {
+    as: 'customer',
+    body: {
+      items: [
+        { productId: desk.productId, quantity: 2, reason: 'Wobbly' },
+        { productId: desk.productId, quantity: 1, reason: 'Scratched' }
+      ]
+    }
+  });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error, 'Only 0 of Desk can be returned');
+  assert.strictEqual(update.mock.callCount(), 0);
+});
+
+test('an approved return refunds what was paid for the items, once', async (t) => {
+  keepSaves(t, Order);
+  const order = placedOrder({
+    status: 'delivered',
+    paymentId: 'pay-1',
+    paymentStatus: 'completed',
+    priceBreakdown: { taxRate: 0.1 }
+  });
+  const [, desk] = order.items;
+  desk.discount = 30;
+  order.returns.push({ items: [{ productId: desk.productId, name: 'Desk', price: 150, quantity: 1, reason: 'Wobbly' }] });
+  const requested = order.returns[0];
+
+  t.mock.method(Order, 'findById', async () => order);
+  let decisions = 0;
+  const decide = t.mock.method(Order, 'findOneAndUpdate', async () => {
+    if (decisions++ > 0) return null;
+    requested.status = 'approved';
+    requested.refundAmount = 148.5;
+    return order;
+  });
+  const calls = fakeServices(t, {
+    'POST /payments/pay-1/refund': () => ({ totalRefunded: 148.5, status: 'partially_refunded' })
+  });
+  const request = await listen(t);
+
+  const first = await request('PATCH', `/orders/${order._id}/returns/${requested._id}`, {
+    as: 'admin',
+    body: { decision: 'approve' }
+  });
+  const second = await request('PATCH', `/orders/${order._id}/returns/${requested._id}`, {
+    as: 'admin',
+    body: { decision: 'approve' }
+  });
+
+  assert.strictEqual(first.status, 200);
+  // The desk's share of the discount comes off, then tax is added back
+  const [filter, review] = decide.mock.calls[0].arguments;
+  assert.strictEqual(review.$set['returns.$.refundAmount'], 148.5);
+  assert.deepStrictEqual(filter.returns.$elemMatch.status, 'requested');
+  assert.strictEqual(calls.filter(call => call.path === '/payments/pay-1/refund').length, 1);
+  assert.strictEqual(requested.status, 'completed');
+
+  assert.strictEqual(second.status, 409);
+  assert.strictEqual(second.body.error, 'Return request is already completed');
+});
@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { service, fakeServices, listen, keepSaves, placedOrder } = require('./helpers');
+const carriers = require('../carriers');
+
+const { Order, Shipment } = service;
+
+// A mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+// A carrier that books with `book` and reports `events`
+function testCarrier(name, { book, events = [] } = {}) {
+  carriers.registerCarrier({
+    name,
+    createShipment: book || (async ({ shipmentId }) => ({ trackingNumber: `${name}-${shipmentId}` })),
+    getTrackingEvents: async () => events
+  });
+  return name;
+}
+
+// Keep one order in memory. Allocations and status changes only land on
+// the version or status they were worked out from, unless `conflict` says
+// another request got there first.
+function storedOrder(t, order, { conflict = () => false } = {}) {
+  order.__v = 0; // as read back from the database
+  keepSaves(t, Order);
+  t.mock.method(Order, 'findOne', async () => order);
+  t.mock.method(Order, 'findById', () => query(order));
+  const updates = t.mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+    if (conflict() || (filter.__v !== undefined && filter.__v !== order.__v)) return null;
+    if (filter.status && filter.status !== order.status) return null;
+
+    for (let [path, value] of Object.entries(update.$set || {})) {
+      order.set(path, value);
+    }
+    if (update.status) order.status = update.status;
+    if (update.$inc) order.__v += update.$inc.__v;
+    return order;
+  });
+  return updates;
+}
+
+function allocations(updates) {
+  return updates.mock.calls
+    .map(call => call.arguments)
+    .filter(([, update]) => update.$set);
+}
+
+test('shipment carriers and quantities are checked before the order is touched', async (t) => {
+  fakeServices(t);
+  const order = placedOrder({ status: 'confirmed' });
+  const updates = storedOrder(t, order);
+  const request = await listen(t);
+  const ship = (body) => request('POST', `/orders/${order._id}/shipments`, { as: 'admin', body });
+  const desk = order.items[1].productId;
+
+  const carrier = await ship({ carrier: 'pigeon' });
+  const empty = await ship({ items: [] });
+  const fractional = await ship({ items: [{ productId: desk, quantity: 1.5 }] });
+  const customer = await request('POST', `/orders/${order._id}/shipments`, { as: 'customer', body: {} });
+
+  assert.strictEqual(carrier.status, 400);
+  assert.match(carrier.body.error, /^Unknown carrier pigeon\. Available: .*local/);
+  assert.strictEqual(empty.body.error, 'items must be a non-empty array');
+  assert.strictEqual(fractional.body.error, 'Shipment quantities must be positive integers');
+  assert.strictEqual(customer.status, 403);
+  assert.strictEqual(updates.mock.callCount(), 0);
+});
+
+test('a shipment allocates its units on the order before booking, and cannot take more than is left', async (t) => {
+  const calls = fakeServices(t);
+  const carrier = testCarrier('allocating');
+  const order = placedOrder({ status: 'confirmed' });
+  const updates = storedOrder(t, order);
+  t.mock.method(Shipment, 'find', async () => []);
+  const created = t.mock.method(Shipment, 'create', async (fields) => new Shipment(fields));
+  const request = await listen(t);
+  const desk = order.items[1].productId;
+
+  const first = await request('POST', `/orders/${order._id}/shipments`, {
+    as: 'admin',
+    body: { carrier, items: [{ productId: desk, quantity: 1 }] }
+  });
+
+  assert.strictEqual(first.status, 201);
+  const [[filter, update]] = allocations(updates);
+  assert.deepStrictEqual(filter, { _id: order._id, __v: 0 }, 'only the version the allocation was worked out from');
+  assert.deepStrictEqual(update, { $set: { 'items.0.shipped': 0, 'items.1.shipped': 1 }, $inc: { __v: 1 } });
+
+  const shipment = created.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(shipment.items.map(item => [item.name, item.quantity]), [['Desk', 1]]);
+  assert.deepStrictEqual(shipment.events.map(event => event.status), ['label_created']);
+  assert.strictEqual(order.trackingNumber, shipment.trackingNumber);
+  assert.strictEqual(order.status, 'processing');
+  assert.ok(calls.some(call => call.body?.type === 'order_status_updated'));
+
+  const over = await request('POST', `/orders/${order._id}/shipments`, {
+    as: 'admin',
+    body: { carrier, items: [{ productId: desk, quantity: 2 }] }
+  });
+  const rest = await request('POST', `/orders/${order._id}/shipments`, { as: 'admin', body: { carrier } });
+  const none = await request('POST', `/orders/${order._id}/shipments`, { as: 'admin', body: { carrier } });
+
+  assert.strictEqual(over.status, 400);
+  assert.strictEqual(over.body.error, 'Only 1 of Desk left to ship');
+  assert.deepStrictEqual(created.mock.calls[1].arguments[0].items.map(item => [item.name, item.quantity]), [
+    ['Lamp', 1],
+    ['Desk', 1]
+  ]);
+  assert.strictEqual(none.status, 400);
+  assert.strictEqual(none.body.error, 'Nothing left to ship');
+  assert.strictEqual(rest.status, 201);
+});
+
+test('an order that keeps changing underneath a shipment is refused after a few attempts', async (t) => {
+  fakeServices(t);
+  let booked = 0;
+  const carrier = testCarrier('contended', {
+    book: async () => {
+      booked++;
+      return { trackingNumber: 'TRK-1' };
+    }
+  });
+  const order = placedOrder({ status: 'confirmed' });
+  storedOrder(t, order, { conflict: () => true });
+  t.mock.method(Shipment, 'find', async () => []);
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${order._id}/shipments`, { as: 'admin', body: { carrier } });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(response.body.error, 'The order is being changed by another request; please retry');
+  assert.strictEqual(Order.findOne.mock.callCount(), 5, 'the allocation is worked out again on each attempt');
+  assert.strictEqual(booked, 0);
+});
+
+test('a shipment the carrier refuses hands its units back', async (t) => {
+  fakeServices(t);
+  const carrier = testCarrier('refusing', {
+    book: async () => {
+      throw new Error('Address rejected');
+    }
+  });
+  const order = placedOrder({ status: 'processing' });
+  const updates = storedOrder(t, order);
+  t.mock.method(Shipment, 'find', async () => []);
+  const created = t.mock.method(Shipment, 'create', async (fields) => new Shipment(fields));
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${order._id}/shipments`, { as: 'admin', body: { carrier } });
+
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual(response.body.error, 'Address rejected');
+  assert.strictEqual(created.mock.callCount(), 0);
+  assert.deepStrictEqual(allocations(updates).map(([, update]) => update.$set), [
+    { 'items.0.shipped': 1, 'items.1.shipped': 2 },
+    { 'items.0.shipped': 0, 'items.1.shipped': 0 }
+  ]);
+  assert.deepStrictEqual(order.items.map(item => item.shipped), [0, 0]);
+});
+
+test('tracking events move a fully shipped order on to shipped and then delivered', async (t) => {
+  const calls = fakeServices(t);
+  const pickedUp = new Date('2026-03-02T09:00:00Z');
+  const delivered = new Date('2026-03-03T15:00:00Z');
+  const carrier = testCarrier('tracking', {
+    events: [
+      { status: 'label_created', occurredAt: new Date('2026-03-01T12:00:00Z') },
+      { status: 'picked_up', description: 'Picked up', occurredAt: pickedUp },
+      { status: 'delivered', description: 'Delivered', location: 'Springfield', occurredAt: delivered }
+    ]
+  });
+  const order = placedOrder({ status: 'processing' });
+  order.items.forEach(item => {
+    item.shipped = item.quantity;
+  });
+  storedOrder(t, order);
+  keepSaves(t, Shipment);
+  const shipment = new Shipment({
+    orderId: order._id,
+    carrier,
+    trackingNumber: 'TRK-1',
+    items: order.items.map(({ productId, name, quantity }) => ({ productId, name, quantity })),
+    events: [{ status: 'label_created', occurredAt: new Date('2026-03-01T12:00:00Z') }]
+  });
+  t.mock.method(Shipment, 'findOne', async () => shipment);
+  t.mock.method(Shipment, 'find', async () => [shipment]);
+  const request = await listen(t);
+
+  const response = await request('POST', `/orders/${order._id}/shipments/${shipment._id}/refresh`, { as: 'admin' });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body.events.map(event => event.status), ['label_created', 'picked_up', 'delivered']);
+  assert.strictEqual(response.body.status, 'delivered');
+  assert.deepStrictEqual([shipment.shippedAt, shipment.deliveredAt], [pickedUp, delivered]);
+  assert.strictEqual(order.status, 'delivered');
+  const notices = calls.filter(call => call.body?.type === 'order_status_updated');
+  assert.deepStrictEqual(notices.map(call => call.body.metadata.status), ['shipped', 'delivered']);
+
+  const again = await request('POST', `/orders/${order._id}/shipments/${shipment._id}/refresh`, { as: 'admin' });
+  assert.strictEqual(again.body.events.length, 3, 'events already recorded are not added twice');
+});
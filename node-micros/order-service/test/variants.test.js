@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, users, fakeServices, listen, keepSaves, checkout } = require('./helpers');
+
+const { Cart, CheckoutSaga, Order } = service;
+
+const shoeId = new mongoose.Types.ObjectId().toString();
+
+// product-service's view of a shoe in sizes 8 (on sale) and 9
+const shoe = {
+  _id: shoeId,
+  name: 'Runner',
+  category: 'Shoes',
+  image: 'runner.jpg',
+  currentPrice: 120,
+  stock: 7,
+  variants: [
+    { sku: 'RUN-8', options: { Size: '8' }, currentPrice: 99, stock: 4, image: 'runner-8.jpg' },
+    { sku: 'RUN-9', options: { Size: '9' }, currentPrice: 120, stock: 3 }
+  ]
+};
+
+function catalog(t) {
+  return fakeServices(t, {
+    'GET /products/[^/]+': () => shoe,
+    'POST /products/batch': () => ({ products: [shoe], missing: [] }),
+    'POST /products/[^/]+/reservations': (body) => ({ _id: `hold-${body.sku}` })
+  });
+}
+
+function customerCart(t, items = []) {
+  const cart = new Cart({ userId: users.customer.userId, items });
+  keepSaves(t, Cart);
+  t.mock.method(Cart, 'findOne', async () => cart);
+  return cart;
+}
+
+test('each SKU of a product is its own cart line, checked against its own stock', async (t) => {
+  catalog(t);
+  const cart = customerCart(t);
+  const request = await listen(t);
+  const add = (body) => request('POST', '/cart/add', { as: 'customer', body: { productId: shoeId, ...body } });
+
+  const noSku = await add({ quantity: 1 });
+  const unknownSku = await add({ sku: 'RUN-12' });
+  await add({ sku: 'RUN-8', quantity: 2 });
+  await add({ sku: 'RUN-9', quantity: 1 });
+  await add({ sku: 'RUN-8', quantity: 1 });
+  const tooMany = await add({ sku: 'RUN-9', quantity: 3 });
+
+  assert.strictEqual(noSku.status, 400);
+  assert.strictEqual(noSku.body.error, 'Choose a variant of Runner (sku is required)');
+  assert.strictEqual(unknownSku.body.error, 'Runner has no variant RUN-12');
+  assert.strictEqual(tooMany.status, 409);
+  assert.deepStrictEqual([tooMany.body.sku, tooMany.body.available], ['RUN-9', 3]);
+  assert.deepStrictEqual(cart.items.map(item => [item.sku, item.quantity]), [['RUN-8', 3], ['RUN-9', 1]]);
+
+  const updated = await request('PUT', `/cart/items/${shoeId}?sku=RUN-9`, { as: 'customer', body: { quantity: 2 } });
+  const otherLine = await request('PUT', `/cart/items/${shoeId}`, { as: 'customer', body: { quantity: 2 } });
+
+  assert.strictEqual(updated.status, 200);
+  assert.deepStrictEqual(cart.items.map(item => [item.sku, item.quantity]), [['RUN-8', 3], ['RUN-9', 2]]);
+  assert.strictEqual(otherLine.status, 404, 'a line without a SKU is a different line');
+});
+
+test('an order of variants is priced per SKU and reserves each SKU', async (t) => {
+  const calls = catalog(t);
+  customerCart(t, [{ productId: shoeId, sku: 'RUN-8', quantity: 2 }, { productId: shoeId, sku: 'RUN-9', quantity: 1 }]);
+  keepSaves(t, CheckoutSaga);
+  t.mock.method(Cart, 'deleteOne', async () => {});
+  t.mock.method(Order, 'exists', async () => false);
+  const created = t.mock.method(Order, 'create', async (order) => order);
+  t.mock.method(Order, 'findById', async () => created.mock.calls[0].arguments[0]);
+  const request = await listen(t);
+
+  const response = await request('POST', '/orders', {
+    as: 'customer',
+    body: { shippingAddress: checkout().shippingAddress, shippingMethod: 'standard' }
+  });
+
+  assert.strictEqual(response.status, 201);
+  const order = created.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(order.items.map(item => [item.sku, item.options.Size, item.price, item.image]), [
+    ['RUN-8', '8', 99, 'runner-8.jpg'],
+    ['RUN-9', '9', 120, 'runner.jpg']
+  ]);
+  assert.strictEqual(order.subtotal, 318);
+  const holds = calls.filter(call => call.path.endsWith('/reservations'));
+  assert.deepStrictEqual(holds.map(call => [call.body.sku, call.body.quantity]), [['RUN-8', 2], ['RUN-9', 1]]);
+});
@@ -2,6 +2,9 @@ const express = require('express');
 const mongoose = require('mongoose');
 const axios = require('axios');
 const cors = require('cors');
+const crypto = require('crypto');
+const { createIdempotency } = require('../shared/idempotency');
+const { verifyInternal, internalHeaders } = require('../shared/internal');
 
 const app = express();
 
@@ -9,9 +12,6 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
-// MongoDB connection
-mongoose.connect(process.env.MONGODB_URI);
-
 // Payment Schema
 const paymentSchema = new mongoose.Schema({
   orderId: { type: mongoose.Schema.Types.ObjectId, required: true },
@@ -33,6 +33,12 @@ const paymentSchema = new mongoose.Schema({
   failureReason: String,
   refundAmount: { type: Number, default: 0 },
   refundReason: String,
+  refunds: [{
+    refundId: String,
+    amount: Number,
+    reason: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
   metadata: {
     customerEmail: String,
     customerName: String,
@@ -44,12 +50,26 @@ const paymentSchema = new mongoose.Schema({
       country: String
     }
   },
+  // Set while the payment is in flight or has gone through; at most one
+  // payment per order can hold it
+  activeAttempt: Boolean,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+paymentSchema.index(
+  { orderId: 1 },
+  { unique: true, partialFilterExpression: { activeAttempt: true } }
+);
+
 const Payment = mongoose.model('Payment', paymentSchema);
 
+// Replay retried requests. There is no signed-in user here, so keys are
+// scoped to the payer and order that order-service sends.
+const idempotent = createIdempotency(mongoose, {
+  scopeOf: (req) => `${req.body?.userId || 'anonymous'} ${req.body?.orderId} ${req.method} ${req.originalUrl}`
+});
+
 // Routes
 app.get('/health', (req, res) => {
   res.json({ 
@@ -59,24 +79,51 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Process payment
-app.post('/payments/process', async (req, res) => {
+// Process payment. Called by order-service once it has claimed the order
+// for this attempt. The amount and customer are taken from the order,
+// never from the request body.
+app.post('/payments/process', verifyInternal, idempotent, async (req, res) => {
   try {
     const {
       orderId,
-      userId,
-      amount,
+      userId: payerId,
       paymentMethod,
-      customerInfo
+      customerInfo = {}
     } = req.body;
 
+    let order;
+    try {
+      const orderResponse = await axios.get(
+        `${process.env.ORDER_SERVICE_URL}/internal/orders/${orderId}`,
+        { headers: internalHeaders() }
+      );
+      order = orderResponse.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return res.status(404).json({ success: false, error: 'Order not found' });
+      }
+      throw error;
+    }
+
+    if (String(order.userId) !== String(payerId)) {
+      return res.status(403).json({ success: false, error: 'Order belongs to another user' });
+    }
+    if (order.status !== 'pending' || order.paymentStatus !== 'processing') {
+      return res.status(409).json({ success: false, error: 'Order is not awaiting payment' });
+    }
+
+    const userId = order.userId;
+    const amount = order.totalAmount;
+
     // Create payment record
     const payment = new Payment({
       orderId,
       userId,
       amount,
+      currency: order.priceBreakdown?.currency || 'USD',
       paymentMethod,
       status: 'processing',
+      activeAttempt: true,
       metadata: {
         customerEmail: customerInfo.email,
         customerName: customerInfo.name,
@@ -84,7 +131,13 @@ app.post('/payments/process', async (req, res) => {
       }
     });
 
-    await payment.save();
+    // The unique index lets only one attempt per order through
+    try {
+      await payment.save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({ success: false, error: 'Order is already being paid or has been paid' });
+    }
 
     try {
       // Simulate payment processing
@@ -97,6 +150,7 @@ app.post('/payments/process', async (req, res) => {
         payment.updatedAt = new Date();
         
         await payment.save();
+        await reportPaymentToOrder(payment);
 
         // Notify notification service
         try {
@@ -123,9 +177,11 @@ app.post('/payments/process', async (req, res) => {
       } else {
         payment.status = 'failed';
         payment.failureReason = paymentResult.error;
+        payment.activeAttempt = undefined;
         payment.updatedAt = new Date();
         
         await payment.save();
+        await reportPaymentToOrder(payment);
 
         // Notify about failure
         try {
@@ -152,8 +208,10 @@ app.post('/payments/process', async (req, res) => {
     } catch (processingError) {
       payment.status = 'failed';
       payment.failureReason = processingError.message;
+      payment.activeAttempt = undefined;
       payment.updatedAt = new Date();
       await payment.save();
+      await reportPaymentToOrder(payment);
 
       res.status(500).json({
         success: false,
@@ -189,8 +247,8 @@ app.get('/payments/order/:orderId', async (req, res) => {
   }
 });
 
-// Process refund
-app.post('/payments/:id/refund', async (req, res) => {
+// Process refund (order-service only, from cancellations and returns)
+app.post('/payments/:id/refund', verifyInternal, async (req, res) => {
   try {
     const { amount, reason } = req.body;
     
@@ -213,13 +271,16 @@ app.post('/payments/:id/refund', async (req, res) => {
     if (refundResult.success) {
       payment.refundAmount += amount;
       payment.refundReason = reason;
+      payment.refunds.push({ refundId: refundResult.refundId, amount, reason });
       payment.status = payment.refundAmount >= payment.amount ? 'refunded' : 'completed';
       payment.updatedAt = new Date();
       
       await payment.save();
+      await reportRefundToOrder(payment, { refundId: refundResult.refundId, amount, reason });
 
       res.json({
         success: true,
+        refundId: refundResult.refundId,
         refundAmount: amount,
         totalRefunded: payment.refundAmount,
         status: payment.status
@@ -236,6 +297,41 @@ app.post('/payments/:id/refund', async (req, res) => {
 });
 
 // Helper functions
+// Tell order-service how the payment went so it can update the order
+async function reportPaymentToOrder(payment) {
+  try {
+    await axios.post(
+      `${process.env.ORDER_SERVICE_URL}/internal/orders/${payment.orderId}/payment`,
+      {
+        paymentId: payment._id,
+        status: payment.status,
+        failureReason: payment.failureReason
+      },
+      { headers: internalHeaders() }
+    );
+  } catch (error) {
+    console.error('Order service error:', error.response?.data?.error || error.message);
+  }
+}
+
+// Let order-service record the refund and issue a credit note
+async function reportRefundToOrder(payment, refund) {
+  try {
+    await axios.post(
+      `${process.env.ORDER_SERVICE_URL}/internal/orders/${payment.orderId}/refunds`,
+      {
+        paymentId: payment._id,
+        ...refund,
+        totalRefunded: payment.refundAmount,
+        paymentStatus: payment.status
+      },
+      { headers: internalHeaders() }
+    );
+  } catch (error) {
+    console.error('Order service error:', error.response?.data?.error || error.message);
+  }
+}
+
 async function processPaymentWithProvider(paymentMethod, amount, customerInfo) {
   // Simulate payment processing delay
   await new Promise(resolve => setTimeout(resolve, 1000));
@@ -309,7 +405,7 @@ async function processRefund(externalPaymentId, amount) {
   if (Math.random() < 0.98) {
     return {
       success: true,
-      refundId: `rf_${Date.now()}`
+      refundId: `rf_${crypto.randomUUID()}`
     };
   } else {
     return {
@@ -319,7 +415,18 @@ async function processRefund(externalPaymentId, amount) {
   }
 }
 
-const PORT = process.env.PORT || 5005;
-app.listen(PORT, () => {
-  console.log(`Payment Service running on port ${PORT}`);
-});
\ No newline at end of file
+// Connect and listen only when started directly; the tests load the app
+// and models without a database
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI);
+
+  const PORT = process.env.PORT || 5005;
+  app.listen(PORT, () => {
+    console.log(`Payment Service running on port ${PORT}`);
+  });
+}
+
+module.exports = {
+  app,
+  Payment
+};
\ No newline at end of file
@@ -0,0 +1,90 @@
+// Test setup for payment-service. The app is loaded without a database:
+// tests mock the model methods a route uses, and every call to another
+// service goes through axios, which fakeServices answers.
+
+process.env.ORDER_SERVICE_URL = 'http://order-service';
+process.env.NOTIFICATION_SERVICE_URL = 'http://notification-service';
+process.env.INTERNAL_SERVICE_TOKEN = 'test-internal-token';
+
+const { once } = require('events');
+const axios = require('axios');
+const service = require('../server');
+
+// An axios error as another service would answer it
+function serviceError(status, error) {
+  const failure = new Error(`Request failed with status code ${status}`);
+  failure.response = { status, data: { error } };
+  return failure;
+}
+
+// Answer axios calls from handlers keyed by method and URL pattern, e.g.
+// { 'GET /internal/orders/([^/]+)': (body, match) => data }. Returns the
+// calls made.
+function fakeServices(t, handlers = {}) {
+  const calls = [];
+  const routes = Object.entries(handlers).map(([key, handler]) => {
+    const [method, pattern] = key.split(' ');
+    return { method, pattern: new RegExp(`${pattern}$`), handler };
+  });
+
+  for (let method of ['get', 'post', 'patch', 'put', 'delete']) {
+    t.mock.method(axios, method, async (url, body, config) => {
+      const path = url.replace(/^https?:\/\/[^/]+/, '');
+      calls.push({ method: method.toUpperCase(), path, body, config });
+
+      for (let route of routes) {
+        const match = route.method === method.toUpperCase() && path.match(route.pattern);
+        if (match) {
+          return { data: await route.handler(body, match) };
+        }
+      }
+      return { data: {} };
+    });
+  }
+
+  return calls;
+}
+
+// Serve the app on a free port for the length of a test
+async function listen(t) {
+  const server = service.app.listen(0);
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  // `internal` sends the service token
+  return async (method, path, { body, internal, headers = {} } = {}) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(internal && { 'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : undefined
+    };
+  };
+}
+
+// Make save() keep documents in memory instead of writing them
+function keepSaves(t, ...models) {
+  for (let model of models) {
+    t.mock.method(model.prototype, 'save', async function () {
+      return this;
+    });
+  }
+}
+
+module.exports = {
+  service,
+  serviceError,
+  fakeServices,
+  listen,
+  keepSaves
+};
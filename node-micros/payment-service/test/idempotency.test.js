@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { serviceError, fakeServices, listen } = require('./helpers');
+
+const { IdempotencyKey } = mongoose.models;
+
+test('payment keys are scoped to the payer and order order-service sends', async (t) => {
+  fakeServices(t, {
+    'GET /internal/orders/([^/]+)': () => {
+      throw serviceError(404, 'Order not found');
+    }
+  });
+  const created = t.mock.method(IdempotencyKey, 'create', async (fields) => new IdempotencyKey(fields));
+  t.mock.method(IdempotencyKey, 'updateOne', async () => {});
+  const request = await listen(t);
+
+  const userId = new mongoose.Types.ObjectId().toString();
+  const orders = [new mongoose.Types.ObjectId().toString(), new mongoose.Types.ObjectId().toString()];
+  for (let orderId of orders) {
+    await request('POST', '/payments/process', {
+      body: { orderId, userId, paymentMethod: { type: 'card' } },
+      internal: true,
+      headers: { 'Idempotency-Key': 'checkout-1' }
+    });
+  }
+
+  assert.deepStrictEqual(created.mock.calls.map(call => call.arguments[0].scope), orders.map(orderId =>
+    `${userId} ${orderId} POST /payments/process`
+  ));
+});
+
+test('a retried payment gets the first outcome back without charging again', async (t) => {
+  const calls = fakeServices(t);
+  const stored = new IdempotencyKey({
+    key: 'checkout-1',
+    scope: 'scope',
+    status: 'completed',
+    responseStatus: 200,
+    responseBody: { success: true, paymentId: 'payment-1', status: 'completed' },
+    expiresAt: new Date()
+  });
+  t.mock.method(IdempotencyKey, 'create', async (fields) => {
+    stored.requestHash = fields.requestHash;
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+  t.mock.method(IdempotencyKey, 'findOne', async () => stored);
+  const request = await listen(t);
+
+  const response = await request('POST', '/payments/process', {
+    body: { orderId: new mongoose.Types.ObjectId().toString(), paymentMethod: { type: 'card' } },
+    internal: true,
+    headers: { 'Idempotency-Key': 'checkout-1' }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('idempotent-replayed'), 'true');
+  assert.strictEqual(response.body.paymentId, 'payment-1');
+  assert.strictEqual(calls.length, 0, 'the order was not even looked up');
+});
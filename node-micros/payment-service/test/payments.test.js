@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, serviceError, fakeServices, listen, keepSaves } = require('./helpers');
+
+const { Payment } = service;
+
+const orderId = new mongoose.Types.ObjectId().toString();
+const userId = new mongoose.Types.ObjectId().toString();
+
+// An order claimed by order-service for payment
+function claimedOrder(fields = {}) {
+  return {
+    _id: orderId,
+    userId,
+    status: 'pending',
+    paymentStatus: 'processing',
+    totalAmount: 148.5,
+    priceBreakdown: { currency: 'EUR' },
+    ...fields
+  };
+}
+
+const attempt = { orderId, userId, paymentMethod: { type: 'card' } };
+
+// Make the simulated provider approve (or decline) every payment
+function provider(t, approve = true) {
+  t.mock.method(Math, 'random', () => (approve ? 0 : 0.999));
+}
+
+test('payments are only taken through order-service', async (t) => {
+  fakeServices(t);
+  const request = await listen(t);
+
+  const response = await request('POST', '/payments/process', { body: attempt });
+
+  assert.strictEqual(response.status, 403);
+});
+
+test('a payment charges the order\'s amount and reports the outcome to the order', async (t) => {
+  provider(t);
+  const saved = [];
+  t.mock.method(Payment.prototype, 'save', async function () {
+    saved.push({ status: this.status, activeAttempt: this.activeAttempt });
+    return this;
+  });
+  const calls = fakeServices(t, {
+    [`GET /internal/orders/${orderId}`]: () => claimedOrder()
+  });
+  const request = await listen(t);
+
+  const response = await request('POST', '/payments/process', {
+    body: { ...attempt, amount: 0.01 },
+    internal: true
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.status, 'completed');
+  assert.deepStrictEqual(saved, [
+    { status: 'processing', activeAttempt: true },
+    { status: 'completed', activeAttempt: true }
+  ]);
+
+  const report = calls.find(call => call.path === `/internal/orders/${orderId}/payment`);
+  assert.strictEqual(report.body.status, 'completed');
+  assert.strictEqual(String(report.body.paymentId), response.body.paymentId);
+  assert.strictEqual(report.config.headers['X-Internal-Token'], process.env.INTERNAL_SERVICE_TOKEN);
+  const notice = calls.find(call => call.path === '/notifications/send');
+  assert.strictEqual(notice.body.metadata.amount, 148.5, 'the amount came from the order');
+});
+
+test('a payment is refused unless the order is the payer\'s and awaiting payment', async (t) => {
+  const orders = {
+    [orderId]: claimedOrder({ userId: new mongoose.Types.ObjectId().toString() })
+  };
+  const paid = new mongoose.Types.ObjectId().toString();
+  orders[paid] = claimedOrder({ _id: paid, paymentStatus: 'completed' });
+  fakeServices(t, {
+    'GET /internal/orders/([^/]+)': (body, [, id]) => {
+      if (!orders[id]) throw serviceError(404, 'Order not found');
+      return orders[id];
+    }
+  });
+  const save = t.mock.method(Payment.prototype, 'save', async function () {
+    return this;
+  });
+  const request = await listen(t);
+
+  const someoneElses = await request('POST', '/payments/process', { body: attempt, internal: true });
+  const alreadyPaid = await request('POST', '/payments/process', { body: { ...attempt, orderId: paid }, internal: true });
+  const unknown = await request('POST', '/payments/process', {
+    body: { ...attempt, orderId: new mongoose.Types.ObjectId().toString() },
+    internal: true
+  });
+
+  assert.strictEqual(someoneElses.status, 403);
+  assert.strictEqual(alreadyPaid.status, 409);
+  assert.strictEqual(alreadyPaid.body.error, 'Order is not awaiting payment');
+  assert.strictEqual(unknown.status, 404);
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('only one payment attempt per order goes through at a time', async (t) => {
+  provider(t);
+  t.mock.method(Payment.prototype, 'save', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+  const calls = fakeServices(t, {
+    [`GET /internal/orders/${orderId}`]: () => claimedOrder()
+  });
+  const request = await listen(t);
+
+  const response = await request('POST', '/payments/process', { body: attempt, internal: true });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(response.body.error, 'Order is already being paid or has been paid');
+  assert.ok(!calls.some(call => call.path.endsWith('/payment')), 'the order was not told anything');
+});
+
+test('a declined payment frees the order for another attempt', async (t) => {
+  provider(t, false);
+  const saved = [];
+  t.mock.method(Payment.prototype, 'save', async function () {
+    saved.push({ status: this.status, activeAttempt: this.activeAttempt });
+    return this;
+  });
+  const calls = fakeServices(t, {
+    [`GET /internal/orders/${orderId}`]: () => claimedOrder()
+  });
+  const request = await listen(t);
+
+  const response = await request('POST', '/payments/process', { body: attempt, internal: true });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error, 'Transaction declined');
+  assert.deepStrictEqual(saved[1], { status: 'failed', activeAttempt: undefined });
+  const report = calls.find(call => call.path === `/internal/orders/${orderId}/payment`);
+  assert.deepStrictEqual(
+    [report.body.status, report.body.failureReason],
+    ['failed', 'Transaction declined']
+  );
+});
+
+test('a refund is limited to what is left and reported to the order', async (t) => {
+  provider(t);
+  keepSaves(t, Payment);
+  const payment = new Payment({
+    orderId,
+    userId,
+    amount: 148.5,
+    paymentMethod: { type: 'card' },
+    status: 'completed',
+    refundAmount: 100
+  });
+  t.mock.method(Payment, 'findById', async () => payment);
+  const calls = fakeServices(t);
+  const request = await listen(t);
+
+  const tooMuch = await request('POST', `/payments/${payment._id}/refund`, {
+    body: { amount: 50, reason: 'Return' },
+    internal: true
+  });
+  const rest = await request('POST', `/payments/${payment._id}/refund`, {
+    body: { amount: 48.5, reason: 'Return' },
+    internal: true
+  });
+
+  assert.strictEqual(tooMuch.status, 400);
+  assert.strictEqual(rest.status, 200);
+  assert.strictEqual(rest.body.status, 'refunded');
+  assert.strictEqual(payment.refunds.length, 1);
+
+  const report = calls.find(call => call.path === `/internal/orders/${orderId}/refunds`);
+  assert.strictEqual(report.body.refundId, rest.body.refundId);
+  assert.strictEqual(report.body.totalRefunded, 148.5);
+  assert.strictEqual(report.body.paymentStatus, 'refunded');
+});
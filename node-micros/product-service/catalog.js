@@ -0,0 +1,308 @@
+// Catalog file formats for bulk import and export.
+//
+// CSV files have one product per row with the columns below; specifications
+// are flattened into brand/model/weight/dimensions. JSON files are an array
+// of objects with either the flat columns or a nested `specifications`.
+
+const columns = [
+  'sku', 'name', 'description', 'price', 'category', 'image', 'stock', 'featured',
+  'brand', 'model', 'weight', 'dimensions'
+];
+
+const specificationColumns = ['brand', 'model', 'weight', 'dimensions'];
+
+// Incremental RFC 4180 CSV parser: quoted fields may contain commas,
+// newlines and doubled quotes. write() takes the next piece of the file and
+// returns the records it completed; end() returns the last one. Blank
+// records are dropped.
+function csvParser() {
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let quoteSeen = false; // inside a quoted field: closing quote, or the first of a doubled one
+  let afterCr = false;
+
+  const finishRecord = (records) => {
+    record.push(field);
+    if (record.some(value => value.trim() !== '')) {
+      records.push(record);
+    }
+    record = [];
+    field = '';
+  };
+
+  return {
+    write(text) {
+      const records = [];
+
+      for (let char of text) {
+        if (afterCr) {
+          afterCr = false;
+          if (char === '\n') continue;
+        }
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          quoted = false;
+        }
+
+        if (quoted) {
+          if (char === '"') {
+            quoteSeen = true;
+          } else {
+            field += char;
+          }
+        } else if (char === '"') {
+          quoted = true;
+        } else if (char === ',') {
+          record.push(field);
+          field = '';
+        } else if (char === '\n' || char === '\r') {
+          afterCr = char === '\r';
+          finishRecord(records);
+        } else {
+          field += char;
+        }
+      }
+
+      return records;
+    },
+    end() {
+      if (quoted && !quoteSeen) {
+        throw new Error('CSV ends inside a quoted field');
+      }
+      const records = [];
+      if (field !== '' || record.length > 0) {
+        finishRecord(records);
+      }
+      return records;
+    }
+  };
+}
+
+// Incremental reader for a JSON array. write() takes the next piece of the
+// file and returns the elements it completed, each parsed on its own, so
+// the whole array is never held at once.
+function jsonArrayParser() {
+  let started = false;
+  let finished = false;
+  let element = '';
+  let afterComma = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  return {
+    write(text) {
+      const elements = [];
+
+      for (let char of text) {
+        if (finished || !started) {
+          if (/\s/.test(char)) continue;
+          if (finished) {
+            throw new Error('Unexpected data after the array');
+          }
+          if (char !== '[') {
+            throw new Error('JSON imports must be an array of products');
+          }
+          started = true;
+          continue;
+        }
+
+        if (inString) {
+          element += char;
+          if (escaped) {
+            escaped = false;
+          } else if (char === '\\') {
+            escaped = true;
+          } else if (char === '"') {
+            inString = false;
+          }
+          continue;
+        }
+
+        if (depth === 0 && (char === ',' || char === ']')) {
+          if (element.trim() !== '') {
+            elements.push(JSON.parse(element));
+          } else if (char === ',' || afterComma) {
+            throw new Error(`Unexpected "${char}" in the array`);
+          }
+          element = '';
+          afterComma = char === ',';
+          finished = char === ']';
+          continue;
+        }
+
+        if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          depth++;
+        } else if (char === '}' || char === ']') {
+          depth--;
+        }
+        element += char;
+      }
+
+      return elements;
+    },
+    end() {
+      if (!started) {
+        throw new Error('JSON imports must be an array of products');
+      }
+      if (!finished) {
+        throw new Error('JSON ends inside the array');
+      }
+      return [];
+    }
+  };
+}
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return values.map(csvValue).join(',') + '\n';
+}
+
+// Read an import file, given as a stream of text, as plain row objects one
+// at a time. Throws on a malformed file; problems with individual rows are
+// left to normalizeRow.
+async function* readImport(stream, format) {
+  try {
+    yield* readRows(stream, format);
+  } catch (error) {
+    throw new Error(`Could not read ${format.toUpperCase()} file: ${error.message}`);
+  }
+}
+
+async function* readRows(stream, format) {
+  if (format === 'json') {
+    const parser = jsonArrayParser();
+    for await (let chunk of stream) {
+      yield* parser.write(chunk);
+    }
+    yield* parser.end();
+    return;
+  }
+
+  const parser = csvParser();
+  let names;
+  const toRows = function* (records) {
+    for (let values of records) {
+      if (!names) {
+        names = headerNames(values);
+        continue;
+      }
+      yield Object.fromEntries(names.map((name, index) => [name, values[index]]));
+    }
+  };
+
+  let first = true;
+  for await (let chunk of stream) {
+    yield* toRows(parser.write(first ? chunk.replace(/^\uFEFF/, '') : chunk));
+    first = false;
+  }
+  yield* toRows(parser.end());
+}
+
+function headerNames(header) {
+  const names = header.map(name => name.trim());
+  const unknown = names.filter(name => !columns.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown CSV columns: ${unknown.join(', ')}. Expected: ${columns.join(', ')}`);
+  }
+  if (!names.includes('name')) {
+    throw new Error('CSV needs at least a name column');
+  }
+  return names;
+}
+
+function blank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Validate one row and convert it to product fields. Blank values are left
+// out so an update only touches the columns that were filled in.
+function normalizeRow(row) {
+  const errors = [];
+  const fields = {};
+
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { fields, errors: [{ message: 'Row must be an object' }] };
+  }
+
+  for (let field of ['sku', 'name', 'description', 'category', 'image']) {
+    if (!blank(row[field])) fields[field] = String(row[field]).trim();
+  }
+
+  if (!blank(row.price)) {
+    const price = Number(row.price);
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push({ field: 'price', message: `Invalid price "${row.price}"` });
+    } else {
+      fields.price = price;
+    }
+  }
+
+  if (!blank(row.stock)) {
+    const stock = Number(row.stock);
+    if (!Number.isInteger(stock) || stock < 0) {
+      errors.push({ field: 'stock', message: `Invalid stock "${row.stock}"` });
+    } else {
+      fields.stock = stock;
+    }
+  }
+
+  if (!blank(row.featured)) {
+    const featured = String(row.featured).trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(featured)) {
+      fields.featured = true;
+    } else if (['false', 'no', '0'].includes(featured)) {
+      fields.featured = false;
+    } else {
+      errors.push({ field: 'featured', message: `Invalid featured value "${row.featured}"` });
+    }
+  }
+
+  const specifications = row.specifications && typeof row.specifications === 'object'
+    ? row.specifications
+    : row;
+  for (let field of specificationColumns) {
+    if (!blank(specifications[field])) {
+      fields[`specifications.${field}`] = String(specifications[field]).trim();
+    }
+  }
+
+  return { fields, errors };
+}
+
+function productToRow(product) {
+  return {
+    sku: product.sku,
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    category: product.category,
+    image: product.image,
+    stock: product.stock,
+    featured: product.featured,
+    brand: product.specifications?.brand,
+    model: product.specifications?.model,
+    weight: product.specifications?.weight,
+    dimensions: product.specifications?.dimensions
+  };
+}
+
+module.exports = {
+  columns,
+  readImport,
+  normalizeRow,
+  productToRow,
+  toCsvLine
+};
@@ -0,0 +1,82 @@
+// Processing for uploaded product images. An upload is checked to be a
+// real image in an accepted format, then rendered at the sizes clients
+// use. The original is kept too (re-encoded, which drops EXIF data such as
+// GPS position) so that other sizes can be rendered from it later.
+const sharp = require('sharp');
+
+const acceptedFormats = ['jpeg', 'png', 'webp'];
+
+// Longest side in pixels; images are never enlarged
+const sizes = {
+  thumbnail: 150,
+  medium: 400,
+  large: 1200
+};
+
+// Refuse decompression bombs: a small file that decodes to a huge bitmap
+const MAX_PIXELS = Number(process.env.IMAGE_MAX_PIXELS) || 40 * 1000 * 1000;
+
+function invalidImage(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Resolves to { format, width, height, renditions } where renditions are
+// [{ name, extension, contentType, buffer, width, height }], original first.
+// Rejects with a 400 error if the file isn't an acceptable image.
+async function processImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw invalidImage('File is not a readable image');
+  }
+
+  if (!acceptedFormats.includes(metadata.format)) {
+    throw invalidImage(`Unsupported image format ${metadata.format}. Use ${acceptedFormats.join(', ')}`);
+  }
+  if (metadata.width * metadata.height > MAX_PIXELS) {
+    throw invalidImage(`Image is too large (${metadata.width}x${metadata.height})`);
+  }
+
+  // Apply EXIF orientation so every rendition is upright
+  const source = sharp(buffer, { limitInputPixels: MAX_PIXELS }).rotate();
+
+  const render = async (name, pipeline, format) => {
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    return {
+      name,
+      extension: format === 'jpeg' ? 'jpg' : format,
+      contentType: `image/${format}`,
+      buffer: data,
+      width: info.width,
+      height: info.height
+    };
+  };
+
+  const original = await render('original', source.clone().toFormat(metadata.format), metadata.format);
+  const renditions = [original];
+  for (let [name, size] of Object.entries(sizes)) {
+    renditions.push(await render(
+      name,
+      source.clone()
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 }),
+      'webp'
+    ));
+  }
+
+  return {
+    format: metadata.format,
+    width: original.width,
+    height: original.height,
+    renditions
+  };
+}
+
+module.exports = {
+  acceptedFormats,
+  sizes,
+  processImage
+};
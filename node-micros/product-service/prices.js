@@ -0,0 +1,214 @@
+// Sale prices and price history.
+//
+// A product's stored `price` (and a variant's own `price`, when set) is its
+// regular price. Price schedules lower it for a time window: either to a
+// fixed salePrice or by percentOff. A schedule with a sku applies to that
+// variant only; one without applies to the product and to every variant
+// that has no schedule of its own running. Schedules for the same target
+// may not overlap, so at most one applies to a line at any moment.
+//
+// Nothing is rewritten when a sale starts or ends: the active price is
+// worked out whenever it is read, and the history is rebuilt from the
+// recorded regular price changes plus the schedules, which are kept after
+// they end.
+
+// Halves of a cent round up. currentPriceExpr rounds the same way, with the
+// same floating-point steps, so the database and the API agree on a price.
+function roundCurrency(amount) {
+  return Math.floor(amount * 100 + 0.5) / 100;
+}
+
+function isActive(schedule, at) {
+  return schedule.startsAt <= at && at < schedule.endsAt;
+}
+
+function scheduleStatus(schedule, at = new Date()) {
+  if (at < schedule.startsAt) return 'scheduled';
+  return at < schedule.endsAt ? 'active' : 'ended';
+}
+
+// The schedule in force for a line (sku null for the product itself)
+function activeSchedule(schedules = [], sku, at) {
+  const running = schedules.filter(schedule => isActive(schedule, at));
+  return (sku && running.find(schedule => schedule.sku === sku)) ||
+    running.find(schedule => !schedule.sku) ||
+    null;
+}
+
+// A sale never raises the price above the regular one
+function applySchedule(regularPrice, schedule) {
+  if (!schedule) return regularPrice;
+
+  const salePrice = schedule.salePrice ?? roundCurrency(regularPrice * (1 - schedule.percentOff / 100));
+  return Math.min(regularPrice, salePrice);
+}
+
+// Aggregation expression for a product's price at `at`: describePrice's
+// currentPrice for the product itself, for filtering and sorting in the
+// database. It covers product-wide schedules only; a variant with its own
+// price or schedule is filtered and sorted by the product's price.
+function currentPriceExpr(at) {
+  const running = {
+    $filter: {
+      input: { $ifNull: ['$priceSchedules', []] },
+      as: 'schedule',
+      cond: {
+        $and: [
+          { $in: [{ $ifNull: ['$$schedule.sku', null] }, [null, '']] },
+          { $lte: ['$$schedule.startsAt', at] },
+          { $gt: ['$$schedule.endsAt', at] }
+        ]
+      }
+    }
+  };
+  // roundCurrency: floor(amount * 100 + 0.5) / 100
+  const percentOffAmount = {
+    $multiply: ['$price', { $subtract: [1, { $divide: ['$$schedule.percentOff', 100] }] }]
+  };
+  const percentPrice = {
+    $divide: [{ $floor: { $add: [{ $multiply: [percentOffAmount, 100] }, 0.5] } }, 100]
+  };
+
+  return {
+    $let: {
+      vars: { schedule: { $arrayElemAt: [running, 0] } },
+      in: {
+        $cond: [
+          { $eq: [{ $type: '$$schedule' }, 'missing'] },
+          '$price',
+          { $min: ['$price', { $ifNull: ['$$schedule.salePrice', percentPrice] }] }
+        ]
+      }
+    }
+  };
+}
+
+// Price fields for the API: what the line costs now and what to show it
+// reduced from. originalPrice is the compare-at price if that is higher,
+// otherwise the regular price while on sale, otherwise null.
+function describePrice(product, variant, at = new Date()) {
+  const regularPrice = variant?.price ?? product.price;
+  const schedule = activeSchedule(product.priceSchedules, variant?.sku, at);
+  const currentPrice = applySchedule(regularPrice, schedule);
+
+  let originalPrice = null;
+  if (product.compareAtPrice > currentPrice) {
+    originalPrice = product.compareAtPrice;
+  } else if (regularPrice > currentPrice) {
+    originalPrice = regularPrice;
+  }
+
+  return {
+    currentPrice,
+    originalPrice,
+    onSale: currentPrice < regularPrice,
+    saleEndsAt: currentPrice < regularPrice ? schedule.endsAt : null
+  };
+}
+
+// Why a new or changed schedule can't be saved, or null if it can.
+// `others` are the product's other schedules.
+function scheduleProblem(schedule, product, others) {
+  const hasSalePrice = schedule.salePrice !== undefined && schedule.salePrice !== null;
+  const hasPercentOff = schedule.percentOff !== undefined && schedule.percentOff !== null;
+
+  if (hasSalePrice === hasPercentOff) {
+    return 'Give either salePrice or percentOff';
+  }
+  if (hasSalePrice && !(schedule.salePrice >= 0)) {
+    return 'salePrice must be zero or more';
+  }
+  if (hasPercentOff && !(schedule.percentOff > 0 && schedule.percentOff < 100)) {
+    return 'percentOff must be between 0 and 100';
+  }
+  if (!(schedule.startsAt instanceof Date) || isNaN(schedule.startsAt) ||
+      !(schedule.endsAt instanceof Date) || isNaN(schedule.endsAt)) {
+    return 'startsAt and endsAt must be dates';
+  }
+  if (schedule.endsAt <= schedule.startsAt) {
+    return 'endsAt must be after startsAt';
+  }
+  if (schedule.sku && !product.variants.some(variant => variant.sku === schedule.sku)) {
+    return `Unknown SKU ${schedule.sku}`;
+  }
+
+  const clash = others.find(other =>
+    (other.sku || null) === (schedule.sku || null) &&
+    other.startsAt < schedule.endsAt && schedule.startsAt < other.endsAt
+  );
+  if (clash) {
+    return `Overlaps schedule ${clash._id} (${clash.startsAt.toISOString()} to ${clash.endsAt.toISOString()})`;
+  }
+
+  return null;
+}
+
+// Regular price of one target (sku null for the product) at a moment, from
+// its recorded changes ({ price, previousPrice, createdAt }, oldest first).
+// Before the first change it had that change's previous price; with no
+// changes at all it has always had its current price.
+function recordedPriceAt(changes, currentPrice, at) {
+  let price = changes.length > 0 ? changes[0].previousPrice : currentPrice;
+  for (let change of changes) {
+    if (change.createdAt > at) break;
+    price = change.price;
+  }
+  return price ?? null;
+}
+
+// Price of a line over [from, to] as consecutive periods
+// [{ from, to, price, regularPrice, onSale, scheduleId, label }]. `changes`
+// are the product's recorded regular price changes, oldest first.
+function priceTimeline(product, sku, changes, from, to) {
+  const variant = sku ? product.variants.find(candidate => candidate.sku === sku) : null;
+  const productChanges = changes.filter(change => !change.sku);
+  const variantChanges = sku ? changes.filter(change => change.sku === sku) : [];
+  const schedules = product.priceSchedules || [];
+
+  const priceAt = (at) => {
+    const productPrice = recordedPriceAt(productChanges, product.price, at);
+    const variantPrice = sku ? recordedPriceAt(variantChanges, variant?.price, at) : null;
+    const regularPrice = variantPrice ?? productPrice;
+    const schedule = activeSchedule(schedules, sku, at);
+    return { regularPrice, schedule, price: applySchedule(regularPrice, schedule) };
+  };
+
+  const moments = [
+    ...changes.filter(change => !change.sku || change.sku === sku).map(change => change.createdAt),
+    ...schedules.flatMap(schedule => [schedule.startsAt, schedule.endsAt])
+  ].filter(moment => moment > from && moment <= to);
+  const boundaries = [...new Set([from, ...moments].map(Number))].sort((a, b) => a - b);
+
+  const periods = [];
+  for (let moment of boundaries) {
+    const at = new Date(moment);
+    const { regularPrice, schedule, price } = priceAt(at);
+    const last = periods[periods.length - 1];
+
+    if (last && last.price === price && last.regularPrice === regularPrice &&
+        String(last.scheduleId) === String(schedule?._id ?? null)) {
+      continue;
+    }
+    if (last) last.to = at;
+
+    periods.push({
+      from: at,
+      to,
+      price,
+      regularPrice,
+      onSale: price < regularPrice,
+      scheduleId: schedule?._id ?? null,
+      label: schedule?.label ?? null
+    });
+  }
+
+  return periods;
+}
+
+module.exports = {
+  scheduleStatus,
+  describePrice,
+  currentPriceExpr,
+  scheduleProblem,
+  priceTimeline
+};
@@ -0,0 +1,124 @@
+// Product recommendations.
+//
+// "Frequently bought together" comes from an in-process index of how often
+// two products were in the same order, fed with order-service orders and
+// their cancellations (see syncCoPurchases in server.js). Related products
+// are scored by how much they resemble the product itself: category, brand
+// and price.
+
+// Products by id: { orders, partners: Map(productId -> orders with both) }
+let products = new Map();
+
+function addTo(index, productIds) {
+  const unique = [...new Set(productIds.map(String))];
+
+  for (let id of unique) {
+    const entry = index.get(id) || { orders: 0, partners: new Map() };
+    entry.orders += 1;
+    for (let other of unique) {
+      if (other !== id) entry.partners.set(other, (entry.partners.get(other) || 0) + 1);
+    }
+    index.set(id, entry);
+  }
+}
+
+function addOrder(productIds) {
+  addTo(products, productIds);
+}
+
+// Take an order added earlier back out, e.g. once it has been cancelled
+function removeOrder(productIds) {
+  const unique = [...new Set(productIds.map(String))];
+
+  for (let id of unique) {
+    const entry = products.get(id);
+    if (!entry) continue;
+
+    entry.orders -= 1;
+    if (entry.orders <= 0) {
+      products.delete(id);
+      continue;
+    }
+    for (let other of unique) {
+      if (other === id) continue;
+      const count = (entry.partners.get(other) || 0) - 1;
+      if (count > 0) {
+        entry.partners.set(other, count);
+      } else {
+        entry.partners.delete(other);
+      }
+    }
+  }
+}
+
+// Build a replacement index order by order. Lookups keep using the current
+// one until finish() swaps the new one in; an abandoned rebuild changes
+// nothing.
+function beginRebuild() {
+  const index = new Map();
+  return {
+    addOrder: (productIds) => addTo(index, productIds),
+    finish: () => {
+      products = index;
+    }
+  };
+}
+
+// Products bought with this one in at least minCount orders, best first:
+// [{ productId, count, confidence }]. confidence is the share of this
+// product's orders that also had the other one.
+function boughtWith(productId, minCount = 1) {
+  const entry = products.get(String(productId));
+  if (!entry) return [];
+
+  return [...entry.partners]
+    .filter(([, count]) => count >= minCount)
+    .map(([partnerId, count]) => ({ productId: partnerId, count, confidence: count / entry.orders }))
+    .sort((a, b) => b.confidence - a.confidence || b.count - a.count);
+}
+
+// Products bought with any of these (and not among them), scored by their
+// summed confidence: [{ productId, count, confidence }]
+function boughtWithAny(productIds, minCount = 1) {
+  const own = new Set(productIds.map(String));
+  const combined = new Map();
+
+  for (let productId of own) {
+    for (let partner of boughtWith(productId, minCount)) {
+      if (own.has(partner.productId)) continue;
+
+      const total = combined.get(partner.productId) || { productId: partner.productId, count: 0, confidence: 0 };
+      total.count += partner.count;
+      total.confidence += partner.confidence;
+      combined.set(partner.productId, total);
+    }
+  }
+
+  return [...combined.values()].sort((a, b) => b.confidence - a.confidence || b.count - a.count);
+}
+
+// How alike two products are, from 0 to 1. categoryWeight is 1 for the same
+// category (or one below it) and smaller for neighbouring categories.
+function similarity(product, candidate, categoryWeight) {
+  const brand = product.specifications?.brand;
+  const sameBrand = Boolean(brand) &&
+    brand.toLowerCase() === String(candidate.specifications?.brand || '').toLowerCase();
+
+  const highest = Math.max(product.price, candidate.price);
+  const priceCloseness = highest > 0 ? 1 - Math.abs(product.price - candidate.price) / highest : 1;
+
+  return 0.5 * categoryWeight +
+    0.2 * (sameBrand ? 1 : 0) +
+    0.2 * priceCloseness +
+    0.1 * (candidate.ratings?.average || 0) / 5;
+}
+
+module.exports = {
+  addOrder,
+  removeOrder,
+  beginRebuild,
+  boughtWith,
+  boughtWithAny,
+  similarity,
+  size: () => products.size
+};
@@ -2,24 +2,118 @@ const express = require('express');
 const mongoose = require('mongoose');
 const axios = require('axios');
 const cors = require('cors');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+const multer = require('multer');
+const suggestions = require('./suggestions');
+const catalog = require('./catalog');
+const images = require('./images');
+const prices = require('./prices');
+const recommendations = require('./recommendations');
+const { getStorage } = require('./storage');
+const { verifyInternal, internalHeaders } = require('../shared/internal');
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Catalog imports are raw CSV or JSON files that the import route streams
+// itself, so the body parser leaves them alone
+const parseJson = express.json();
+app.use((req, res, next) => {
+  if (req.path === '/catalog/import') return next();
+  parseJson(req, res, next);
+});
+
+// Category Schema (a tree). ancestors holds the ids from the root down to
+// the parent, so a whole subtree can be found with one indexed query.
+const categorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true },
+  description: String,
+  parentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  ancestors: [mongoose.Schema.Types.ObjectId],
+  sortOrder: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+categorySchema.index({ ancestors: 1 });
+// Sibling names must differ other than by case
+categorySchema.index(
+  { parentId: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+const Category = mongoose.model('Category', categorySchema);
+
+// Variant Schema (one SKU of a product, e.g. size 42 in red)
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true },
+  options: { type: mongoose.Schema.Types.Mixed, default: {} }, // option name -> value
+  price: Number, // falls back to the product price
+  stock: { type: Number, default: 0 },
+  reservedStock: { type: Number, default: 0 },
+  image: String // falls back to the product image
+});
+
+// A timed sale (see prices.js). Kept after it ends, as price history.
+const priceScheduleSchema = new mongoose.Schema({
+  sku: { type: String, default: null }, // null: the whole product
+  salePrice: Number,
+  percentOff: Number,
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  label: String,
+  createdBy: mongoose.Schema.Types.ObjectId,
+  createdAt: { type: Date, default: Date.now }
+});
 
-// MongoDB connection
-mongoose.connect(process.env.MONGODB_URI);
+// Uploaded product image. Each rendition (the original plus the sizes in
+// images.js) is a separate file in storage.
+const productImageSchema = new mongoose.Schema({
+  alt: String,
+  format: String,
+  width: Number,
+  height: Number,
+  renditions: [{
+    _id: false,
+    name: String, // original, thumbnail, medium or large
+    key: String,
+    width: Number,
+    height: Number,
+    size: Number
+  }],
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+// Clients get a URL per rendition instead of storage keys
+productImageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.urls = imageUrls(ret);
+    delete ret.renditions;
+    return ret;
+  }
+});
 
 // Product Schema
 const productSchema = new mongoose.Schema({
+  sku: String, // optional; catalog imports can match on it
   name: { type: String, required: true },
   description: { type: String, required: true },
-  price: { type: Number, required: true },
+  price: { type: Number, required: true }, // regular price; sales come from priceSchedules
+  compareAtPrice: { type: Number, min: 0, default: null }, // e.g. the list price, shown struck through
+  priceSchedules: [priceScheduleSchema],
+  // Name of the category, kept in sync with categoryId for display and for
+  // order-service promotions scoped by category
   category: { type: String, required: true },
+  categoryId: mongoose.Schema.Types.ObjectId,
   image: { type: String, default: 'https://via.placeholder.com/300' },
   stock: { type: Number, default: 0 },
+  reservedStock: { type: Number, default: 0 },
   featured: { type: Boolean, default: false },
   specifications: {
     brand: String,
@@ -31,23 +125,316 @@ const productSchema = new mongoose.Schema({
     average: { type: Number, default: 0 },
     count: { type: Number, default: 0 }
   },
+  // Option axes such as { name: 'Size', values: ['S', 'M', 'L'] }. When a
+  // product has variants, its stock and reservedStock are the totals across
+  // them and every stock change names a SKU.
+  options: [{
+    name: { type: String, required: true },
+    values: [String]
+  }],
+  variants: [variantSchema],
+  // Uploaded images in display order. The first one, when present, is the
+  // product's main image and takes precedence over the image URL above.
+  images: [productImageSchema],
+  // Alert admins once available stock falls to this level (null: never);
+  // cleared when stock recovers above it so the next dip alerts again
+  reorderThreshold: { type: Number, min: 0, default: null },
+  lowStockAlertedAt: Date,
+  // Archived products stay readable by ID (order history links to them)
+  // but are hidden from listings and can't be bought
+  archived: { type: Boolean, default: false },
+  archivedAt: Date,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+productSchema.index({ categoryId: 1 });
+
 // Add text index for search
 productSchema.index({ name: 'text', description: 'text' });
 
+productSchema.index(
+  { sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+productSchema.pre('validate', function (next) {
+  const problem = variantProblem(this);
+  if (problem) {
+    this.invalidate('variants', problem);
+  }
+
+  // New products with variants start with totals taken from them
+  if (this.isNew && this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+    this.reservedStock = 0;
+  }
+  next();
+});
+
+// Expose available stock (on hand minus active holds) as `stock`
+const exposeAvailableStock = {
+  transform: (doc, ret) => {
+    ret.onHand = ret.stock;
+    ret.stock = Math.max(ret.stock - (ret.reservedStock || 0), 0);
+    return ret;
+  }
+};
+productSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    exposeAvailableStock.transform(doc, ret);
+    if (ret.images?.length > 0) {
+      ret.image = ret.images[0].urls.medium;
+    }
+
+    // Add the price in force now; upcoming sales stay private to admins
+    const now = new Date();
+    Object.assign(ret, prices.describePrice(doc, null, now));
+    for (let variant of ret.variants || []) {
+      Object.assign(variant, prices.describePrice(doc, variant, now));
+    }
+    delete ret.priceSchedules;
+    return ret;
+  }
+});
+variantSchema.set('toJSON', exposeAvailableStock);
+
 const Product = mongoose.model('Product', productSchema);
 
-// Middleware to verify user (calls user service) - OPTIONAL FOR TESTING
+// Reservation Schema (time-limited stock holds for carts and orders)
+const reservationSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  sku: String, // set for products with variants
+  quantity: { type: Number, required: true, min: 1 },
+  reference: {
+    type: { type: String, enum: ['cart', 'order'], required: true },
+    id: { type: String, required: true }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'confirmed', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+reservationSchema.index({ status: 1, expiresAt: 1 });
+// One live hold per product line and reference, so a caller retrying a
+// reservation it may or may not have placed can't hold the stock twice
+reservationSchema.index(
+  { productId: 1, sku: 1, 'reference.type': 1, 'reference.id': 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+// Stock Movement Schema (append-only inventory ledger). quantity is the
+// signed change to on-hand stock, or to reserved stock for reservation and
+// release movements; balance is the product's (or SKU's) level right after.
+const stockMovementSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  sku: String,
+  type: {
+    type: String,
+    enum: ['sale', 'cancellation', 'restock', 'return', 'adjustment', 'reservation', 'release'],
+    required: true
+  },
+  quantity: { type: Number, required: true },
+  reason: String,
+  orderId: String,
+  userId: mongoose.Schema.Types.ObjectId,
+  reservationId: mongoose.Schema.Types.ObjectId,
+  balance: {
+    onHand: Number,
+    reserved: Number,
+    available: Number
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+
+rejectChanges(stockMovementSchema, 'The inventory ledger is append-only');
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+// Movement types callers of the stock route may use for each operation.
+// Adjustments go through the admin adjustments route instead.
+const stockOperationTypes = {
+  decrease: ['sale'],
+  increase: ['restock', 'return', 'cancellation']
+};
+
+// Price Change Schema: one entry per change to a regular price (the
+// product's, or a variant's own). Sale prices come from the schedules.
+const priceChangeSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  sku: { type: String, default: null },
+  price: Number, // null: the variant now uses the product price
+  previousPrice: Number,
+  reason: String,
+  userId: mongoose.Schema.Types.ObjectId,
+  createdAt: { type: Date, default: Date.now }
+});
+
+priceChangeSchema.index({ productId: 1, createdAt: 1 });
+
+rejectChanges(priceChangeSchema, 'Price history is append-only');
+
+const PriceChange = mongoose.model('PriceChange', priceChangeSchema);
+
+// Review Schema (one per customer per product)
+const reviewSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  orderId: mongoose.Schema.Types.ObjectId, // the delivered order that qualified it
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: { validator: Number.isInteger, message: 'Rating must be a whole number from 1 to 5' }
+  },
+  title: { type: String, maxlength: 120 },
+  text: { type: String, required: true, maxlength: 5000 },
+  status: { type: String, enum: ['published', 'hidden'], default: 'published' },
+  moderation: {
+    hiddenBy: mongoose.Schema.Types.ObjectId,
+    reason: String,
+    hiddenAt: Date
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+const reviewSortFields = {
+  newest: { createdAt: -1 },
+  rating_desc: { rating: -1, createdAt: -1 },
+  rating_asc: { rating: 1, createdAt: -1 }
+};
+
+// Catalog Import Job Schema (progress and row errors of a bulk import)
+const importJobSchema = new mongoose.Schema({
+  format: { type: String, enum: ['csv', 'json'], required: true },
+  matchBy: { type: String, enum: ['sku', 'name'], default: 'sku' },
+  dryRun: { type: Boolean, default: false },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalRows: { type: Number, default: 0 }, // rows read so far; final once the job finishes
+  processedRows: { type: Number, default: 0 },
+  // In a dry run these are what would have happened
+  created: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  // Rows are numbered from 1, not counting the CSV header
+  rowErrors: [{
+    row: Number,
+    field: String,
+    message: String
+  }],
+  error: String,
+  createdBy: mongoose.Schema.Types.ObjectId,
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+importJobSchema.index({ createdAt: -1 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+// Imports up to this many rows finish within the request; larger ones run
+// in the background and are polled through their job
+const IMPORT_INLINE_ROW_LIMIT = Number(process.env.IMPORT_INLINE_ROW_LIMIT) || 500;
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 20 * 1024 * 1024;
+const IMPORT_BATCH_SIZE = Number(process.env.IMPORT_BATCH_SIZE) || 100;
+const IMPORT_MAX_ROW_ERRORS = 1000;
+
+// Bucket boundaries for the search price facet; prices at or above the
+// last one share an open-ended bucket
+const searchPriceBoundaries = [0, 25, 50, 100, 250, 500, 1000];
+
+const searchSorts = {
+  relevance: { score: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  price_asc: { effectivePrice: 1, _id: 1 },
+  price_desc: { effectivePrice: -1, _id: 1 },
+  rating: { 'ratings.average': -1, 'ratings.count': -1, _id: 1 }
+};
+
+const RESERVATION_TTL_SECONDS = Number(process.env.RESERVATION_TTL_SECONDS) || 900;
+// Longest hold a caller may ask for
+const RESERVATION_MAX_TTL_SECONDS = Number(process.env.RESERVATION_MAX_TTL_SECONDS) || 60 * 60;
+const RESERVATION_SWEEP_INTERVAL_MS = Number(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 30000;
+const SUGGESTION_REBUILD_INTERVAL_MS = Number(process.env.SUGGESTION_REBUILD_INTERVAL_MS) || 10 * 60 * 1000;
+// Longer queries can't match a product name usefully and only cost time
+const SUGGESTION_MAX_QUERY_LENGTH = 100;
+
+// Recommendations. Co-purchases are read from order-service in small steps,
+// taking out orders cancelled since they were read, and rebuilt in full now
+// and then to catch anything missed. Orders are read once they are
+// RECOMMENDATION_ORDER_LAG_MS old so that ones still being placed aren't
+// skipped.
+const RECOMMENDATION_SYNC_INTERVAL_MS = Number(process.env.RECOMMENDATION_SYNC_INTERVAL_MS) || 5 * 60 * 1000;
+const RECOMMENDATION_REBUILD_INTERVAL_MS = Number(process.env.RECOMMENDATION_REBUILD_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+const RECOMMENDATION_ORDER_LAG_MS = 5 * 60 * 1000;
+// Pairs bought together fewer times than this are treated as chance
+const RECOMMENDATION_MIN_CO_PURCHASES = Number(process.env.RECOMMENDATION_MIN_CO_PURCHASES) || 2;
+const RECOMMENDATION_CANDIDATE_LIMIT = 200;
+
+// Image uploads. Image URLs are IMAGE_PUBLIC_URL followed by the storage
+// key; set it to wherever clients reach GET /images (e.g. /api/images
+// behind the gateway).
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 10 * 1024 * 1024;
+const IMAGE_MAX_PER_PRODUCT = Number(process.env.IMAGE_MAX_PER_PRODUCT) || 10;
+const IMAGE_PUBLIC_URL = (process.env.IMAGE_PUBLIC_URL || '/images').replace(/\/+$/, '');
+// Stored files are never rewritten (a new upload gets new keys), so they
+// can be cached for a long time
+const IMAGE_CACHE_MAX_AGE_SECONDS = Number(process.env.IMAGE_CACHE_MAX_AGE_SECONDS) || 365 * 24 * 60 * 60;
+
+const storage = getStorage();
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_MAX_BYTES, files: IMAGE_MAX_PER_PRODUCT }
+}).array('images', IMAGE_MAX_PER_PRODUCT);
+
+// On-hand stock minus active holds, for use in atomic update filters
+const availableStockExpr = {
+  $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }]
+};
+
+// Fields admins may set through create/update/replace. Stock goes through
+// PATCH /products/:id/stock so it can't race with reservations.
+// Variant stock likewise only changes through the stock and reservation routes.
+// The category is set separately, by id, slug or name (see assignCategory).
+const editableFields = [
+  'sku', 'name', 'description', 'price', 'compareAtPrice', 'image', 'featured', 'specifications', 'options',
+  'reorderThreshold'
+];
+const editableVariantFields = ['options', 'price', 'image'];
+
+// Middleware to verify user (calls user service)
 const verifyUser = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
     if (!token) {
-      console.log('No token provided, proceeding without auth for testing');
-      req.user = { role: 'admin' }; // Mock admin user for testing
-      return next();
+      return res.status(401).json({ error: 'Access token required' });
     }
 
     const response = await axios.post(`${process.env.USER_SERVICE_URL}/auth/verify`, {
@@ -58,16 +445,38 @@ const verifyUser = async (req, res, next) => {
       req.user = response.data.user;
       next();
     } else {
-      // For testing, allow without valid token
-      console.log('Invalid token, proceeding without auth for testing');
-      req.user = { role: 'admin' };
-      next();
+      res.status(401).json({ error: 'Invalid token' });
     }
   } catch (error) {
-    console.log('Auth service unavailable, proceeding without auth for testing');
-    req.user = { role: 'admin' };
-    next();
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Must run after verifyUser
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Parses multipart uploads into req.files, turning size and count limit
+// errors into 400s
+const acceptImageUploads = (req, res, next) => {
+  imageUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  });
+};
+
+// Must run after verifyUser
+const requireModerator = (req, res, next) => {
+  if (!['moderator', 'admin'].includes(req.user?.role)) {
+    return res.status(403).json({ error: 'Moderator access required' });
   }
+  next();
 };
 
 
@@ -94,23 +503,42 @@ app.get('/products', async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
-    const query = {};
+    // Anything that isn't a positive integer falls back to the default
+    const pageSize = Math.max(Math.floor(Number(limit)) || 20, 1);
+    const pageNumber = Math.max(Math.floor(Number(page)) || 1, 1);
+
+    const query = { archived: { $ne: true } };
+    // Price filters and sorting go by the price a product sells for now,
+    // sale included
+    const effectivePrice = prices.currentPriceExpr(new Date());
     
-    if (category) query.category = category;
+    if (category) Object.assign(query, await categoryFilter(category));
     if (featured) query.featured = featured === 'true';
     if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
+      const bounds = [];
+      if (minPrice) bounds.push({ $gte: [effectivePrice, Number(minPrice)] });
+      if (maxPrice) bounds.push({ $lte: [effectivePrice, Number(maxPrice)] });
+      query.$expr = { $and: bounds };
     }
 
+    // sortBy=rating orders by average rating, then by how many reviews back it
     const sort = {};
-    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    if (sortBy === 'rating') {
+      sort['ratings.average'] = sortOrder === 'asc' ? 1 : -1;
+      sort['ratings.count'] = -1;
+    } else {
+      sort[sortBy === 'price' ? 'effectivePrice' : sortBy] = sortOrder === 'asc' ? 1 : -1;
+    }
 
-    const products = await Product.find(query)
-      .sort(sort)
-      .limit(Number(limit))
-      .skip((Number(page) - 1) * Number(limit));
+    const docs = await Product.aggregate([
+      { $match: query },
+      { $addFields: { effectivePrice } },
+      { $sort: sort },
+      { $skip: (pageNumber - 1) * pageSize },
+      { $limit: pageSize },
+      { $project: { effectivePrice: 0 } }
+    ]);
+    const products = docs.map(doc => Product.hydrate(doc));
 
     const total = await Product.countDocuments(query);
 
@@ -119,10 +547,10 @@ app.get('/products', async (req, res) => {
     res.json({
       products,
       pagination: {
-        page: Number(page),
-        limit: Number(limit),
+        page: pageNumber,
+        limit: pageSize,
         total,
-        pages: Math.ceil(total / Number(limit))
+        pages: Math.ceil(total / pageSize)
       }
     });
   } catch (error) {
@@ -131,6 +559,33 @@ app.get('/products', async (req, res) => {
   }
 });
 
+// Get many products by ID in one call (for order service)
+app.post('/products/batch', async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids)) {
+      return res.status(400).json({ error: 'ids must be an array' });
+    }
+    if (ids.length > 200) {
+      return res.status(400).json({ error: 'At most 200 ids can be requested at once' });
+    }
+
+    const uniqueIds = [...new Set(ids.map(String))];
+    const validIds = uniqueIds.filter(id => mongoose.isValidObjectId(id));
+
+    const products = await Product.find({ _id: { $in: validIds } });
+    const found = new Set(products.map(product => product._id.toString()));
+
+    res.json({
+      products,
+      missing: uniqueIds.filter(id => !found.has(id))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get single product
 app.get('/products/:id', async (req, res) => {
   try {
@@ -144,13 +599,30 @@ app.get('/products/:id', async (req, res) => {
   }
 });
 
-// Create product (NO AUTH REQUIRED FOR TESTING)
-app.post('/products', async (req, res) => {
+// Create product (admin only)
+app.post('/products', verifyUser, requireAdmin, async (req, res) => {
   try {
     console.log('Creating product:', req.body);
     
-    const product = new Product(req.body);
+    const product = new Product({
+      ...pickEditable(req.body),
+      stock: req.body.stock,
+      variants: (req.body.variants || []).map(variant => ({
+        ...pickEditable(variant, editableVariantFields),
+        sku: variant.sku,
+        stock: variant.stock
+      }))
+    });
+
+    const categoryProblem = await assignCategory(product, req.body);
+    if (categoryProblem) {
+      return res.status(400).json({ error: categoryProblem });
+    }
+
     const savedProduct = await product.save();
+    suggestions.indexProduct(savedProduct);
+    await recordPriceChanges(savedProduct, new Map(), { reason: 'Product created', userId: req.user.userId });
+    await recordOpeningStock(savedProduct, { reason: 'Initial stock', userId: req.user.userId });
     
     console.log('Product created successfully:', savedProduct._id);
     res.status(201).json(savedProduct);
@@ -160,149 +632,2753 @@ app.post('/products', async (req, res) => {
   }
 });
 
-// Search products
-app.get('/search', async (req, res) => {
+// Update some fields of a product (admin only)
+app.patch('/products/:id', verifyUser, requireAdmin, async (req, res) => {
   try {
-    const { q, category, minPrice, maxPrice } = req.query;
-    const query = {};
+    const changes = pickEditable(req.body);
+    const changesCategory = req.body.category !== undefined || req.body.categoryId !== undefined;
+    if (Object.keys(changes).length === 0 && !changesCategory) {
+      return res.status(400).json({
+        error: `Nothing to update. Editable fields: ${[...editableFields, 'category'].join(', ')}`
+      });
+    }
 
-    if (q) {
-      query.$text = { $search: q };
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
     }
 
-    if (category) query.category = category;
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
+    const categoryProblem = await assignCategory(product, req.body);
+    if (categoryProblem) {
+      return res.status(400).json({ error: categoryProblem });
     }
 
-    const products = await Product.find(query).limit(20);
-    res.json(products);
+    const pricesBefore = priceSnapshot(product);
+
+    // Merge specifications key by key rather than replacing the whole object
+    for (let [field, value] of Object.entries(changes)) {
+      if (field === 'specifications' && value && typeof value === 'object') {
+        for (let [key, spec] of Object.entries(value)) {
+          product.set(`specifications.${key}`, spec);
+        }
+      } else {
+        product.set(field, value);
+      }
+    }
+    product.updatedAt = new Date();
+
+    await product.save();
+    suggestions.indexProduct(product);
+    await recordPriceChanges(product, pricesBefore, { reason: 'Product updated', userId: req.user.userId });
+
+    res.json(product);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+    res.status(status).json({ error: error.message });
   }
 });
 
-// Get categories
-app.get('/categories', async (req, res) => {
+// Replace a product's editable fields; omitted optional fields reset to
+// their defaults (admin only)
+app.put('/products/:id', verifyUser, requireAdmin, async (req, res) => {
   try {
-    const categories = await Product.distinct('category');
-    console.log('Found categories:', categories);
-    res.json(categories);
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    if (req.body.category === undefined && req.body.categoryId === undefined) {
+      return res.status(400).json({ error: 'category is required' });
+    }
+    const categoryProblem = await assignCategory(product, req.body);
+    if (categoryProblem) {
+      return res.status(400).json({ error: categoryProblem });
+    }
+
+    const pricesBefore = priceSnapshot(product);
+    const replacement = pickEditable(req.body);
+    for (let field of editableFields) {
+      const path = Product.schema.path(field);
+      const defaultValue = path?.instance === 'Array' ? [] : path?.defaultValue;
+      product.set(field, field in replacement ? replacement[field] : defaultValue);
+    }
+    product.updatedAt = new Date();
+
+    await product.save();
+    suggestions.indexProduct(product);
+    await recordPriceChanges(product, pricesBefore, { reason: 'Product replaced', userId: req.user.userId });
+
+    res.json(product);
   } catch (error) {
-    console.error('Error fetching categories:', error);
-    res.status(500).json({ error: error.message });
+    const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+    res.status(status).json({ error: error.message });
   }
 });
 
-// Update stock (for order service)
-app.patch('/products/:id/stock', async (req, res) => {
+// Archive a product (admin only). Nothing is deleted.
+app.delete('/products/:id', verifyUser, requireAdmin, async (req, res) => {
   try {
-    const { quantity, operation } = req.body; // operation: 'decrease' or 'increase'
-    
     const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    if (operation === 'decrease') {
-      if (product.stock < quantity) {
-        return res.status(400).json({ error: 'Insufficient stock' });
-      }
-      product.stock -= quantity;
-    } else if (operation === 'increase') {
-      product.stock += quantity;
+    if (!product.archived) {
+      product.archived = true;
+      product.archivedAt = new Date();
+      product.updatedAt = new Date();
+      await product.save();
     }
+    suggestions.removeProduct(product._id);
 
-    await product.save();
-    res.json({ message: 'Stock updated', newStock: product.stock });
+    res.json({ message: 'Product archived', product });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Initialize sample data endpoint
-app.post('/init-data', async (req, res) => {
+// Bring an archived product back (admin only)
+app.post('/products/:id/restore', verifyUser, requireAdmin, async (req, res) => {
   try {
-    console.log('Initializing sample data...');
-    
-    // Clear existing products first
-    await Product.deleteMany({});
-    console.log('Cleared existing products');
-    
-    const sampleProducts = [
-      {
-        name: "iPhone 14 Pro",
-        description: "Latest Apple smartphone with Pro features",
-        price: 999,
-        category: "Electronics",
-        stock: 50,
-        featured: true,
-        image: "https://picsum.photos/300/300?random=1"
-      },
-      {
-        name: "Samsung Galaxy S23",
-        description: "Powerful Android smartphone",
-        price: 899,
-        category: "Electronics",
-        stock: 30,
-        featured: true,
-        image: "https://picsum.photos/300/300?random=2"
-      },
-      {
-        name: "MacBook Air M2",
-        description: "Ultra-thin laptop with M2 chip",
-        price: 1199,
-        category: "Computers",
-        stock: 25,
-        featured: true,
-        image: "https://picsum.photos/300/300?random=3"
-      },
-      {
-        name: "Nike Air Max 270",
-        description: "Comfortable running shoes",
-        price: 150,
-        category: "Shoes",
-        stock: 100,
-        featured: false,
-        image: "https://picsum.photos/300/300?random=4"
-      },
+    const product = await Product.findByIdAndUpdate(
+      req.params.id,
+      { archived: false, $unset: { archivedAt: 1 }, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    suggestions.indexProduct(product);
+
+    res.json(product);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a SKU to a product (admin only). A product that still has stock of
+// its own has to move it onto variants through the stock route first.
+app.post('/products/:id/variants', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (product.variants.length === 0 && product.stock > 0) {
+      return res.status(409).json({
+        error: `Product has ${product.stock} units not assigned to a SKU; reduce its stock to 0 before adding variants`
+      });
+    }
+
+    const pricesBefore = priceSnapshot(product);
+    const variant = product.variants.create({
+      ...pickEditable(req.body, editableVariantFields),
+      sku: req.body.sku,
+      stock: req.body.stock
+    });
+    product.variants.push(variant);
+    await product.validate();
+
+    // Push and bump the totals in one update so concurrent stock changes
+    // on other SKUs aren't overwritten
+    const updated = await Product.findOneAndUpdate(
+      { _id: product._id, 'variants.sku': { $ne: variant.sku } },
       {
-        name: "Sony WH-1000XM5",
-        description: "Noise-cancelling wireless headphones",
-        price: 349,
-        category: "Audio",
-        stock: 40,
-        featured: true,
-        image: "https://picsum.photos/300/300?random=5"
+        $push: { variants: variant },
+        $inc: { stock: variant.stock },
+        updatedAt: new Date()
       },
-      {
-        name: "iPad Pro 12.9",
-        description: "Professional tablet with M2 chip",
-        price: 1099,
-        category: "Electronics",
-        stock: 20,
-        featured: false,
-        image: "https://picsum.photos/300/300?random=6"
-      }
-    ];
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: `SKU ${variant.sku} already exists on this product` });
+    }
 
-    const createdProducts = await Product.insertMany(sampleProducts);
-    console.log(`Created ${createdProducts.length} products`);
-    
-    res.json({
-      message: 'Sample data initialized successfully',
-      productsCreated: createdProducts.length,
-      products: createdProducts
-    });
+    if (variant.stock > 0) {
+      await recordStockMovement(updated, {
+        sku: variant.sku,
+        type: 'restock',
+        quantity: variant.stock,
+        reason: 'Initial stock',
+        userId: req.user.userId
+      });
+    }
+    await recordPriceChanges(updated, pricesBefore, { reason: 'Variant added', userId: req.user.userId });
+
+    res.status(201).json(updated);
   } catch (error) {
-    console.error('Error initializing data:', error);
-    res.status(500).json({ error: error.message });
+    const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400
+      : error.code === 11000 ? 409 : 500;
+    res.status(status).json({ error: status === 409 ? 'SKU is already in use' : error.message });
   }
 });
 
-const PORT = process.env.PORT || 5002;
-app.listen(PORT, () => {
-  console.log(`Product Service running on port ${PORT}`);
-});
\ No newline at end of file
+// Update a SKU's options, price or image (admin only)
+app.patch('/products/:id/variants/:sku', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product?.variants.find(variant => variant.sku === req.params.sku);
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const changes = pickEditable(req.body, editableVariantFields);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: `Nothing to update. Editable fields: ${editableVariantFields.join(', ')}` });
+    }
+
+    const pricesBefore = priceSnapshot(product);
+    variant.set(changes);
+    product.updatedAt = new Date();
+
+    await product.save();
+    await recordPriceChanges(product, pricesBefore, { reason: 'Variant updated', userId: req.user.userId });
+
+    res.json(product);
+  } catch (error) {
+    const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Remove a SKU (admin only). Refused while any of it is reserved.
+app.delete('/products/:id/variants/:sku', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product?.variants.find(variant => variant.sku === req.params.sku);
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const updated = await Product.findOneAndUpdate(
+      {
+        _id: product._id,
+        variants: { $elemMatch: { sku: variant.sku, stock: variant.stock, reservedStock: 0 } }
+      },
+      {
+        $pull: { variants: { sku: variant.sku } },
+        $inc: { stock: -variant.stock },
+        updatedAt: new Date()
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: 'Variant has reserved stock or changed concurrently, please retry' });
+    }
+
+    if (variant.stock > 0) {
+      await recordStockMovement(updated, {
+        sku: variant.sku,
+        type: 'adjustment',
+        quantity: -variant.stock,
+        reason: 'Variant removed',
+        userId: req.user.userId,
+        balance: { onHand: 0, reserved: 0, available: 0 }
+      });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A product's sale schedules with their status (admin only)
+app.get('/products/:id/price-schedules', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('priceSchedules');
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const now = new Date();
+    res.json(product.priceSchedules
+      .map(schedule => ({ ...schedule.toObject(), status: prices.scheduleStatus(schedule, now) }))
+      .sort((a, b) => b.startsAt - a.startsAt));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedule a sale (admin only). Body: { sku?, salePrice or percentOff,
+// startsAt (default now), endsAt, label? }
+app.post('/products/:id/price-schedules', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const now = new Date();
+    const { sku = null, salePrice, percentOff, startsAt, endsAt, label } = req.body;
+    if (startsAt && new Date(startsAt) < now) {
+      return res.status(400).json({ error: 'startsAt cannot be in the past' });
+    }
+
+    const schedule = product.priceSchedules.create({
+      sku,
+      salePrice,
+      percentOff,
+      startsAt: startsAt ? new Date(startsAt) : now,
+      endsAt: endsAt && new Date(endsAt),
+      label,
+      createdBy: req.user.userId
+    });
+
+    const problem = prices.scheduleProblem(schedule, product, product.priceSchedules);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    product.priceSchedules.push(schedule);
+    product.updatedAt = new Date();
+    await product.save();
+
+    res.status(201).json({ ...schedule.toObject(), status: prices.scheduleStatus(schedule, now) });
+  } catch (error) {
+    const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Change a sale (admin only). Upcoming sales can be changed freely; a
+// running sale can only have its end moved (to now at the earliest), so
+// that the price history stays true; ended sales can't be changed.
+app.patch('/products/:id/price-schedules/:scheduleId', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const schedule = product?.priceSchedules.id(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Price schedule not found' });
+    }
+
+    const now = new Date();
+    const status = prices.scheduleStatus(schedule, now);
+    const fields = ['sku', 'salePrice', 'percentOff', 'startsAt', 'endsAt', 'label'];
+    const changes = Object.fromEntries(fields
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, ['startsAt', 'endsAt'].includes(field) ? new Date(req.body[field]) : req.body[field]]));
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: `Nothing to update. Editable fields: ${fields.join(', ')}` });
+    }
+
+    if (status === 'ended') {
+      return res.status(409).json({ error: 'This sale has ended and is part of the price history' });
+    }
+    if (status === 'active') {
+      if (Object.keys(changes).some(field => field !== 'endsAt')) {
+        return res.status(409).json({ error: 'Only endsAt can be changed once a sale has started' });
+      }
+      if (changes.endsAt < now) {
+        changes.endsAt = now;
+      }
+    }
+    if (status === 'scheduled' && changes.startsAt && changes.startsAt < now) {
+      return res.status(400).json({ error: 'startsAt cannot be moved into the past' });
+    }
+
+    // Switching between a fixed price and a percentage replaces the other
+    if (changes.salePrice !== undefined) changes.percentOff = undefined;
+    if (changes.percentOff !== undefined) changes.salePrice = undefined;
+
+    const candidate = { ...schedule.toObject(), ...changes };
+    const others = product.priceSchedules.filter(other => !other._id.equals(schedule._id));
+    const problem = prices.scheduleProblem(candidate, product, others);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    schedule.set(changes);
+    product.updatedAt = new Date();
+    await product.save();
+
+    res.json({ ...schedule.toObject(), status: prices.scheduleStatus(schedule) });
+  } catch (error) {
+    const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Cancel an upcoming sale (admin only). Sales that have started are ended
+// through PATCH with endsAt instead.
+app.delete('/products/:id/price-schedules/:scheduleId', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const schedule = product?.priceSchedules.id(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Price schedule not found' });
+    }
+    if (prices.scheduleStatus(schedule) !== 'scheduled') {
+      return res.status(409).json({ error: 'Sale has already started; end it by setting endsAt instead' });
+    }
+
+    // Conditional on it still being upcoming, in case it started meanwhile
+    const updated = await Product.findOneAndUpdate(
+      { _id: product._id, priceSchedules: { $elemMatch: { _id: schedule._id, startsAt: { $gt: new Date() } } } },
+      { $pull: { priceSchedules: { _id: schedule._id } }, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: 'Sale has already started; end it by setting endsAt instead' });
+    }
+
+    res.json({ message: 'Price schedule cancelled' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What a product (or one SKU, with ?sku=) cost over time, as periods of
+// constant price. Defaults to the last 90 days; never looks past now.
+app.get('/products/:id/price-history', async (req, res) => {
+  try {
+    const { sku } = req.query;
+    const now = new Date();
+    const to = req.query.to ? new Date(Math.min(new Date(req.query.to), now)) : now;
+    const from = req.query.from ? new Date(req.query.from) : new Date(to - 90 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'from and to must be dates with from before to (and before now)' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (sku && !product.variants.some(variant => variant.sku === sku)) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const changes = await PriceChange.find({ productId: product._id, createdAt: { $lte: now } })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      productId: product._id,
+      sku: sku || null,
+      from,
+      to,
+      periods: prices.priceTimeline(product, sku || null, changes, from, to)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload images for a product (admin only). Send multipart/form-data with
+// the files in the `images` field and, optionally, an `alt` field per file.
+app.post('/products/:id/images', verifyUser, requireAdmin, acceptImageUploads, async (req, res) => {
+  const storedKeys = [];
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'Attach at least one file in the images field' });
+    }
+    if (product.images.length + files.length > IMAGE_MAX_PER_PRODUCT) {
+      return res.status(400).json({
+        error: `A product can have at most ${IMAGE_MAX_PER_PRODUCT} images (it has ${product.images.length})`
+      });
+    }
+
+    // Process everything before storing anything, so one bad file rejects
+    // the whole upload
+    const processed = [];
+    for (let file of files) {
+      processed.push(await images.processImage(file.buffer));
+    }
+
+    const alts = [].concat(req.body.alt ?? []);
+    const uploaded = processed.map((result, index) => product.images.create({
+      alt: alts[index] || product.name,
+      format: result.format,
+      width: result.width,
+      height: result.height
+    }));
+
+    for (let [index, image] of uploaded.entries()) {
+      for (let rendition of processed[index].renditions) {
+        const key = `products/${product._id}/${image._id}/${rendition.name}.${rendition.extension}`;
+        await storage.put(key, rendition.buffer, { contentType: rendition.contentType });
+        storedKeys.push(key);
+
+        image.renditions.push({
+          name: rendition.name,
+          key,
+          width: rendition.width,
+          height: rendition.height,
+          size: rendition.buffer.length
+        });
+      }
+    }
+
+    product.images.push(...uploaded);
+    product.updatedAt = new Date();
+    await product.save();
+
+    res.status(201).json(product);
+  } catch (error) {
+    // Don't leave files behind for images that were never saved
+    await Promise.all(storedKeys.map(key => storage.remove(key).catch(() => {})));
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Change an image's alt text or move it to another position; position 0
+// makes it the main image (admin only)
+app.patch('/products/:id/images/:imageId', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const image = product?.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const { alt, position } = req.body;
+    if (alt === undefined && position === undefined) {
+      return res.status(400).json({ error: 'Nothing to update. Editable fields: alt, position' });
+    }
+    if (position !== undefined &&
+        (!Number.isInteger(position) || position < 0 || position >= product.images.length)) {
+      return res.status(400).json({ error: `position must be an integer from 0 to ${product.images.length - 1}` });
+    }
+
+    if (alt !== undefined) {
+      image.alt = alt;
+    }
+    if (position !== undefined) {
+      const ordered = product.images.filter(other => !other._id.equals(image._id));
+      ordered.splice(position, 0, image);
+      product.images = ordered;
+    }
+    product.updatedAt = new Date();
+
+    res.json(await product.save());
+  } catch (error) {
+    const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Remove an image and its files (admin only)
+app.delete('/products/:id/images/:imageId', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const image = product?.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const updated = await Product.findByIdAndUpdate(
+      product._id,
+      { $pull: { images: { _id: image._id } }, updatedAt: new Date() },
+      { new: true }
+    );
+
+    // The image is already gone from the product; a file that fails to
+    // delete is only wasted space
+    for (let rendition of image.renditions) {
+      await storage.remove(rendition.key).catch(error => {
+        console.error('Image file removal error:', error.message);
+      });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Serve a stored image file
+app.get('/images/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    const file = await storage.get(key);
+    if (!file) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.type(path.extname(key));
+    res.set({
+      'Cache-Control': `public, max-age=${IMAGE_CACHE_MAX_AGE_SECONDS}, immutable`,
+      'Last-Modified': file.modifiedAt.toUTCString(),
+      ETag: `"${file.size.toString(16)}-${file.modifiedAt.getTime().toString(16)}"`,
+      // The storefront is served from another origin
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.set('Content-Length', file.size);
+    pipeline(file.stream(), res, (error) => {
+      if (error) console.error('Image stream error:', error.message);
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List a product's published reviews
+app.get('/products/:id/reviews', async (req, res) => {
+  try {
+    const { sort = 'newest', limit = 20, page = 1 } = req.query;
+    if (!reviewSortFields[sort]) {
+      return res.status(400).json({ error: `sort must be one of ${Object.keys(reviewSortFields).join(', ')}` });
+    }
+
+    const query = { productId: req.params.id, status: 'published' };
+    const [reviews, total, product] = await Promise.all([
+      Review.find(query)
+        .select('-moderation')
+        .sort(reviewSortFields[sort])
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit)),
+      Review.countDocuments(query),
+      Product.findById(req.params.id).select('ratings')
+    ]);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json({
+      reviews,
+      ratings: product.ratings,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Review a product. Only customers with a delivered order containing it
+// may post, once each.
+app.post('/products/:id/reviews', verifyUser, async (req, res) => {
+  try {
+    const { rating, title, text } = req.body;
+
+    const product = await Product.findById(req.params.id).select('_id');
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    if (await Review.exists({ productId: product._id, userId: req.user.userId })) {
+      return res.status(409).json({ error: 'You have already reviewed this product' });
+    }
+
+    const purchase = await findDeliveredPurchase(req.user.userId, product._id);
+    if (!purchase) {
+      return res.status(403).json({ error: 'Only customers who received this product can review it' });
+    }
+
+    const review = await Review.create({
+      productId: product._id,
+      userId: req.user.userId,
+      orderId: purchase.orderId,
+      rating,
+      title,
+      text
+    });
+    await recalculateRating(product._id);
+
+    res.status(201).json(review);
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : error.code === 11000 ? 409 : 500;
+    res.status(status).json({
+      error: status === 409 ? 'You have already reviewed this product' : error.message
+    });
+  }
+});
+
+// Edit your own review
+app.patch('/products/:id/reviews/:reviewId', verifyUser, async (req, res) => {
+  try {
+    const review = await Review.findOne({
+      _id: req.params.reviewId,
+      productId: req.params.id,
+      userId: req.user.userId
+    });
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    for (let field of ['rating', 'title', 'text']) {
+      if (req.body[field] !== undefined) review[field] = req.body[field];
+    }
+    review.updatedAt = new Date();
+    await review.save();
+    await recalculateRating(review.productId);
+
+    res.json(review);
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// Delete a review (its author, or an admin)
+app.delete('/products/:id/reviews/:reviewId', verifyUser, async (req, res) => {
+  try {
+    const query = { _id: req.params.reviewId, productId: req.params.id };
+    if (req.user.role !== 'admin') {
+      query.userId = req.user.userId;
+    }
+
+    const review = await Review.findOneAndDelete(query);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    await recalculateRating(review.productId);
+
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Hide a review from the product page (moderators and admins)
+app.post('/products/:id/reviews/:reviewId/hide', verifyUser, requireModerator, async (req, res) => {
+  try {
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.reviewId, productId: req.params.id },
+      {
+        status: 'hidden',
+        moderation: {
+          hiddenBy: req.user.userId,
+          reason: req.body.reason,
+          hiddenAt: new Date()
+        },
+        updatedAt: new Date()
+      },
+      { new: true }
+    );
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    await recalculateRating(review.productId);
+
+    res.json(review);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Publish a hidden review again (moderators and admins)
+app.post('/products/:id/reviews/:reviewId/unhide', verifyUser, requireModerator, async (req, res) => {
+  try {
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.reviewId, productId: req.params.id },
+      { status: 'published', $unset: { moderation: 1 }, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    await recalculateRating(review.productId);
+
+    res.json(review);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Products like this one: same or neighbouring category, similar brand and
+// price, boosted by how often they're bought together. Only products in
+// stock are suggested.
+app.get('/products/:id/related', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 8, 1), 50);
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const coPurchases = new Map(recommendations.boughtWith(product._id)
+      .map(partner => [partner.productId, partner.confidence]));
+    const scored = (await relatedCandidates([product]))
+      .map(({ candidate, categoryWeight }) => ({
+        candidate,
+        score: recommendations.similarity(product, candidate, categoryWeight) +
+          0.5 * (coPurchases.get(String(candidate._id)) || 0)
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    res.json({
+      productId: product._id,
+      products: scored.map(({ candidate, score }) => ({
+        ...candidate.toJSON(),
+        score: Math.round(score * 1000) / 1000
+      }))
+    });
+  } catch (error) {
+    const status = error.name === 'CastError' ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Products most often in the same order as this one
+app.get('/products/:id/frequently-bought-together', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 4, 1), 20);
+    const product = await Product.findById(req.params.id).select('_id');
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const partners = recommendations.boughtWith(product._id, RECOMMENDATION_MIN_CO_PURCHASES);
+    res.json({
+      productId: product._id,
+      products: await recommendedProducts(partners, limit)
+    });
+  } catch (error) {
+    const status = error.name === 'CastError' ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Suggestions for a cart: ?productIds=a,b,c. What was bought with its
+// items comes first, then products like them.
+app.get('/recommendations/cart', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 8, 1), 50);
+    const productIds = String(req.query.productIds || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(id => mongoose.isValidObjectId(id));
+    if (productIds.length === 0) {
+      return res.status(400).json({ error: 'productIds must list at least one product id' });
+    }
+
+    const partners = recommendations.boughtWithAny(productIds, RECOMMENDATION_MIN_CO_PURCHASES);
+    const products = await recommendedProducts(partners, limit);
+
+    if (products.length < limit) {
+      const cartProducts = await Product.find({ _id: { $in: productIds } });
+      const taken = new Set([...productIds, ...products.map(product => String(product._id))]);
+
+      const similar = (await relatedCandidates(cartProducts))
+        .filter(({ candidate }) => !taken.has(String(candidate._id)))
+        .map(({ candidate, categoryWeight }) => ({
+          candidate,
+          score: Math.max(...cartProducts.map(cartProduct =>
+            recommendations.similarity(cartProduct, candidate, categoryWeight)))
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit - products.length);
+
+      products.push(...similar.map(({ candidate }) => ({ ...candidate.toJSON(), reason: 'similar' })));
+    }
+
+    res.json({ productIds, products });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Autocomplete: product names and categories matching what has been typed
+// so far, tolerant of typos
+app.get('/search/suggestions', (req, res) => {
+  const { q = '', limit = 8 } = req.query;
+
+  if (typeof q !== 'string') {
+    return res.status(400).json({ error: 'q must be a single value' });
+  }
+  if (q.length > SUGGESTION_MAX_QUERY_LENGTH) {
+    return res.status(400).json({ error: `q must be at most ${SUGGESTION_MAX_QUERY_LENGTH} characters` });
+  }
+
+  res.json({
+    query: q,
+    suggestions: suggestions.suggest(q, Math.min(Math.max(Number(limit) || 8, 1), 20))
+  });
+});
+
+// Search products. Returns a page of results plus facet counts; each
+// facet is counted with every filter applied except its own, so the
+// sidebar can show what choosing another value would give.
+app.get('/search', async (req, res) => {
+  try {
+    const { q, category, brand, minPrice, maxPrice, inStock, sort, limit = 20, page = 1 } = req.query;
+    // ?q=a&q=b or ?q[x]=y arrive as an array or object
+    if (q !== undefined && typeof q !== 'string') {
+      return res.status(400).json({ error: 'q must be a single search string' });
+    }
+    const pageSize = Math.min(Math.max(Number(limit) || 20, 1), 100);
+    const pageNumber = Math.max(Number(page) || 1, 1);
+
+    const sortStage = searchSorts[sort || (q ? 'relevance' : 'newest')];
+    if (!sortStage || (sort === 'relevance' && !q)) {
+      return res.status(400).json({
+        error: `sort must be one of ${Object.keys(searchSorts).join(', ')} (relevance needs q)`
+      });
+    }
+
+    const baseMatch = { archived: { $ne: true } };
+    if (q) {
+      baseMatch.$text = { $search: q };
+    }
+
+    const filters = {};
+    if (category) filters.category = await categoryFilter(category);
+    if (brand) filters.brand = { 'specifications.brand': brand };
+    if (minPrice || maxPrice) {
+      const price = {};
+      if (minPrice) price.$gte = Number(minPrice);
+      if (maxPrice) price.$lte = Number(maxPrice);
+      filters.price = { effectivePrice: price };
+    }
+    if (inStock === 'true') filters.inStock = { available: { $gt: 0 } };
+
+    // All active filters, optionally leaving one out
+    const filterMatch = (except) => ({
+      $match: Object.assign({}, ...Object.entries(filters)
+        .filter(([name]) => name !== except)
+        .map(([, condition]) => condition))
+    });
+
+    const [result] = await Product.aggregate([
+      { $match: baseMatch },
+      {
+        $addFields: {
+          available: { $max: [availableStockExpr, 0] },
+          // What it sells for now, sale included, for the price filter,
+          // facet and sorts
+          effectivePrice: prices.currentPriceExpr(new Date()),
+          ...(q && { score: { $meta: 'textScore' } })
+        }
+      },
+      {
+        $facet: {
+          products: [
+            filterMatch(),
+            { $sort: sortStage },
+            { $skip: (pageNumber - 1) * pageSize },
+            { $limit: pageSize }
+          ],
+          total: [filterMatch(), { $count: 'count' }],
+          categories: [
+            filterMatch('category'),
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          brands: [
+            filterMatch('brand'),
+            { $match: { 'specifications.brand': { $nin: [null, ''] } } },
+            { $group: { _id: '$specifications.brand', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          priceRanges: [
+            filterMatch('price'),
+            {
+              $bucket: {
+                groupBy: '$effectivePrice',
+                boundaries: searchPriceBoundaries,
+                default: 'above',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ],
+          availability: [
+            filterMatch('inStock'),
+            {
+              $group: {
+                _id: null,
+                inStock: { $sum: { $cond: [{ $gt: ['$available', 0] }, 1, 0] } },
+                outOfStock: { $sum: { $cond: [{ $gt: ['$available', 0] }, 0, 1] } }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const topBoundary = searchPriceBoundaries[searchPriceBoundaries.length - 1];
+
+    res.json({
+      products: result.products.map(({ available, effectivePrice, score, ...doc }) => ({
+        ...Product.hydrate(doc).toJSON(),
+        ...(q && { score })
+      })),
+      facets: {
+        categories: result.categories.map(({ _id, count }) => ({ value: _id, count })),
+        brands: result.brands.map(({ _id, count }) => ({ value: _id, count })),
+        priceRanges: result.priceRanges.map(({ _id, count }) => {
+          if (_id === 'above') return { min: topBoundary, max: null, count };
+          const index = searchPriceBoundaries.indexOf(_id);
+          return { min: _id, max: searchPriceBoundaries[index + 1], count };
+        }),
+        availability: {
+          inStock: result.availability[0]?.inStock || 0,
+          outOfStock: result.availability[0]?.outOfStock || 0
+        }
+      },
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Category tree, ordered by sortOrder then name. Each node has the number
+// of live products directly in it and in its whole subtree.
+app.get('/categories', async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ sortOrder: 1, name: 1 }),
+      Product.aggregate([
+        { $match: { archived: { $ne: true }, categoryId: { $ne: null } } },
+        { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json(buildCategoryTree(categories, counts));
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One category (by id or slug) with its breadcrumb and direct children
+app.get('/categories/:idOrSlug', async (req, res) => {
+  try {
+    const category = await resolveCategory(req.params.idOrSlug, { byName: false });
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const [ancestors, children] = await Promise.all([
+      Category.find({ _id: { $in: category.ancestors } }),
+      Category.find({ parentId: category._id }).sort({ sortOrder: 1, name: 1 })
+    ]);
+
+    res.json({
+      ...category.toJSON(),
+      breadcrumb: category.ancestors.map(id => ancestors.find(ancestor => ancestor._id.equals(id))),
+      children
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a category (admin only)
+app.post('/categories', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const { name, slug, description, parentId = null, sortOrder } = req.body;
+
+    let parent = null;
+    if (parentId) {
+      parent = await Category.findById(parentId);
+      if (!parent) {
+        return res.status(400).json({ error: 'Parent category not found' });
+      }
+    }
+
+    const category = await Category.create({
+      name,
+      slug: slugify(slug || name),
+      description,
+      parentId: parent?._id || null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      sortOrder
+    });
+
+    res.status(201).json(category);
+  } catch (error) {
+    res.status(categoryErrorStatus(error)).json({ error: categoryErrorMessage(error) });
+  }
+});
+
+// Update a category (admin only). Changing parentId moves its subtree;
+// renaming updates the category name stored on its products.
+app.patch('/categories/:id', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const renamed = req.body.name !== undefined && req.body.name !== category.name;
+    for (let field of ['name', 'description', 'sortOrder']) {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
+    }
+    if (req.body.slug !== undefined) {
+      category.slug = slugify(req.body.slug);
+    }
+
+    const moving = req.body.parentId !== undefined &&
+      String(req.body.parentId || '') !== String(category.parentId || '');
+    let descendants = [];
+    if (moving) {
+      let parent = null;
+      if (req.body.parentId) {
+        parent = await Category.findById(req.body.parentId);
+        if (!parent) {
+          return res.status(400).json({ error: 'Parent category not found' });
+        }
+        if (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id))) {
+          return res.status(400).json({ error: 'A category cannot be moved under itself' });
+        }
+      }
+
+      category.parentId = parent?._id || null;
+      category.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+      descendants = await Category.find({ ancestors: category._id });
+    }
+
+    category.updatedAt = new Date();
+    await category.save();
+
+    // Re-root each descendant's path below the moved category
+    if (descendants.length > 0) {
+      await Category.bulkWrite(descendants.map(descendant => {
+        const below = descendant.ancestors.slice(
+          descendant.ancestors.findIndex(id => id.equals(category._id)) + 1
+        );
+        return {
+          updateOne: {
+            filter: { _id: descendant._id },
+            update: { ancestors: [...category.ancestors, category._id, ...below], updatedAt: new Date() }
+          }
+        };
+      }));
+    }
+
+    if (renamed) {
+      await Product.updateMany({ categoryId: category._id }, { category: category.name });
+      await rebuildSuggestionIndex();
+    }
+
+    res.json(category);
+  } catch (error) {
+    res.status(categoryErrorStatus(error)).json({ error: categoryErrorMessage(error) });
+  }
+});
+
+// Delete an empty category (admin only)
+app.delete('/categories/:id', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    if (await Category.exists({ parentId: category._id })) {
+      return res.status(409).json({ error: 'Move or delete its subcategories first' });
+    }
+    if (await Product.exists({ categoryId: category._id })) {
+      return res.status(409).json({ error: 'Category still has products (including archived ones)' });
+    }
+
+    await Category.deleteOne({ _id: category._id });
+    res.json({ message: 'Category deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update stock (for order service). type says why, for the ledger; it
+// defaults to sale for decreases and restock for increases.
+app.patch('/products/:id/stock', verifyInternal, async (req, res) => {
+  try {
+    const { quantity, operation, sku, reason, orderId } = req.body; // operation: 'decrease' or 'increase'
+    const type = req.body.type || (operation === 'decrease' ? 'sale' : 'restock');
+
+    if (!stockOperationTypes[operation]) {
+      return res.status(400).json({ error: 'operation must be decrease or increase' });
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'Quantity must be a positive integer' });
+    }
+    if (!stockOperationTypes[operation].includes(type)) {
+      return res.status(400).json({
+        error: `type must be one of ${stockOperationTypes[operation].join(', ')} for ${operation}`
+      });
+    }
+    
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const skuProblem = checkSku(product, sku);
+    if (skuProblem) {
+      return res.status(400).json({ error: skuProblem });
+    }
+
+    let updated = product;
+    if (operation === 'decrease') {
+      // Only take units that aren't held by an active reservation
+      updated = await Product.findOneAndUpdate(
+        {
+          _id: product._id,
+          $expr: { $gte: [availableExpr(sku), quantity] }
+        },
+        { ...stockIncrement(sku, { stock: -quantity }), updatedAt: new Date() },
+        { new: true, ...stockUpdateOptions(sku) }
+      );
+      if (!updated) {
+        return res.status(400).json({ error: 'Insufficient stock' });
+      }
+    } else if (operation === 'increase') {
+      updated = await Product.findByIdAndUpdate(
+        product._id,
+        { ...stockIncrement(sku, { stock: quantity }), updatedAt: new Date() },
+        { new: true, ...stockUpdateOptions(sku) }
+      );
+    }
+
+    await recordStockMovement(updated, {
+      sku,
+      type,
+      quantity: operation === 'decrease' ? -quantity : quantity,
+      reason,
+      orderId
+    });
+
+    const levels = sku ? updated.variants.find(variant => variant.sku === sku) : updated;
+    res.json({
+      message: 'Stock updated',
+      sku,
+      newStock: levels.stock,
+      available: levels.stock - (levels.reservedStock || 0)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Manually correct stock, e.g. after a stock count (admin only). quantity
+// is signed; a reason is required for the ledger.
+app.post('/products/:id/stock/adjustments', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const { quantity, reason, sku } = req.body;
+
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      return res.status(400).json({ error: 'Quantity must be a non-zero integer' });
+    }
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required for stock adjustments' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const skuProblem = checkSku(product, sku);
+    if (skuProblem) {
+      return res.status(400).json({ error: skuProblem });
+    }
+
+    // Removing stock can't dip into what is reserved
+    const filter = { _id: product._id };
+    if (quantity < 0) {
+      filter.$expr = { $gte: [availableExpr(sku), -quantity] };
+    }
+
+    const updated = await Product.findOneAndUpdate(
+      filter,
+      { ...stockIncrement(sku, { stock: quantity }), updatedAt: new Date() },
+      { new: true, ...stockUpdateOptions(sku) }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: 'Cannot remove more than the unreserved stock' });
+    }
+
+    const movement = await recordStockMovement(updated, {
+      sku,
+      type: 'adjustment',
+      quantity,
+      reason,
+      userId: req.user.userId
+    });
+
+    res.status(201).json(movement);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A product's inventory ledger, newest first (admin only)
+app.get('/products/:id/stock/movements', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const { type, sku, limit = 50, page = 1 } = req.query;
+    const query = { productId: req.params.id };
+    if (type) query.type = type;
+    if (sku) query.sku = sku;
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit)),
+      StockMovement.countDocuments(query)
+    ]);
+
+    res.json({
+      movements,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Products at or below their reorder threshold (admin only)
+app.get('/inventory/low-stock', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const products = await Product.find({
+      archived: { $ne: true },
+      reorderThreshold: { $ne: null },
+      $expr: { $lte: [availableStockExpr, '$reorderThreshold'] }
+    }).sort({ updatedAt: -1 });
+
+    res.json(products);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Place a stock reservation
+app.post('/products/:id/reservations', verifyInternal, async (req, res) => {
+  try {
+    const {
+      quantity,
+      referenceType,
+      referenceId,
+      sku,
+      ttlSeconds = RESERVATION_TTL_SECONDS
+    } = req.body;
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'Quantity must be a positive integer' });
+    }
+    if (!['cart', 'order'].includes(referenceType) || !referenceId) {
+      return res.status(400).json({ error: 'referenceType (cart or order) and referenceId are required' });
+    }
+    if (!(Number(ttlSeconds) > 0) || Number(ttlSeconds) > RESERVATION_MAX_TTL_SECONDS) {
+      return res.status(400).json({ error: `ttlSeconds must be between 1 and ${RESERVATION_MAX_TTL_SECONDS}` });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // Placing the same reservation again returns the one already placed
+    const placed = await findPlacedReservation(product._id, sku, referenceType, referenceId);
+    if (placed) {
+      return respondWithPlacedReservation(placed, quantity, res);
+    }
+
+    if (product.archived) {
+      return res.status(409).json({ error: 'Product is no longer available' });
+    }
+
+    const skuProblem = checkSku(product, sku);
+    if (skuProblem) {
+      return res.status(400).json({ error: skuProblem });
+    }
+
+    const held = await Product.findOneAndUpdate(
+      {
+        _id: product._id,
+        $expr: { $gte: [availableExpr(sku), quantity] }
+      },
+      stockIncrement(sku, { reservedStock: quantity }),
+      { new: true, ...stockUpdateOptions(sku) }
+    );
+    if (!held) {
+      return res.status(409).json({ error: 'Insufficient stock' });
+    }
+
+    const reservation = new Reservation({
+      productId: product._id,
+      sku,
+      quantity,
+      reference: { type: referenceType, id: String(referenceId) },
+      expiresAt: new Date(Date.now() + Number(ttlSeconds) * 1000)
+    });
+    try {
+      await reservation.save();
+    } catch (error) {
+      // Without a reservation nothing would ever release the hold
+      await Product.updateOne(
+        { _id: product._id },
+        stockIncrement(sku, { reservedStock: -quantity }),
+        stockUpdateOptions(sku)
+      );
+
+      // A concurrent request placed the same reservation first
+      if (error.code === 11000) {
+        const placed = await findPlacedReservation(product._id, sku, referenceType, referenceId);
+        if (placed) {
+          return respondWithPlacedReservation(placed, quantity, res);
+        }
+      }
+      throw error;
+    }
+
+    await recordStockMovement(held, {
+      sku,
+      type: 'reservation',
+      quantity,
+      reason: `Held for ${referenceType} ${referenceId}`,
+      orderId: referenceType === 'order' ? String(referenceId) : undefined,
+      reservationId: reservation._id
+    });
+
+    res.status(201).json(reservation);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get reservation
+app.get('/reservations/:id', verifyInternal, async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+    res.json(reservation);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm reservation into a real stock decrement. Confirming one that
+// already is confirmed changes nothing, so callers can safely retry.
+app.post('/reservations/:id/confirm', verifyInternal, async (req, res) => {
+  try {
+    const reservation = await Reservation.findOneAndUpdate(
+      { _id: req.params.id, status: 'active', expiresAt: { $gt: new Date() } },
+      { status: 'confirmed', updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!reservation) {
+      const existing = await Reservation.findById(req.params.id);
+      if (existing?.status === 'confirmed') {
+        return res.json({ message: 'Reservation already confirmed', reservation: existing });
+      }
+      return rejectInactiveReservation(req.params.id, res);
+    }
+
+    const product = await Product.findByIdAndUpdate(
+      reservation.productId,
+      {
+        ...stockIncrement(reservation.sku, {
+          stock: -reservation.quantity,
+          reservedStock: -reservation.quantity
+        }),
+        updatedAt: new Date()
+      },
+      { new: true, ...stockUpdateOptions(reservation.sku) }
+    );
+
+    if (product) {
+      await recordStockMovement(product, {
+        sku: reservation.sku,
+        type: 'sale',
+        quantity: -reservation.quantity,
+        reason: 'Reservation confirmed',
+        orderId: reservation.reference.type === 'order' ? reservation.reference.id : undefined,
+        reservationId: reservation._id
+      });
+    }
+
+    res.json({ message: 'Reservation confirmed', reservation, newStock: product?.stock });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Release reservation. Releasing a confirmed one puts its units back in
+// stock, which is how a checkout that fails after confirming is undone.
+app.post('/reservations/:id/release', verifyInternal, async (req, res) => {
+  try {
+    const previous = await Reservation.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['active', 'confirmed'] } },
+      { status: 'released', updatedAt: new Date() }
+    );
+
+    if (!previous) {
+      return rejectInactiveReservation(req.params.id, res);
+    }
+
+    await undoReservation(previous);
+
+    const reservation = await Reservation.findById(previous._id);
+    res.json({ message: 'Reservation released', reservation });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Release every live reservation placed for a reference, including any the
+// caller placed but never learned the id of (e.g. it crashed mid-request)
+app.post('/reservations/release', verifyInternal, async (req, res) => {
+  try {
+    const { referenceType, referenceId } = req.body;
+
+    if (!['cart', 'order'].includes(referenceType) || !referenceId) {
+      return res.status(400).json({ error: 'referenceType (cart or order) and referenceId are required' });
+    }
+
+    const live = await Reservation.find({
+      'reference.type': referenceType,
+      'reference.id': String(referenceId),
+      status: { $in: ['active', 'confirmed'] }
+    });
+
+    let released = 0;
+    for (let candidate of live) {
+      const previous = await Reservation.findOneAndUpdate(
+        { _id: candidate._id, status: { $in: ['active', 'confirmed'] } },
+        { status: 'released', updatedAt: new Date() }
+      );
+      // Released or expired by someone else in the meantime
+      if (!previous) continue;
+
+      await undoReservation(previous);
+      released++;
+    }
+
+    res.json({ message: `Released ${released} reservations`, released });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bulk import products from CSV or JSON (admin only). Existing products are
+// matched by sku or name and only the filled-in columns are updated. Stock
+// only applies to new products, since existing stock moves through the
+// stock routes: a row that would change it is rejected. ?dryRun=true
+// validates and reports without writing. The job is created before the
+// file is read, so a file that turns out to be unreadable fails its job.
+app.post('/catalog/import', verifyUser, requireAdmin, async (req, res) => {
+  let file;
+  try {
+    const format = req.query.format || (req.is('application/json') ? 'json' : 'csv');
+    const matchBy = req.query.matchBy || 'sku';
+    const dryRun = req.query.dryRun === 'true';
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or json' });
+    }
+    if (!['sku', 'name'].includes(matchBy)) {
+      return res.status(400).json({ error: 'matchBy must be sku or name' });
+    }
+
+    const job = await ImportJob.create({
+      format,
+      matchBy,
+      dryRun,
+      createdBy: req.user.userId
+    });
+
+    // Spool the upload to disk; the job reads its rows back from there a
+    // batch at a time instead of holding the whole file in memory
+    file = path.join(os.tmpdir(), `catalog-import-${job._id}`);
+    let received;
+    try {
+      received = await spoolUpload(req, file);
+    } catch (error) {
+      await failImportJob(job, error.message);
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+    if (received === 0) {
+      const message = 'Send the file as the request body with Content-Type text/csv or application/json';
+      await failImportJob(job, message);
+      return res.status(400).json({ error: message });
+    }
+
+    // Small imports finish within the request; larger ones carry on in the
+    // background and are polled through their job
+    const rows = catalog.readImport(fs.createReadStream(file, 'utf8'), format);
+    const done = await runImportJob(job, rows, {
+      onBatch: () => {
+        if (!res.headersSent && job.processedRows > IMPORT_INLINE_ROW_LIMIT) {
+          res.status(202).location(`/catalog/import/jobs/${job._id}`).json(job);
+        }
+      }
+    });
+    if (!res.headersSent) {
+      res.json(done);
+    }
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Import job error:', error.message);
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  } finally {
+    if (file) {
+      fs.promises.unlink(file).catch(() => {});
+    }
+  }
+});
+
+// Recent import jobs (admin only)
+app.get('/catalog/import/jobs', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const jobs = await ImportJob.find()
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(req.query.limit) || 20, 100));
+    res.json(jobs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Poll an import job (admin only)
+app.get('/catalog/import/jobs/:id', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stream the whole catalog as CSV or JSON in the import format (admin only)
+app.get('/catalog/export', verifyUser, requireAdmin, async (req, res) => {
+  const { format = 'csv', includeArchived } = req.query;
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv or json' });
+  }
+
+  try {
+    const query = includeArchived === 'true' ? {} : { archived: { $ne: true } };
+    const cursor = Product.find(query).sort({ _id: 1 }).cursor();
+    const filename = `catalog-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write(format === 'csv' ? catalog.toCsvLine(catalog.columns) : '[');
+
+    let first = true;
+    for await (let product of cursor) {
+      const row = catalog.productToRow(product);
+      const chunk = format === 'csv'
+        ? catalog.toCsvLine(catalog.columns.map(column => row[column]))
+        : `${first ? '' : ','}\n${JSON.stringify(row)}`;
+      first = false;
+
+      if (!res.write(chunk)) {
+        await once(res, 'drain');
+      }
+    }
+
+    res.end(format === 'csv' ? '' : '\n]\n');
+  } catch (error) {
+    console.error('Catalog export error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Seed sample products into an empty catalog (admin only). Existing
+// products are never replaced, since their stock and price history is kept.
+app.post('/init-data', verifyUser, requireAdmin, async (req, res) => {
+  try {
+    if (await Product.exists({})) {
+      return res.status(409).json({ error: 'The catalog already has products' });
+    }
+
+    console.log('Initializing sample data...');
+    
+    const sampleProducts = [
+      {
+        name: "iPhone 14 Pro",
+        description: "Latest Apple smartphone with Pro features",
+        price: 999,
+        category: "Electronics",
+        stock: 50,
+        featured: true,
+        image: "https://picsum.photos/300/300?random=1"
+      },
+      {
+        name: "Samsung Galaxy S23",
+        description: "Powerful Android smartphone",
+        price: 899,
+        category: "Electronics",
+        stock: 30,
+        featured: true,
+        image: "https://picsum.photos/300/300?random=2"
+      },
+      {
+        name: "MacBook Air M2",
+        description: "Ultra-thin laptop with M2 chip",
+        price: 1199,
+        category: "Computers",
+        stock: 25,
+        featured: true,
+        image: "https://picsum.photos/300/300?random=3"
+      },
+      {
+        name: "Nike Air Max 270",
+        description: "Comfortable running shoes",
+        price: 150,
+        category: "Shoes",
+        featured: false,
+        options: [{ name: "Size", values: ["8", "9", "10", "11"] }],
+        variants: ["8", "9", "10", "11"].map(size => ({
+          sku: `NIKE-AM270-${size}`,
+          options: { Size: size },
+          stock: 25
+        })),
+        image: "https://picsum.photos/300/300?random=4"
+      },
+      {
+        name: "Sony WH-1000XM5",
+        description: "Noise-cancelling wireless headphones",
+        price: 349,
+        category: "Audio",
+        stock: 40,
+        featured: true,
+        image: "https://picsum.photos/300/300?random=5"
+      },
+      {
+        name: "iPad Pro 12.9",
+        description: "Professional tablet with M2 chip",
+        price: 1099,
+        category: "Electronics",
+        stock: 20,
+        featured: false,
+        image: "https://picsum.photos/300/300?random=6"
+      }
+    ];
+
+    const createdProducts = await Product.insertMany(sampleProducts);
+    for (let product of createdProducts) {
+      await recordPriceChanges(product, new Map(), { reason: 'Sample data', userId: req.user.userId });
+      await recordOpeningStock(product, { reason: 'Sample data', userId: req.user.userId });
+    }
+    await migrateLegacyCategories();
+    await rebuildSuggestionIndex();
+    console.log(`Created ${createdProducts.length} products`);
+    
+    res.json({
+      message: 'Sample data initialized successfully',
+      productsCreated: createdProducts.length,
+      products: createdProducts
+    });
+  } catch (error) {
+    console.error('Error initializing data:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper functions
+
+// Make a ledger-style collection append-only by failing mongoose updates and
+// deletes. This catches mistakes in this service only: bulkWrite and
+// Model.collection calls skip query middleware, as does anyone writing to
+// the database directly.
+function rejectChanges(schema, message) {
+  for (let operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace',
+    'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+    schema.pre(operation, function () {
+      throw new Error(message);
+    });
+  }
+}
+
+function imageUrls(image) {
+  return Object.fromEntries((image.renditions || []).map(rendition => [
+    rendition.name,
+    `${IMAGE_PUBLIC_URL}/${rendition.key}`
+  ]));
+}
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Find a category by id, slug or (case-insensitively) name
+async function resolveCategory(ref, { byName = true } = {}) {
+  if (!ref) return null;
+
+  if (mongoose.isValidObjectId(ref)) {
+    const category = await Category.findById(ref);
+    if (category) return category;
+  }
+
+  const bySlug = await Category.findOne({ slug: slugify(ref) });
+  if (bySlug || !byName) return bySlug;
+
+  return Category.findOne({ name: String(ref).trim() })
+    .collation({ locale: 'en', strength: 2 });
+}
+
+// Product query condition for a category and all of its descendants. An
+// unknown category still matches products carrying that exact string, as
+// products not yet migrated into the tree do.
+async function categoryFilter(ref) {
+  const category = await resolveCategory(ref);
+  if (!category) {
+    return { category: ref };
+  }
+
+  const descendants = await Category.find({ ancestors: category._id }).select('_id');
+  return { categoryId: { $in: [category._id, ...descendants.map(descendant => descendant._id)] } };
+}
+
+// Point a product at the category named by body.categoryId or
+// body.category (id, slug or name). Returns an error message if there is
+// no such category; does nothing if neither is given.
+async function assignCategory(product, body) {
+  const ref = body.categoryId ?? body.category;
+  if (ref === undefined) return null;
+
+  const category = await resolveCategory(ref);
+  if (!category) {
+    return `Unknown category ${ref}. Create it first with POST /categories`;
+  }
+
+  product.categoryId = category._id;
+  product.category = category.name;
+  return null;
+}
+
+function buildCategoryTree(categories, counts) {
+  const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+  const nodes = new Map(categories.map(category => [String(category._id), {
+    ...category.toJSON(),
+    productCount: countById.get(String(category._id)) || 0,
+    children: []
+  }]));
+
+  const roots = [];
+  for (let node of nodes.values()) {
+    const parent = node.parentId && nodes.get(String(node.parentId));
+    (parent ? parent.children : roots).push(node);
+  }
+
+  // Categories are already sorted, so children arrays are too
+  const total = (node) => {
+    node.totalProductCount = node.productCount +
+      node.children.reduce((sum, child) => sum + total(child), 0);
+    return node.totalProductCount;
+  };
+  roots.forEach(total);
+
+  return roots;
+}
+
+function categoryErrorStatus(error) {
+  if (error.code === 11000) return 409;
+  return error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+}
+
+function categoryErrorMessage(error) {
+  if (error.code !== 11000) return error.message;
+  return error.keyPattern?.slug
+    ? 'Another category already uses this slug'
+    : 'A category with this name already exists here';
+}
+
+// Give every product that only has a free-text category a place in the
+// tree, creating top-level categories for names not seen before. Safe to
+// run repeatedly.
+async function migrateLegacyCategories() {
+  const names = await Product.distinct('category', { categoryId: null, category: { $nin: [null, ''] } });
+
+  for (let name of names) {
+    let category = await resolveCategory(name);
+    if (!category) {
+      try {
+        category = await Category.create({ name, slug: slugify(name) });
+      } catch (error) {
+        // Created concurrently by another instance
+        if (error.code !== 11000) throw error;
+        category = await resolveCategory(name);
+      }
+    }
+
+    await Product.updateMany(
+      { categoryId: null, category: name },
+      { categoryId: category._id, category: category.name }
+    );
+  }
+
+  if (names.length > 0) {
+    console.log(`Migrated ${names.length} free-text categories into the category tree`);
+  }
+}
+
+function pickEditable(body = {}, fields = editableFields) {
+  const picked = {};
+  for (let field of fields) {
+    if (body[field] !== undefined) picked[field] = body[field];
+  }
+  return picked;
+}
+
+// Recompute a product's rating from its published reviews. Recomputing
+// rather than adjusting keeps it correct after edits, hides and deletes.
+async function recalculateRating(productId) {
+  const [summary] = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      ratings: {
+        average: summary ? Math.round(summary.average * 10) / 10 : 0,
+        count: summary?.count || 0
+      }
+    }
+  );
+}
+
+// Ask order-service for a delivered order of this user's that includes the
+// product. Returns { orderId } or null.
+async function findDeliveredPurchase(userId, productId) {
+  const response = await axios.get(
+    `${process.env.ORDER_SERVICE_URL}/internal/users/${userId}/delivered-purchases/${productId}`,
+    { headers: internalHeaders() }
+  );
+  return response.data.purchased ? { orderId: response.data.orderId } : null;
+}
+
+// Every SKU must pick one listed value for each option axis, and no two
+// SKUs may share a SKU code or a combination. Returns a message or null.
+function variantProblem(product) {
+  const axes = product.options.map(option => option.name);
+  if (new Set(axes).size !== axes.length) {
+    return 'Option names must be unique';
+  }
+  if (product.variants.length > 0 && axes.length === 0) {
+    return 'Products with variants need at least one option';
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+  for (let variant of product.variants) {
+    if (skus.has(variant.sku)) {
+      return `Duplicate SKU ${variant.sku}`;
+    }
+    skus.add(variant.sku);
+
+    const chosen = variant.options || {};
+    const unknown = Object.keys(chosen).find(name => !axes.includes(name));
+    if (unknown) {
+      return `SKU ${variant.sku} uses unknown option ${unknown}`;
+    }
+
+    for (let option of product.options) {
+      if (!option.values.includes(chosen[option.name])) {
+        return `SKU ${variant.sku} needs one of ${option.values.join(', ')} for ${option.name}`;
+      }
+    }
+
+    const combination = JSON.stringify(axes.map(name => chosen[name]));
+    if (combinations.has(combination)) {
+      return `SKU ${variant.sku} repeats another SKU's options`;
+    }
+    combinations.add(combination);
+  }
+  return null;
+}
+
+// Products with variants take stock changes per SKU; others never do
+function checkSku(product, sku) {
+  if (product.variants.length === 0) {
+    return sku ? 'Product has no variants' : null;
+  }
+  if (!sku) {
+    return 'sku is required for products with variants';
+  }
+  if (!product.variants.some(variant => variant.sku === sku)) {
+    return `Unknown SKU ${sku}`;
+  }
+  return null;
+}
+
+// Available stock of the product, or of one SKU, for atomic update filters
+function availableExpr(sku) {
+  if (!sku) return availableStockExpr;
+
+  return {
+    $let: {
+      vars: {
+        variant: {
+          $arrayElemAt: [{ $filter: { input: '$variants', cond: { $eq: ['$$this.sku', sku] } } }, 0]
+        }
+      },
+      in: { $subtract: ['$$variant.stock', { $ifNull: ['$$variant.reservedStock', 0] }] }
+    }
+  };
+}
+
+// $inc applying the same deltas to the product totals and, for a SKU, to
+// that variant (matched through stockUpdateOptions)
+function stockIncrement(sku, deltas) {
+  const $inc = { ...deltas };
+  if (sku) {
+    for (let [field, delta] of Object.entries(deltas)) {
+      $inc[`variants.$[variant].${field}`] = delta;
+    }
+  }
+  return { $inc };
+}
+
+function stockUpdateOptions(sku) {
+  return sku ? { arrayFilters: [{ 'variant.sku': sku }] } : {};
+}
+
+async function rejectInactiveReservation(id, res) {
+  const existing = await Reservation.findById(id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Reservation not found' });
+  }
+  const status = existing.status === 'active' ? 'expired' : existing.status;
+  return res.status(409).json({ error: `Reservation is ${status}` });
+}
+
+// Free holds whose TTL has passed. Each reservation is flipped to 'expired'
+// individually so a concurrent confirm/release can't double-count it.
+async function sweepExpiredReservations() {
+  const expired = await Reservation.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  }).select('_id');
+
+  for (let { _id } of expired) {
+    const reservation = await Reservation.findOneAndUpdate(
+      { _id, status: 'active' },
+      { status: 'expired', updatedAt: new Date() },
+      { new: true }
+    );
+    if (!reservation) continue;
+
+    await releaseReservedStock(reservation, 'Reservation expired');
+  }
+
+  if (expired.length > 0) {
+    console.log(`Expired ${expired.length} stock reservations`);
+  }
+}
+
+async function releaseReservedStock(reservation, reason) {
+  const product = await Product.findOneAndUpdate(
+    { _id: reservation.productId },
+    stockIncrement(reservation.sku, { reservedStock: -reservation.quantity }),
+    { new: true, ...stockUpdateOptions(reservation.sku) }
+  );
+  if (!product) return;
+
+  await recordStockMovement(product, {
+    sku: reservation.sku,
+    type: 'release',
+    quantity: -reservation.quantity,
+    reason,
+    orderId: reservation.reference.type === 'order' ? reservation.reference.id : undefined,
+    reservationId: reservation._id
+  });
+}
+
+// Give back what a just-released reservation held: its reserved units, or
+// its stock decrement if it had been confirmed
+async function undoReservation(previous) {
+  if (previous.status === 'confirmed') {
+    await returnConfirmedStock(previous, 'Confirmed reservation released');
+  } else {
+    await releaseReservedStock(previous, 'Reservation released');
+  }
+}
+
+// The live or confirmed reservation already placed for this product line
+// and reference, if any
+function findPlacedReservation(productId, sku, referenceType, referenceId) {
+  return Reservation.findOne({
+    productId,
+    sku: sku || null,
+    'reference.type': referenceType,
+    'reference.id': String(referenceId),
+    status: { $in: ['active', 'confirmed'] }
+  });
+}
+
+function respondWithPlacedReservation(placed, quantity, res) {
+  if (placed.quantity !== quantity) {
+    return res.status(409).json({
+      error: `A reservation of ${placed.quantity} is already placed for this reference`
+    });
+  }
+  return res.json(placed);
+}
+
+// Undo a confirmed reservation's stock decrement
+async function returnConfirmedStock(reservation, reason) {
+  const product = await Product.findOneAndUpdate(
+    { _id: reservation.productId },
+    { ...stockIncrement(reservation.sku, { stock: reservation.quantity }), updatedAt: new Date() },
+    { new: true, ...stockUpdateOptions(reservation.sku) }
+  );
+  if (!product) return;
+
+  await recordStockMovement(product, {
+    sku: reservation.sku,
+    type: 'cancellation',
+    quantity: reservation.quantity,
+    reason,
+    orderId: reservation.reference.type === 'order' ? reservation.reference.id : undefined,
+    reservationId: reservation._id
+  });
+}
+
+// Append a movement to the ledger, taking the balance from the product as
+// it was right after the change, then check its reorder threshold. The
+// stock change has already happened, so a failed ledger write is logged
+// rather than failing the caller (who might retry and change stock twice).
+async function recordStockMovement(product, movement) {
+  const levels = movement.sku
+    ? product.variants.find(variant => variant.sku === movement.sku)
+    : product;
+
+  let entry;
+  try {
+    entry = await StockMovement.create({
+      productId: product._id,
+      balance: levels && {
+        onHand: levels.stock,
+        reserved: levels.reservedStock || 0,
+        available: levels.stock - (levels.reservedStock || 0)
+      },
+      ...movement
+    });
+  } catch (error) {
+    console.error(`Stock ledger write for product ${product._id} failed:`, error.message);
+  }
+
+  try {
+    await checkReorderThreshold(product);
+  } catch (error) {
+    console.error(`Low stock check for product ${product._id} failed:`, error.message);
+  }
+
+  return entry;
+}
+
+// Record a new product's opening stock: one restock per SKU for products
+// with variants, since their stock changes always name a SKU
+async function recordOpeningStock(product, { reason, userId }) {
+  const opening = product.variants.length > 0
+    ? product.variants.map(variant => ({ sku: variant.sku, quantity: variant.stock }))
+    : [{ quantity: product.stock }];
+  for (let { sku, quantity } of opening.filter(entry => entry.quantity > 0)) {
+    await recordStockMovement(product, { sku, type: 'restock', quantity, reason, userId });
+  }
+}
+
+// Regular prices by target: '' for the product, then each variant's SKU
+function priceSnapshot(product) {
+  return new Map([
+    ['', product.price],
+    ...product.variants.map(variant => [variant.sku, variant.price ?? null])
+  ]);
+}
+
+// Record every regular price that differs from the snapshot taken before a
+// change. Like the stock ledger, a failed write is logged rather than
+// failing the change that has already been saved.
+async function recordPriceChanges(product, before, { reason, userId }) {
+  const changes = [...priceSnapshot(product)]
+    .filter(([key, price]) => (before.get(key) ?? null) !== price)
+    .map(([key, price]) => ({
+      productId: product._id,
+      sku: key || null,
+      price,
+      previousPrice: before.get(key) ?? null,
+      reason,
+      userId
+    }));
+  if (changes.length === 0) return;
+
+  try {
+    await PriceChange.insertMany(changes);
+  } catch (error) {
+    console.error(`Price history write for product ${product._id} failed:`, error.message);
+  }
+}
+
+// Alert admins the first time available stock reaches the reorder
+// threshold; re-arm the alert once stock is back above it
+async function checkReorderThreshold(product) {
+  if (product.reorderThreshold === null || product.reorderThreshold === undefined) return;
+
+  const available = product.stock - (product.reservedStock || 0);
+  if (available > product.reorderThreshold) {
+    if (product.lowStockAlertedAt) {
+      await Product.updateOne({ _id: product._id }, { $unset: { lowStockAlertedAt: 1 } });
+    }
+    return;
+  }
+
+  const claimed = await Product.findOneAndUpdate(
+    { _id: product._id, lowStockAlertedAt: null },
+    { lowStockAlertedAt: new Date() }
+  );
+  if (!claimed) return;
+
+  await notifyAdmins({
+    type: 'low_stock',
+    message: `${product.name} is low on stock: ${available} available (reorder threshold ${product.reorderThreshold})`,
+    metadata: {
+      productId: product._id,
+      productName: product.name,
+      available,
+      threshold: product.reorderThreshold
+    }
+  });
+}
+
+async function notifyAdmins(notification) {
+  try {
+    const response = await axios.get(`${process.env.USER_SERVICE_URL}/internal/users`, {
+      params: { role: 'admin' },
+      headers: internalHeaders()
+    });
+
+    for (let admin of response.data) {
+      await axios.post(`${process.env.NOTIFICATION_SERVICE_URL}/notifications/send`, {
+        ...notification,
+        userId: admin._id
+      });
+    }
+  } catch (notificationError) {
+    console.error('Notification service error:', notificationError.message);
+  }
+}
+
+// Validate and apply import rows, read from an async iterable, in batches,
+// saving progress on the job after each batch (and then calling onBatch).
+// Resolves with the finished job.
+async function runImportJob(job, rows, { onBatch } = {}) {
+  job.status = 'running';
+  job.startedAt = new Date();
+  job.updatedAt = new Date();
+  await job.save();
+
+  const seenKeys = new Map();
+  const categories = new Map();
+  const recordError = (row, field, message) => {
+    if (job.rowErrors.length < IMPORT_MAX_ROW_ERRORS) {
+      job.rowErrors.push({ row, field, message });
+    }
+  };
+
+  try {
+    let start = 0;
+    for await (let batchRows of inBatches(rows, IMPORT_BATCH_SIZE)) {
+      const batch = [];
+
+      batchRows.forEach((row, offset) => {
+        const rowNumber = start + offset + 1;
+        const { fields, errors } = catalog.normalizeRow(row);
+        const key = fields[job.matchBy];
+
+        if (!key) {
+          errors.push({ field: job.matchBy, message: `${job.matchBy} is required to match products` });
+        } else if (seenKeys.has(key)) {
+          errors.push({ field: job.matchBy, message: `Same ${job.matchBy} as row ${seenKeys.get(key)}` });
+        } else {
+          seenKeys.set(key, rowNumber);
+        }
+
+        if (errors.length > 0) {
+          errors.forEach(error => recordError(rowNumber, error.field, error.message));
+          job.failed += 1;
+          return;
+        }
+        batch.push({ rowNumber, key, fields });
+      });
+
+      // The category column may hold an id, slug or name of an existing category
+      for (let entry of [...batch]) {
+        const ref = entry.fields.category;
+        if (ref === undefined) continue;
+
+        if (!categories.has(ref)) {
+          categories.set(ref, await resolveCategory(ref));
+        }
+        const category = categories.get(ref);
+        if (!category) {
+          recordError(entry.rowNumber, 'category', `Unknown category "${ref}"`);
+          job.failed += 1;
+          batch.splice(batch.indexOf(entry), 1);
+          continue;
+        }
+        entry.fields.category = category.name;
+        entry.fields.categoryId = category._id;
+      }
+
+      const existing = await Product.find({ [job.matchBy]: { $in: batch.map(entry => entry.key) } });
+      const existingByKey = new Map();
+      existing.forEach(product => {
+        const key = product[job.matchBy];
+        existingByKey.set(key, [...(existingByKey.get(key) || []), product]);
+      });
+
+      const operations = [];
+      const operationRows = [];
+      for (let { rowNumber, key, fields } of batch) {
+        const matches = existingByKey.get(key) || [];
+        if (matches.length > 1) {
+          recordError(rowNumber, job.matchBy,
+            `${matches.length} products have ${job.matchBy} "${key}"; match by sku instead`);
+          job.failed += 1;
+          continue;
+        }
+
+        const current = matches[0];
+        const { stock, ...changes } = fields;
+        if (current && stock !== undefined && stock !== current.stock) {
+          recordError(rowNumber, 'stock',
+            `Stock of existing products can't be imported (currently ${current.stock}); use a stock adjustment`);
+          job.failed += 1;
+          continue;
+        }
+
+        const previousPrice = current ? current.price : null;
+        const draft = current || new Product({ stock });
+        draft.set(current ? changes : fields);
+        try {
+          // Full validation, so the schema's validate hooks run too
+          await draft.validate();
+        } catch (validationError) {
+          if (!validationError.errors) throw validationError;
+
+          Object.values(validationError.errors)
+            .forEach(error => recordError(rowNumber, error.path, error.message));
+          job.failed += 1;
+          continue;
+        }
+
+        if (current) {
+          operations.push({
+            updateOne: {
+              filter: { _id: current._id },
+              update: { $set: { ...changes, updatedAt: new Date() } }
+            }
+          });
+          job.updated += 1;
+        } else {
+          operations.push({ insertOne: { document: draft.toObject() } });
+          job.created += 1;
+        }
+        operationRows.push({
+          rowNumber,
+          action: current ? 'updated' : 'created',
+          priceChange: draft.price !== previousPrice && {
+            productId: draft._id,
+            price: draft.price,
+            previousPrice
+          }
+        });
+      }
+
+      if (!job.dryRun && operations.length > 0) {
+        const failedOperations = new Set();
+        try {
+          await Product.bulkWrite(operations, { ordered: false });
+        } catch (error) {
+          if (!error.writeErrors) throw error;
+
+          // Rows that clashed with another product (e.g. a duplicate sku)
+          for (let writeError of error.writeErrors) {
+            failedOperations.add(writeError.index);
+            const { rowNumber, action } = operationRows[writeError.index];
+            recordError(rowNumber, 'sku',
+              writeError.code === 11000 ? 'SKU is already used by another product' : writeError.errmsg);
+            job[action] -= 1;
+            job.failed += 1;
+          }
+        }
+
+        const stocked = operations
+          .filter((operation, index) => !failedOperations.has(index) && operation.insertOne?.document.stock > 0)
+          .map(operation => operation.insertOne.document);
+        for (let product of stocked) {
+          await recordStockMovement(product, {
+            type: 'restock',
+            quantity: product.stock,
+            reason: `Initial stock from import ${job._id}`,
+            userId: job.createdBy
+          });
+        }
+
+        const priceChanges = operationRows
+          .filter((entry, index) => !failedOperations.has(index) && entry.priceChange)
+          .map(entry => ({ ...entry.priceChange, reason: `Import ${job._id}`, userId: job.createdBy }));
+        if (priceChanges.length > 0) {
+          await PriceChange.insertMany(priceChanges).catch(error => {
+            console.error(`Price history write for import ${job._id} failed:`, error.message);
+          });
+        }
+      }
+
+      start += batchRows.length;
+      job.totalRows = start;
+      job.processedRows = start;
+      job.updatedAt = new Date();
+      await job.save();
+      onBatch?.(job);
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date();
+  job.updatedAt = new Date();
+  await job.save();
+
+  if (!job.dryRun && job.created + job.updated > 0) {
+    rebuildSuggestionIndex().catch(error => {
+      console.error('Suggestion index rebuild error:', error.message);
+    });
+  }
+
+  return job;
+}
+
+// Group an async iterable's items into arrays of up to `size`
+async function* inBatches(items, size) {
+  let batch = [];
+  for await (let item of items) {
+    batch.push(item);
+    if (batch.length === size) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+// Write a request body to `file`, refusing bodies over IMPORT_MAX_BYTES.
+// Resolves with the number of bytes written.
+function spoolUpload(req, file) {
+  let received = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > IMPORT_MAX_BYTES) {
+        const error = new Error(`Import files can be at most ${IMPORT_MAX_BYTES} bytes`);
+        error.status = 413;
+        return callback(error);
+      }
+      callback(null, chunk);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    pipeline(req, limit, fs.createWriteStream(file), (error) => {
+      if (error) return reject(error);
+      resolve(received);
+    });
+  });
+}
+
+async function failImportJob(job, message) {
+  job.status = 'failed';
+  job.error = message;
+  job.finishedAt = new Date();
+  job.updatedAt = new Date();
+  await job.save();
+}
+
+// Jobs only live in this process's memory while they run, so any left
+// unfinished by a restart can't be resumed
+async function failInterruptedImports() {
+  const interrupted = await ImportJob.find({ status: { $in: ['queued', 'running'] } }).select('_id');
+  for (let job of interrupted) {
+    fs.promises.unlink(path.join(os.tmpdir(), `catalog-import-${job._id}`)).catch(() => {});
+  }
+
+  const result = await ImportJob.updateMany(
+    { _id: { $in: interrupted.map(job => job._id) } },
+    {
+      status: 'failed',
+      error: 'Interrupted by a service restart; please upload the file again',
+      finishedAt: new Date(),
+      updatedAt: new Date()
+    }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} interrupted import jobs as failed`);
+  }
+}
+
+function hasAvailableStock(product) {
+  return product.stock - (product.reservedStock || 0) > 0;
+}
+
+// In-stock products near the given ones in the category tree, each with a
+// category weight: 1 in the same category or below it, 0.5 in a sibling
+// category. Products without a category in the tree match by name.
+async function relatedCandidates(sourceProducts) {
+  const weights = new Map();
+  const names = [];
+
+  for (let product of sourceProducts) {
+    if (!product.categoryId) {
+      names.push(product.category);
+      continue;
+    }
+
+    const category = await Category.findById(product.categoryId);
+    if (!category) continue;
+
+    const [descendants, siblings] = await Promise.all([
+      Category.find({ ancestors: category._id }).select('_id'),
+      category.parentId
+        ? Category.find({ parentId: category.parentId, _id: { $ne: category._id } }).select('_id')
+        : []
+    ]);
+    for (let sibling of siblings) {
+      if (!weights.has(String(sibling._id))) weights.set(String(sibling._id), 0.5);
+    }
+    for (let own of [category, ...descendants]) {
+      weights.set(String(own._id), 1);
+    }
+  }
+
+  if (weights.size === 0 && names.length === 0) return [];
+
+  const candidates = await Product.find({
+    _id: { $nin: sourceProducts.map(product => product._id) },
+    archived: { $ne: true },
+    $or: [
+      { categoryId: { $in: [...weights.keys()] } },
+      { category: { $in: names } }
+    ]
+  }).limit(RECOMMENDATION_CANDIDATE_LIMIT);
+
+  return candidates
+    .filter(hasAvailableStock)
+    .map(candidate => ({
+      candidate,
+      categoryWeight: candidate.categoryId ? weights.get(String(candidate.categoryId)) || 1 : 1
+    }));
+}
+
+// The co-purchase partners that can still be bought, in the given order,
+// with the figures they were picked on
+async function recommendedProducts(partners, limit) {
+  const wanted = partners.slice(0, limit * 2);
+  const found = await Product.find({
+    _id: { $in: wanted.map(partner => partner.productId) },
+    archived: { $ne: true }
+  });
+  const byId = new Map(found.filter(hasAvailableStock).map(product => [String(product._id), product]));
+
+  return wanted
+    .filter(partner => byId.has(partner.productId))
+    .slice(0, limit)
+    .map(partner => ({
+      ...byId.get(partner.productId).toJSON(),
+      reason: 'bought_together',
+      coPurchases: partner.count,
+      confidence: Math.round(partner.confidence * 1000) / 1000
+    }));
+}
+
+// Read orders placed since the last sync into the co-purchase index, or
+// re-read every order when rebuilding
+let coPurchaseCursor = null;
+// Orders up to upTo were all read before `since` (order-service time), so
+// any of them cancelled from then on are in the index
+let coPurchaseCancelCheck = null;
+let coPurchaseSyncRunning = false;
+let coPurchaseRebuildPending = false;
+
+async function syncCoPurchases({ rebuild = false } = {}) {
+  if (coPurchaseSyncRunning) {
+    // Run it once the sync in progress is done rather than skip it
+    if (rebuild) coPurchaseRebuildPending = true;
+    return;
+  }
+  coPurchaseSyncRunning = true;
+
+  try {
+    const before = new Date(Date.now() - RECOMMENDATION_ORDER_LAG_MS).toISOString();
+    const index = rebuild ? recommendations.beginRebuild() : recommendations;
+    let after = rebuild ? null : coPurchaseCursor;
+    let readUntil;
+    let count = 0;
+
+    for (;;) {
+      const response = await axios.get(`${process.env.ORDER_SERVICE_URL}/internal/purchases`, {
+        params: { after: after || undefined, before, limit: 1000 },
+        headers: internalHeaders()
+      });
+      const page = response.data.orders;
+      readUntil = response.data.asOf;
+      if (page.length === 0) break;
+
+      page.forEach(order => index.addOrder(order.productIds));
+      count += page.length;
+      after = page[page.length - 1]._id;
+      // Orders added to the live index must not be read again
+      if (!rebuild) coPurchaseCursor = after;
+      if (page.length < 1000) break;
+    }
+
+    if (rebuild) {
+      index.finish();
+      coPurchaseCursor = after;
+      coPurchaseCancelCheck = { since: readUntil, upTo: after };
+      console.log(`Co-purchase index built from ${count} orders (${recommendations.size()} products)`);
+    } else if (coPurchaseCancelCheck?.upTo) {
+      coPurchaseCancelCheck = await removeCancelledPurchases(coPurchaseCancelCheck);
+    } else {
+      // Nothing was indexed before this run
+      coPurchaseCancelCheck = { since: readUntil, upTo: coPurchaseCursor };
+    }
+  } finally {
+    coPurchaseSyncRunning = false;
+
+    if (coPurchaseRebuildPending) {
+      coPurchaseRebuildPending = false;
+      syncCoPurchases({ rebuild: true }).catch(error => {
+        console.error('Co-purchase rebuild error:', error.message);
+      });
+    }
+  }
+}
+
+// Take orders cancelled since the last check out of the index. Resolves
+// with the next check, which covers the orders read by now.
+async function removeCancelledPurchases({ since, upTo }) {
+  let after = null;
+  let until;
+
+  for (;;) {
+    const response = await axios.get(`${process.env.ORDER_SERVICE_URL}/internal/purchases/cancelled`, {
+      params: { since, until, upTo, after: after || undefined, limit: 1000 },
+      headers: internalHeaders()
+    });
+    const page = response.data.orders;
+    until = response.data.until;
+
+    page.forEach(order => recommendations.removeOrder(order.productIds));
+    if (page.length < 1000) break;
+    after = page[page.length - 1]._id;
+  }
+
+  return { since: until, upTo: coPurchaseCursor };
+}
+
+// Products are indexed as this instance changes them; the periodic rebuild
+// picks up changes made through other instances or directly in the database
+async function rebuildSuggestionIndex() {
+  const products = await Product.find({ archived: { $ne: true } })
+    .select('name category featured ratings archived');
+  suggestions.rebuild(products);
+  console.log(`Suggestion index built with ${suggestions.size()} products`);
+}
+
+// Connect, run the background jobs and listen only when started directly;
+// the tests load the app and models without a database
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI);
+
+  setInterval(() => {
+    sweepExpiredReservations().catch(error => {
+      console.error('Reservation sweep error:', error.message);
+    });
+  }, RESERVATION_SWEEP_INTERVAL_MS);
+
+  setInterval(() => {
+    rebuildSuggestionIndex().catch(error => {
+      console.error('Suggestion index rebuild error:', error.message);
+    });
+  }, SUGGESTION_REBUILD_INTERVAL_MS);
+
+  setInterval(() => {
+    syncCoPurchases().catch(error => {
+      console.error('Co-purchase sync error:', error.message);
+    });
+  }, RECOMMENDATION_SYNC_INTERVAL_MS);
+
+  setInterval(() => {
+    syncCoPurchases({ rebuild: true }).catch(error => {
+      console.error('Co-purchase rebuild error:', error.message);
+    });
+  }, RECOMMENDATION_REBUILD_INTERVAL_MS);
+
+  mongoose.connection.once('open', () => {
+    migrateLegacyCategories()
+      .catch(error => console.error('Category migration error:', error.message))
+      .then(rebuildSuggestionIndex)
+      .catch(error => console.error('Suggestion index build error:', error.message));
+    failInterruptedImports().catch(error => {
+      console.error('Import job recovery error:', error.message);
+    });
+    syncCoPurchases({ rebuild: true }).catch(error => {
+      console.error('Co-purchase rebuild error:', error.message);
+    });
+  });
+
+  const PORT = process.env.PORT || 5002;
+  app.listen(PORT, () => {
+    console.log(`Product Service running on port ${PORT}`);
+  });
+}
+
+module.exports = {
+  app,
+  Product,
+  Category,
+  Reservation,
+  StockMovement,
+  PriceChange,
+  Review,
+  ImportJob,
+  migrateLegacyCategories,
+  syncCoPurchases
+};
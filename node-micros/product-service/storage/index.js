@@ -0,0 +1,40 @@
+// Storage adapter registry for uploaded files (product images).
+//
+// A storage adapter is an object with:
+//   name                  - value of IMAGE_STORAGE that selects it
+//   put(key, buffer, { contentType })
+//                         - stores a file, replacing any file with that key
+//   get(key)              - resolves to { size, modifiedAt, stream() } or
+//                           null if there is no such file
+//   remove(key)           - deletes a file; a missing file is not an error
+//
+// Keys are slash-separated relative paths such as
+// products/<productId>/<imageId>/medium.webp, and their extension tells the
+// content type when the file is served.
+const local = require('./local');
+
+const adapters = new Map();
+
+function registerStorage(adapter) {
+  if (!adapter.name || !adapter.put || !adapter.get || !adapter.remove) {
+    throw new Error('Storage adapters need name, put, get and remove');
+  }
+  adapters.set(adapter.name, adapter);
+}
+
+// The adapter chosen by IMAGE_STORAGE (default: local)
+function getStorage() {
+  const name = process.env.IMAGE_STORAGE || 'local';
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown IMAGE_STORAGE "${name}". Available: ${[...adapters.keys()].join(', ')}`);
+  }
+  return adapter;
+}
+
+registerStorage(local);
+
+module.exports = {
+  registerStorage,
+  getStorage
+};
@@ -0,0 +1,60 @@
+// Stores files on the local disk under IMAGE_STORAGE_DIR. Every instance of
+// the service must see the same directory (e.g. a shared volume).
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(process.env.IMAGE_STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+
+// Absolute path for a key, or null if the key would escape ROOT
+function filePath(key) {
+  const file = path.resolve(ROOT, String(key));
+  return file.startsWith(ROOT + path.sep) ? file : null;
+}
+
+async function put(key, buffer) {
+  const file = filePath(key);
+  if (!file) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  // Write then rename so a reader never sees a partly written file
+  const temporary = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(temporary, buffer);
+  await fs.promises.rename(temporary, file);
+}
+
+async function get(key) {
+  const file = filePath(key);
+  if (!file) return null;
+
+  try {
+    const stats = await fs.promises.stat(file);
+    if (!stats.isFile()) return null;
+
+    return {
+      size: stats.size,
+      modifiedAt: stats.mtime,
+      stream: () => fs.createReadStream(file)
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function remove(key) {
+  const file = filePath(key);
+  if (!file) return;
+
+  await fs.promises.rm(file, { force: true });
+  // Tidy up the directory once its last file is gone
+  await fs.promises.rmdir(path.dirname(file)).catch(() => {});
+}
+
+module.exports = {
+  name: 'local',
+  put,
+  get,
+  remove
+};
@@ -0,0 +1,164 @@
+// In-process autocomplete index over product names and categories.
+//
+// The catalog is small enough to scan linearly on every keystroke, so the
+// index is just the normalised words of each entry. Matching is by word
+// prefix, with a few edits allowed (scaled to the length of what was typed)
+// so that "iphnoe" still finds "iPhone".
+
+// Products by id: { id, name, category, words, popularity }
+const products = new Map();
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function words(text) {
+  const normalized = normalize(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+// Edits allowed for a typed word of this length
+function allowedEdits(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+// Optimal string alignment distance: insertions, deletions, substitutions
+// and swaps of neighbouring letters each cost one edit
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// How well a typed word matches a word in an entry, from 0 (no match) to 1
+// (exact). The last typed word may be incomplete, so it is also compared
+// with prefixes of the candidate.
+function wordScore(typed, candidate, isLastWord) {
+  if (typed === candidate) return 1;
+  if (isLastWord && candidate.startsWith(typed)) {
+    return 0.8 + 0.2 * typed.length / candidate.length;
+  }
+
+  const maxEdits = allowedEdits(typed.length);
+  if (maxEdits === 0) return 0;
+
+  let distance = editDistance(typed, candidate);
+  if (isLastWord && candidate.length > typed.length) {
+    for (let length = typed.length - maxEdits; length <= typed.length + maxEdits; length++) {
+      if (length < 1 || length > candidate.length) continue;
+      distance = Math.min(distance, editDistance(typed, candidate.slice(0, length)));
+    }
+  }
+
+  return distance <= maxEdits ? 0.6 - 0.2 * distance / maxEdits : 0;
+}
+
+// Every typed word has to match some word of the entry. Returns the mean
+// word score, or 0 if any typed word is unmatched.
+function entryScore(typedWords, entryWords) {
+  let total = 0;
+  for (let i = 0; i < typedWords.length; i++) {
+    const isLastWord = i === typedWords.length - 1;
+    const best = Math.max(0, ...entryWords.map(word => wordScore(typedWords[i], word, isLastWord)));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total / typedWords.length;
+}
+
+// Add or refresh a product; archived products are dropped
+function indexProduct(product) {
+  const id = String(product._id);
+  if (product.archived) {
+    products.delete(id);
+    return;
+  }
+
+  products.set(id, {
+    id,
+    name: product.name,
+    category: product.category,
+    words: words(product.name),
+    popularity: (product.ratings?.count || 0) + (product.featured ? 5 : 0)
+  });
+}
+
+function removeProduct(productId) {
+  products.delete(String(productId));
+}
+
+// Replace the whole index, e.g. at startup or after bulk changes
+function rebuild(allProducts) {
+  products.clear();
+  allProducts.forEach(indexProduct);
+}
+
+// Ranked product and category suggestions for what the user has typed so far
+function suggest(query, limit = 8) {
+  const typedWords = words(query);
+  if (typedWords.length === 0) return [];
+
+  const suggestions = [];
+  const categories = new Map();
+
+  for (let product of products.values()) {
+    const score = entryScore(typedWords, product.words);
+    if (score > 0) {
+      suggestions.push({
+        type: 'product',
+        text: product.name,
+        productId: product.id,
+        category: product.category,
+        score,
+        popularity: product.popularity
+      });
+    }
+
+    if (product.category) {
+      const category = categories.get(product.category) || { productCount: 0 };
+      category.productCount += 1;
+      categories.set(product.category, category);
+    }
+  }
+
+  for (let [name, { productCount }] of categories) {
+    const score = entryScore(typedWords, words(name));
+    if (score > 0) {
+      suggestions.push({ type: 'category', text: name, productCount, score, popularity: productCount });
+    }
+  }
+
+  return suggestions
+    .sort((a, b) => b.score - a.score || b.popularity - a.popularity || a.text.length - b.text.length)
+    .slice(0, limit)
+    .map(({ popularity, score, ...suggestion }) => ({ ...suggestion, score: Math.round(score * 1000) / 1000 }));
+}
+
+module.exports = {
+  indexProduct,
+  removeProduct,
+  rebuild,
+  suggest,
+  size: () => products.size
+};
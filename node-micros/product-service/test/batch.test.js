@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, fakeServices, listen } = require('./helpers');
+
+const { Product } = service;
+
+function product(name) {
+  return new Product({ name, description: name, price: 10, category: 'Lighting', stock: 3 });
+}
+
+test('many products are looked up in one query, reporting the ids not found', async (t) => {
+  fakeServices(t);
+  const lamp = product('Lamp');
+  const shade = product('Shade');
+  const find = t.mock.method(Product, 'find', async () => [lamp, shade]);
+  const request = await listen(t);
+  const gone = new mongoose.Types.ObjectId().toString();
+
+  const response = await request('POST', '/products/batch', {
+    body: { ids: [String(lamp._id), String(shade._id), String(lamp._id), gone, 'not-an-id'] }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body.products.map(found => found.name), ['Lamp', 'Shade']);
+  assert.deepStrictEqual(response.body.missing, [gone, 'not-an-id']);
+  assert.strictEqual(find.mock.callCount(), 1);
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0], { _id: { $in: [String(lamp._id), String(shade._id), gone] } });
+});
+
+test('a batch must be an array of at most 200 ids', async (t) => {
+  fakeServices(t);
+  const find = t.mock.method(Product, 'find', async () => []);
+  const request = await listen(t);
+
+  const notArray = await request('POST', '/products/batch', { body: { ids: 'abc' } });
+  const tooMany = await request('POST', '/products/batch', {
+    body: { ids: Array.from({ length: 201 }, () => new mongoose.Types.ObjectId().toString()) }
+  });
+
+  assert.strictEqual(notArray.status, 400);
+  assert.strictEqual(tooMany.status, 400);
+  assert.strictEqual(find.mock.callCount(), 0);
+});
@@ -0,0 +1,282 @@
+// Small limits so a few rows make a batch, a background job or an oversized file
+process.env.IMPORT_BATCH_SIZE = '2';
+process.env.IMPORT_INLINE_ROW_LIMIT = '8';
+process.env.IMPORT_MAX_BYTES = '4096';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { service, fakeServices, listen } = require('./helpers');
+const catalog = require('../catalog');
+
+const { Product, Category, ImportJob, StockMovement, PriceChange } = service;
+
+const lighting = new Category({ name: 'Lighting', slug: 'lighting' });
+
+async function collect(rows) {
+  const collected = [];
+  for await (let row of rows) collected.push(row);
+  return collected;
+}
+
+// Read a file handed over one character at a time, so every value and
+// line ending is split across chunks somewhere
+function read(text, format) {
+  return collect(catalog.readImport([...text], format));
+}
+
+// A mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    select: () => chain,
+    collation: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+test('CSV imports read quoted fields, CRLF line endings and a byte order mark', async () => {
+  const csv = '﻿sku,name,price,brand\r\n' +
+    'L-1,"Lamp, desk",40,Acme\r\n' +
+    '\r\n' +
+    'L-2,"Shade ""XL""\nwhite",12,\r\n' +
+    'L-3,Bulb,3';
+
+  assert.deepStrictEqual(await read(csv, 'csv'), [
+    { sku: 'L-1', name: 'Lamp, desk', price: '40', brand: 'Acme' },
+    { sku: 'L-2', name: 'Shade "XL"\nwhite', price: '12', brand: '' },
+    { sku: 'L-3', name: 'Bulb', price: '3', brand: undefined }
+  ]);
+});
+
+test('a malformed CSV file is refused as a whole', async () => {
+  await assert.rejects(read('colour,name\nred,Lamp\n', 'csv'),
+    /^Error: Could not read CSV file: Unknown CSV columns: colour\. Expected: sku, name/);
+  await assert.rejects(read('sku,price\nL-1,4\n', 'csv'), /CSV needs at least a name column/);
+  await assert.rejects(read('name\n"Lamp\n', 'csv'), /CSV ends inside a quoted field/);
+});
+
+test('JSON imports are read element by element', async () => {
+  const json = ' [{"sku": "L-1", "name": "Lamp [big], \\"bright\\"", "specifications": {"brand": "Acme"}} ,\n{"name": "Shade"}]\n';
+
+  assert.deepStrictEqual(await read(json, 'json'), [
+    { sku: 'L-1', name: 'Lamp [big], "bright"', specifications: { brand: 'Acme' } },
+    { name: 'Shade' }
+  ]);
+
+  await assert.rejects(read('{"name": "Lamp"}', 'json'), /^Error: Could not read JSON file: JSON imports must be an array of products/);
+  await assert.rejects(read('[{"name": "Lamp"},]', 'json'), /Unexpected "\]" in the array/);
+  await assert.rejects(read('[{"name": "Lamp"}] []', 'json'), /Unexpected data after the array/);
+  await assert.rejects(read('[{"name": "Lamp"}', 'json'), /JSON ends inside the array/);
+});
+
+test('rows are checked field by field and blank values are left out', () => {
+  assert.deepStrictEqual(
+    catalog.normalizeRow({ name: ' Lamp ', price: '-1', stock: '2.5', featured: 'maybe', brand: '', model: 'X1' }),
+    {
+      fields: { name: 'Lamp', 'specifications.model': 'X1' },
+      errors: [
+        { field: 'price', message: 'Invalid price "-1"' },
+        { field: 'stock', message: 'Invalid stock "2.5"' },
+        { field: 'featured', message: 'Invalid featured value "maybe"' }
+      ]
+    }
+  );
+  assert.deepStrictEqual(
+    catalog.normalizeRow({ name: 'Lamp', price: 0, featured: 'Yes', specifications: { brand: 'Acme' } }).fields,
+    { name: 'Lamp', price: 0, featured: true, 'specifications.brand': 'Acme' }
+  );
+  assert.deepStrictEqual(catalog.normalizeRow(['Lamp']).errors, [{ message: 'Row must be an object' }]);
+});
+
+// Import jobs kept in memory. Resolves `finished` with the job once it
+// has completed or failed.
+function importJobs(t) {
+  let finish;
+  const finished = new Promise((resolve) => {
+    finish = resolve;
+  });
+  t.mock.method(ImportJob, 'create', async (fields) => new ImportJob(fields));
+  t.mock.method(ImportJob.prototype, 'save', async function () {
+    if (this.finishedAt) finish(this);
+    return this;
+  });
+  return finished;
+}
+
+// The catalog holds L-2 (price 10) and L-4 (3 in stock), both lighting
+function existingProducts(t) {
+  const existing = ['L-2', 'L-4'].map(sku => new Product({
+    sku,
+    name: sku,
+    description: 'Existing',
+    price: 10,
+    category: 'Lighting',
+    categoryId: lighting._id,
+    stock: 3
+  }));
+  t.mock.method(Category, 'findOne', ({ slug }) => query(slug === lighting.slug ? lighting : null));
+  t.mock.method(Product, 'find', ({ sku }) => query(sku ? existing.filter(product => sku.$in.includes(product.sku)) : []));
+  t.mock.method(console, 'log', () => {});
+  return existing;
+}
+
+const asCsv = { 'Content-Type': 'text/csv' };
+
+test('a dry run reports what each row would do without writing anything', async (t) => {
+  fakeServices(t);
+  importJobs(t);
+  existingProducts(t);
+  const written = t.mock.method(Product, 'bulkWrite', async () => {});
+  const request = await listen(t);
+  const csv = [
+    'sku,name,description,price,category,stock',
+    'L-1,Lamp,New,40,lighting,5',
+    'L-2,,,12,,',
+    'L-3,Shade,New,abc,lighting,',
+    'L-1,Lamp again,New,40,lighting,',
+    'L-4,,,,,7',
+    'L-5,Hose,New,9,Garden,',
+    'L-6,Bulb,,3,lighting,'
+  ].join('\n');
+
+  const response = await request('POST', '/catalog/import?dryRun=true', { raw: csv, as: 'admin', headers: asCsv });
+
+  assert.strictEqual(response.status, 200);
+  const job = response.body;
+  assert.deepStrictEqual(
+    [job.status, job.dryRun, job.totalRows, job.created, job.updated, job.failed],
+    ['completed', true, 7, 1, 1, 5]
+  );
+  assert.deepStrictEqual(job.rowErrors.sort((a, b) => a.row - b.row).map(({ row, field, message }) => [row, field, message]), [
+    [3, 'price', 'Invalid price "abc"'],
+    [4, 'sku', 'Same sku as row 1'],
+    [5, 'stock', 'Stock of existing products can\'t be imported (currently 3); use a stock adjustment'],
+    [6, 'category', 'Unknown category "Garden"'],
+    [7, 'description', 'Path `description` is required.']
+  ]);
+  assert.strictEqual(written.mock.callCount(), 0);
+});
+
+test('an import upserts by SKU, records opening stock and prices, and reports rows the database refused', async (t) => {
+  fakeServices(t);
+  importJobs(t);
+  existingProducts(t);
+  // Another product already has L-9
+  const written = t.mock.method(Product, 'bulkWrite', async (operations) => {
+    const index = operations.findIndex(operation => operation.insertOne?.document.sku === 'L-9');
+    if (index !== -1) {
+      throw Object.assign(new Error('Bulk write failed'), { writeErrors: [{ index, code: 11000 }] });
+    }
+  });
+  const entries = [];
+  t.mock.method(StockMovement, 'create', async (entry) => {
+    entries.push(entry);
+    return entry;
+  });
+  const priceChanges = t.mock.method(PriceChange, 'insertMany', async (changes) => changes);
+  const request = await listen(t);
+
+  const response = await request('POST', '/catalog/import', {
+    as: 'admin',
+    body: [
+      { sku: 'L-1', name: 'Lamp', description: 'New', price: 40, category: 'lighting', stock: 5 },
+      { sku: 'L-2', price: 12 },
+      { sku: 'L-9', name: 'Clash', description: 'New', price: 1, category: 'lighting' }
+    ]
+  });
+
+  const job = response.body;
+  assert.deepStrictEqual([job.format, job.created, job.updated, job.failed], ['json', 1, 1, 1]);
+  assert.deepStrictEqual(job.rowErrors.map(({ row, field, message }) => [row, field, message]), [
+    [3, 'sku', 'SKU is already used by another product']
+  ]);
+
+  const [operations, options] = written.mock.calls[0].arguments;
+  assert.deepStrictEqual(options, { ordered: false });
+  assert.strictEqual(operations[0].insertOne.document.categoryId.toString(), lighting._id.toString());
+  assert.deepStrictEqual(Object.keys(operations[1].updateOne.update.$set), ['sku', 'price', 'updatedAt'], 'only the columns given change');
+
+  assert.deepStrictEqual(entries.map(entry => [entry.type, entry.quantity, entry.reason]), [
+    ['restock', 5, `Initial stock from import ${job._id}`]
+  ]);
+  const [changes] = priceChanges.mock.calls[0].arguments;
+  assert.deepStrictEqual(changes.map(change => [change.price, change.previousPrice]), [[40, null], [12, 10]]);
+});
+
+test('an import that outgrows the request carries on as a job to poll', async (t) => {
+  fakeServices(t);
+  const finished = importJobs(t);
+  existingProducts(t);
+  t.mock.method(Product, 'bulkWrite', async () => {});
+  t.mock.method(StockMovement, 'create', async (entry) => entry);
+  t.mock.method(PriceChange, 'insertMany', async (changes) => changes);
+  const request = await listen(t);
+  const rows = Array.from({ length: 12 }, (_, i) => `B-${i},Bulb ${i},Warm,3,lighting,`);
+
+  const response = await request('POST', '/catalog/import', {
+    raw: ['sku,name,description,price,category,stock', ...rows].join('\n'),
+    as: 'admin',
+    headers: asCsv
+  });
+
+  assert.strictEqual(response.status, 202);
+  assert.strictEqual(response.headers.get('location'), `/catalog/import/jobs/${response.body._id}`);
+  assert.deepStrictEqual([response.body.status, response.body.processedRows], ['running', 10]);
+
+  const job = await finished;
+  t.mock.method(ImportJob, 'findById', async () => job);
+  const polled = await request('GET', `/catalog/import/jobs/${job._id}`, { as: 'admin' });
+  assert.deepStrictEqual([polled.body.status, polled.body.totalRows, polled.body.created], ['completed', 12, 12]);
+});
+
+test('an empty or oversized upload fails its job', async (t) => {
+  fakeServices(t);
+  importJobs(t);
+  const saves = ImportJob.prototype.save;
+  const request = await listen(t);
+
+  const empty = await request('POST', '/catalog/import', { raw: '', as: 'admin', headers: asCsv });
+  const oversized = await request('POST', '/catalog/import', { raw: 'name\n' + 'x'.repeat(5000), as: 'admin', headers: asCsv });
+  const badFormat = await request('POST', '/catalog/import?format=xml', { raw: '<a/>', as: 'admin', headers: asCsv });
+
+  assert.strictEqual(empty.status, 400);
+  assert.strictEqual(empty.body.error, 'Send the file as the request body with Content-Type text/csv or application/json');
+  assert.strictEqual(oversized.status, 413);
+  assert.strictEqual(oversized.body.error, 'Import files can be at most 4096 bytes');
+  assert.deepStrictEqual(saves.mock.calls.map(call => call.this.status), ['failed', 'failed']);
+  assert.strictEqual(badFormat.status, 400);
+});
+
+test('the catalog exports in the format it imports', async (t) => {
+  fakeServices(t);
+  const lamp = new Product({
+    sku: 'L-1',
+    name: 'Lamp, "desk"',
+    description: 'Bright',
+    price: 40,
+    category: 'Lighting',
+    stock: 5,
+    specifications: { brand: 'Acme' }
+  });
+  const find = t.mock.method(Product, 'find', () => ({
+    sort: () => ({
+      cursor: () => (async function* () {
+        yield lamp;
+      })()
+    })
+  }));
+  const request = await listen(t);
+
+  const csv = await request('GET', '/catalog/export', { as: 'admin' });
+  const json = await request('GET', '/catalog/export?format=json&includeArchived=true', { as: 'admin' });
+
+  assert.strictEqual(csv.headers.get('content-type'), 'text/csv; charset=utf-8');
+  assert.match(csv.headers.get('content-disposition'), /^attachment; filename="catalog-\d{4}-\d{2}-\d{2}\.csv"$/);
+  const [row] = await read(csv.text, 'csv');
+  assert.deepStrictEqual(
+    [row.sku, row.name, row.price, row.stock, row.brand, row.model],
+    ['L-1', 'Lamp, "desk"', '40', '5', 'Acme', '']
+  );
+  assert.deepStrictEqual(JSON.parse(json.text).map(exported => exported.name), ['Lamp, "desk"']);
+  assert.deepStrictEqual(find.mock.calls.map(call => call.arguments[0]), [{ archived: { $ne: true } }, {}]);
+});
@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { service, fakeServices, listen, keepSaves } = require('./helpers');
+
+const { Product, Category, migrateLegacyCategories } = service;
+
+// Electronics > Phones > Phone cases, and Garden beside Electronics
+function tree() {
+  const electronics = new Category({ name: 'Electronics', slug: 'electronics' });
+  const garden = new Category({ name: 'Garden', slug: 'garden' });
+  const phones = new Category({
+    name: 'Phones', slug: 'phones', parentId: electronics._id, ancestors: [electronics._id]
+  });
+  const cases = new Category({
+    name: 'Phone cases', slug: 'phone-cases', parentId: phones._id, ancestors: [electronics._id, phones._id]
+  });
+  return { electronics, garden, phones, cases, all: [electronics, garden, phones, cases] };
+}
+
+// A mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    collation: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+function has(ids, id) {
+  return ids.some(each => String(each) === String(id));
+}
+
+// Serve lookups from the categories given, as the database would
+function storedCategories(t, categories) {
+  keepSaves(t, Category);
+  t.mock.method(Category, 'findById', async (id) =>
+    categories.find(category => String(category._id) === String(id)) || null);
+  t.mock.method(Category, 'findOne', ({ slug, name }) => query(categories.find(category =>
+    (slug && category.slug === slug) ||
+    (name && category.name.toLowerCase() === name.toLowerCase())) || null));
+  t.mock.method(Category, 'find', ({ _id, ancestors, parentId } = {}) => query(categories.filter(category =>
+    (_id === undefined || has(_id.$in, category._id)) &&
+    (ancestors === undefined || has(category.ancestors, ancestors)) &&
+    (parentId === undefined || String(category.parentId) === String(parentId)))));
+}
+
+test('the tree nests categories and counts products in each subtree', async (t) => {
+  fakeServices(t);
+  const { electronics, phones, cases, all } = tree();
+  storedCategories(t, all);
+  t.mock.method(Product, 'aggregate', async () => [
+    { _id: electronics._id, count: 1 },
+    { _id: phones._id, count: 3 },
+    { _id: cases._id, count: 2 }
+  ]);
+  const request = await listen(t);
+
+  const { body: roots } = await request('GET', '/categories');
+
+  assert.deepStrictEqual(roots.map(root => root.name), ['Electronics', 'Garden']);
+  const [electronicsNode, gardenNode] = roots;
+  assert.deepStrictEqual([electronicsNode.productCount, electronicsNode.totalProductCount], [1, 6]);
+  assert.deepStrictEqual([gardenNode.productCount, gardenNode.totalProductCount, gardenNode.children], [0, 0, []]);
+  const [phonesNode] = electronicsNode.children;
+  assert.deepStrictEqual([phonesNode.name, phonesNode.totalProductCount], ['Phones', 5]);
+  assert.deepStrictEqual(phonesNode.children.map(child => child.slug), ['phone-cases']);
+});
+
+test('a category is fetched by slug with its breadcrumb and children', async (t) => {
+  fakeServices(t);
+  const { all } = tree();
+  storedCategories(t, all);
+  const request = await listen(t);
+
+  const phones = await request('GET', '/categories/phones');
+  const byName = await request('GET', '/categories/Phone%20cases');
+  const unknown = await request('GET', '/categories/toys');
+
+  assert.deepStrictEqual(phones.body.breadcrumb.map(category => category.name), ['Electronics']);
+  assert.deepStrictEqual(phones.body.children.map(category => category.name), ['Phone cases']);
+  assert.strictEqual(byName.status, 200, 'the name slugifies to the slug');
+  assert.strictEqual(unknown.status, 404);
+});
+
+test('new categories get a slug and their place below the parent', async (t) => {
+  fakeServices(t);
+  const { phones, all } = tree();
+  storedCategories(t, all);
+  const create = t.mock.method(Category, 'create', async (fields) => new Category(fields));
+  const request = await listen(t);
+  const post = (body, as = 'admin') => request('POST', '/categories', { as, body });
+
+  const customer = await post({ name: 'Chargers' }, 'customer');
+  const orphan = await post({ name: 'Chargers', parentId: String(new Category({ name: 'Gone' })._id) });
+  const chargers = await post({ name: 'Chargers & Cables', parentId: String(phones._id), sortOrder: 2 });
+
+  assert.strictEqual(customer.status, 403);
+  assert.strictEqual(orphan.status, 400);
+  assert.strictEqual(orphan.body.error, 'Parent category not found');
+  assert.strictEqual(chargers.status, 201);
+  assert.strictEqual(chargers.body.slug, 'chargers-cables');
+  assert.deepStrictEqual(chargers.body.ancestors, [String(phones.ancestors[0]), String(phones._id)]);
+  assert.strictEqual(create.mock.callCount(), 1);
+});
+
+test('duplicate slugs and sibling names are conflicts', async (t) => {
+  fakeServices(t);
+  storedCategories(t, tree().all);
+  const duplicate = (keyPattern) => Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern });
+  const create = t.mock.method(Category, 'create', async () => { throw duplicate({ slug: 1 }); });
+  const request = await listen(t);
+
+  const slug = await request('POST', '/categories', { as: 'admin', body: { name: 'Garden', slug: 'garden' } });
+  create.mock.mockImplementation(async () => { throw duplicate({ parentId: 1, name: 1 }); });
+  const name = await request('POST', '/categories', { as: 'admin', body: { name: 'garden', slug: 'outdoor' } });
+
+  assert.deepStrictEqual([slug.status, slug.body.error], [409, 'Another category already uses this slug']);
+  assert.deepStrictEqual([name.status, name.body.error], [409, 'A category with this name already exists here']);
+});
+
+test('moving a category re-roots its subtree, but never under itself', async (t) => {
+  fakeServices(t);
+  const { electronics, garden, phones, cases, all } = tree();
+  storedCategories(t, all);
+  const bulkWrite = t.mock.method(Category, 'bulkWrite', async () => ({}));
+  const request = await listen(t);
+
+  const loop = await request('PATCH', `/categories/${electronics._id}`, { as: 'admin', body: { parentId: String(cases._id) } });
+  const moved = await request('PATCH', `/categories/${phones._id}`, { as: 'admin', body: { parentId: String(garden._id) } });
+
+  assert.strictEqual(loop.status, 400);
+  assert.strictEqual(loop.body.error, 'A category cannot be moved under itself');
+  assert.strictEqual(moved.status, 200);
+  assert.deepStrictEqual(phones.ancestors.map(String), [String(garden._id)]);
+  const [[{ updateOne }]] = bulkWrite.mock.calls[0].arguments;
+  assert.strictEqual(String(updateOne.filter._id), String(cases._id));
+  assert.deepStrictEqual(updateOne.update.ancestors.map(String), [String(garden._id), String(phones._id)]);
+});
+
+test('renaming a category renames it on its products', async (t) => {
+  fakeServices(t);
+  const { phones, all } = tree();
+  storedCategories(t, all);
+  const updateMany = t.mock.method(Product, 'updateMany', async () => ({}));
+  t.mock.method(Product, 'find', () => query([]));
+  const request = await listen(t);
+
+  const renamed = await request('PATCH', `/categories/${phones._id}`, { as: 'admin', body: { name: 'Mobile phones' } });
+
+  assert.strictEqual(renamed.body.name, 'Mobile phones');
+  assert.strictEqual(renamed.body.slug, 'phones', 'the slug stays unless changed');
+  assert.deepStrictEqual(updateMany.mock.calls[0].arguments, [{ categoryId: phones._id }, { category: 'Mobile phones' }]);
+});
+
+test('only empty categories are deleted', async (t) => {
+  fakeServices(t);
+  const { garden, phones, cases, all } = tree();
+  storedCategories(t, all);
+  t.mock.method(Category, 'exists', async ({ parentId }) => String(parentId) === String(phones._id));
+  t.mock.method(Product, 'exists', async ({ categoryId }) => String(categoryId) === String(cases._id));
+  const deleteOne = t.mock.method(Category, 'deleteOne', async () => ({}));
+  const request = await listen(t);
+  const remove = (category) => request('DELETE', `/categories/${category._id}`, { as: 'admin' });
+
+  const parent = await remove(phones);
+  const stocked = await remove(cases);
+  const empty = await remove(garden);
+
+  assert.deepStrictEqual([parent.status, parent.body.error], [409, 'Move or delete its subcategories first']);
+  assert.strictEqual(stocked.status, 409);
+  assert.strictEqual(empty.status, 200);
+  assert.deepStrictEqual(deleteOne.mock.calls.map(call => String(call.arguments[0]._id)), [String(garden._id)]);
+});
+
+test('filtering products by a category includes its descendants', async (t) => {
+  fakeServices(t);
+  const { electronics, phones, cases, all } = tree();
+  storedCategories(t, all);
+  const aggregate = t.mock.method(Product, 'aggregate', async () => []);
+  t.mock.method(Product, 'countDocuments', async () => 0);
+  const request = await listen(t);
+
+  await request('GET', '/products?category=electronics');
+  await request('GET', '/products?category=Toys');
+
+  const [known, unknown] = aggregate.mock.calls.map(call => call.arguments[0][0].$match);
+  assert.deepStrictEqual(known.categoryId.$in.map(String), [electronics, phones, cases].map(category => String(category._id)));
+  assert.strictEqual(unknown.category, 'Toys', 'unmigrated products still match their free-text category');
+});
+
+test('free-text categories are migrated into the tree', async (t) => {
+  const { electronics, all } = tree();
+  storedCategories(t, all);
+  t.mock.method(Product, 'distinct', async () => ['electronics', 'Garden Tools']);
+  const create = t.mock.method(Category, 'create', async (fields) => new Category(fields));
+  const updateMany = t.mock.method(Product, 'updateMany', async () => ({}));
+
+  await migrateLegacyCategories();
+
+  assert.deepStrictEqual(create.mock.calls.map(call => call.arguments[0]), [{ name: 'Garden Tools', slug: 'garden-tools' }]);
+  const [[existing, moveExisting], [created, moveCreated]] = updateMany.mock.calls.map(call => call.arguments);
+  assert.deepStrictEqual(existing, { categoryId: null, category: 'electronics' });
+  assert.deepStrictEqual(moveExisting, { categoryId: electronics._id, category: 'Electronics' });
+  assert.strictEqual(created.category, 'Garden Tools');
+  assert.strictEqual(moveCreated.category, 'Garden Tools');
+});
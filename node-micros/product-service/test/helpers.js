@@ -0,0 +1,109 @@
+// Test setup for product-service. The app is loaded without a database:
+// tests mock the model methods a route uses, and every call to another
+// service goes through axios, which fakeServices answers.
+
+process.env.USER_SERVICE_URL = 'http://user-service';
+process.env.ORDER_SERVICE_URL = 'http://order-service';
+process.env.NOTIFICATION_SERVICE_URL = 'http://notification-service';
+process.env.INTERNAL_SERVICE_TOKEN = 'test-internal-token';
+
+const { once } = require('events');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const service = require('../server');
+
+const users = {
+  customer: { userId: new mongoose.Types.ObjectId().toString(), role: 'user' },
+  moderator: { userId: new mongoose.Types.ObjectId().toString(), role: 'moderator' },
+  admin: { userId: new mongoose.Types.ObjectId().toString(), role: 'admin' }
+};
+
+// An axios error as another service would answer it
+function serviceError(status, error) {
+  const failure = new Error(`Request failed with status code ${status}`);
+  failure.response = { status, data: { error } };
+  return failure;
+}
+
+// Answer axios calls from handlers keyed by method and URL pattern, e.g.
+// { 'POST /reservations/release': (body, match) => data }. Tokens are
+// verified as the user named by the token. Returns the calls made.
+function fakeServices(t, handlers = {}) {
+  const calls = [];
+  const routes = Object.entries(handlers).map(([key, handler]) => {
+    const [method, pattern] = key.split(' ');
+    return { method, pattern: new RegExp(`${pattern}$`), handler };
+  });
+
+  for (let method of ['get', 'post', 'patch', 'put', 'delete']) {
+    t.mock.method(axios, method, async (url, body, config) => {
+      const path = url.replace(/^https?:\/\/[^/]+/, '');
+      calls.push({ method: method.toUpperCase(), path, body, config });
+
+      if (method === 'post' && path === '/auth/verify') {
+        const user = users[body.token];
+        return { data: user ? { valid: true, user } : { valid: false } };
+      }
+
+      for (let route of routes) {
+        const match = route.method === method.toUpperCase() && path.match(route.pattern);
+        if (match) {
+          return { data: await route.handler(body, match) };
+        }
+      }
+      return { data: {} };
+    });
+  }
+
+  return calls;
+}
+
+// Serve the app on a free port for the length of a test
+async function listen(t) {
+  const server = service.app.listen(0);
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  // `internal` sends the service token; `raw` sends a body as it is, and
+  // FormData gets the multipart content type fetch gives it
+  return async (method, path, { body, raw, as, internal, headers = {} } = {}) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        ...(!(raw instanceof FormData) && { 'Content-Type': 'application/json' }),
+        ...(as && { Authorization: `Bearer ${as}` }),
+        ...(internal && { 'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN }),
+        ...headers
+      },
+      body: raw ?? (body === undefined ? undefined : JSON.stringify(body))
+    });
+    // Non-JSON responses (CSV exports) are only given as text
+    const text = await response.text();
+    const json = response.headers.get('content-type')?.includes('application/json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      text,
+      body: text && json ? JSON.parse(text) : undefined
+    };
+  };
+}
+
+// Make save() keep documents in memory instead of writing them
+function keepSaves(t, ...models) {
+  for (let model of models) {
+    t.mock.method(model.prototype, 'save', async function () {
+      return this;
+    });
+  }
+}
+
+module.exports = {
+  service,
+  users,
+  serviceError,
+  fakeServices,
+  listen,
+  keepSaves
+};
@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Small limits, and files stored in a directory of this test's own
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'product-images-'));
+process.env.IMAGE_STORAGE_DIR = storageDir;
+process.env.IMAGE_MAX_PER_PRODUCT = '3';
+process.env.IMAGE_MAX_PIXELS = String(4000 * 1000);
+
+const { service, fakeServices, listen, keepSaves } = require('./helpers');
+const images = require('../images');
+const { getStorage } = require('../storage');
+
+const { Product } = service;
+
+test.afterEach(() => {
+  for (let entry of fs.readdirSync(storageDir)) {
+    fs.rmSync(path.join(storageDir, entry), { recursive: true, force: true });
+  }
+});
+test.after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+function picture(width, height, format = 'png') {
+  return sharp({ create: { width, height, channels: 3, background: '#c33' } }).toFormat(format).toBuffer();
+}
+
+function storedFiles() {
+  return fs.readdirSync(storageDir, { recursive: true })
+    .filter(file => fs.statSync(path.join(storageDir, file)).isFile());
+}
+
+function lamp() {
+  return new Product({ name: 'Desk lamp', description: 'Adjustable', price: 40, category: 'Lighting', stock: 5 });
+}
+
+function stored(t, product) {
+  keepSaves(t, Product);
+  t.mock.method(Product, 'findById', async (id) => (String(id) === String(product._id) ? product : null));
+}
+
+async function upload(request, product, files, alts = []) {
+  const form = new FormData();
+  for (let [index, file] of files.entries()) {
+    form.append('images', new Blob([file]), `photo-${index}.png`);
+  }
+  alts.forEach(alt => form.append('alt', alt));
+  return request('POST', `/products/${product._id}/images`, { as: 'admin', raw: form });
+}
+
+test('an image is kept at its own size and rendered smaller as webp', async () => {
+  const { format, width, height, renditions } = await images.processImage(await picture(2000, 1000));
+
+  assert.deepStrictEqual([format, width, height], ['png', 2000, 1000]);
+  assert.deepStrictEqual(
+    renditions.map(({ name, extension, contentType, width, height }) => [name, extension, contentType, width, height]),
+    [
+      ['original', 'png', 'image/png', 2000, 1000],
+      ['thumbnail', 'webp', 'image/webp', 150, 75],
+      ['medium', 'webp', 'image/webp', 400, 200],
+      ['large', 'webp', 'image/webp', 1200, 600]
+    ]
+  );
+});
+
+test('small images are never enlarged and photos are turned upright', async () => {
+  const small = await images.processImage(await picture(100, 50, 'jpeg'));
+  const rotated = await sharp(await picture(200, 100, 'jpeg')).withMetadata({ orientation: 6 }).toBuffer();
+  const upright = await images.processImage(rotated);
+
+  assert.strictEqual(small.renditions[0].extension, 'jpg');
+  assert.ok(small.renditions.every(rendition => rendition.width === 100 && rendition.height === 50));
+  assert.deepStrictEqual([upright.width, upright.height], [100, 200]);
+  const original = await sharp(upright.renditions[0].buffer).metadata();
+  assert.strictEqual(original.orientation, undefined, 'EXIF data is dropped');
+});
+
+test('files that are not acceptable images are refused', async () => {
+  await assert.rejects(images.processImage(Buffer.from('not an image')),
+    { status: 400, message: 'File is not a readable image' });
+  await assert.rejects(images.processImage(await picture(10, 10, 'gif')),
+    { status: 400, message: 'Unsupported image format gif. Use jpeg, png, webp' });
+  await assert.rejects(images.processImage(await picture(3000, 2000)),
+    { status: 400, message: 'Image is too large (3000x2000)' });
+});
+
+test('uploaded images are stored and served with long-lived cache headers', async (t) => {
+  fakeServices(t);
+  const product = lamp();
+  stored(t, product);
+  const request = await listen(t);
+
+  const uploaded = await upload(request, product, [await picture(800, 600), await picture(300, 300, 'jpeg')], ['Front']);
+
+  assert.strictEqual(uploaded.status, 201);
+  const [front, side] = uploaded.body.images;
+  assert.deepStrictEqual([front.alt, side.alt], ['Front', 'Desk lamp']);
+  assert.strictEqual(front.urls.medium, `/images/products/${product._id}/${front._id}/medium.webp`);
+  assert.deepStrictEqual(Object.keys(side.urls), ['original', 'thumbnail', 'medium', 'large']);
+  assert.strictEqual(side.urls.original.endsWith('/original.jpg'), true);
+  assert.strictEqual(uploaded.body.image, front.urls.medium, 'the first image is the main image');
+  assert.strictEqual(storedFiles().length, 8);
+
+  const served = await request('GET', front.urls.thumbnail);
+  // As a browser revalidates; fetch would otherwise add no-cache
+  const again = await request('GET', front.urls.thumbnail, {
+    headers: { 'If-None-Match': served.headers.get('etag'), 'Cache-Control': 'max-age=0' }
+  });
+  const missing = await request('GET', `/images/products/${product._id}/nothing.webp`);
+  const escape = await request('GET', '/images/..%2F..%2Fpackage.json');
+
+  assert.strictEqual(served.status, 200);
+  assert.strictEqual(served.headers.get('content-type'), 'image/webp');
+  assert.strictEqual(served.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+  assert.strictEqual(again.status, 304);
+  assert.deepStrictEqual([missing.status, escape.status], [404, 404]);
+});
+
+test('one bad file rejects the whole upload, and the image limit is kept', async (t) => {
+  fakeServices(t);
+  const product = lamp();
+  stored(t, product);
+  const request = await listen(t);
+
+  const none = await upload(request, product, []);
+  const mixed = await upload(request, product, [await picture(100, 100), Buffer.from('not an image')]);
+  product.images.push({ alt: 'a' }, { alt: 'b' });
+  const tooMany = await upload(request, product, [await picture(100, 100), await picture(100, 100)]);
+  const customer = await request('POST', `/products/${product._id}/images`, { as: 'customer', raw: new FormData() });
+
+  assert.deepStrictEqual([none.status, none.body.error], [400, 'Attach at least one file in the images field']);
+  assert.deepStrictEqual([mixed.status, mixed.body.error], [400, 'File is not a readable image']);
+  assert.deepStrictEqual([tooMany.status, tooMany.body.error], [400, 'A product can have at most 3 images (it has 2)']);
+  assert.strictEqual(customer.status, 403);
+  assert.deepStrictEqual(storedFiles(), []);
+});
+
+test('files already stored are removed when storing the rest fails', async (t) => {
+  fakeServices(t);
+  const storage = getStorage();
+  const put = storage.put;
+  let puts = 0;
+  t.mock.method(storage, 'put', async (...args) => {
+    if (++puts === 3) throw new Error('Disk full');
+    return put(...args);
+  });
+  const product = lamp();
+  stored(t, product);
+  const request = await listen(t);
+
+  const failed = await upload(request, product, [await picture(100, 100)]);
+
+  assert.deepStrictEqual([failed.status, failed.body.error], [500, 'Disk full']);
+  assert.strictEqual(product.images.length, 0);
+  assert.deepStrictEqual(storedFiles(), []);
+});
+
+test('images are reordered and given alt text', async (t) => {
+  fakeServices(t);
+  const product = lamp();
+  product.images.push({ alt: 'Front' }, { alt: 'Side' }, { alt: 'Back' });
+  const back = product.images[2];
+  stored(t, product);
+  const request = await listen(t);
+  const patch = (imageId, body) => request('PATCH', `/products/${product._id}/images/${imageId}`, { as: 'admin', body });
+
+  const moved = await patch(back._id, { position: 0, alt: 'Rear' });
+  const outside = await patch(back._id, { position: 3 });
+  const empty = await patch(back._id, {});
+  const unknown = await patch(lamp()._id, { alt: 'x' });
+
+  assert.deepStrictEqual(moved.body.images.map(image => image.alt), ['Rear', 'Front', 'Side']);
+  assert.deepStrictEqual([outside.status, outside.body.error], [400, 'position must be an integer from 0 to 2']);
+  assert.strictEqual(empty.status, 400);
+  assert.strictEqual(unknown.status, 404);
+});
+
+test('deleting an image removes it from the product and its files from storage', async (t) => {
+  fakeServices(t);
+  const storage = getStorage();
+  const product = lamp();
+  product.images.push({ alt: 'Front' });
+  const [image] = product.images;
+  const keys = ['original.png', 'thumbnail.webp'].map(file => `products/${product._id}/${image._id}/${file}`);
+  for (let key of keys) {
+    image.renditions.push({ name: path.parse(key).name, key });
+    await storage.put(key, Buffer.from('image'));
+  }
+  stored(t, product);
+  const pull = t.mock.method(Product, 'findByIdAndUpdate', async () => lamp());
+  const request = await listen(t);
+
+  const deleted = await request('DELETE', `/products/${product._id}/images/${image._id}`, { as: 'admin' });
+
+  assert.strictEqual(deleted.status, 200);
+  assert.deepStrictEqual(pull.mock.calls[0].arguments[1].$pull, { images: { _id: image._id } });
+  assert.deepStrictEqual(await Promise.all(keys.map(key => storage.get(key))), [null, null]);
+  assert.deepStrictEqual(storedFiles(), []);
+});
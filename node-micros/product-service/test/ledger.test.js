@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, users, fakeServices, listen } = require('./helpers');
+
+const { Product, StockMovement } = service;
+
+function lamp(levels = {}) {
+  return new Product({
+    name: 'Desk lamp',
+    description: 'Adjustable',
+    price: 40,
+    category: 'Lighting',
+    stock: 10,
+    reservedStock: 2,
+    ...levels
+  });
+}
+
+// A mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    skip: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+// Record the ledger entries a test writes
+function ledger(t) {
+  const entries = [];
+  t.mock.method(StockMovement, 'create', async (entry) => {
+    entries.push(entry);
+    return new StockMovement(entry);
+  });
+  return entries;
+}
+
+// Stock changes land on `after`; `claimed` says whether the low stock
+// alert is still to be sent
+function stockLevels(t, after, { claimed = true } = {}) {
+  t.mock.method(Product, 'findById', async () => lamp({ _id: after._id }));
+  const updates = t.mock.method(Product, 'findOneAndUpdate', async (filter) => {
+    if ('lowStockAlertedAt' in filter) return claimed ? after : null;
+    return after;
+  });
+  t.mock.method(Product, 'findByIdAndUpdate', async () => after);
+  const rearm = t.mock.method(Product, 'updateOne', async () => {});
+  return { updates, rearm };
+}
+
+// user-service lists two admins
+function services(t) {
+  return fakeServices(t, {
+    'GET /internal/users': () => [{ _id: 'admin-1' }, { _id: 'admin-2' }]
+  });
+}
+
+test('a sale is recorded with its order and the balance it leaves', async (t) => {
+  services(t);
+  const product = lamp({ stock: 7 });
+  stockLevels(t, product);
+  const entries = ledger(t);
+  const request = await listen(t);
+  const change = (body) => request('PATCH', `/products/${product._id}/stock`, { internal: true, body });
+
+  const sold = await change({ operation: 'decrease', quantity: 3, orderId: 'order-1', reason: 'Order order-1' });
+  const mislabelled = await change({ operation: 'decrease', quantity: 1, type: 'return' });
+  const returned = await change({ operation: 'increase', quantity: 1, type: 'return', orderId: 'order-1' });
+
+  assert.deepStrictEqual(sold.body, { message: 'Stock updated', newStock: 7, available: 5 });
+  assert.strictEqual(mislabelled.status, 400);
+  assert.strictEqual(mislabelled.body.error, 'type must be one of sale for decrease');
+  assert.strictEqual(returned.status, 200);
+  assert.deepStrictEqual(entries.map(entry => [entry.type, entry.quantity, entry.orderId]), [
+    ['sale', -3, 'order-1'],
+    ['return', 1, 'order-1']
+  ]);
+  assert.deepStrictEqual(entries[0].balance, { onHand: 7, reserved: 2, available: 5 });
+});
+
+test('admins adjust stock with a reason, but never below what is reserved', async (t) => {
+  services(t);
+  const product = lamp({ stock: 12 });
+  const { updates } = stockLevels(t, product);
+  const entries = ledger(t);
+  const request = await listen(t);
+  const adjust = (body) => request('POST', `/products/${product._id}/stock/adjustments`, { as: 'admin', body });
+
+  const unexplained = await adjust({ quantity: 2 });
+  const zero = await adjust({ quantity: 0, reason: 'Count' });
+  const found = await adjust({ quantity: 2, reason: 'Stock count' });
+
+  assert.strictEqual(unexplained.status, 400);
+  assert.strictEqual(unexplained.body.error, 'A reason is required for stock adjustments');
+  assert.strictEqual(zero.status, 400);
+  assert.strictEqual(found.status, 201);
+  assert.deepStrictEqual([found.body.type, found.body.quantity, found.body.reason], ['adjustment', 2, 'Stock count']);
+  assert.strictEqual(entries[0].userId, users.admin.userId);
+  assert.strictEqual(updates.mock.calls[0].arguments[0].$expr, undefined, 'adding stock has no floor');
+
+  updates.mock.mockImplementation(async () => null);
+  const tooMany = await adjust({ quantity: -9, reason: 'Damaged' });
+
+  assert.strictEqual(tooMany.status, 409);
+  assert.deepStrictEqual(updates.mock.calls[1].arguments[0].$expr.$gte[1], 9);
+});
+
+test('the ledger cannot be rewritten', async () => {
+  await assert.rejects(StockMovement.updateOne({}, { quantity: 1 }), /The inventory ledger is append-only/);
+  await assert.rejects(StockMovement.deleteMany({}), /The inventory ledger is append-only/);
+});
+
+test('falling to the reorder threshold alerts every admin, once', async (t) => {
+  const calls = services(t);
+  const low = lamp({ stock: 6, reorderThreshold: 4 });
+  const { updates } = stockLevels(t, low);
+  ledger(t);
+  const request = await listen(t);
+  const sell = () => request('PATCH', `/products/${low._id}/stock`, {
+    internal: true,
+    body: { operation: 'decrease', quantity: 1 }
+  });
+
+  await sell();
+  updates.mock.mockImplementation(async (filter) => ('lowStockAlertedAt' in filter ? null : low));
+  await sell();
+
+  const notices = calls.filter(call => call.path === '/notifications/send');
+  assert.deepStrictEqual(notices.map(call => call.body.userId), ['admin-1', 'admin-2']);
+  assert.strictEqual(notices[0].body.type, 'low_stock');
+  assert.strictEqual(notices[0].body.message, 'Desk lamp is low on stock: 4 available (reorder threshold 4)');
+  const lookup = calls.find(call => call.path === '/internal/users');
+  assert.deepStrictEqual(lookup.body.params, { role: 'admin' });
+});
+
+test('stock back above the threshold re-arms the alert', async (t) => {
+  const calls = services(t);
+  const restocked = lamp({ stock: 20, reorderThreshold: 4, lowStockAlertedAt: new Date() });
+  const { rearm } = stockLevels(t, restocked);
+  ledger(t);
+  const request = await listen(t);
+
+  await request('PATCH', `/products/${restocked._id}/stock`, {
+    internal: true,
+    body: { operation: 'increase', quantity: 14 }
+  });
+
+  assert.deepStrictEqual(rearm.mock.calls[0].arguments[1], { $unset: { lowStockAlertedAt: 1 } });
+  assert.ok(!calls.some(call => call.path === '/notifications/send'));
+});
+
+test('admins page through a product\'s movements and list low stock', async (t) => {
+  fakeServices(t);
+  const productId = new mongoose.Types.ObjectId().toString();
+  const find = t.mock.method(StockMovement, 'find', () => query([]));
+  t.mock.method(StockMovement, 'countDocuments', async () => 120);
+  const low = t.mock.method(Product, 'find', () => query([]));
+  const request = await listen(t);
+
+  const movements = await request('GET', `/products/${productId}/stock/movements?type=sale&sku=RUN-8&limit=50&page=2`, { as: 'admin' });
+  const customer = await request('GET', '/inventory/low-stock', { as: 'customer' });
+  await request('GET', '/inventory/low-stock', { as: 'admin' });
+
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0], { productId, type: 'sale', sku: 'RUN-8' });
+  assert.deepStrictEqual(movements.body.pagination, { page: 2, limit: 50, total: 120, pages: 3 });
+  assert.strictEqual(customer.status, 403);
+  const [filter] = low.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter.reorderThreshold, { $ne: null });
+  assert.deepStrictEqual(filter.$expr.$lte[1], '$reorderThreshold');
+});
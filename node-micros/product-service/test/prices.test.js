@@ -0,0 +1,278 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { service, fakeServices, listen, keepSaves } = require('./helpers');
+const prices = require('../prices');
+
+const { Product, PriceChange } = service;
+
+const day = 24 * 60 * 60 * 1000;
+const start = new Date('2026-03-01T00:00:00Z');
+const on = (days) => new Date(start.getTime() + days * day);
+
+// Evaluates the aggregation operators currentPriceExpr uses, the way the
+// database would, so its prices can be compared with describePrice's
+function evaluate(expr, doc, vars = {}) {
+  const lookup = (root, path) => path.split('.').reduce((value, key) => value?.[key], root);
+  if (typeof expr === 'string' && expr.startsWith('$$')) return lookup(vars, expr.slice(2));
+  if (typeof expr === 'string' && expr.startsWith('$')) return lookup(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map(item => evaluate(item, doc, vars));
+  if (expr === null || typeof expr !== 'object' || expr instanceof Date) return expr;
+
+  const [[operator, args]] = Object.entries(expr);
+  const value = (item, scope = vars) => evaluate(item, doc, scope);
+  switch (operator) {
+    case '$let': {
+      const scope = { ...vars };
+      for (let [name, item] of Object.entries(args.vars)) scope[name] = value(item);
+      return value(args.in, scope);
+    }
+    case '$filter':
+      return value(args.input).filter(item => value(args.cond, { ...vars, [args.as]: item }));
+    case '$cond':
+      return value(args[0]) ? value(args[1]) : value(args[2]);
+    case '$type':
+      return value(args) === undefined ? 'missing' : typeof value(args);
+    case '$floor':
+      return Math.floor(value(args));
+  }
+
+  const values = value(args);
+  const operators = {
+    $and: () => values.every(Boolean),
+    $in: () => values[1].includes(values[0]),
+    $ifNull: () => values.find(item => item !== null && item !== undefined) ?? null,
+    $lte: () => values[0] <= values[1],
+    $gt: () => values[0] > values[1],
+    $eq: () => values[0] === values[1],
+    $arrayElemAt: () => values[0][values[1]],
+    $min: () => Math.min(...values),
+    $add: () => values[0] + values[1],
+    $subtract: () => values[0] - values[1],
+    $multiply: () => values[0] * values[1],
+    $divide: () => values[0] / values[1]
+  };
+  return operators[operator]();
+}
+
+function databasePrice(product, at) {
+  return evaluate(prices.currentPriceExpr(at), product.toObject());
+}
+
+// A shoe at 100 with a dearer size 8, a size 9 at the product price and a
+// size 10 with a sale of its own
+function shoe(schedules = [], fields = {}) {
+  return new Product({
+    name: 'Runner',
+    description: 'Light',
+    price: 100,
+    category: 'Shoes',
+    variants: [
+      { sku: 'RUN-8', options: { Size: '8' }, price: 120, stock: 1 },
+      { sku: 'RUN-9', options: { Size: '9' }, stock: 1 },
+      { sku: 'RUN-10', options: { Size: '10' }, stock: 1 }
+    ],
+    priceSchedules: schedules,
+    ...fields
+  });
+}
+
+test('half a cent rounds up, in the API and in the database alike', () => {
+  const at = on(1);
+  const sale = (percentOff) => [{ percentOff, startsAt: on(0), endsAt: on(2) }];
+
+  const halfCent = shoe(sale(50), { price: 0.25 });
+  assert.strictEqual(prices.describePrice(halfCent, null, at).currentPrice, 0.13);
+  assert.strictEqual(databasePrice(halfCent, at), 0.13);
+
+  for (let price of [0.25, 1.05, 9.99, 19.95, 123.45, 1999.99]) {
+    for (let percentOff of [5, 12.5, 15, 33, 50, 99.5]) {
+      const product = shoe(sale(percentOff), { price });
+      assert.strictEqual(databasePrice(product, at), prices.describePrice(product, null, at).currentPrice,
+        `${percentOff}% off ${price}`);
+    }
+  }
+});
+
+test('a variant takes its own sale first, then the product sale, from its own price', () => {
+  const at = on(1);
+  const product = shoe([
+    { percentOff: 10, startsAt: on(0), endsAt: on(5), label: 'Spring' },
+    { sku: 'RUN-10', salePrice: 95, startsAt: on(0), endsAt: on(3) }
+  ]);
+  const variant = (sku) => product.variants.find(candidate => candidate.sku === sku);
+  const current = (sku, when = at) => prices.describePrice(product, sku && variant(sku), when);
+
+  assert.deepStrictEqual(current(null), { currentPrice: 90, originalPrice: 100, onSale: true, saleEndsAt: on(5) });
+  assert.deepStrictEqual([current('RUN-8').currentPrice, current('RUN-8').originalPrice], [108, 120]);
+  assert.strictEqual(current('RUN-9').currentPrice, 90);
+  assert.deepStrictEqual([current('RUN-10').currentPrice, current('RUN-10').saleEndsAt], [95, on(3)],
+    'its own sale applies even though the product sale is lower');
+  assert.strictEqual(current('RUN-10', on(4)).currentPrice, 90, 'once its own sale ends the product sale applies');
+
+  assert.strictEqual(databasePrice(product, at), 90, 'the database prices the product itself');
+  const variantSaleOnly = shoe([{ sku: 'RUN-10', salePrice: 95, startsAt: on(0), endsAt: on(3) }]);
+  assert.strictEqual(databasePrice(variantSaleOnly, at), 100);
+  assert.strictEqual(prices.describePrice(variantSaleOnly, null, at).currentPrice, 100);
+});
+
+test('a sale never raises a price and the compare-at price shows when it is higher', () => {
+  const at = on(1);
+  const dearer = shoe([{ salePrice: 130, startsAt: on(0), endsAt: on(2) }]);
+  const compared = shoe([{ salePrice: 80, startsAt: on(0), endsAt: on(2) }], { compareAtPrice: 150 });
+  const notOnSale = shoe([], { compareAtPrice: 150 });
+
+  assert.deepStrictEqual(prices.describePrice(dearer, null, at),
+    { currentPrice: 100, originalPrice: null, onSale: false, saleEndsAt: null });
+  assert.strictEqual(databasePrice(dearer, at), 100);
+  assert.deepStrictEqual([prices.describePrice(compared, null, at).originalPrice, databasePrice(compared, at)], [150, 80]);
+  assert.deepStrictEqual(prices.describePrice(notOnSale, null, at),
+    { currentPrice: 100, originalPrice: 150, onSale: false, saleEndsAt: null });
+});
+
+test('schedules need one kind of discount, a real window and no overlap for the same target', () => {
+  const product = shoe();
+  const existing = product.priceSchedules.create({ percentOff: 10, startsAt: on(10), endsAt: on(20) });
+  const problem = (fields) => prices.scheduleProblem({ startsAt: on(0), endsAt: on(5), ...fields }, product, [existing]);
+
+  assert.strictEqual(problem({}), 'Give either salePrice or percentOff');
+  assert.strictEqual(problem({ salePrice: 50, percentOff: 10 }), 'Give either salePrice or percentOff');
+  assert.strictEqual(problem({ salePrice: -1 }), 'salePrice must be zero or more');
+  assert.strictEqual(problem({ percentOff: 100 }), 'percentOff must be between 0 and 100');
+  assert.strictEqual(problem({ salePrice: 50, endsAt: on(0) }), 'endsAt must be after startsAt');
+  assert.strictEqual(problem({ salePrice: 50, endsAt: new Date('soon') }), 'startsAt and endsAt must be dates');
+  assert.strictEqual(problem({ salePrice: 50, sku: 'RUN-12' }), 'Unknown SKU RUN-12');
+  assert.match(problem({ salePrice: 50, endsAt: on(11) }), /^Overlaps schedule /);
+  assert.strictEqual(problem({ salePrice: 50, endsAt: on(10) }), null, 'windows are half-open');
+  assert.strictEqual(problem({ sku: 'RUN-9', salePrice: 50, endsAt: on(15) }), null, 'a variant sale may overlap a product sale');
+});
+
+test('the price history follows regular price changes and sales', () => {
+  const product = shoe([{ percentOff: 10, startsAt: on(20), endsAt: on(25), label: 'Spring' }], { price: 60 });
+  const changes = [
+    { price: 60, previousPrice: 50, createdAt: on(10) },
+    { sku: 'RUN-8', price: 120, previousPrice: 110, createdAt: on(15) }
+  ];
+
+  const periods = (sku) => prices.priceTimeline(product, sku, changes, on(0), on(30))
+    .map(({ from, to, price, onSale, label }) => [from, to, price, onSale, label]);
+
+  assert.deepStrictEqual(periods(null), [
+    [on(0), on(10), 50, false, null],
+    [on(10), on(20), 60, false, null],
+    [on(20), on(25), 54, true, 'Spring'],
+    [on(25), on(30), 60, false, null]
+  ]);
+  assert.deepStrictEqual(periods('RUN-8'), [
+    [on(0), on(15), 110, false, null],
+    [on(15), on(20), 120, false, null],
+    [on(20), on(25), 108, true, 'Spring'],
+    [on(25), on(30), 120, false, null]
+  ]);
+  assert.strictEqual(prices.scheduleStatus(product.priceSchedules[0], on(19)), 'scheduled');
+});
+
+// Serve `product` by id, saving in memory
+function stored(t, product) {
+  keepSaves(t, Product);
+  t.mock.method(Product, 'findById', (id) => {
+    const found = String(id) === String(product._id) ? product : null;
+    const result = Promise.resolve(found);
+    result.select = () => result;
+    return result;
+  });
+}
+
+test('the product API shows the current and original price but not upcoming sales', async (t) => {
+  fakeServices(t);
+  const now = Date.now();
+  const product = shoe([
+    { percentOff: 25, startsAt: new Date(now - day), endsAt: new Date(now + day) },
+    { salePrice: 10, startsAt: new Date(now + 2 * day), endsAt: new Date(now + 3 * day) }
+  ]);
+  stored(t, product);
+  const request = await listen(t);
+
+  const { body } = await request('GET', `/products/${product._id}`);
+
+  assert.deepStrictEqual([body.price, body.currentPrice, body.originalPrice, body.onSale], [100, 75, 100, true]);
+  assert.strictEqual(body.priceSchedules, undefined);
+  assert.deepStrictEqual(body.variants.map(variant => variant.currentPrice), [90, 75, 75]);
+});
+
+test('admins schedule sales in the future without overlapping another', async (t) => {
+  fakeServices(t);
+  const now = Date.now();
+  const product = shoe([{ percentOff: 10, startsAt: new Date(now + 10 * day), endsAt: new Date(now + 20 * day) }]);
+  stored(t, product);
+  const request = await listen(t);
+  const schedule = (body, as = 'admin') => request('POST', `/products/${product._id}/price-schedules`, { as, body });
+
+  const customer = await schedule({ salePrice: 80, endsAt: new Date(now + day) }, 'customer');
+  const past = await schedule({ salePrice: 80, startsAt: new Date(now - day), endsAt: new Date(now + day) });
+  const overlapping = await schedule({ salePrice: 80, startsAt: new Date(now + 5 * day), endsAt: new Date(now + 15 * day) });
+  const startingNow = await schedule({ sku: 'RUN-8', salePrice: 80, endsAt: new Date(now + day), label: 'Flash' });
+  const listed = await request('GET', `/products/${product._id}/price-schedules`, { as: 'admin' });
+
+  assert.strictEqual(customer.status, 403);
+  assert.deepStrictEqual([past.status, past.body.error], [400, 'startsAt cannot be in the past']);
+  assert.strictEqual(overlapping.status, 400);
+  assert.match(overlapping.body.error, /^Overlaps schedule/);
+  assert.strictEqual(startingNow.status, 201);
+  assert.deepStrictEqual([startingNow.body.sku, startingNow.body.status], ['RUN-8', 'active']);
+  assert.deepStrictEqual(listed.body.map(item => item.status), ['scheduled', 'active'], 'latest start first');
+});
+
+test('a running sale can only be ended, an ended one not at all, and only upcoming ones cancelled', async (t) => {
+  fakeServices(t);
+  const now = Date.now();
+  const product = shoe([
+    { percentOff: 10, startsAt: new Date(now - 10 * day), endsAt: new Date(now - 5 * day) },
+    { percentOff: 20, startsAt: new Date(now - day), endsAt: new Date(now + day) },
+    { salePrice: 50, startsAt: new Date(now + 5 * day), endsAt: new Date(now + 6 * day) }
+  ]);
+  const [ended, running, upcoming] = product.priceSchedules;
+  stored(t, product);
+  const cancel = t.mock.method(Product, 'findOneAndUpdate', async () => product);
+  const request = await listen(t);
+  const path = (schedule) => `/products/${product._id}/price-schedules/${schedule._id}`;
+  const patch = (schedule, body) => request('PATCH', path(schedule), { as: 'admin', body });
+
+  const endedChange = await patch(ended, { endsAt: new Date(now) });
+  const repriced = await patch(running, { percentOff: 30 });
+  const endedEarly = await patch(running, { endsAt: new Date(now - 2 * day) });
+  const switched = await patch(upcoming, { percentOff: 15 });
+  const startedCancel = await request('DELETE', path(running), { as: 'admin' });
+  const cancelled = await request('DELETE', path(upcoming), { as: 'admin' });
+
+  assert.strictEqual(endedChange.status, 409);
+  assert.deepStrictEqual([repriced.status, repriced.body.error], [409, 'Only endsAt can be changed once a sale has started']);
+  assert.strictEqual(endedEarly.status, 200);
+  assert.ok(running.endsAt >= new Date(now), 'a running sale ends no earlier than now');
+  assert.deepStrictEqual([upcoming.percentOff, upcoming.salePrice], [15, undefined]);
+  assert.strictEqual(switched.status, 200);
+  assert.strictEqual(startedCancel.status, 409);
+  assert.strictEqual(cancelled.status, 200);
+  const [filter] = cancel.mock.calls[0].arguments;
+  assert.ok(filter.priceSchedules.$elemMatch.startsAt.$gt instanceof Date, 'only while it is still upcoming');
+});
+
+test('the price history route checks its window and the SKU', async (t) => {
+  fakeServices(t);
+  const product = shoe([], { price: 60 });
+  stored(t, product);
+  const createdAt = new Date(Date.now() - 10 * day);
+  t.mock.method(PriceChange, 'find', () => ({
+    sort: async () => [{ price: 60, previousPrice: 50, createdAt }]
+  }));
+  const request = await listen(t);
+  const history = (query) => request('GET', `/products/${product._id}/price-history${query}`);
+
+  const backwards = await history('?from=2026-03-10&to=2026-03-01');
+  const unknown = await history('?sku=RUN-12');
+  const { body } = await history('');
+
+  assert.strictEqual(backwards.status, 400);
+  assert.strictEqual(unknown.status, 404);
+  assert.deepStrictEqual(body.periods.map(period => [period.price, period.to === body.to]), [[50, false], [60, true]]);
+  assert.strictEqual(body.periods[1].from, createdAt.toISOString());
+});
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, fakeServices, listen, keepSaves } = require('./helpers');
+
+const { Product, Category, StockMovement, PriceChange } = service;
+
+const lighting = new Category({ name: 'Lighting', slug: 'lighting' });
+
+// A mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    collation: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+function lamp(fields = {}) {
+  return new Product({
+    name: 'Desk lamp',
+    description: 'Adjustable',
+    price: 40,
+    category: 'Lighting',
+    categoryId: lighting._id,
+    stock: 10,
+    updatedAt: new Date('2026-01-01'),
+    ...fields
+  });
+}
+
+// One product, saved in memory, with its price history recorded
+function storedProduct(t, product) {
+  keepSaves(t, Product);
+  t.mock.method(Product, 'findById', async (id) => (String(id) === String(product._id) ? product : null));
+  t.mock.method(Category, 'findById', async () => null);
+  t.mock.method(Category, 'findOne', ({ slug }) => query(slug === lighting.slug ? lighting : null));
+  return t.mock.method(PriceChange, 'insertMany', async (changes) => changes);
+}
+
+test('product writes need a user that user-service reports as an admin', async (t) => {
+  fakeServices(t);
+  const product = lamp();
+  storedProduct(t, product);
+  const request = await listen(t);
+
+  const anonymous = await request('PATCH', `/products/${product._id}`, { body: { price: 1 } });
+  const unknown = await request('PATCH', `/products/${product._id}`, { as: 'nobody', body: { price: 1 } });
+  const customer = await request('DELETE', `/products/${product._id}`, { as: 'customer' });
+
+  assert.deepStrictEqual([anonymous.status, unknown.status, customer.status], [401, 401, 403]);
+  assert.strictEqual(Product.findById.mock.callCount(), 0);
+  assert.strictEqual(product.price, 40);
+});
+
+test('a partial update merges specifications and records the price change', async (t) => {
+  fakeServices(t);
+  const product = lamp({ specifications: { brand: 'Acme', model: 'A1' } });
+  const priceChanges = storedProduct(t, product);
+  const request = await listen(t);
+
+  const response = await request('PATCH', `/products/${product._id}`, {
+    as: 'admin',
+    body: { price: 45, specifications: { model: 'A2' }, stock: 999 }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(
+    [response.body.price, response.body.specifications.brand, response.body.specifications.model],
+    [45, 'Acme', 'A2']
+  );
+  assert.strictEqual(product.stock, 10, 'stock only changes through the stock routes');
+  assert.ok(product.updatedAt > new Date('2026-01-01'));
+  const [[change]] = priceChanges.mock.calls[0].arguments;
+  assert.deepStrictEqual(
+    [change.sku, change.price, change.previousPrice, change.reason],
+    [null, 45, 40, 'Product updated']
+  );
+
+  const nothing = await request('PATCH', `/products/${product._id}`, { as: 'admin', body: { stock: 5 } });
+  const missing = await request('PATCH', `/products/${new mongoose.Types.ObjectId()}`, { as: 'admin', body: { price: 5 } });
+  const category = await request('PATCH', `/products/${product._id}`, { as: 'admin', body: { category: 'Garden' } });
+
+  assert.strictEqual(nothing.status, 400);
+  assert.match(nothing.body.error, /^Nothing to update\. Editable fields: sku, name/);
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(category.status, 400);
+  assert.strictEqual(category.body.error, 'Unknown category Garden. Create it first with POST /categories');
+});
+
+test('a full replace resets the fields it leaves out and needs a category', async (t) => {
+  fakeServices(t);
+  const product = lamp({ featured: true, compareAtPrice: 60, image: 'https://example.com/lamp.jpg' });
+  const priceChanges = storedProduct(t, product);
+  const request = await listen(t);
+
+  const uncategorised = await request('PUT', `/products/${product._id}`, {
+    as: 'admin',
+    body: { name: 'Floor lamp', description: 'Tall', price: 40 }
+  });
+  const response = await request('PUT', `/products/${product._id}`, {
+    as: 'admin',
+    body: { name: 'Floor lamp', description: 'Tall', price: 40, category: 'lighting' }
+  });
+
+  assert.strictEqual(uncategorised.status, 400);
+  assert.strictEqual(uncategorised.body.error, 'category is required');
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(
+    [response.body.name, response.body.featured, response.body.compareAtPrice, response.body.image],
+    ['Floor lamp', false, null, 'https://via.placeholder.com/300']
+  );
+  assert.strictEqual(response.body.category, 'Lighting');
+  assert.strictEqual(priceChanges.mock.callCount(), 0, 'the price did not change');
+});
+
+test('deleting a product archives it, once', async (t) => {
+  fakeServices(t);
+  const product = lamp();
+  storedProduct(t, product);
+  const request = await listen(t);
+
+  const response = await request('DELETE', `/products/${product._id}`, { as: 'admin' });
+  const archivedAt = product.archivedAt;
+  const again = await request('DELETE', `/products/${product._id}`, { as: 'admin' });
+  const missing = await request('DELETE', `/products/${new mongoose.Types.ObjectId()}`, { as: 'admin' });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.product.archived, true);
+  assert.strictEqual(response.body.product.stock, 10, 'archived products keep their stock');
+  assert.ok(archivedAt);
+  assert.strictEqual(again.status, 200);
+  assert.strictEqual(product.archivedAt, archivedAt, 'archiving again changes nothing');
+  assert.strictEqual(Product.prototype.save.mock.callCount(), 1);
+  assert.strictEqual(missing.status, 404);
+});
+
+test('sample data is only loaded into an empty catalog, with its opening stock in the ledger', async (t) => {
+  fakeServices(t);
+  t.mock.method(console, 'log', () => {});
+  let hasProducts = true;
+  t.mock.method(Product, 'exists', async () => hasProducts);
+  const inserted = t.mock.method(Product, 'insertMany', async (rows) => Promise.all(rows.map(async (row) => {
+    const product = new Product(row);
+    await product.validate();
+    return product;
+  })));
+  t.mock.method(Product, 'distinct', async () => []);
+  t.mock.method(Product, 'find', () => ({ select: async () => [] }));
+  t.mock.method(PriceChange, 'insertMany', async (changes) => changes);
+  const entries = [];
+  t.mock.method(StockMovement, 'create', async (entry) => {
+    entries.push(entry);
+    return entry;
+  });
+  const request = await listen(t);
+
+  const refused = await request('POST', '/init-data', { as: 'admin' });
+  assert.strictEqual(refused.status, 409);
+  assert.strictEqual(refused.body.error, 'The catalog already has products');
+  assert.strictEqual(inserted.mock.callCount(), 0);
+
+  hasProducts = false;
+  const response = await request('POST', '/init-data', { as: 'admin' });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.productsCreated, 6);
+  assert.ok(entries.every(entry => entry.type === 'restock' && entry.reason === 'Sample data'));
+  const shoes = response.body.products.find(product => product.name === 'Nike Air Max 270');
+  assert.deepStrictEqual(
+    entries.filter(entry => String(entry.productId) === shoes._id).map(entry => [entry.sku, entry.quantity]),
+    [['NIKE-AM270-8', 25], ['NIKE-AM270-9', 25], ['NIKE-AM270-10', 25], ['NIKE-AM270-11', 25]],
+    'products with variants open with stock per SKU'
+  );
+  assert.strictEqual(entries.length, 9);
+});
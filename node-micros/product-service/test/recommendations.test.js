@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { service, fakeServices, listen } = require('./helpers');
+const recommendations = require('../recommendations');
+
+const { Product, Category, syncCoPurchases } = service;
+
+const lighting = new Category({ name: 'Lighting', slug: 'lighting' });
+const deskLamps = new Category({
+  name: 'Desk lamps', slug: 'desk-lamps', parentId: lighting._id, ancestors: [lighting._id]
+});
+const floorLamps = new Category({
+  name: 'Floor lamps', slug: 'floor-lamps', parentId: lighting._id, ancestors: [lighting._id]
+});
+
+function product(name, category, fields = {}) {
+  return new Product({
+    name,
+    description: name,
+    price: 40,
+    category: category.name,
+    categoryId: category._id,
+    stock: 5,
+    ...fields
+  });
+}
+
+const lamp = product('Desk lamp', deskLamps, { specifications: { brand: 'Acme' } });
+const bulb = product('Bulb', deskLamps, { price: 5 });
+const shade = product('Shade', deskLamps, { price: 15, stock: 2, reservedStock: 2 });
+const timer = product('Timer', floorLamps, { price: 10 });
+const bankersLamp = product('Banker\'s lamp', deskLamps);
+const arcLamp = product('Arc lamp', floorLamps);
+const soldOut = product('Clip lamp', deskLamps, { stock: 0 });
+const catalog = [lamp, bulb, shade, timer, bankersLamp, arcLamp, soldOut];
+
+// Replace the co-purchase index with these orders
+function indexOrders(...orders) {
+  const rebuild = recommendations.beginRebuild();
+  orders.forEach(order => rebuild.addOrder(order.map(item => item._id)));
+  rebuild.finish();
+}
+
+// A mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    select: () => chain,
+    limit: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+function has(ids, id) {
+  return ids.some(each => String(each) === String(id));
+}
+
+// Serve the catalog and category tree above
+function storedCatalog(t) {
+  t.mock.method(Product, 'findById', (id) => query(catalog.find(item => String(item._id) === String(id)) || null));
+  t.mock.method(Product, 'find', (filter) => query(catalog.filter(item =>
+    (!filter._id.$in || has(filter._id.$in, item._id)) &&
+    (!filter._id.$nin || !has(filter._id.$nin, item._id)) &&
+    (!filter.$or || has(filter.$or[0].categoryId.$in, item.categoryId)))));
+  const categories = [lighting, deskLamps, floorLamps];
+  t.mock.method(Category, 'findById', async (id) => categories.find(item => String(item._id) === String(id)));
+  t.mock.method(Category, 'find', ({ ancestors, parentId, _id }) => query(categories.filter(item =>
+    (ancestors === undefined || has(item.ancestors, ancestors)) &&
+    (parentId === undefined || String(item.parentId) === String(parentId)) &&
+    (_id === undefined || String(item._id) !== String(_id.$ne)))));
+}
+
+test('co-purchases are counted per order and ranked by confidence', () => {
+  indexOrders([lamp, bulb], [lamp, bulb, bulb], [lamp, shade], [lamp, bulb, shade], [bulb]);
+
+  assert.deepStrictEqual(recommendations.boughtWith(lamp._id), [
+    { productId: String(bulb._id), count: 3, confidence: 0.75 },
+    { productId: String(shade._id), count: 2, confidence: 0.5 }
+  ]);
+  assert.deepStrictEqual(recommendations.boughtWith(shade._id, 2).map(partner => partner.count), [2]);
+  assert.deepStrictEqual(recommendations.boughtWith(timer._id), []);
+
+  recommendations.removeOrder([lamp._id, shade._id]);
+  recommendations.removeOrder([bulb._id]);
+
+  assert.deepStrictEqual(recommendations.boughtWith(lamp._id).map(partner => [partner.count, partner.confidence]),
+    [[3, 1], [1, 1 / 3]]);
+  assert.strictEqual(recommendations.boughtWith(bulb._id)[0].confidence, 1);
+});
+
+test('a cart gets what was bought with any of its products, but none of its own', () => {
+  indexOrders([lamp, bulb], [lamp, bulb], [shade, bulb], [shade, timer]);
+
+  const partners = recommendations.boughtWithAny([lamp._id, shade._id]);
+
+  assert.deepStrictEqual(partners.map(partner => [partner.productId, partner.count, partner.confidence]), [
+    [String(bulb._id), 3, 1.5],
+    [String(timer._id), 1, 0.5]
+  ]);
+});
+
+test('a rebuild replaces the index only once it is finished', () => {
+  indexOrders([lamp, bulb]);
+
+  const rebuild = recommendations.beginRebuild();
+  rebuild.addOrder([lamp._id, shade._id]);
+  assert.strictEqual(recommendations.boughtWith(lamp._id)[0].productId, String(bulb._id));
+  rebuild.finish();
+
+  assert.deepStrictEqual(recommendations.boughtWith(lamp._id).map(partner => partner.productId), [String(shade._id)]);
+  assert.strictEqual(recommendations.size(), 2);
+});
+
+test('similarity weighs category, brand, price and rating', () => {
+  const alike = { price: 32, specifications: { brand: 'ACME' }, ratings: { average: 4 } };
+
+  const score = (candidate, weight) => Math.round(recommendations.similarity(lamp, candidate, weight) * 1000) / 1000;
+
+  assert.strictEqual(score(alike, 1), 0.94);
+  assert.strictEqual(score(alike, 0.5), 0.69);
+  assert.strictEqual(score({ price: 40 }, 1), 0.7);
+  assert.strictEqual(score({ price: 40, specifications: { brand: 'acme' } }, 0), 0.4);
+  assert.strictEqual(recommendations.similarity({ price: 0 }, { price: 0 }, 0), 0.2);
+});
+
+test('related products come from the category and its siblings, boosted by co-purchases', async (t) => {
+  fakeServices(t);
+  storedCatalog(t);
+  indexOrders([lamp, arcLamp], [lamp, arcLamp]);
+  const request = await listen(t);
+
+  const related = await request('GET', `/products/${lamp._id}/related?limit=3`);
+  const missing = await request('GET', `/products/${lighting._id}/related`);
+
+  assert.deepStrictEqual(related.body.products.map(item => [item.name, item.score]), [
+    ['Arc lamp', 0.95],
+    ['Banker\'s lamp', 0.7],
+    ['Bulb', 0.525]
+  ]);
+  assert.ok(!related.body.products.some(item => item.name === 'Clip lamp'), 'sold out products are left out');
+  assert.strictEqual(missing.status, 404);
+});
+
+test('frequently bought together needs a pair to recur and the partner to be in stock', async (t) => {
+  fakeServices(t);
+  storedCatalog(t);
+  indexOrders([lamp, bulb], [lamp, bulb, shade], [lamp, bulb, shade], [lamp, timer]);
+  const request = await listen(t);
+
+  const response = await request('GET', `/products/${lamp._id}/frequently-bought-together`);
+
+  assert.deepStrictEqual(response.body.products.map(item => [item.name, item.reason, item.coPurchases, item.confidence]), [
+    ['Bulb', 'bought_together', 3, 0.75]
+  ]);
+});
+
+test('cart recommendations list co-purchases first, then similar products', async (t) => {
+  fakeServices(t);
+  storedCatalog(t);
+  indexOrders([lamp, timer], [lamp, timer], [lamp, bulb]);
+  const request = await listen(t);
+
+  const none = await request('GET', '/recommendations/cart?productIds=nope');
+  const response = await request('GET', `/recommendations/cart?productIds=${lamp._id},nope&limit=3`);
+
+  assert.strictEqual(none.status, 400);
+  assert.deepStrictEqual(response.body.productIds, [String(lamp._id)]);
+  assert.deepStrictEqual(response.body.products.map(item => [item.name, item.reason]), [
+    ['Timer', 'bought_together'],
+    ['Banker\'s lamp', 'similar'],
+    ['Bulb', 'similar']
+  ], 'bulb was bought with the lamp only once, so it comes in as similar');
+});
+
+test('co-purchases are read from order-service page by page, then kept up to date', async (t) => {
+  const ids = (...products) => products.map(item => String(item._id));
+  const placed = Array.from({ length: 1000 }, (_, i) => ({ _id: `o${i}`, productIds: ids(lamp, bulb) }));
+  const pages = {
+    '': { orders: placed, asOf: 'read-1' },
+    o999: { orders: [{ _id: 'o1000', productIds: ids(lamp, shade) }], asOf: 'read-1' },
+    o1000: { orders: [{ _id: 'o1001', productIds: ids(lamp, shade) }], asOf: 'read-2' },
+    o1001: { orders: [], asOf: 'read-3' }
+  };
+  const cancelled = {
+    'read-1': { orders: [{ _id: 'o1000', productIds: ids(lamp, shade) }], until: 'checked-1' },
+    'checked-1': { orders: [], until: 'checked-2' }
+  };
+  const calls = fakeServices(t, {
+    'GET /internal/purchases': ({ params }) => pages[params.after || ''],
+    'GET /internal/purchases/cancelled': ({ params }) => cancelled[params.since]
+  });
+  const partners = () => recommendations.boughtWith(lamp._id).map(partner => [partner.productId, partner.count]);
+
+  await syncCoPurchases({ rebuild: true });
+  assert.deepStrictEqual(partners(), [[String(bulb._id), 1000], [String(shade._id), 1]]);
+
+  await syncCoPurchases();
+  assert.deepStrictEqual(partners(), [[String(bulb._id), 1000], [String(shade._id), 1]],
+    'the new order is added and the cancelled one taken out');
+
+  await syncCoPurchases();
+
+  const reads = calls.filter(call => call.path === '/internal/purchases').map(call => call.body.params);
+  assert.deepStrictEqual(reads.map(params => [params.after, params.limit]),
+    [[undefined, 1000], ['o999', 1000], ['o1000', 1000], ['o1001', 1000]]);
+  assert.ok(new Date(reads[0].before) < new Date(), 'orders still being placed are left for later');
+  const checks = calls.filter(call => call.path === '/internal/purchases/cancelled').map(call => call.body.params);
+  assert.deepStrictEqual(checks.map(params => [params.since, params.upTo]), [['read-1', 'o1000'], ['checked-1', 'o1001']]);
+  assert.strictEqual(calls[0].body.headers['X-Internal-Token'], process.env.INTERNAL_SERVICE_TOKEN);
+});
@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, fakeServices, listen } = require('./helpers');
+
+const { Product, Reservation, StockMovement } = service;
+
+function lamp(levels = {}) {
+  return new Product({
+    name: 'Desk lamp',
+    description: 'Adjustable',
+    price: 40,
+    category: 'Lighting',
+    stock: 10,
+    reservedStock: 0,
+    ...levels
+  });
+}
+
+function reservation(product, fields = {}) {
+  return new Reservation({
+    productId: product._id,
+    quantity: 2,
+    reference: { type: 'order', id: 'order-1' },
+    expiresAt: new Date(Date.now() + 60000),
+    ...fields
+  });
+}
+
+// Record the ledger entries a test writes
+function ledger(t) {
+  const entries = [];
+  t.mock.method(StockMovement, 'create', async (entry) => {
+    entries.push(entry);
+    return entry;
+  });
+  return entries;
+}
+
+const hold = { quantity: 2, referenceType: 'order', referenceId: 'order-1' };
+
+test('reservation routes are only for other services', async (t) => {
+  fakeServices(t);
+  const request = await listen(t);
+
+  const response = await request('POST', `/products/${new mongoose.Types.ObjectId()}/reservations`, { body: hold });
+  assert.strictEqual(response.status, 403);
+});
+
+test('placing a reservation holds available stock and records it in the ledger', async (t) => {
+  fakeServices(t);
+  const product = lamp();
+  t.mock.method(Product, 'findById', async () => product);
+  t.mock.method(Reservation, 'findOne', async () => null);
+  const holdStock = t.mock.method(Product, 'findOneAndUpdate', async () => lamp({ _id: product._id, reservedStock: 2 }));
+  t.mock.method(Reservation.prototype, 'save', async function () {
+    return this;
+  });
+  const entries = ledger(t);
+  const request = await listen(t);
+
+  const response = await request('POST', `/products/${product._id}/reservations`, { body: hold, internal: true });
+
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(response.body.status, 'active');
+  const [filter, update] = holdStock.mock.calls[0].arguments;
+  assert.ok(filter.$expr, 'the hold is conditional on available stock');
+  assert.deepStrictEqual(update, { $inc: { reservedStock: 2 } });
+  assert.strictEqual(entries[0].type, 'reservation');
+  assert.strictEqual(entries[0].orderId, 'order-1');
+  assert.deepStrictEqual(entries[0].balance, { onHand: 10, reserved: 2, available: 8 });
+});
+
+test('a reservation beyond available stock is refused', async (t) => {
+  fakeServices(t);
+  const product = lamp({ stock: 1 });
+  t.mock.method(Product, 'findById', async () => product);
+  t.mock.method(Reservation, 'findOne', async () => null);
+  t.mock.method(Product, 'findOneAndUpdate', async () => null);
+  const request = await listen(t);
+
+  const response = await request('POST', `/products/${product._id}/reservations`, { body: hold, internal: true });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(response.body.error, 'Insufficient stock');
+});
+
+test('placing the same reservation again returns the one already placed', async (t) => {
+  fakeServices(t);
+  const product = lamp();
+  const placed = reservation(product);
+  t.mock.method(Product, 'findById', async () => product);
+  const lookup = t.mock.method(Reservation, 'findOne', async () => placed);
+  const holdStock = t.mock.method(Product, 'findOneAndUpdate', async () => product);
+  const request = await listen(t);
+
+  const response = await request('POST', `/products/${product._id}/reservations`, { body: hold, internal: true });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body._id, String(placed._id));
+  assert.strictEqual(holdStock.mock.callCount(), 0);
+  const [filter] = lookup.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter.status, { $in: ['active', 'confirmed'] });
+  assert.strictEqual(filter['reference.id'], 'order-1');
+
+  const changed = await request('POST', `/products/${product._id}/reservations`, {
+    body: { ...hold, quantity: 3 },
+    internal: true
+  });
+  assert.strictEqual(changed.status, 409);
+});
+
+test('a reservation placed concurrently with the same one gives back its hold', async (t) => {
+  fakeServices(t);
+  const product = lamp();
+  const placed = reservation(product);
+  t.mock.method(Product, 'findById', async () => product);
+  let lookups = 0;
+  t.mock.method(Reservation, 'findOne', async () => (lookups++ === 0 ? null : placed));
+  t.mock.method(Product, 'findOneAndUpdate', async () => lamp({ _id: product._id, reservedStock: 2 }));
+  t.mock.method(Reservation.prototype, 'save', async () => {
+    const duplicate = new Error('E11000 duplicate key error');
+    duplicate.code = 11000;
+    throw duplicate;
+  });
+  const undo = t.mock.method(Product, 'updateOne', async () => {});
+  const entries = ledger(t);
+  const request = await listen(t);
+
+  const response = await request('POST', `/products/${product._id}/reservations`, { body: hold, internal: true });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body._id, String(placed._id));
+  assert.deepStrictEqual(undo.mock.calls[0].arguments[1], { $inc: { reservedStock: -2 } });
+  assert.strictEqual(entries.length, 0);
+});
+
+test('confirming a reservation turns its hold into a sale, once', async (t) => {
+  fakeServices(t);
+  const product = lamp({ reservedStock: 2 });
+  const active = reservation(product);
+  const confirmed = reservation(product, { _id: active._id, status: 'confirmed' });
+  let confirms = 0;
+  t.mock.method(Reservation, 'findOneAndUpdate', async () => (confirms++ === 0 ? confirmed : null));
+  t.mock.method(Reservation, 'findById', async () => confirmed);
+  const decrement = t.mock.method(Product, 'findByIdAndUpdate', async () => lamp({ _id: product._id, stock: 8 }));
+  const entries = ledger(t);
+  const request = await listen(t);
+
+  const first = await request('POST', `/reservations/${active._id}/confirm`, { internal: true });
+  const second = await request('POST', `/reservations/${active._id}/confirm`, { internal: true });
+
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.newStock, 8);
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(second.body.message, 'Reservation already confirmed');
+  assert.strictEqual(decrement.mock.callCount(), 1);
+  assert.deepStrictEqual(decrement.mock.calls[0].arguments[1].$inc, { stock: -2, reservedStock: -2 });
+  assert.deepStrictEqual(entries.map(entry => [entry.type, entry.quantity, entry.orderId]), [['sale', -2, 'order-1']]);
+});
+
+test('releasing a confirmed reservation puts its units back in stock', async (t) => {
+  fakeServices(t);
+  const product = lamp({ stock: 8 });
+  const confirmed = reservation(product, { status: 'confirmed' });
+  t.mock.method(Reservation, 'findOneAndUpdate', async () => confirmed);
+  t.mock.method(Reservation, 'findById', async () => reservation(product, { _id: confirmed._id, status: 'released' }));
+  const restock = t.mock.method(Product, 'findOneAndUpdate', async () => lamp({ _id: product._id }));
+  const entries = ledger(t);
+  const request = await listen(t);
+
+  const response = await request('POST', `/reservations/${confirmed._id}/release`, { internal: true });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.reservation.status, 'released');
+  assert.deepStrictEqual(restock.mock.calls[0].arguments[1].$inc, { stock: 2 });
+  assert.deepStrictEqual(entries.map(entry => [entry.type, entry.quantity]), [['cancellation', 2]]);
+});
+
+test('releasing by reference frees every live reservation for it', async (t) => {
+  fakeServices(t);
+  const product = lamp({ stock: 8, reservedStock: 3 });
+  const confirmed = reservation(product, { status: 'confirmed' });
+  const active = reservation(product, { quantity: 3 });
+  const releasedMeanwhile = reservation(product);
+  t.mock.method(Reservation, 'find', async () => [confirmed, active, releasedMeanwhile]);
+  t.mock.method(Reservation, 'findOneAndUpdate', async (filter) => (
+    [confirmed, active].find(candidate => candidate._id.equals(filter._id)) || null
+  ));
+  const stockChanges = t.mock.method(Product, 'findOneAndUpdate', async () => product);
+  const entries = ledger(t);
+  const request = await listen(t);
+
+  const response = await request('POST', '/reservations/release', {
+    body: { referenceType: 'order', referenceId: 'order-1' },
+    internal: true
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.released, 2);
+  assert.deepStrictEqual(stockChanges.mock.calls.map(call => call.arguments[1].$inc), [
+    { stock: 2 },
+    { reservedStock: -3 }
+  ]);
+  assert.deepStrictEqual(entries.map(entry => entry.type), ['cancellation', 'release']);
+});
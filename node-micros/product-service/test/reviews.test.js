@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, users, fakeServices, listen, keepSaves } = require('./helpers');
+
+const { Product, Review } = service;
+
+const lamp = new Product({ name: 'Desk lamp', description: 'Adjustable', price: 40, category: 'Lighting' });
+const deliveredOrderId = new mongoose.Types.ObjectId().toString();
+
+// A mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    skip: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+// order-service reports whether the customer received the lamp
+function orders(t, { delivered = true } = {}) {
+  return fakeServices(t, {
+    'GET /internal/users/[^/]+/delivered-purchases/[^/]+': () => (
+      delivered ? { purchased: true, orderId: deliveredOrderId } : { purchased: false }
+    )
+  });
+}
+
+// The rating recomputed from `published` reviews, as the database would
+function ratings(t, published = []) {
+  const aggregate = t.mock.method(Review, 'aggregate', async () => (published.length === 0 ? [] : [{
+    _id: null,
+    average: published.reduce((sum, rating) => sum + rating, 0) / published.length,
+    count: published.length
+  }]));
+  const update = t.mock.method(Product, 'updateOne', async () => {});
+  return { aggregate, update };
+}
+
+function review(fields = {}) {
+  return new Review({ productId: lamp._id, userId: users.customer.userId, rating: 4, text: 'Bright', ...fields });
+}
+
+test('only a customer whose order with the product was delivered can review it', async (t) => {
+  const calls = orders(t, { delivered: false });
+  t.mock.method(Product, 'findById', () => query(lamp));
+  t.mock.method(Review, 'exists', async () => null);
+  const created = t.mock.method(Review, 'create', async () => {});
+  const request = await listen(t);
+
+  const response = await request('POST', `/products/${lamp._id}/reviews`, {
+    as: 'customer',
+    body: { rating: 5, text: 'Great' }
+  });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.body.error, 'Only customers who received this product can review it');
+  assert.strictEqual(created.mock.callCount(), 0);
+  const lookup = calls.find(call => call.path.includes('/delivered-purchases/'));
+  assert.strictEqual(lookup.path, `/internal/users/${users.customer.userId}/delivered-purchases/${lamp._id}`);
+  // axios.get takes its config second
+  assert.strictEqual(lookup.body.headers['X-Internal-Token'], process.env.INTERNAL_SERVICE_TOKEN);
+});
+
+test('a review is tied to the delivered order and updates the product\'s rating', async (t) => {
+  orders(t);
+  t.mock.method(Product, 'findById', () => query(lamp));
+  t.mock.method(Review, 'exists', async () => null);
+  const created = t.mock.method(Review, 'create', async (fields) => {
+    const posted = new Review(fields);
+    await posted.validate();
+    return posted;
+  });
+  const { aggregate, update } = ratings(t, [5, 4, 4]);
+  const request = await listen(t);
+  const post = (body) => request('POST', `/products/${lamp._id}/reviews`, { as: 'customer', body });
+
+  const tooHigh = await post({ rating: 6, text: 'Wow' });
+  const fractional = await post({ rating: 3.5, text: 'Fine' });
+  const response = await post({ rating: 4, title: 'Good', text: 'Bright and steady' });
+
+  assert.strictEqual(tooHigh.status, 400);
+  assert.strictEqual(fractional.status, 400);
+  assert.match(fractional.body.error, /Rating must be a whole number from 1 to 5/);
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(String(created.mock.calls[2].arguments[0].orderId), deliveredOrderId);
+
+  const [[{ $match }]] = aggregate.mock.calls[0].arguments;
+  assert.strictEqual($match.status, 'published', 'hidden reviews do not count');
+  assert.deepStrictEqual(update.mock.calls[0].arguments[1], { ratings: { average: 4.3, count: 3 } });
+});
+
+test('a customer reviews a product once', async (t) => {
+  orders(t);
+  t.mock.method(Product, 'findById', () => query(lamp));
+  let reviewed = true;
+  t.mock.method(Review, 'exists', async () => reviewed);
+  t.mock.method(Review, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+  const request = await listen(t);
+  const post = () => request('POST', `/products/${lamp._id}/reviews`, { as: 'customer', body: { rating: 4, text: 'Again' } });
+
+  const again = await post();
+  reviewed = false;
+  const concurrent = await post();
+
+  assert.deepStrictEqual([again.status, concurrent.status], [409, 409]);
+  assert.strictEqual(concurrent.body.error, 'You have already reviewed this product');
+});
+
+test('customers edit and delete their own reviews; admins delete any', async (t) => {
+  orders(t);
+  const mine = review();
+  const find = t.mock.method(Review, 'findOne', async () => mine);
+  const remove = t.mock.method(Review, 'findOneAndDelete', async () => mine);
+  keepSaves(t, Review);
+  const { update } = ratings(t, [2]);
+  const request = await listen(t);
+
+  const edited = await request('PATCH', `/products/${lamp._id}/reviews/${mine._id}`, {
+    as: 'customer',
+    body: { rating: 2, userId: users.admin.userId }
+  });
+  await request('DELETE', `/products/${lamp._id}/reviews/${mine._id}`, { as: 'customer' });
+  await request('DELETE', `/products/${lamp._id}/reviews/${mine._id}`, { as: 'admin' });
+
+  assert.strictEqual(edited.status, 200);
+  assert.strictEqual(edited.body.rating, 2);
+  assert.strictEqual(String(mine.userId), users.customer.userId);
+  assert.strictEqual(find.mock.calls[0].arguments[0].userId, users.customer.userId);
+  const [customerDelete, adminDelete] = remove.mock.calls.map(call => call.arguments[0]);
+  assert.strictEqual(customerDelete.userId, users.customer.userId);
+  assert.strictEqual(adminDelete.userId, undefined);
+  assert.strictEqual(update.mock.callCount(), 3, 'the rating is recomputed after each change');
+});
+
+test('moderators hide reviews, which the product page then leaves out', async (t) => {
+  fakeServices(t);
+  const hidden = review({ status: 'hidden' });
+  const hide = t.mock.method(Review, 'findOneAndUpdate', async () => hidden);
+  ratings(t);
+  const list = t.mock.method(Review, 'find', () => query([]));
+  t.mock.method(Review, 'countDocuments', async () => 0);
+  t.mock.method(Product, 'findById', () => query(lamp));
+  const request = await listen(t);
+
+  const customer = await request('POST', `/products/${lamp._id}/reviews/${hidden._id}/hide`, { as: 'customer', body: {} });
+  const moderator = await request('POST', `/products/${lamp._id}/reviews/${hidden._id}/hide`, {
+    as: 'moderator',
+    body: { reason: 'Off topic' }
+  });
+  const page = await request('GET', `/products/${lamp._id}/reviews?sort=rating_desc`);
+  const badSort = await request('GET', `/products/${lamp._id}/reviews?sort=helpful`);
+
+  assert.strictEqual(customer.status, 403);
+  assert.strictEqual(moderator.status, 200);
+  const [, update] = hide.mock.calls[0].arguments;
+  assert.strictEqual(update.status, 'hidden');
+  assert.deepStrictEqual([update.moderation.hiddenBy, update.moderation.reason], [users.moderator.userId, 'Off topic']);
+
+  assert.strictEqual(page.status, 200);
+  assert.deepStrictEqual(list.mock.calls[0].arguments[0], { productId: String(lamp._id), status: 'published' });
+  assert.strictEqual(badSort.status, 400);
+});
+
+test('products can be listed by rating, best reviewed first', async (t) => {
+  fakeServices(t);
+  t.mock.method(console, 'log', () => {});
+  const aggregate = t.mock.method(Product, 'aggregate', async () => []);
+  t.mock.method(Product, 'countDocuments', async () => 0);
+  const request = await listen(t);
+
+  await request('GET', '/products?sortBy=rating');
+
+  const { $sort } = aggregate.mock.calls[0].arguments[0].find(stage => stage.$sort);
+  assert.deepStrictEqual($sort, { 'ratings.average': -1, 'ratings.count': -1 });
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, fakeServices, listen } = require('./helpers');
+
+const { Product } = service;
+
+// Answer the search aggregation with `result`, recording the pipeline
+function searchResult(t, result = {}) {
+  return t.mock.method(Product, 'aggregate', async () => [{
+    products: [],
+    total: [],
+    categories: [],
+    brands: [],
+    priceRanges: [],
+    availability: [],
+    ...result
+  }]);
+}
+
+test('a text search is ranked by score and each facet is counted without its own filter', async (t) => {
+  fakeServices(t);
+  const aggregate = searchResult(t);
+  const request = await listen(t);
+
+  const response = await request('GET', '/search?q=lamp&brand=Acme&minPrice=20&inStock=true&limit=500&page=2');
+
+  assert.strictEqual(response.status, 200);
+  const [match, addFields, { $facet }] = aggregate.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(match.$match, { archived: { $ne: true }, $text: { $search: 'lamp' } });
+  assert.deepStrictEqual(addFields.$addFields.score, { $meta: 'textScore' });
+
+  const brand = { 'specifications.brand': 'Acme' };
+  const price = { effectivePrice: { $gte: 20 } };
+  const inStock = { available: { $gt: 0 } };
+  assert.deepStrictEqual($facet.products, [
+    { $match: { ...brand, ...price, ...inStock } },
+    { $sort: { score: -1, _id: 1 } },
+    { $skip: 100 },
+    { $limit: 100 }
+  ]);
+  assert.deepStrictEqual($facet.brands[0].$match, { ...price, ...inStock });
+  assert.deepStrictEqual($facet.priceRanges[0].$match, { ...brand, ...inStock });
+  assert.deepStrictEqual($facet.availability[0].$match, { ...brand, ...price });
+  assert.deepStrictEqual(response.body.pagination, { page: 2, limit: 100, total: 0, pages: 0 });
+});
+
+test('search results come back with facet counts, price buckets and scores', async (t) => {
+  fakeServices(t);
+  const lamp = { _id: new mongoose.Types.ObjectId(), name: 'Lamp', description: 'Bright', price: 40, category: 'Lighting', stock: 5, reservedStock: 2 };
+  searchResult(t, {
+    products: [{ ...lamp, available: 3, effectivePrice: 40, score: 1.5 }],
+    total: [{ count: 41 }],
+    categories: [{ _id: 'Lighting', count: 41 }],
+    brands: [{ _id: 'Acme', count: 12 }],
+    priceRanges: [{ _id: 25, count: 30 }, { _id: 'above', count: 1 }],
+    availability: [{ _id: null, inStock: 40, outOfStock: 1 }]
+  });
+  const request = await listen(t);
+
+  const response = await request('GET', '/search?q=lamp');
+
+  const [product] = response.body.products;
+  assert.deepStrictEqual([product.name, product.stock, product.score], ['Lamp', 3, 1.5]);
+  assert.strictEqual(product.available, undefined, 'working fields stay out of the results');
+  assert.deepStrictEqual(response.body.facets, {
+    categories: [{ value: 'Lighting', count: 41 }],
+    brands: [{ value: 'Acme', count: 12 }],
+    priceRanges: [{ min: 25, max: 50, count: 30 }, { min: 1000, max: null, count: 1 }],
+    availability: { inStock: 40, outOfStock: 1 }
+  });
+  assert.deepStrictEqual(response.body.pagination, { page: 1, limit: 20, total: 41, pages: 3 });
+});
+
+test('without a search string results are newest first and relevance is refused', async (t) => {
+  fakeServices(t);
+  const aggregate = searchResult(t);
+  const request = await listen(t);
+
+  const browse = await request('GET', '/search');
+  const relevance = await request('GET', '/search?sort=relevance');
+  const repeated = await request('GET', '/search?q=lamp&q=desk');
+
+  assert.strictEqual(browse.status, 200);
+  const { $facet } = aggregate.mock.calls[0].arguments[0][2];
+  assert.deepStrictEqual($facet.products[1], { $sort: { createdAt: -1, _id: 1 } });
+  assert.strictEqual(relevance.status, 400);
+  assert.strictEqual(repeated.status, 400);
+  assert.strictEqual(repeated.body.error, 'q must be a single search string');
+  assert.strictEqual(aggregate.mock.callCount(), 1);
+});
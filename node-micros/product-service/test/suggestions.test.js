@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { service, fakeServices, listen, keepSaves } = require('./helpers');
+const suggestions = require('../suggestions');
+
+const { Product } = service;
+
+function product(name, category, fields = {}) {
+  return { _id: new mongoose.Types.ObjectId(), name, category, ...fields };
+}
+
+const iphone = product('iPhone 14 Pro', 'Electronics', { featured: true });
+const macbook = product('MacBook Air M2', 'Computers');
+const macMini = product('Mac Mini', 'Computers', { ratings: { count: 30 } });
+const headphones = product('Sony WH-1000XM5', 'Audio');
+
+function texts(results) {
+  return results.map(result => result.text);
+}
+
+test('names are matched by word prefix, with typos allowed in longer words', () => {
+  suggestions.rebuild([iphone, macbook, macMini, headphones]);
+
+  assert.deepStrictEqual(texts(suggestions.suggest('iphnoe')), ['iPhone 14 Pro']);
+  assert.deepStrictEqual(texts(suggestions.suggest('mac')), ['Mac Mini', 'MacBook Air M2']);
+  assert.deepStrictEqual(texts(suggestions.suggest('macbok air')), ['MacBook Air M2']);
+  assert.deepStrictEqual(suggestions.suggest('ipx'), [], 'short words must be typed exactly');
+  assert.deepStrictEqual(suggestions.suggest('   '), []);
+});
+
+test('closer matches rank first, then more popular products', () => {
+  const macbookPro = product('MacBook Pro', 'Computers', { ratings: { count: 10 } });
+  suggestions.rebuild([product('Macintosh Classic', 'Computers'), macbook, macbookPro, macMini]);
+
+  const results = suggestions.suggest('mac');
+
+  assert.deepStrictEqual(texts(results), ['Mac Mini', 'MacBook Pro', 'MacBook Air M2', 'Macintosh Classic']);
+  assert.deepStrictEqual(results.map(result => result.score), [1, 0.886, 0.886, 0.867],
+    'a whole word beats a prefix, and a prefix covering more of the word beats one covering less');
+  assert.deepStrictEqual(Object.keys(results[0]), ['type', 'text', 'productId', 'category', 'score']);
+});
+
+test('categories are suggested with how many products they hold', () => {
+  suggestions.rebuild([iphone, macbook, macMini, headphones]);
+
+  const [category] = suggestions.suggest('comp');
+
+  assert.deepStrictEqual(category, { type: 'category', text: 'Computers', productCount: 2, score: 0.889 });
+});
+
+test('archived products leave the index', () => {
+  suggestions.rebuild([iphone, { ...headphones, archived: true }]);
+  assert.strictEqual(suggestions.size(), 1);
+
+  suggestions.indexProduct({ ...iphone, archived: true });
+  suggestions.indexProduct(macbook);
+  suggestions.removeProduct(macbook._id);
+
+  assert.strictEqual(suggestions.size(), 0);
+});
+
+test('the suggestions route caps the query and the number of results, and follows product changes', async (t) => {
+  fakeServices(t);
+  suggestions.rebuild(Array.from({ length: 30 }, (_, i) => product(`Lamp ${i}`, 'Lighting')));
+  const lamp = new Product({ name: 'Lava lamp', description: 'Groovy', price: 30, category: 'Lighting' });
+  suggestions.indexProduct(lamp);
+  t.mock.method(Product, 'findById', async () => lamp);
+  keepSaves(t, Product);
+  const request = await listen(t);
+
+  const many = await request('GET', '/search/suggestions?q=lamp&limit=50');
+  const long = await request('GET', `/search/suggestions?q=${'a'.repeat(101)}`);
+  const repeated = await request('GET', '/search/suggestions?q=a&q=b');
+  await request('DELETE', `/products/${lamp._id}`, { as: 'admin' });
+  const archived = await request('GET', '/search/suggestions?q=lava');
+
+  assert.strictEqual(many.body.suggestions.length, 20);
+  assert.strictEqual(long.status, 400);
+  assert.strictEqual(repeated.status, 400);
+  assert.deepStrictEqual(archived.body, { query: 'lava', suggestions: [] });
+});
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { service, fakeServices, listen, keepSaves } = require('./helpers');
+
+const { Product, Category, Reservation, StockMovement, PriceChange } = service;
+
+const shoesCategory = new Category({ name: 'Shoes', slug: 'shoes' });
+
+// A shoe in sizes 8 and 9, `stock` of each
+function shoe(stock = { 8: 5, 9: 3 }, fields = {}) {
+  return new Product({
+    name: 'Runner',
+    description: 'Running shoe',
+    price: 120,
+    category: 'Shoes',
+    options: [{ name: 'Size', values: ['8', '9', '10'] }],
+    variants: Object.entries(stock).map(([size, units]) => ({
+      sku: `RUN-${size}`,
+      options: { Size: size },
+      stock: units
+    })),
+    ...fields
+  });
+}
+
+// Record the ledger entries a test writes
+function ledger(t) {
+  const entries = [];
+  t.mock.method(StockMovement, 'create', async (entry) => {
+    entries.push(entry);
+    return entry;
+  });
+  return entries;
+}
+
+// Saving validates, as it would against the database
+function validatedSaves(t) {
+  t.mock.method(Product.prototype, 'save', async function () {
+    await this.validate();
+    return this;
+  });
+}
+
+test('a product with variants opens with per-SKU stock that adds up to its total', async (t) => {
+  fakeServices(t);
+  t.mock.method(console, 'log', () => {});
+  validatedSaves(t);
+  t.mock.method(Category, 'findOne', async () => shoesCategory);
+  t.mock.method(PriceChange, 'insertMany', async (changes) => changes);
+  const entries = ledger(t);
+  const request = await listen(t);
+
+  const response = await request('POST', '/products', {
+    as: 'admin',
+    body: {
+      name: 'Runner',
+      description: 'Running shoe',
+      price: 120,
+      category: 'shoes',
+      stock: 999,
+      options: [{ name: 'Size', values: ['8', '9'] }],
+      variants: [
+        { sku: 'RUN-8', options: { Size: '8' }, stock: 5, price: 110 },
+        { sku: 'RUN-9', options: { Size: '9' }, stock: 3, reservedStock: 3 }
+      ]
+    }
+  });
+
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(response.body.stock, 8);
+  assert.deepStrictEqual(response.body.variants.map(variant => [variant.sku, variant.stock, variant.price]), [
+    ['RUN-8', 5, 110],
+    ['RUN-9', 3, undefined]
+  ]);
+  assert.deepStrictEqual(entries.map(entry => [entry.sku, entry.type, entry.quantity]), [
+    ['RUN-8', 'restock', 5],
+    ['RUN-9', 'restock', 3]
+  ]);
+});
+
+test('every SKU picks one listed value per option and no two SKUs are alike', async (t) => {
+  fakeServices(t);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  validatedSaves(t);
+  t.mock.method(Category, 'findOne', async () => shoesCategory);
+  const request = await listen(t);
+  const create = (variants, options = [{ name: 'Size', values: ['8', '9'] }]) => request('POST', '/products', {
+    as: 'admin',
+    body: { name: 'Runner', description: 'Running shoe', price: 120, category: 'shoes', options, variants }
+  });
+
+  const unlisted = await create([{ sku: 'RUN-10', options: { Size: '10' } }]);
+  const unknown = await create([{ sku: 'RUN-8', options: { Size: '8', Colour: 'red' } }]);
+  const repeated = await create([{ sku: 'RUN-8', options: { Size: '8' } }, { sku: 'RUN-8B', options: { Size: '8' } }]);
+  const duplicate = await create([{ sku: 'RUN-8', options: { Size: '8' } }, { sku: 'RUN-8', options: { Size: '9' } }]);
+  const noOptions = await create([{ sku: 'RUN-8', options: {} }], []);
+
+  assert.match(unlisted.body.error, /SKU RUN-10 needs one of 8, 9 for Size/);
+  assert.match(unknown.body.error, /SKU RUN-8 uses unknown option Colour/);
+  assert.match(repeated.body.error, /SKU RUN-8B repeats another SKU's options/);
+  assert.match(duplicate.body.error, /Duplicate SKU RUN-8/);
+  assert.match(noOptions.body.error, /Products with variants need at least one option/);
+  assert.ok([unlisted, unknown, repeated, duplicate, noOptions].every(response => response.status === 400));
+});
+
+test('a SKU is added alongside concurrent stock changes, and not to a product with unassigned stock', async (t) => {
+  fakeServices(t);
+  const product = shoe();
+  const plain = new Product({ name: 'Laces', description: 'Laces', price: 5, category: 'Shoes', stock: 4 });
+  t.mock.method(Product, 'findById', async (id) => [product, plain].find(found => found._id.equals(id)));
+  const added = t.mock.method(Product, 'findOneAndUpdate', async (filter, update) => {
+    const updated = shoe({ 8: 5, 9: 3 }, { _id: product._id });
+    updated.variants.push(update.$push.variants);
+    return updated;
+  });
+  t.mock.method(PriceChange, 'insertMany', async (changes) => changes);
+  const entries = ledger(t);
+  const request = await listen(t);
+
+  const response = await request('POST', `/products/${product._id}/variants`, {
+    as: 'admin',
+    body: { sku: 'RUN-10', options: { Size: '10' }, stock: 2 }
+  });
+  const unassigned = await request('POST', `/products/${plain._id}/variants`, {
+    as: 'admin',
+    body: { sku: 'LACE-1', options: {} }
+  });
+
+  assert.strictEqual(response.status, 201);
+  const [filter, update] = added.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter['variants.sku'], { $ne: 'RUN-10' }, 'a SKU is only added once');
+  assert.deepStrictEqual(update.$inc, { stock: 2 }, 'the total moves with the new SKU, not from a read');
+  assert.deepStrictEqual([entries[0].sku, entries[0].quantity], ['RUN-10', 2]);
+
+  assert.strictEqual(unassigned.status, 409);
+  assert.strictEqual(unassigned.body.error, 'Product has 4 units not assigned to a SKU; reduce its stock to 0 before adding variants');
+});
+
+test('stock on a product with variants changes per SKU, together with the total', async (t) => {
+  fakeServices(t);
+  const product = shoe();
+  t.mock.method(Product, 'findById', async () => product);
+  const sold = t.mock.method(Product, 'findOneAndUpdate', async () => shoe({ 8: 3, 9: 3 }, { _id: product._id }));
+  const entries = ledger(t);
+  const request = await listen(t);
+  const sell = (body) => request('PATCH', `/products/${product._id}/stock`, {
+    internal: true,
+    body: { operation: 'decrease', quantity: 2, ...body }
+  });
+
+  const noSku = await sell({});
+  const unknownSku = await sell({ sku: 'RUN-11' });
+  const response = await sell({ sku: 'RUN-8' });
+
+  assert.strictEqual(noSku.status, 400);
+  assert.strictEqual(noSku.body.error, 'sku is required for products with variants');
+  assert.strictEqual(unknownSku.body.error, 'Unknown SKU RUN-11');
+  assert.deepStrictEqual(response.body, { message: 'Stock updated', sku: 'RUN-8', newStock: 3, available: 3 });
+
+  const [filter, update, options] = sold.mock.calls[0].arguments;
+  assert.ok(filter.$expr.$gte[0].$let, 'only units of this SKU that are not held can be sold');
+  assert.deepStrictEqual(update.$inc, { stock: -2, 'variants.$[variant].stock': -2 });
+  assert.deepStrictEqual(options.arrayFilters, [{ 'variant.sku': 'RUN-8' }]);
+  assert.deepStrictEqual([entries[0].sku, entries[0].balance.onHand], ['RUN-8', 3]);
+});
+
+test('reservations hold stock of one SKU, and a SKU with holds cannot be removed', async (t) => {
+  fakeServices(t);
+  const product = shoe();
+  t.mock.method(Product, 'findById', async () => product);
+  t.mock.method(Reservation, 'findOne', async () => null);
+  keepSaves(t, Reservation);
+  const updates = t.mock.method(Product, 'findOneAndUpdate', async (filter) => (filter.variants ? null : product));
+  ledger(t);
+  const request = await listen(t);
+
+  const held = await request('POST', `/products/${product._id}/reservations`, {
+    internal: true,
+    body: { sku: 'RUN-9', quantity: 1, referenceType: 'cart', referenceId: 'cart-1' }
+  });
+  const removed = await request('DELETE', `/products/${product._id}/variants/RUN-9`, { as: 'admin' });
+
+  assert.strictEqual(held.status, 201);
+  assert.strictEqual(held.body.sku, 'RUN-9');
+  const [, hold, holdOptions] = updates.mock.calls[0].arguments;
+  assert.deepStrictEqual(hold.$inc, { reservedStock: 1, 'variants.$[variant].reservedStock': 1 });
+  assert.deepStrictEqual(holdOptions.arrayFilters, [{ 'variant.sku': 'RUN-9' }]);
+
+  assert.strictEqual(removed.status, 409);
+  const [removal] = updates.mock.calls[1].arguments;
+  assert.deepStrictEqual(removal.variants.$elemMatch, { sku: 'RUN-9', stock: 3, reservedStock: 0 });
+});
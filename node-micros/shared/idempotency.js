@@ -0,0 +1,130 @@
+// Idempotency-Key handling shared by order-service and payment-service.
+//
+// Each service stores its keys in its own database. mongoose is passed in
+// rather than required because this directory has no node_modules of its
+// own.
+
+const crypto = require('crypto');
+
+const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// How long a request may hold its key before a retry may take it over. A
+// key still 'processing' past this belongs to a request that died with its
+// process.
+const IDEMPOTENCY_LEASE_SECONDS = Number(process.env.IDEMPOTENCY_LEASE_SECONDS) || 60;
+
+// Who a key belongs to: the same key from two callers never collides
+function defaultScope(req) {
+  return `${req.user?.userId || 'anonymous'} ${req.method} ${req.originalUrl}`;
+}
+
+// Build the `idempotent` middleware. It replays the stored response when a
+// request is retried with the same Idempotency-Key header; requests without
+// the header pass straight through.
+function createIdempotency(mongoose, { scopeOf = defaultScope } = {}) {
+  let IdempotencyKey = mongoose.models.IdempotencyKey;
+
+  if (!IdempotencyKey) {
+    const idempotencyKeySchema = new mongoose.Schema({
+      key: { type: String, required: true },
+      scope: { type: String, required: true },
+      requestHash: { type: String, required: true },
+      status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+      responseStatus: Number,
+      responseBody: mongoose.Schema.Types.Mixed,
+      lockedAt: { type: Date, default: Date.now },
+      createdAt: { type: Date, default: Date.now },
+      expiresAt: { type: Date, required: true }
+    });
+
+    idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+    idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+  }
+
+  return async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (!key) {
+      return next();
+    }
+    if (key.length > 255) {
+      return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    try {
+      const scope = scopeOf(req);
+      const requestHash = crypto.createHash('sha256')
+        .update(JSON.stringify(req.body || {}))
+        .digest('hex');
+
+      let record;
+      try {
+        record = await IdempotencyKey.create({
+          key,
+          scope,
+          requestHash,
+          expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const existing = await IdempotencyKey.findOne({ key, scope });
+        if (existing && existing.requestHash !== requestHash) {
+          return res.status(409).json({ error: 'Idempotency-Key was already used with a different payload' });
+        }
+        if (existing?.status === 'completed') {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        // Take over a key whose lease ran out; only one retry can win it
+        const leaseStart = new Date(Date.now() - IDEMPOTENCY_LEASE_SECONDS * 1000);
+        record = existing && await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, status: 'processing', lockedAt: { $lt: leaseStart } },
+          { lockedAt: new Date() },
+          { new: true }
+        );
+        if (!record) {
+          return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+        }
+      }
+
+      // Settle the key once the response has gone out, whichever way the
+      // handler sent it. Server errors, and connections closed before a
+      // response was sent, release the key so the client can retry. Only
+      // the request still holding the lease may settle it.
+      let responseBody;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+
+      const held = { _id: record._id, lockedAt: record.lockedAt };
+      let settled = false;
+      const settle = (finished) => {
+        if (settled) return;
+        settled = true;
+
+        const saved = !finished || res.statusCode >= 500
+          ? IdempotencyKey.deleteOne(held)
+          : IdempotencyKey.updateOne(held, {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            responseBody
+          });
+        saved.catch(error => console.error('Idempotency key error:', error.message));
+      };
+      res.on('finish', () => settle(true));
+      res.on('close', () => settle(false));
+
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  createIdempotency
+};
@@ -0,0 +1,36 @@
+// Service-to-service calls. Internal routes must only be reachable by the
+// other services, but the services themselves can be reached directly (the
+// frontend talks to product-service, for one), so every internal call
+// carries INTERNAL_SERVICE_TOKEN and internal routes refuse anything else.
+// Without the token set, internal routes refuse every request.
+
+let warnedMissingToken = false;
+
+// Middleware for routes only other services may call
+function verifyInternal(req, res, next) {
+  const expected = process.env.INTERNAL_SERVICE_TOKEN;
+
+  if (!expected) {
+    if (!warnedMissingToken) {
+      console.error('INTERNAL_SERVICE_TOKEN is not set; refusing internal requests');
+      warnedMissingToken = true;
+    }
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  if (req.headers['x-internal-token'] !== expected) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+}
+
+// Headers for a call to another service's internal route
+function internalHeaders() {
+  return process.env.INTERNAL_SERVICE_TOKEN
+    ? { 'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN }
+    : {};
+}
+
+module.exports = {
+  verifyInternal,
+  internalHeaders
+};
@@ -2,7 +2,9 @@ const express = require('express');
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const axios = require('axios');
 const cors = require('cors');
+const { verifyInternal } = require('../shared/internal');
 
 const app = express();
 
@@ -18,7 +20,7 @@ const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  role: { type: String, enum: ['user', 'moderator', 'admin'], default: 'user' },
   profile: {
     phone: String,
     address: {
@@ -45,7 +47,7 @@ app.get('/health', (req, res) => {
 // Register user
 app.post('/auth/register', async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, cartToken } = req.body;
     
     // Check if user exists
     const existingUser = await User.findOne({ email });
@@ -67,14 +69,17 @@ app.post('/auth/register', async (req, res) => {
 
     // Generate JWT
     const token = jwt.sign(
-      { userId: user._id, email: user.email },
+      { userId: user._id, email: user.email, role: user.role },
       process.env.JWT_SECRET,
       { expiresIn: '24h' }
     );
 
+    const cartMerged = await mergeGuestCart(token, cartToken);
+
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      cartMerged,
       user: {
         id: user._id,
         name: user.name,
@@ -90,7 +95,7 @@ app.post('/auth/register', async (req, res) => {
 // Login user
 app.post('/auth/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, cartToken } = req.body;
 
     // Find user
     const user = await User.findOne({ email });
@@ -106,14 +111,17 @@ app.post('/auth/login', async (req, res) => {
 
     // Generate JWT
     const token = jwt.sign(
-      { userId: user._id, email: user.email },
+      { userId: user._id, email: user.email, role: user.role },
       process.env.JWT_SECRET,
       { expiresIn: '24h' }
     );
 
+    const cartMerged = await mergeGuestCart(token, cartToken);
+
     res.json({
       message: 'Login successful',
       token,
+      cartMerged,
       user: {
         id: user._id,
         name: user.name,
@@ -139,17 +147,90 @@ app.get('/users/:id', async (req, res) => {
   }
 });
 
-// Verify token (for other services)
-app.post('/auth/verify', (req, res) => {
+// List users with a given role, e.g. admins to alert (internal)
+app.get('/internal/users', verifyInternal, async (req, res) => {
+  try {
+    const { role } = req.query;
+    if (!role) {
+      return res.status(400).json({ error: 'role is required' });
+    }
+
+    const users = await User.find({ role }).select('_id name email role');
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Verify token (for other services). The role is read from the database
+// rather than the token so role changes take effect immediately.
+app.post('/auth/verify', async (req, res) => {
   try {
     const { token } = req.body;
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    res.json({ valid: true, user: decoded });
+
+    const user = await User.findById(decoded.userId).select('role');
+    if (!user) {
+      return res.status(401).json({ valid: false, error: 'User no longer exists' });
+    }
+
+    res.json({ valid: true, user: { ...decoded, role: user.role } });
   } catch (error) {
     res.status(401).json({ valid: false, error: 'Invalid token' });
   }
 });
 
+// Change a user's role (admin only)
+app.patch('/users/:id/role', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    const caller = await User.findById(decoded.userId).select('role');
+    if (caller?.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { role } = req.body;
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Helper functions
+// Hand the guest's cart over to order-service so it follows them after login.
+// A failure here shouldn't block the login itself.
+async function mergeGuestCart(token, cartToken) {
+  if (!cartToken) return false;
+
+  try {
+    await axios.post(
+      `${process.env.ORDER_SERVICE_URL}/cart/merge`,
+      { cartToken },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    return true;
+  } catch (error) {
+    console.error('Cart merge error:', error.message);
+    return false;
+  }
+}
+
 const PORT = process.env.PORT || 5001;
 app.listen(PORT, () => {
   console.log(`User Service running on port ${PORT}`);